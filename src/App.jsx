@@ -9,6 +9,9 @@ import Exercise from "./pages/Exercise";
 import Progress from "./pages/Progress";
 import Settings from "./pages/Settings";
 import Profiles from "./pages/Profiles";
+import Classes from "./pages/Classes";
+import ClassOverview from "./pages/ClassOverview";
+import Progressions from "./pages/Progressions";
 import { Toast } from "./components/common/Toast";
 
 /**
@@ -82,6 +85,9 @@ const AppWithMigration = () => {
                 <Route path="/progress" element={<Progress />} />
                 <Route path="/settings" element={<Settings />} />
                 <Route path="/profiles" element={<Profiles />} />
+                <Route path="/classes" element={<Classes />} />
+                <Route path="/classes/:classId" element={<ClassOverview />} />
+                <Route path="/progressions" element={<Progressions />} />
                 {/* Rediriger les routes inconnues vers l'accueil */}
                 <Route path="*" element={<Home />} />
             </Routes>
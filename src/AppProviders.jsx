@@ -4,6 +4,8 @@ import {
     StorageProvider,
     AuthProvider,
     ProgressProvider,
+    ClassProvider,
+    ProgressionProvider,
     UIProvider,
     ThemeProvider,
 } from "./contexts";
@@ -19,11 +21,15 @@ export const AppProviders = ({ children }) => {
     return (
         <StorageProvider>
             <AuthProvider>
-                <ProgressProvider>
-                    <ThemeProvider>
-                        <UIProvider>{children}</UIProvider>
-                    </ThemeProvider>
-                </ProgressProvider>
+                <ClassProvider>
+                    <ProgressionProvider>
+                        <ProgressProvider>
+                            <ThemeProvider>
+                                <UIProvider>{children}</UIProvider>
+                            </ThemeProvider>
+                        </ProgressProvider>
+                    </ProgressionProvider>
+                </ClassProvider>
             </AuthProvider>
         </StorageProvider>
     );
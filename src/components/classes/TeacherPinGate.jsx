@@ -0,0 +1,138 @@
+/**
+ * @file TeacherPinGate.jsx
+ * @description Protection des écrans du mode enseignant par code PIN
+ */
+
+import { useState } from "react";
+import PropTypes from "prop-types";
+import { Card } from "../common/Card";
+import { Button } from "../common/Button";
+import { useClasses } from "../../contexts";
+import { TEACHER_PIN_LENGTH } from "../../utils/classUtils";
+
+/**
+ * Affiche ses enfants seulement si le mode enseignant est déverrouillé.
+ * Au premier usage, propose de choisir le code PIN enseignant
+ * @param {Object} props - Propriétés du composant
+ * @param {React.ReactNode} props.children - Contenu réservé à l'enseignant
+ * @returns {JSX.Element} Composant TeacherPinGate
+ */
+export const TeacherPinGate = ({ children }) => {
+    const {
+        hasTeacherPin,
+        isTeacherUnlocked,
+        setTeacherPin,
+        unlockTeacherMode,
+        error,
+    } = useClasses();
+
+    const [pin, setPin] = useState("");
+    const [confirmation, setConfirmation] = useState("");
+    const [message, setMessage] = useState("");
+
+    if (isTeacherUnlocked) {
+        return children;
+    }
+
+    /**
+     * Valide le code saisi : création du code au premier usage, déverrouillage ensuite
+     * @param {Event} e - Événement du formulaire
+     */
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        setMessage("");
+
+        if (!hasTeacherPin) {
+            if (pin !== confirmation) {
+                setMessage("Les deux codes ne correspondent pas");
+                return;
+            }
+            await setTeacherPin(pin);
+        } else {
+            await unlockTeacherMode(pin);
+        }
+
+        setPin("");
+        setConfirmation("");
+    };
+
+    const inputClassName =
+        "w-full p-2 border border-gray-300 rounded text-center text-2xl tracking-widest focus:ring-blue-500 focus:border-blue-500";
+
+    return (
+        <div className="max-w-sm mx-auto">
+            <Card elevated>
+                <form onSubmit={handleSubmit} className="p-4">
+                    <h2 className="text-xl font-semibold mb-2">
+                        Espace enseignant
+                    </h2>
+                    <p className="text-sm text-gray-600 mb-4">
+                        {hasTeacherPin
+                            ? "Saisis le code PIN enseignant pour gérer les classes."
+                            : `Choisis un code PIN de ${TEACHER_PIN_LENGTH.MIN} à ${TEACHER_PIN_LENGTH.MAX} chiffres pour protéger la gestion des classes.`}
+                    </p>
+
+                    {(message || error) && (
+                        <div className="mb-4 p-3 rounded-lg bg-red-100 text-red-700">
+                            {message || error}
+                        </div>
+                    )}
+
+                    <div className="mb-3">
+                        <label
+                            htmlFor="teacherPin"
+                            className="block text-sm font-medium text-gray-700 mb-1"
+                        >
+                            Code PIN
+                        </label>
+                        <input
+                            type="password"
+                            id="teacherPin"
+                            inputMode="numeric"
+                            autoComplete="off"
+                            maxLength={TEACHER_PIN_LENGTH.MAX}
+                            value={pin}
+                            onChange={(e) => setPin(e.target.value)}
+                            className={inputClassName}
+                            required
+                        />
+                    </div>
+
+                    {!hasTeacherPin && (
+                        <div className="mb-3">
+                            <label
+                                htmlFor="teacherPinConfirmation"
+                                className="block text-sm font-medium text-gray-700 mb-1"
+                            >
+                                Confirmation
+                            </label>
+                            <input
+                                type="password"
+                                id="teacherPinConfirmation"
+                                inputMode="numeric"
+                                autoComplete="off"
+                                maxLength={TEACHER_PIN_LENGTH.MAX}
+                                value={confirmation}
+                                onChange={(e) =>
+                                    setConfirmation(e.target.value)
+                                }
+                                className={inputClassName}
+                                required
+                            />
+                        </div>
+                    )}
+
+                    <Button type="submit" variant="primary" fullWidth>
+                        {hasTeacherPin
+                            ? "Déverrouiller"
+                            : "Enregistrer le code"}
+                    </Button>
+                </form>
+            </Card>
+        </div>
+    );
+};
+
+TeacherPinGate.propTypes = {
+    children: PropTypes.node.isRequired,
+};
@@ -0,0 +1,62 @@
+/**
+ * @file BaseTenBlocks.jsx
+ * @description Matériel de numération : un nombre représenté en barres de dix et en cubes unités
+ */
+
+import PropTypes from "prop-types";
+
+/**
+ * Nombre de cubes d'une barre
+ * @constant {number}
+ */
+const ROD_SIZE = 10;
+
+/**
+ * Barres de dix et cubes unités d'un nombre
+ * @param {Object} props - Propriétés du composant
+ * @param {number} props.value - Nombre à représenter (jusqu'à 100)
+ * @param {string} [props.className=''] - Classes CSS additionnelles
+ * @returns {JSX.Element} Composant BaseTenBlocks
+ */
+export const BaseTenBlocks = ({ value, className = "" }) => {
+    const tens = Math.floor(value / ROD_SIZE);
+    const units = value % ROD_SIZE;
+
+    return (
+        <div
+            className={`flex items-end gap-1 ${className}`}
+            aria-label={`${tens} dizaine${tens > 1 ? "s" : ""} et ${units} unité${
+                units > 1 ? "s" : ""
+            }`}
+        >
+            {[...Array(tens)].map((_, rod) => (
+                <div
+                    key={`rod-${rod}`}
+                    className="flex flex-col border border-blue-700"
+                >
+                    {[...Array(ROD_SIZE)].map((_, cube) => (
+                        <span
+                            key={cube}
+                            className="w-3 h-3 bg-blue-500 border-b border-blue-700 last:border-b-0"
+                        />
+                    ))}
+                </div>
+            ))}
+            {units > 0 && (
+                <div className="grid grid-cols-2 gap-0.5 ml-1">
+                    {[...Array(units)].map((_, cube) => (
+                        <span
+                            key={`unit-${cube}`}
+                            className="w-3 h-3 bg-orange-400 border border-orange-600"
+                        />
+                    ))}
+                </div>
+            )}
+        </div>
+    );
+};
+
+BaseTenBlocks.propTypes = {
+    value: PropTypes.number.isRequired,
+    className: PropTypes.string,
+};
@@ -0,0 +1,96 @@
+/**
+ * @file ChoiceInput.jsx
+ * @description Réponse par choix multiple : grands boutons utilisables au doigt ou au clavier
+ */
+
+import { useEffect } from "react";
+import PropTypes from "prop-types";
+import { Button } from "../common/Button";
+
+/**
+ * Composant de réponse à choix multiple
+ * Chaque choix peut être sélectionné au clic, avec ses raccourcis clavier
+ * ou avec la touche correspondant à sa position (1, 2, 3...)
+ * @param {Object} props - Propriétés du composant
+ * @param {Array<Object>} props.choices - Choix proposés ({ value, label, description, keys })
+ * @param {Function} props.onSelect - Fonction appelée avec la valeur du choix sélectionné
+ * @param {boolean} [props.disabled=false] - Désactive les boutons et les raccourcis
+ * @param {string} [props.className=''] - Classes CSS additionnelles
+ * @returns {JSX.Element} Composant ChoiceInput
+ */
+export const ChoiceInput = ({
+    choices,
+    onSelect,
+    disabled = false,
+    className = "",
+}) => {
+    // Raccourcis clavier actifs tant que le choix est possible
+    useEffect(() => {
+        if (disabled) return;
+
+        /**
+         * Sélectionne le choix associé à la touche pressée
+         * @param {KeyboardEvent} e - Événement clavier
+         */
+        const handleKeyDown = (e) => {
+            if (e.ctrlKey || e.metaKey || e.altKey) return;
+
+            const index = choices.findIndex(
+                (choice, i) =>
+                    (choice.keys || []).includes(e.key) ||
+                    e.key === String(i + 1)
+            );
+
+            if (index !== -1) {
+                e.preventDefault();
+                onSelect(choices[index].value);
+            }
+        };
+
+        window.addEventListener("keydown", handleKeyDown);
+        return () => window.removeEventListener("keydown", handleKeyDown);
+    }, [choices, onSelect, disabled]);
+
+    return (
+        <div
+            role="group"
+            className={`flex flex-wrap justify-center gap-3 ${className}`}
+        >
+            {choices.map((choice, index) => (
+                <Button
+                    key={String(choice.value)}
+                    type="button"
+                    variant="secondary"
+                    size="lg"
+                    disabled={disabled}
+                    onClick={() => onSelect(choice.value)}
+                    aria-label={choice.description || String(choice.label)}
+                    className="min-w-20 text-3xl font-bold flex flex-col items-center"
+                >
+                    <span>{choice.label}</span>
+                    <span className="text-xs font-normal text-gray-500 mt-1">
+                        {index + 1}
+                    </span>
+                </Button>
+            ))}
+        </div>
+    );
+};
+
+ChoiceInput.propTypes = {
+    choices: PropTypes.arrayOf(
+        PropTypes.shape({
+            value: PropTypes.oneOfType([
+                PropTypes.string,
+                PropTypes.number,
+                PropTypes.bool,
+            ]).isRequired,
+            label: PropTypes.node.isRequired,
+            description: PropTypes.string,
+            keys: PropTypes.arrayOf(PropTypes.string),
+        })
+    ).isRequired,
+    onSelect: PropTypes.func.isRequired,
+    disabled: PropTypes.bool,
+    className: PropTypes.string,
+};
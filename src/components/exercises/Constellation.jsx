@@ -0,0 +1,80 @@
+/**
+ * @file Constellation.jsx
+ * @description Constellations du dé : un nombre jusqu'à 6 sur une face, jusqu'à 10 sur deux faces (5 et le reste)
+ */
+
+import PropTypes from "prop-types";
+
+/**
+ * Cases occupées d'une face de dé (grille de 3 × 3, numérotée de gauche à droite et de haut en bas)
+ * @constant {Object}
+ */
+const DICE_PATTERNS = {
+    0: [],
+    1: [4],
+    2: [0, 8],
+    3: [0, 4, 8],
+    4: [0, 2, 6, 8],
+    5: [0, 2, 4, 6, 8],
+    6: [0, 2, 3, 5, 6, 8],
+};
+
+/**
+ * Plus grand nombre dessiné sur une seule face
+ * @constant {number}
+ */
+const MAX_FACE_VALUE = 6;
+
+/**
+ * Face de dé
+ * @param {Object} props - Propriétés du composant
+ * @param {number} props.value - Nombre de points (0 à 6)
+ * @returns {JSX.Element} Composant DiceFace
+ */
+const DiceFace = ({ value }) => {
+    const dots = DICE_PATTERNS[value] || [];
+
+    return (
+        <div className="grid grid-cols-3 gap-1 p-1.5 w-14 h-14 border-2 border-gray-400 rounded-lg bg-white">
+            {[...Array(9)].map((_, cell) => (
+                <span
+                    key={cell}
+                    className={`w-3 h-3 rounded-full ${
+                        dots.includes(cell) ? "bg-blue-500" : ""
+                    }`}
+                />
+            ))}
+        </div>
+    );
+};
+
+DiceFace.propTypes = {
+    value: PropTypes.number.isRequired,
+};
+
+/**
+ * Constellation d'un nombre : une face de dé, ou deux au-delà de 6 (5 et le reste)
+ * @param {Object} props - Propriétés du composant
+ * @param {number} props.value - Nombre à représenter (0 à 10)
+ * @param {string} [props.className=''] - Classes CSS additionnelles
+ * @returns {JSX.Element} Composant Constellation
+ */
+export const Constellation = ({ value, className = "" }) => {
+    const faces = value > MAX_FACE_VALUE ? [5, value - 5] : [value];
+
+    return (
+        <div
+            className={`flex gap-1 ${className}`}
+            aria-label={`Constellation de ${value}`}
+        >
+            {faces.map((face, index) => (
+                <DiceFace key={index} value={face} />
+            ))}
+        </div>
+    );
+};
+
+Constellation.propTypes = {
+    value: PropTypes.number.isRequired,
+    className: PropTypes.string,
+};
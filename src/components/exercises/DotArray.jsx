@@ -0,0 +1,57 @@
+/**
+ * @file DotArray.jsx
+ * @description Quadrillage de points (rangées × colonnes) pour représenter une multiplication ou une division
+ */
+
+import PropTypes from "prop-types";
+
+/**
+ * Quadrillage de points, avec d'éventuels points restants (reste d'une division)
+ * @param {Object} props - Propriétés du composant
+ * @param {number} props.rows - Nombre de rangées
+ * @param {number} props.columns - Nombre de points par rangée
+ * @param {number} [props.extra=0] - Points restants, affichés à part
+ * @param {string} [props.className=''] - Classes CSS additionnelles
+ * @returns {JSX.Element} Composant DotArray
+ */
+export const DotArray = ({ rows, columns, extra = 0, className = "" }) => (
+    <div
+        className={`flex flex-col items-center ${className}`}
+        aria-label={`${rows} rangées de ${columns}${
+            extra > 0 ? `, reste ${extra}` : ""
+        }`}
+    >
+        <div
+            className="grid gap-1"
+            style={{ gridTemplateColumns: `repeat(${columns}, 1rem)` }}
+        >
+            {[...Array(rows * columns)].map((_, index) => (
+                <span
+                    key={index}
+                    className="w-4 h-4 rounded-full bg-blue-500"
+                />
+            ))}
+        </div>
+        {extra > 0 && (
+            <div className="flex gap-1 mt-2">
+                {[...Array(extra)].map((_, index) => (
+                    <span
+                        key={index}
+                        className="w-4 h-4 rounded-full bg-orange-400"
+                    />
+                ))}
+            </div>
+        )}
+        <p className="text-xs text-gray-500 mt-1">
+            {rows} rangée{rows > 1 ? "s" : ""} de {columns}
+            {extra > 0 && `, reste ${extra}`}
+        </p>
+    </div>
+);
+
+DotArray.propTypes = {
+    rows: PropTypes.number.isRequired,
+    columns: PropTypes.number.isRequired,
+    extra: PropTypes.number,
+    className: PropTypes.string,
+};
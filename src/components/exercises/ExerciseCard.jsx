@@ -3,32 +3,136 @@
  * @description Carte d'exercice améliorée avec consignes claires pour tous les types d'exercices
  */
 
-import { useState, useEffect, useRef } from "react";
+import { useState, useEffect, useRef, useMemo, useCallback } from "react";
 import PropTypes from "prop-types";
 import { Card } from "../common/Card";
 import { Button } from "../common/Button";
+import { Icon } from "../common/Icon";
 import { NumberInput } from "./NumberInput";
+import { ChoiceInput } from "./ChoiceInput";
+import { VoiceInput } from "./VoiceInput";
 import { ResultFeedback } from "./ResultFeedback";
+import { HintPanel } from "./HintPanel";
+import { FactRepresentation } from "./FactRepresentation";
 import { OPERATION_TYPES } from "../../data/progressions";
+import { getComparisonRelation } from "../../utils/mathUtils";
+import { getHint } from "../../utils/hintStrategies";
+import {
+    hasRemainder,
+    gradeRemainderAnswer,
+    getEquation,
+    isMissingOperandVariant,
+    MISSING_POSITIONS,
+    REMAINDER_ERROR_TYPES,
+} from "../../utils/factUtils";
+import {
+    ANSWER_FORMATS,
+    TRUE_FALSE_CHOICES,
+    resolveAnswerFormat,
+    buildAnswerChoices,
+    buildTrueFalseStatement,
+    getExpectedAnswer,
+} from "../../utils/answerFormats";
+import { getSpokenQuestion } from "../../utils/spokenQuestions";
+import { getFactRepresentation } from "../../utils/representations";
+import { useProgressions } from "../../contexts";
+import { getSpeechRecognition } from "../../hooks/useSpeechRecognition";
+import { useSpeechSynthesis } from "../../hooks/useSpeechSynthesis";
+
+/**
+ * Choix proposés pour les exercices de comparaison
+ * @constant {Array<Object>}
+ */
+const COMPARISON_CHOICES = [
+    { value: "<", label: "<", description: "plus petit que", keys: ["<"] },
+    { value: "=", label: "=", description: "égal à", keys: ["="] },
+    { value: ">", label: ">", description: "plus grand que", keys: [">"] },
+];
 
 /**
  * Composant principal pour afficher et gérer un exercice de fait numérique
  * @param {Object} props - Propriétés du composant
  * @param {Object} props.fact - L'objet du fait numérique à pratiquer
- * @param {Function} props.onResult - Fonction appelée quand l'élève répond (correct, temps)
+ * @param {Function} props.onResult - Fonction appelée quand l'élève répond (correct, temps, score, catégorie d'erreur, réponse donnée, format)
  * @param {Function} props.onNext - Fonction appelée quand l'élève veut passer à l'exercice suivant
  * @param {boolean} [props.showTimer=true] - Afficher ou non le chronomètre
+ * @param {number|null} [props.autoAdvanceDelay=null] - Délai (ms) avant de passer seul à l'exercice suivant
+ *   après la correction (mode sprint) ; sans délai, l'élève clique sur « Suivant »
+ *   et, après une erreur, voit un indice puis retente le même fait
+ * @param {string} [props.answerFormat=ANSWER_FORMATS.TYPED] - Format de réponse choisi dans le profil
+ *   (saisie, choix multiple, vrai/faux ou mélange automatique pour les faits nouveaux)
+ * @param {boolean} [props.voiceAnswers=false] - Proposer de dicter les réponses numériques
+ *   (saisie au clavier si le navigateur n'a pas de reconnaissance vocale)
+ * @param {boolean} [props.readAloud=false] - Lire chaque question à voix haute dès son affichage
+ *   (le bouton « Écouter » reste disponible pour la réentendre)
+ * @param {boolean} [props.showRepresentation=false] - Dessiner le fait avec le matériel de son unité
+ *   (constellations, cadres de dix, barres et cubes...) ; désactivé pour les séances de restitution pure
  * @returns {JSX.Element} Composant ExerciseCard
  */
-export const ExerciseCard = ({ fact, onResult, onNext, showTimer = true }) => {
+export const ExerciseCard = ({
+    fact,
+    onResult,
+    onNext,
+    showTimer = true,
+    autoAdvanceDelay = null,
+    answerFormat = ANSWER_FORMATS.TYPED,
+    voiceAnswers = false,
+    readAloud = false,
+    showRepresentation = false,
+}) => {
     const [answer, setAnswer] = useState("");
+    const [remainderAnswer, setRemainderAnswer] = useState("");
     const [isCorrect, setIsCorrect] = useState(null);
     const [feedback, setFeedback] = useState(null);
     const [startTime, setStartTime] = useState(null);
     const [responseTime, setResponseTime] = useState(null);
     const [isSubmitting, setIsSubmitting] = useState(false); // Nouvel état pour éviter les soumissions multiples
+    const [isRetrying, setIsRetrying] = useState(false); // Deuxième essai après une erreur
+    const [retryCorrect, setRetryCorrect] = useState(null);
+    const [typedFallback, setTypedFallback] = useState(false); // Retour à la saisie au clavier pour ce fait
     const inputRef = useRef(null);
     const factIdRef = useRef(null); // Référence pour stocker l'ID du fait actuel
+    const speech = useSpeechSynthesis();
+    const { progressions } = useProgressions();
+
+    // Format de réponse du fait, avec ses choix tirés une seule fois par fait
+    const { format, choices, statement } = useMemo(() => {
+        const resolved = fact
+            ? resolveAnswerFormat(fact, answerFormat)
+            : ANSWER_FORMATS.TYPED;
+
+        return {
+            format: resolved,
+            choices:
+                resolved === ANSWER_FORMATS.MULTIPLE_CHOICE
+                    ? buildAnswerChoices(fact)
+                    : null,
+            statement:
+                resolved === ANSWER_FORMATS.TRUE_FALSE
+                    ? buildTrueFalseStatement(fact)
+                    : null,
+        };
+    }, [fact, answerFormat]);
+
+    // Question lue à voix haute, identique à ce qui est affiché
+    const spokenQuestion = useMemo(
+        () => getSpokenQuestion(fact, statement),
+        [fact, statement]
+    );
+    const { speak } = speech;
+
+    const representation = useMemo(
+        () =>
+            showRepresentation
+                ? getFactRepresentation(fact, progressions)
+                : null,
+        [fact, showRepresentation, progressions]
+    );
+
+    // Lire la question dès qu'elle s'affiche si le profil le demande
+    useEffect(() => {
+        if (readAloud) speak(spokenQuestion);
+    }, [readAloud, speak, spokenQuestion]);
 
     // Réinitialiser l'état lors du changement de fait
     useEffect(() => {
@@ -42,11 +146,15 @@ export const ExerciseCard = ({ fact, onResult, onNext, showTimer = true }) => {
             factIdRef.current = fact.id;
 
             setAnswer("");
+            setRemainderAnswer("");
             setIsCorrect(null);
             setFeedback(null);
             setStartTime(Date.now());
             setResponseTime(null);
             setIsSubmitting(false);
+            setIsRetrying(false);
+            setRetryCorrect(null);
+            setTypedFallback(false);
 
             // Focus sur l'input au chargement d'un nouveau fait
             if (inputRef.current) {
@@ -61,6 +169,14 @@ export const ExerciseCard = ({ fact, onResult, onNext, showTimer = true }) => {
         }
     }, [fact]);
 
+    // Passer seul à l'exercice suivant après la correction (mode sprint)
+    useEffect(() => {
+        if (isCorrect === null || autoAdvanceDelay === null) return;
+
+        const timeoutId = setTimeout(() => onNext(), autoAdvanceDelay);
+        return () => clearTimeout(timeoutId);
+    }, [isCorrect, autoAdvanceDelay, onNext]);
+
     /**
      * Obtient la consigne adaptée au type d'exercice
      * @returns {JSX.Element} Élément JSX avec la consigne
@@ -68,6 +184,12 @@ export const ExerciseCard = ({ fact, onResult, onNext, showTimer = true }) => {
     const getInstructionForExerciseType = () => {
         if (!fact) return null;
 
+        if (isMissingOperandVariant(fact)) {
+            return (
+                <p className="mb-3 font-medium">Trouve le nombre manquant :</p>
+            );
+        }
+
         switch (fact.type) {
             case OPERATION_TYPES.COMPARISON:
                 return (
@@ -76,10 +198,7 @@ export const ExerciseCard = ({ fact, onResult, onNext, showTimer = true }) => {
                             Compare les deux nombres :
                         </p>
                         <p className="text-sm text-gray-600 mt-1">
-                            Entre 1 pour &ldquo;plus petit que&ldquo; (&lt;),{" "}
-                            <br />
-                            2 pour &ldquo;égal à&ldquo; (=), <br />3 pour
-                            &ldquo;plus grand que&ldquo; (&gt;)
+                            Choisis le bon signe : &lt;, = ou &gt;
                         </p>
                     </div>
                 );
@@ -102,7 +221,11 @@ export const ExerciseCard = ({ fact, onResult, onNext, showTimer = true }) => {
                     </p>
                 );
             case OPERATION_TYPES.DIVISION:
-                return (
+                return hasRemainder(fact) ? (
+                    <p className="mb-3 font-medium">
+                        Trouve le quotient et le reste :
+                    </p>
+                ) : (
                     <p className="mb-3 font-medium">Calcule la division :</p>
                 );
             case OPERATION_TYPES.COMPLEMENTS:
@@ -143,71 +266,142 @@ export const ExerciseCard = ({ fact, onResult, onNext, showTimer = true }) => {
     };
 
     /**
-     * Gère la soumission de la réponse
-     * @param {Event} e - Événement de soumission
+     * Construit le message d'erreur d'une division avec reste
+     * @param {string} errorType - Catégorie d'erreur (REMAINDER_ERROR_TYPES)
+     * @returns {string} Message de correction
      */
-    const handleSubmit = (e) => {
-        e.preventDefault();
+    const getRemainderFeedback = (errorType) => {
+        const solution = `La bonne réponse est ${fact.quotient} reste ${fact.remainder}`;
+
+        switch (errorType) {
+            case REMAINDER_ERROR_TYPES.REMAINDER:
+                return `Le quotient est juste, mais pas le reste. ${solution}`;
+            case REMAINDER_ERROR_TYPES.QUOTIENT:
+                return `Le reste est juste, mais pas le quotient. ${solution}`;
+            case REMAINDER_ERROR_TYPES.REMAINDER_TOO_LARGE:
+                return `Le reste doit être plus petit que ${fact.operands[1]}. ${solution}`;
+            default:
+                return `Ce n'est pas correct. ${solution}`;
+        }
+    };
+
+    /**
+     * Corrige une réponse de l'élève
+     * @param {number|string|Object} userAnswer - Réponse donnée
+     * @returns {Object} { correct, score, errorType, feedbackMessage }
+     */
+    const gradeAnswer = (userAnswer) => {
+        let correct;
+        let score;
+        let errorType = null;
+        let feedbackMessage;
+
+        if (hasRemainder(fact)) {
+            // Division avec reste : chaque partie est corrigée séparément
+            const grade = gradeRemainderAnswer(
+                fact,
+                userAnswer.quotient,
+                userAnswer.remainder
+            );
+            correct = grade.isCorrect;
+            score = grade.score;
+            errorType = grade.errorType;
+            feedbackMessage = correct ? null : getRemainderFeedback(errorType);
+        } else if (fact.type === OPERATION_TYPES.COMPARISON) {
+            // Pour les exercices de comparaison, la réponse est la relation elle-même
+            const relation = getComparisonRelation(
+                fact.operands[0],
+                fact.operands[1]
+            );
+            const description = COMPARISON_CHOICES.find(
+                (choice) => choice.value === relation
+            ).description;
+
+            correct = userAnswer === relation;
+            feedbackMessage = `Ce n'est pas correct. La bonne réponse est ${fact.operands[0]} ${relation} ${fact.operands[1]} (${fact.operands[0]} est ${description} ${fact.operands[1]})`;
+        } else if (format === ANSWER_FORMATS.TRUE_FALSE) {
+            // Vrai/faux : l'élève juge l'égalité complétée par la proposition
+            correct = userAnswer === statement.isTrue;
+            feedbackMessage = statement.isTrue
+                ? `Ce n'est pas correct : c'était vrai, la réponse est bien ${statement.proposed}`
+                : `Ce n'est pas correct : c'était faux, la bonne réponse est ${getExpectedAnswer(fact)}`;
+        } else {
+            // Pour les autres types d'exercices (addition, soustraction, etc.)
+            const correctAnswer = parseInt(fact.answer, 10);
+            correct = userAnswer === correctAnswer;
+            feedbackMessage = `Ce n'est pas correct. La bonne réponse est ${correctAnswer}`;
+        }
 
-        // Vérifier si une réponse a déjà été soumise ou s'il n'y a pas de réponse
-        if (!answer || isCorrect !== null || !fact || isSubmitting) return;
+        return {
+            correct,
+            score: score ?? (correct ? 1 : 0),
+            errorType,
+            feedbackMessage,
+        };
+    };
 
-        // Empêcher les soumissions multiples
-        setIsSubmitting(true);
+    /**
+     * Corrige le deuxième essai : il n'est pas transmis au planificateur,
+     * seule la première réponse compte pour la progression
+     * @param {number|string|Object} userAnswer - Réponse donnée
+     */
+    const checkRetry = (userAnswer) => {
+        const { correct, feedbackMessage } = gradeAnswer(userAnswer);
+
+        setRetryCorrect(correct);
+        setFeedback(
+            correct
+                ? "Bravo, tu as retrouvé la bonne réponse !"
+                : feedbackMessage
+        );
+    };
 
-        const userAnswer = parseInt(answer, 10);
-        let correctAnswer;
-        let correct = false;
+    /**
+     * Vérifie la réponse de l'élève et transmet le résultat
+     * @param {number|string|boolean|Object} userAnswer - Nombre saisi ou choisi, relation choisie ("<", "=", ">"),
+     *   jugement d'un vrai/faux ou { quotient, remainder } pour une division avec reste
+     * @param {boolean} [voice=false] - Réponse dictée (son temps de réponse est compté à part)
+     */
+    const checkAnswer = (userAnswer, voice = false) => {
+        if (!fact || isSubmitting) return;
+
+        // Deuxième essai après une erreur
+        if (isRetrying) {
+            if (retryCorrect === null) {
+                setIsSubmitting(true);
+                checkRetry(userAnswer);
+            }
+            return;
+        }
 
-        if (fact.type === OPERATION_TYPES.COMPARISON) {
-            // Pour les exercices de comparaison
-            // 1 = "plus petit que", 2 = "égal à", 3 = "plus grand que"
-            const num1 = fact.operands[0];
-            const num2 = fact.operands[1];
+        // Vérifier si une réponse a déjà été soumise
+        if (isCorrect !== null) return;
 
-            if (num1 < num2 && userAnswer === 1) correct = true;
-            else if (num1 === num2 && userAnswer === 2) correct = true;
-            else if (num1 > num2 && userAnswer === 3) correct = true;
+        // Empêcher les soumissions multiples
+        setIsSubmitting(true);
 
-            // Déterminer la réponse correcte pour l'affichage
-            if (num1 < num2) correctAnswer = 1;
-            else if (num1 === num2) correctAnswer = 2;
-            else correctAnswer = 3;
-        } else {
-            // Pour les autres types d'exercices (addition, soustraction, etc.)
-            correctAnswer = parseInt(fact.answer, 10);
-            correct = userAnswer === correctAnswer;
-        }
+        const { correct, score, errorType, feedbackMessage } =
+            gradeAnswer(userAnswer);
 
         const endTime = Date.now();
         const timeTaken = (endTime - startTime) / 1000; // en secondes
 
         console.log(
-            `Réponse soumise: ${userAnswer}, correcte: ${correct}, temps: ${timeTaken.toFixed(
-                2
-            )}s`
+            `Réponse soumise: ${JSON.stringify(
+                userAnswer
+            )}, correcte: ${correct}, temps: ${timeTaken.toFixed(2)}s`
         );
 
         setIsCorrect(correct);
         setResponseTime(timeTaken);
+        setFeedback(
+            correct ? "Bravo ! C'est la bonne réponse !" : feedbackMessage
+        );
 
-        if (correct) {
-            setFeedback("Bravo ! C'est la bonne réponse !");
-        } else {
-            let feedbackMessage = `Ce n'est pas correct. La bonne réponse est ${correctAnswer}`;
-
-            // Ajout d'informations supplémentaires pour les exercices de comparaison
-            if (fact.type === OPERATION_TYPES.COMPARISON) {
-                const relationText =
-                    correctAnswer === 1
-                        ? "plus petit que"
-                        : correctAnswer === 2
-                        ? "égal à"
-                        : "plus grand que";
-                feedbackMessage += ` (${fact.operands[0]} est ${relationText} ${fact.operands[1]})`;
-            }
-
-            setFeedback(feedbackMessage);
+        // En vrai/faux, accepter la proposition revient à la donner comme réponse
+        let givenAnswer = userAnswer;
+        if (format === ANSWER_FORMATS.TRUE_FALSE) {
+            givenAnswer = userAnswer ? statement.proposed : null;
         }
 
         // Appeler la fonction de callback avec le résultat
@@ -216,12 +410,64 @@ export const ExerciseCard = ({ fact, onResult, onNext, showTimer = true }) => {
                 factId: fact.id,
                 isCorrect: correct,
                 responseTime: timeTaken,
+                score,
+                errorType,
+                givenAnswer,
+                answerFormat: format,
+                voice,
             });
         } else {
             console.error("onResult is not a function");
         }
     };
 
+    /**
+     * Gère la soumission d'une réponse numérique
+     * @param {Event} e - Événement de soumission
+     */
+    const handleSubmit = (e) => {
+        e.preventDefault();
+
+        if (!answer) return;
+
+        if (hasRemainder(fact)) {
+            if (remainderAnswer === "") return;
+            checkAnswer({
+                quotient: parseInt(answer, 10),
+                remainder: parseInt(remainderAnswer, 10),
+            });
+            return;
+        }
+
+        checkAnswer(parseInt(answer, 10));
+    };
+
+    /**
+     * Transmet un nombre dicté
+     * @param {number} value - Nombre compris
+     */
+    const handleVoiceAnswer = (value) => checkAnswer(value, true);
+
+    /**
+     * Revient à la saisie au clavier pour ce fait
+     */
+    const handleTypedFallback = useCallback(() => {
+        setTypedFallback(true);
+        setTimeout(() => inputRef.current?.focus(), 100);
+    }, []);
+
+    /**
+     * Relance le même fait après une erreur, l'indice restant affiché
+     */
+    const handleRetry = () => {
+        setAnswer("");
+        setRemainderAnswer("");
+        setIsRetrying(true);
+        setIsSubmitting(false);
+
+        setTimeout(() => inputRef.current?.focus(), 100);
+    };
+
     /**
      * Passe à l'exercice suivant
      */
@@ -238,6 +484,58 @@ export const ExerciseCard = ({ fact, onResult, onNext, showTimer = true }) => {
         }
     };
 
+    // Égalité à afficher (null pour les comparaisons et les divisions avec reste)
+    const equation = fact ? getEquation(fact) : null;
+
+    // En attente d'une réponse : premier essai, ou deuxième essai après une erreur
+    const awaitingAnswer =
+        isCorrect === null || (isRetrying && retryCorrect === null);
+
+    // Réponse orale : seulement pour un nombre seul, sans format à choix
+    const voiceMode =
+        voiceAnswers &&
+        !typedFallback &&
+        Boolean(getSpeechRecognition()) &&
+        format === ANSWER_FORMATS.TYPED &&
+        fact?.type !== OPERATION_TYPES.COMPARISON &&
+        !hasRemainder(fact);
+
+    // Après une erreur (hors sprint), un indice est proposé avant de retenter le fait
+    const allowRetry = autoAdvanceDelay === null;
+    const hint = allowRetry && isCorrect === false ? getHint(fact) : null;
+
+    /**
+     * Affiche un terme de l'égalité, remplacé par « ? » s'il est inconnu
+     * (pour la moitié d'un double, les deux termes de l'addition sont inconnus)
+     * @param {number} index - Position du terme (MISSING_POSITIONS)
+     * @returns {JSX.Element} Terme de l'égalité
+     */
+    const renderEquationTerm = (index) => {
+        const isHidden =
+            index === equation.missing ||
+            (fact.type === OPERATION_TYPES.DOUBLES &&
+                equation.missing !== MISSING_POSITIONS.RESULT &&
+                index !== MISSING_POSITIONS.RESULT);
+
+        if (isHidden && statement) {
+            return (
+                <span className="inline-block min-w-10 bg-yellow-100 rounded-md p-1">
+                    {statement.proposed}
+                </span>
+            );
+        }
+
+        return isHidden ? (
+            <span className="inline-block min-w-10 bg-gray-200 rounded-md p-1">
+                ?
+            </span>
+        ) : (
+            <span className="inline-block min-w-10">
+                {equation.terms[index]}
+            </span>
+        );
+    };
+
     // Si aucun fait n'est fourni, afficher un message d'erreur
     if (!fact) {
         return (
@@ -262,30 +560,31 @@ export const ExerciseCard = ({ fact, onResult, onNext, showTimer = true }) => {
 
                 {/* Carte de fait numérique */}
                 <div className="text-3xl font-bold text-center mb-6 p-4 bg-blue-50 rounded-lg w-full">
-                    {fact.type === OPERATION_TYPES.COMPLEMENTS ? (
-                        <>
-                            <span className="inline-block min-w-10">
-                                {fact.operands[0]}
-                            </span>
-                            <span className="mx-2">{getOperationSymbol()}</span>
-                            <span className="inline-block min-w-10 bg-gray-200 rounded-md p-1">
-                                ?
-                            </span>
-                            <span className="mx-2">=</span>
-                            <span className="inline-block min-w-10">10</span>
-                        </>
-                    ) : fact.type === OPERATION_TYPES.COMPARISON ? (
+                    {fact.type === OPERATION_TYPES.COMPARISON ? (
                         <>
                             <span className="inline-block min-w-10">
                                 {fact.operands[0]}
                             </span>
                             <span className="mx-2 bg-gray-200 rounded-md px-2">
-                                ?
+                                {awaitingAnswer
+                                    ? "?"
+                                    : getComparisonRelation(
+                                          fact.operands[0],
+                                          fact.operands[1]
+                                      )}
                             </span>
                             <span className="inline-block min-w-10">
                                 {fact.operands[1]}
                             </span>
                         </>
+                    ) : equation ? (
+                        <>
+                            {renderEquationTerm(0)}
+                            <span className="mx-2">{equation.symbol}</span>
+                            {renderEquationTerm(1)}
+                            <span className="mx-2">=</span>
+                            {renderEquationTerm(2)}
+                        </>
                     ) : (
                         <>
                             <span className="inline-block min-w-10">
@@ -299,44 +598,182 @@ export const ExerciseCard = ({ fact, onResult, onNext, showTimer = true }) => {
                             <span className="inline-block min-w-10 bg-gray-200 rounded-md p-1">
                                 ?
                             </span>
+                            {hasRemainder(fact) && (
+                                <>
+                                    <span className="mx-2 text-xl">reste</span>
+                                    <span className="inline-block min-w-10 bg-gray-200 rounded-md p-1">
+                                        ?
+                                    </span>
+                                </>
+                            )}
                         </>
                     )}
                 </div>
 
+                {/* Représentation imagée du fait */}
+                {representation && (
+                    <FactRepresentation representation={representation} />
+                )}
+
+                {/* Réécouter la question (désactivé quand le son est coupé) */}
+                {speech.isSupported && (
+                    <Button
+                        variant="secondary"
+                        size="sm"
+                        onClick={() => speak(spokenQuestion)}
+                        disabled={speech.muted}
+                        className="mb-4 flex items-center"
+                        title={
+                            speech.muted
+                                ? "Le son est coupé dans les réglages"
+                                : "Écouter la question"
+                        }
+                    >
+                        <Icon name="volumeUp" size="18" className="mr-2" />
+                        Écouter
+                    </Button>
+                )}
+
+                {/* Indice gardé sous les yeux pendant le deuxième essai */}
+                {isRetrying && retryCorrect === null && hint && (
+                    <HintPanel hint={hint} />
+                )}
+
                 {/* Formulaire de réponse */}
-                {isCorrect === null ? (
+                {awaitingAnswer && fact.type === OPERATION_TYPES.COMPARISON ? (
+                    <div className="w-full flex flex-col items-center">
+                        <p className="text-lg mb-2">Quel signe faut-il ?</p>
+                        <ChoiceInput
+                            choices={COMPARISON_CHOICES}
+                            onSelect={checkAnswer}
+                            disabled={isSubmitting}
+                        />
+                    </div>
+                ) : awaitingAnswer && choices ? (
+                    <div className="w-full flex flex-col items-center">
+                        <p className="text-lg mb-2">Quelle est la réponse ?</p>
+                        <ChoiceInput
+                            choices={choices}
+                            onSelect={checkAnswer}
+                            disabled={isSubmitting}
+                        />
+                    </div>
+                ) : awaitingAnswer && statement ? (
+                    <div className="w-full flex flex-col items-center">
+                        <p className="text-lg mb-2">
+                            Cette égalité est-elle vraie ?
+                        </p>
+                        <ChoiceInput
+                            choices={TRUE_FALSE_CHOICES}
+                            onSelect={checkAnswer}
+                            disabled={isSubmitting}
+                        />
+                    </div>
+                ) : awaitingAnswer && voiceMode ? (
+                    <div className="w-full flex flex-col items-center">
+                        <p className="text-lg mb-2">
+                            Dis la réponse à voix haute :
+                        </p>
+                        <VoiceInput
+                            onAnswer={handleVoiceAnswer}
+                            onFallback={handleTypedFallback}
+                            disabled={isSubmitting}
+                        />
+                    </div>
+                ) : awaitingAnswer ? (
                     <form onSubmit={handleSubmit} className="w-full">
                         <div className="flex flex-col items-center">
-                            <label htmlFor="answer" className="text-lg mb-2">
-                                Quelle est la réponse ?
-                            </label>
-                            <NumberInput
-                                id="answer"
-                                value={answer}
-                                onChange={(value) => setAnswer(value)}
-                                max={100}
-                                min={0}
-                                ref={inputRef}
-                                className="text-xl w-24 text-center"
-                            />
+                            {hasRemainder(fact) ? (
+                                <div className="flex flex-col sm:flex-row gap-4">
+                                    <div className="flex flex-col items-center">
+                                        <label
+                                            htmlFor="answer"
+                                            className="text-lg mb-2"
+                                        >
+                                            Quotient
+                                        </label>
+                                        <NumberInput
+                                            id="answer"
+                                            value={answer}
+                                            onChange={(value) =>
+                                                setAnswer(value)
+                                            }
+                                            max={100}
+                                            min={0}
+                                            ref={inputRef}
+                                            className="text-xl w-20 text-center"
+                                        />
+                                    </div>
+                                    <div className="flex flex-col items-center">
+                                        <label
+                                            htmlFor="remainder"
+                                            className="text-lg mb-2"
+                                        >
+                                            Reste
+                                        </label>
+                                        <NumberInput
+                                            id="remainder"
+                                            value={remainderAnswer}
+                                            onChange={(value) =>
+                                                setRemainderAnswer(value)
+                                            }
+                                            max={100}
+                                            min={0}
+                                            className="text-xl w-20 text-center"
+                                        />
+                                    </div>
+                                </div>
+                            ) : (
+                                <>
+                                    <label
+                                        htmlFor="answer"
+                                        className="text-lg mb-2"
+                                    >
+                                        Quelle est la réponse ?
+                                    </label>
+                                    <NumberInput
+                                        id="answer"
+                                        value={answer}
+                                        onChange={(value) => setAnswer(value)}
+                                        max={100}
+                                        min={0}
+                                        ref={inputRef}
+                                        className="text-xl w-24 text-center"
+                                    />
+                                </>
+                            )}
                             <Button
                                 type="submit"
                                 variant="primary"
                                 size="lg"
                                 className="mt-4"
-                                disabled={!answer || isSubmitting}
+                                disabled={
+                                    !answer ||
+                                    (hasRemainder(fact) &&
+                                        remainderAnswer === "") ||
+                                    isSubmitting
+                                }
                             >
                                 Vérifier
                             </Button>
                         </div>
                     </form>
+                ) : isRetrying ? (
+                    <ResultFeedback
+                        isCorrect={retryCorrect}
+                        message={feedback}
+                        showTimer={false}
+                        onNext={handleNext}
+                    />
                 ) : (
                     <ResultFeedback
                         isCorrect={isCorrect}
                         message={feedback}
                         responseTime={responseTime}
                         showTimer={showTimer}
+                        hint={hint}
                         onNext={handleNext}
+                        onRetry={allowRetry && !isCorrect ? handleRetry : null}
                     />
                 )}
             </div>
@@ -350,9 +787,18 @@ ExerciseCard.propTypes = {
         type: PropTypes.string,
         operands: PropTypes.arrayOf(PropTypes.number),
         answer: PropTypes.oneOfType([PropTypes.number, PropTypes.string]),
+        missing: PropTypes.number,
+        baseFactId: PropTypes.string,
+        quotient: PropTypes.number,
+        remainder: PropTypes.number,
         question: PropTypes.string,
     }),
     onResult: PropTypes.func.isRequired,
     onNext: PropTypes.func.isRequired,
     showTimer: PropTypes.bool,
+    autoAdvanceDelay: PropTypes.number,
+    answerFormat: PropTypes.oneOf(Object.values(ANSWER_FORMATS)),
+    voiceAnswers: PropTypes.bool,
+    readAloud: PropTypes.bool,
+    showRepresentation: PropTypes.bool,
 };
@@ -8,6 +8,8 @@ import { Card } from "../common/Card";
 import { ProgressBar } from "../common/ProgressBar";
 import { OPERATION_TYPES } from "../../data/progressions";
 import { KNOWLEDGE_LEVELS } from "../../hooks/useSpacedRepetition";
+import { hasRemainder, formatEquation } from "../../utils/factUtils";
+import { FLUENCY_STATUS, getFluencyStatus } from "../../utils/fluency";
 
 /**
  * Composant pour afficher un fait numérique dans une liste avec son état de maîtrise
@@ -46,19 +48,25 @@ export const FactCard = ({ fact, progress, onClick = null }) => {
      * @returns {string} Question formatée
      */
     const getFormattedQuestion = () => {
+        // Division avec reste : deux inconnues
+        if (hasRemainder(fact)) {
+            return `${fact.operands[0]} ÷ ${fact.operands[1]} = ? reste ?`;
+        }
+
         if (fact.question) {
             return fact.question;
         }
 
         switch (fact.type) {
-            case OPERATION_TYPES.COMPLEMENTS:
-                return `${fact.operands[0]} + ? = 10`;
             case OPERATION_TYPES.COMPARISON:
                 return `${fact.operands[0]} ? ${fact.operands[1]}`;
             default:
-                return `${fact.operands[0]} ${getOperationSymbol()} ${
-                    fact.operands[1]
-                } = ?`;
+                return (
+                    formatEquation(fact) ||
+                    `${fact.operands[0]} ${getOperationSymbol()} ${
+                        fact.operands[1]
+                    } = ?`
+                );
         }
     };
 
@@ -159,6 +167,12 @@ export const FactCard = ({ fact, progress, onClick = null }) => {
                     </span>
                 </div>
 
+                {hasRemainder(fact) && (
+                    <p className="text-sm text-gray-600">
+                        Quotient {fact.quotient}, reste {fact.remainder}
+                    </p>
+                )}
+
                 <div className="flex items-center mt-2">
                     <div className="w-full">
                         <ProgressBar
@@ -172,6 +186,12 @@ export const FactCard = ({ fact, progress, onClick = null }) => {
                         {getLevelLabel()}
                     </span>
                 </div>
+
+                {getFluencyStatus(progress) === FLUENCY_STATUS.SLOW && (
+                    <p className="text-xs text-orange-600 mt-1">
+                        Juste mais lent : pas encore automatisé
+                    </p>
+                )}
             </div>
         </Card>
     );
@@ -183,6 +203,8 @@ FactCard.propTypes = {
         type: PropTypes.oneOf(Object.values(OPERATION_TYPES)).isRequired,
         operands: PropTypes.arrayOf(PropTypes.number).isRequired,
         answer: PropTypes.number,
+        quotient: PropTypes.number,
+        remainder: PropTypes.number,
         question: PropTypes.string,
     }).isRequired,
     progress: PropTypes.shape({
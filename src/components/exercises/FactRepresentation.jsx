@@ -0,0 +1,97 @@
+/**
+ * @file FactRepresentation.jsx
+ * @description Représentation imagée d'un fait sous le calcul : constellations, cadres de dix,
+ * barres et cubes, quadrillage ou partage en groupes
+ */
+
+import PropTypes from "prop-types";
+import { Constellation } from "./Constellation";
+import { TenFrame } from "./TenFrame";
+import { BaseTenBlocks } from "./BaseTenBlocks";
+import { DotArray } from "./DotArray";
+import { SharingGroups } from "./SharingGroups";
+import { REPRESENTATION_TYPES } from "../../data/progressions";
+
+/**
+ * Dessine chaque nombre avec le même matériel, côte à côte
+ * @param {Array<number>} values - Nombres à dessiner
+ * @param {Function} renderValue - Rendu d'un nombre
+ * @returns {JSX.Element} Nombres dessinés
+ */
+const renderSideBySide = (values, renderValue) => (
+    <div className="flex flex-wrap items-end justify-center gap-6">
+        {values.map((value, index) => (
+            <div key={index}>{renderValue(value)}</div>
+        ))}
+    </div>
+);
+
+/**
+ * Affiche la représentation adaptée à son type
+ * @param {Object} representation - Représentation (getFactRepresentation)
+ * @returns {JSX.Element|null} Représentation ou null
+ */
+const renderRepresentation = (representation) => {
+    switch (representation.type) {
+        case REPRESENTATION_TYPES.CONSTELLATION:
+            return renderSideBySide(representation.values, (value) => (
+                <Constellation value={value} />
+            ));
+        case REPRESENTATION_TYPES.TEN_FRAME:
+            return (
+                <TenFrame
+                    counts={representation.counts}
+                    removed={representation.removed}
+                    frames={representation.frames}
+                />
+            );
+        case REPRESENTATION_TYPES.BASE_TEN:
+            return renderSideBySide(representation.values, (value) => (
+                <BaseTenBlocks value={value} />
+            ));
+        case REPRESENTATION_TYPES.ARRAY:
+            return (
+                <DotArray
+                    rows={representation.rows}
+                    columns={representation.columns}
+                />
+            );
+        case REPRESENTATION_TYPES.SHARING:
+            return (
+                <SharingGroups
+                    groups={representation.groups}
+                    perGroup={representation.perGroup}
+                    extra={representation.extra}
+                />
+            );
+        default:
+            return null;
+    }
+};
+
+/**
+ * Encadré de la représentation imagée d'un fait
+ * @param {Object} props - Propriétés du composant
+ * @param {Object} props.representation - Représentation (getFactRepresentation)
+ * @returns {JSX.Element} Composant FactRepresentation
+ */
+export const FactRepresentation = ({ representation }) => (
+    <div className="w-full flex justify-center p-3 mb-4 rounded-lg bg-gray-50 border border-gray-200">
+        {renderRepresentation(representation)}
+    </div>
+);
+
+FactRepresentation.propTypes = {
+    representation: PropTypes.shape({
+        type: PropTypes.oneOf(Object.values(REPRESENTATION_TYPES)).isRequired,
+        values: PropTypes.arrayOf(PropTypes.number),
+        counts: PropTypes.arrayOf(PropTypes.number),
+        removed: PropTypes.number,
+        frames: PropTypes.number,
+        rows: PropTypes.number,
+        columns: PropTypes.number,
+        groups: PropTypes.number,
+        perGroup: PropTypes.number,
+        extra: PropTypes.number,
+    }).isRequired,
+};
@@ -0,0 +1,73 @@
+/**
+ * @file HintPanel.jsx
+ * @description Indice affiché après une erreur : stratégie de calcul et aide visuelle
+ */
+
+import PropTypes from "prop-types";
+import { TenFrame } from "./TenFrame";
+import { NumberLine } from "./NumberLine";
+import { DotArray } from "./DotArray";
+import { VISUAL_AIDS } from "../../utils/hintStrategies";
+
+/**
+ * Affiche l'aide visuelle d'un indice
+ * @param {Object} visual - Aide visuelle (VISUAL_AIDS)
+ * @returns {JSX.Element|null} Représentation ou null
+ */
+const renderVisual = (visual) => {
+    switch (visual?.type) {
+        case VISUAL_AIDS.TEN_FRAME:
+            return <TenFrame counts={visual.counts} />;
+        case VISUAL_AIDS.NUMBER_LINE:
+            return (
+                <NumberLine
+                    min={visual.min}
+                    max={visual.max}
+                    marks={visual.marks}
+                    jumps={visual.jumps}
+                />
+            );
+        case VISUAL_AIDS.ARRAY:
+            return (
+                <DotArray
+                    rows={visual.rows}
+                    columns={visual.columns}
+                    extra={visual.extra}
+                />
+            );
+        default:
+            return null;
+    }
+};
+
+/**
+ * Encadré d'indice : titre de la stratégie, étapes de calcul et aide visuelle
+ * @param {Object} props - Propriétés du composant
+ * @param {Object} props.hint - Indice { title, steps, visual } (getHint)
+ * @returns {JSX.Element} Composant HintPanel
+ */
+export const HintPanel = ({ hint }) => (
+    <div className="w-full p-3 mb-3 rounded-lg bg-yellow-50 border border-yellow-200">
+        <p className="font-semibold text-yellow-800 mb-1">
+            Astuce : {hint.title}
+        </p>
+        <ul className="text-sm text-gray-700 mb-2 space-y-1">
+            {hint.steps.map((step) => (
+                <li key={step}>{step}</li>
+            ))}
+        </ul>
+        {hint.visual && (
+            <div className="flex justify-center">
+                {renderVisual(hint.visual)}
+            </div>
+        )}
+    </div>
+);
+
+HintPanel.propTypes = {
+    hint: PropTypes.shape({
+        title: PropTypes.string.isRequired,
+        steps: PropTypes.arrayOf(PropTypes.string).isRequired,
+        visual: PropTypes.object,
+    }).isRequired,
+};
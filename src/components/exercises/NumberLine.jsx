@@ -0,0 +1,167 @@
+/**
+ * @file NumberLine.jsx
+ * @description Droite numérique graduée avec des nombres repérés et des bonds entre eux
+ */
+
+import PropTypes from "prop-types";
+
+/**
+ * Dimensions du dessin (unités SVG)
+ * @constant {Object}
+ */
+const LAYOUT = {
+    WIDTH: 320,
+    HEIGHT: 90,
+    MARGIN: 16,
+    AXIS_Y: 60,
+};
+
+/**
+ * Écart maximal pour graduer chaque nombre (au-delà, seules les dizaines sont graduées)
+ * @constant {number}
+ */
+const MAX_UNIT_TICKS = 20;
+
+/**
+ * Droite numérique : graduations, nombres repérés et bonds fléchés
+ * @param {Object} props - Propriétés du composant
+ * @param {number} props.min - Plus petit nombre à placer
+ * @param {number} props.max - Plus grand nombre à placer
+ * @param {Array<number>} [props.marks=[]] - Nombres mis en évidence
+ * @param {Array<Object>} [props.jumps=[]] - Bonds { from, to } dessinés au-dessus de la droite
+ * @param {string} [props.className=''] - Classes CSS additionnelles
+ * @returns {JSX.Element} Composant NumberLine
+ */
+export const NumberLine = ({
+    min,
+    max,
+    marks = [],
+    jumps = [],
+    className = "",
+}) => {
+    // Laisser une graduation libre de chaque côté
+    const start = Math.max(0, min - 1);
+    const end = max + 1;
+    const span = end - start;
+    const step = span <= MAX_UNIT_TICKS ? 1 : 10;
+
+    /**
+     * Abscisse d'un nombre sur le dessin
+     * @param {number} value - Nombre
+     * @returns {number} Abscisse
+     */
+    const toX = (value) =>
+        LAYOUT.MARGIN +
+        ((value - start) / span) * (LAYOUT.WIDTH - 2 * LAYOUT.MARGIN);
+
+    const ticks = [];
+    for (
+        let value = Math.ceil(start / step) * step;
+        value <= end;
+        value += step
+    ) {
+        ticks.push(value);
+    }
+
+    return (
+        <svg
+            viewBox={`0 0 ${LAYOUT.WIDTH} ${LAYOUT.HEIGHT}`}
+            className={`w-full max-w-sm ${className}`}
+            role="img"
+            aria-label={`Droite numérique de ${start} à ${end}`}
+        >
+            <line
+                x1={LAYOUT.MARGIN / 2}
+                y1={LAYOUT.AXIS_Y}
+                x2={LAYOUT.WIDTH - LAYOUT.MARGIN / 2}
+                y2={LAYOUT.AXIS_Y}
+                stroke="#6b7280"
+                strokeWidth="2"
+            />
+
+            {ticks.map((value) => (
+                <g key={value}>
+                    <line
+                        x1={toX(value)}
+                        y1={LAYOUT.AXIS_Y - 5}
+                        x2={toX(value)}
+                        y2={LAYOUT.AXIS_Y + 5}
+                        stroke="#6b7280"
+                    />
+                    {!marks.includes(value) && (
+                        <text
+                            x={toX(value)}
+                            y={LAYOUT.AXIS_Y + 18}
+                            fontSize="9"
+                            textAnchor="middle"
+                            fill="#9ca3af"
+                        >
+                            {value}
+                        </text>
+                    )}
+                </g>
+            ))}
+
+            {jumps.map(({ from, to }, index) => {
+                const x1 = toX(from);
+                const x2 = toX(to);
+                const difference = to - from;
+                return (
+                    <g key={`${from}-${to}-${index}`}>
+                        <path
+                            d={`M ${x1} ${LAYOUT.AXIS_Y} Q ${(x1 + x2) / 2} ${
+                                LAYOUT.AXIS_Y - 45
+                            } ${x2} ${LAYOUT.AXIS_Y}`}
+                            fill="none"
+                            stroke="#f97316"
+                            strokeWidth="2"
+                        />
+                        <text
+                            x={(x1 + x2) / 2}
+                            y={LAYOUT.AXIS_Y - 26}
+                            fontSize="11"
+                            textAnchor="middle"
+                            fill="#ea580c"
+                        >
+                            {difference > 0 ? `+${difference}` : difference}
+                        </text>
+                    </g>
+                );
+            })}
+
+            {marks.map((value) => (
+                <g key={`mark-${value}`}>
+                    <circle
+                        cx={toX(value)}
+                        cy={LAYOUT.AXIS_Y}
+                        r="4"
+                        fill="#2563eb"
+                    />
+                    <text
+                        x={toX(value)}
+                        y={LAYOUT.AXIS_Y + 20}
+                        fontSize="12"
+                        fontWeight="bold"
+                        textAnchor="middle"
+                        fill="#1d4ed8"
+                    >
+                        {value}
+                    </text>
+                </g>
+            ))}
+        </svg>
+    );
+};
+
+NumberLine.propTypes = {
+    min: PropTypes.number.isRequired,
+    max: PropTypes.number.isRequired,
+    marks: PropTypes.arrayOf(PropTypes.number),
+    jumps: PropTypes.arrayOf(
+        PropTypes.shape({
+            from: PropTypes.number.isRequired,
+            to: PropTypes.number.isRequired,
+        })
+    ),
+    className: PropTypes.string,
+};
@@ -0,0 +1,129 @@
+/**
+ * @file PlacementTest.jsx
+ * @description Test de positionnement proposé à la création d'un profil
+ */
+
+import { useState, useRef, useCallback } from "react";
+import PropTypes from "prop-types";
+import { Button } from "../common/Button";
+import { ProgressBar } from "../common/ProgressBar";
+import { ExerciseCard } from "./ExerciseCard";
+import { useProgressions } from "../../contexts";
+import {
+    createPlacementTest,
+    getCurrentPlacementFact,
+    recordPlacementAnswer,
+    getPlacementResult,
+    PLACEMENT_SETTINGS,
+} from "../../utils/placementTest";
+
+/**
+ * Déroulé du test de positionnement puis résumé du résultat
+ * Les calculs s'enchaînent seuls après la correction, sans indice ni nouvel essai
+ * @param {Object} props - Propriétés du composant
+ * @param {string} props.level - Niveau scolaire du nouveau profil
+ * @param {Function} props.onComplete - Fonction appelée avec le résultat (getPlacementResult)
+ * @param {Function} props.onSkip - Fonction appelée si le test est passé
+ * @returns {JSX.Element} Composant PlacementTest
+ */
+export const PlacementTest = ({ level, onComplete, onSkip }) => {
+    const { progressions } = useProgressions();
+    const [test, setTest] = useState(() =>
+        createPlacementTest(level, progressions)
+    );
+    // Résultat de la dernière réponse, appliqué au passage au calcul suivant
+    const pendingAnswerRef = useRef(null);
+
+    /**
+     * Conserve le résultat d'une réponse
+     * @param {Object} result - Résultat transmis par ExerciseCard
+     */
+    const handleResult = useCallback((result) => {
+        pendingAnswerRef.current = result.isCorrect;
+    }, []);
+
+    /**
+     * Enregistre la réponse conservée et passe au calcul suivant
+     */
+    const handleNext = useCallback(() => {
+        const isCorrect = pendingAnswerRef.current;
+        if (isCorrect === null) return;
+
+        pendingAnswerRef.current = null;
+        setTest((prev) => recordPlacementAnswer(prev, isCorrect));
+    }, []);
+
+    if (test.finished) {
+        const result = getPlacementResult(test);
+        const startUnit = test.units.find(
+            ({ unit }) => unit.id === result.startUnitId
+        );
+
+        return (
+            <div className="text-center">
+                <h3 className="font-medium mb-2">Test terminé !</h3>
+                <p className="text-gray-600 mb-2">
+                    {`${result.correct} bonne(s) réponse(s) sur ${result.answered}.`}
+                </p>
+                <p className="text-gray-600 mb-4">
+                    {startUnit
+                        ? `Tu commenceras par « ${startUnit.unit.name} »${
+                              result.knownFacts.length > 0
+                                  ? ` et ${result.knownFacts.length} calcul(s) déjà connu(s) passeront directement en révision.`
+                                  : "."
+                          }`
+                        : "Tu commenceras au début de la progression."}
+                </p>
+                <Button
+                    variant="primary"
+                    onClick={() => onComplete(result)}
+                    fullWidth
+                >
+                    Créer mon profil
+                </Button>
+            </div>
+        );
+    }
+
+    const currentFact = getCurrentPlacementFact(test);
+
+    return (
+        <div>
+            <div className="flex justify-between text-sm text-gray-600 mb-1">
+                <span>Test de positionnement</span>
+                <span>
+                    Étape {test.unitIndex + 1} / {test.units.length}
+                </span>
+            </div>
+            <ProgressBar
+                value={test.unitIndex}
+                max={test.units.length}
+                className="mb-4"
+            />
+
+            <ExerciseCard
+                key={`placement-${test.answers.length}-${currentFact.id}`}
+                fact={currentFact}
+                onResult={handleResult}
+                onNext={handleNext}
+                showTimer={false}
+                autoAdvanceDelay={PLACEMENT_SETTINGS.FEEDBACK_DELAY}
+            />
+
+            <Button
+                variant="secondary"
+                onClick={onSkip}
+                className="mt-4"
+                fullWidth
+            >
+                Passer le test et commencer au début
+            </Button>
+        </div>
+    );
+};
+
+PlacementTest.propTypes = {
+    level: PropTypes.string.isRequired,
+    onComplete: PropTypes.func.isRequired,
+    onSkip: PropTypes.func.isRequired,
+};
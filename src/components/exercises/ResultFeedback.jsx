@@ -6,6 +6,7 @@
 import PropTypes from "prop-types";
 import { Button } from "../common/Button";
 import { Icon } from "../common/Icon";
+import { HintPanel } from "./HintPanel";
 
 /**
  * Composant pour afficher le feedback après une réponse
@@ -14,7 +15,9 @@ import { Icon } from "../common/Icon";
  * @param {string} [props.message=''] - Message de feedback
  * @param {number} [props.responseTime=null] - Temps de réponse en secondes
  * @param {boolean} [props.showTimer=true] - Afficher le temps de réponse
+ * @param {Object} [props.hint=null] - Indice de remédiation à afficher après une erreur (getHint)
  * @param {Function} props.onNext - Fonction appelée pour passer à l'exercice suivant
+ * @param {Function} [props.onRetry=null] - Fonction appelée pour retenter le fait ; remplace « Continuer »
  * @returns {JSX.Element} Composant ResultFeedback
  */
 export const ResultFeedback = ({
@@ -22,7 +25,9 @@ export const ResultFeedback = ({
     message = "",
     responseTime = null,
     showTimer = true,
+    hint = null,
     onNext,
+    onRetry = null,
 }) => {
     return (
         <div className="flex flex-col items-center w-full">
@@ -57,14 +62,27 @@ export const ResultFeedback = ({
                 </p>
             )}
 
-            <Button
-                onClick={onNext}
-                variant={isCorrect ? "success" : "primary"}
-                size="lg"
-                className="mt-2"
-            >
-                Continuer
-            </Button>
+            {hint && <HintPanel hint={hint} />}
+
+            {onRetry ? (
+                <Button
+                    onClick={onRetry}
+                    variant="primary"
+                    size="lg"
+                    className="mt-2"
+                >
+                    Réessayer
+                </Button>
+            ) : (
+                <Button
+                    onClick={onNext}
+                    variant={isCorrect ? "success" : "primary"}
+                    size="lg"
+                    className="mt-2"
+                >
+                    Continuer
+                </Button>
+            )}
         </div>
     );
 };
@@ -74,5 +92,7 @@ ResultFeedback.propTypes = {
     message: PropTypes.string,
     responseTime: PropTypes.number,
     showTimer: PropTypes.bool,
+    hint: PropTypes.object,
     onNext: PropTypes.func.isRequired,
+    onRetry: PropTypes.func,
 };
@@ -12,15 +12,33 @@ import { ProgressBar } from "../common/ProgressBar";
  * @param {number} props.currentIndex - Index de l'exercice actuel
  * @param {number} props.totalCount - Nombre total d'exercices
  * @param {number} props.progress - Pourcentage de progression (0-100)
+ * @param {boolean} [props.isRetry=false] - Si l'exercice actuel reprend un fait manqué
+ * @param {Object|null} [props.stats=null] - Statistiques de la session (factCount, firstTryCorrect, eventualCorrect)
  * @returns {JSX.Element} Composant SessionProgress
  */
-export const SessionProgress = ({ currentIndex, totalCount, progress }) => {
+export const SessionProgress = ({
+    currentIndex,
+    totalCount,
+    progress,
+    isRetry = false,
+    stats = null,
+}) => {
     return (
         <div className="mb-6">
             <div className="flex justify-between items-center mb-2">
                 <div className="text-sm text-gray-600">
                     Exercice {currentIndex + 1} sur {totalCount}
+                    {isRetry && (
+                        <span className="ml-2 px-2 py-0.5 rounded-full bg-orange-100 text-orange-700 text-xs font-medium">
+                            À revoir
+                        </span>
+                    )}
                 </div>
+                {stats?.factCount > 0 && (
+                    <div className="text-xs text-gray-500">
+                        {`Du premier coup : ${stats.firstTryCorrect}/${stats.factCount} • Au final : ${stats.eventualCorrect}/${stats.factCount}`}
+                    </div>
+                )}
             </div>
 
             <ProgressBar
@@ -37,4 +55,10 @@ SessionProgress.propTypes = {
     currentIndex: PropTypes.number.isRequired,
     totalCount: PropTypes.number.isRequired,
     progress: PropTypes.number.isRequired,
+    isRetry: PropTypes.bool,
+    stats: PropTypes.shape({
+        factCount: PropTypes.number,
+        firstTryCorrect: PropTypes.number,
+        eventualCorrect: PropTypes.number,
+    }),
 };
@@ -15,6 +15,7 @@ import { Icon } from "../common/Icon";
  * @param {boolean} props.hasCompletedSession - Si l'utilisateur a terminé une session
  * @param {Function} props.onStartNewSession - Fonction pour démarrer une nouvelle session
  * @param {Function} props.onGoHome - Fonction pour retourner à l'accueil
+ * @param {Object|null} [props.sprint=null] - Résultat d'un sprint { duration, previousBest, isNewBest }
  * @returns {JSX.Element} Composant SessionSummary
  */
 export const SessionSummary = ({
@@ -22,6 +23,7 @@ export const SessionSummary = ({
     hasCompletedSession,
     onStartNewSession,
     onGoHome,
+    sprint = null,
 }) => {
     return (
         <Card elevated className="mb-6">
@@ -32,7 +34,35 @@ export const SessionSummary = ({
 
                 <h2 className="text-2xl font-bold mb-2">Félicitations !</h2>
 
-                {hasCompletedSession ? (
+                {sprint ? (
+                    <div className="mb-4">
+                        <p className="text-gray-600">
+                            Temps écoulé ! En {sprint.duration} secondes, tu as
+                            trouvé
+                        </p>
+                        <p className="text-4xl font-bold text-blue-600 my-2">
+                            {stats.correct || 0} bonne(s) réponse(s)
+                        </p>
+                        {sprint.isNewBest ? (
+                            <p className="inline-flex items-center bg-yellow-100 text-yellow-800 font-semibold px-3 py-1 rounded-full">
+                                <Icon
+                                    name="star"
+                                    size="20"
+                                    color="#F59E0B"
+                                    className="mr-1"
+                                />
+                                Nouveau record personnel !
+                            </p>
+                        ) : (
+                            sprint.previousBest && (
+                                <p className="text-sm text-gray-600">
+                                    Ton record : {sprint.previousBest.correct}{" "}
+                                    bonne(s) réponse(s)
+                                </p>
+                            )
+                        )}
+                    </div>
+                ) : hasCompletedSession ? (
                     <p className="text-gray-600 mb-4">
                         Tu as terminé ta session d&lsquo;exercices.
                     </p>
@@ -58,9 +88,11 @@ export const SessionSummary = ({
                             </div>
 
                             <div className="bg-white p-2 rounded">
-                                <div className="font-medium">Réussite</div>
+                                <div className="font-medium">
+                                    Réussite du premier coup
+                                </div>
                                 <div className="text-2xl text-green-600">
-                                    {stats.successRate}%
+                                    {stats.firstTryRate ?? stats.successRate}%
                                 </div>
                             </div>
 
@@ -80,21 +112,46 @@ export const SessionSummary = ({
                                 </div>
                             </div>
 
-                            <div className="bg-white p-2 rounded col-span-2">
-                                <div className="font-medium">
-                                    Temps moyen par exercice
+                            {stats.retries > 0 && (
+                                <div className="bg-white p-2 rounded col-span-2">
+                                    <div className="font-medium">
+                                        Réussite au final (après {stats.retries}{" "}
+                                        reprise(s))
+                                    </div>
+                                    <div className="text-2xl text-green-600">
+                                        {stats.eventualRate}%
+                                    </div>
                                 </div>
-                                <div className="text-xl">
-                                    {stats.averageTime} secondes
+                            )}
+
+                            {(stats.voiceCount || 0) < stats.total && (
+                                <div className="bg-white p-2 rounded col-span-2">
+                                    <div className="font-medium">
+                                        Temps moyen par exercice
+                                    </div>
+                                    <div className="text-xl">
+                                        {stats.averageTime} secondes
+                                    </div>
                                 </div>
-                            </div>
+                            )}
+
+                            {stats.voiceCount > 0 && (
+                                <div className="bg-white p-2 rounded col-span-2">
+                                    <div className="font-medium">
+                                        {`Temps moyen à l'oral (${stats.voiceCount} réponse(s) dictée(s))`}
+                                    </div>
+                                    <div className="text-xl">
+                                        {stats.averageVoiceTime} secondes
+                                    </div>
+                                </div>
+                            )}
                         </div>
                     </div>
                 )}
 
                 <div className="flex flex-col space-y-3">
                     <Button variant="primary" onClick={onStartNewSession}>
-                        Nouvelle session
+                        {sprint ? "Nouveau sprint" : "Nouvelle session"}
                     </Button>
 
                     <Button variant="secondary" onClick={onGoHome}>
@@ -114,8 +171,22 @@ SessionSummary.propTypes = {
         successRate: PropTypes.number,
         averageTime: PropTypes.string,
         totalTime: PropTypes.string,
+        firstTryRate: PropTypes.number,
+        eventualRate: PropTypes.number,
+        retries: PropTypes.number,
+        voiceCount: PropTypes.number,
+        averageVoiceTime: PropTypes.string,
     }).isRequired,
     hasCompletedSession: PropTypes.bool.isRequired,
     onStartNewSession: PropTypes.func.isRequired,
     onGoHome: PropTypes.func.isRequired,
+    sprint: PropTypes.shape({
+        duration: PropTypes.number.isRequired,
+        previousBest: PropTypes.shape({
+            correct: PropTypes.number,
+            total: PropTypes.number,
+            date: PropTypes.string,
+        }),
+        isNewBest: PropTypes.bool,
+    }),
 };
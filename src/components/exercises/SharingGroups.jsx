@@ -0,0 +1,64 @@
+/**
+ * @file SharingGroups.jsx
+ * @description Partage équitable : des objets répartis dans des groupes, avec les objets restants à part
+ * (seules les quantités sont dessinées : le quotient et le reste ne sont jamais écrits)
+ */
+
+import PropTypes from "prop-types";
+
+/**
+ * Groupes de points issus d'un partage équitable
+ * @param {Object} props - Propriétés du composant
+ * @param {number} props.groups - Nombre de groupes
+ * @param {number} props.perGroup - Nombre de points par groupe
+ * @param {number} [props.extra=0] - Points restants, affichés à part
+ * @param {string} [props.className=''] - Classes CSS additionnelles
+ * @returns {JSX.Element} Composant SharingGroups
+ */
+export const SharingGroups = ({
+    groups,
+    perGroup,
+    extra = 0,
+    className = "",
+}) => (
+    <div
+        className={`flex flex-col items-center ${className}`}
+        aria-label={`${groups * perGroup + extra} partagés en ${groups} groupes`}
+    >
+        <div className="flex flex-wrap justify-center gap-2">
+            {[...Array(groups)].map((_, group) => (
+                <div
+                    key={group}
+                    className="flex flex-wrap justify-center content-center gap-1 p-2 w-16 min-h-12 border-2 border-gray-400 rounded-full"
+                >
+                    {[...Array(perGroup)].map((_, index) => (
+                        <span
+                            key={index}
+                            className="w-3 h-3 rounded-full bg-blue-500"
+                        />
+                    ))}
+                </div>
+            ))}
+        </div>
+        {extra > 0 && (
+            <div className="flex gap-1 mt-2">
+                {[...Array(extra)].map((_, index) => (
+                    <span
+                        key={index}
+                        className="w-3 h-3 rounded-full bg-orange-400"
+                    />
+                ))}
+            </div>
+        )}
+        <p className="text-xs text-gray-500 mt-1">
+            Partage en {groups} groupe{groups > 1 ? "s" : ""}
+        </p>
+    </div>
+);
+
+SharingGroups.propTypes = {
+    groups: PropTypes.number.isRequired,
+    perGroup: PropTypes.number.isRequired,
+    extra: PropTypes.number,
+    className: PropTypes.string,
+};
@@ -0,0 +1,75 @@
+/**
+ * @file SprintCountdown.jsx
+ * @description Compte à rebours visible pendant un sprint
+ */
+
+import PropTypes from "prop-types";
+import { ProgressBar } from "../common/ProgressBar";
+import { formatCountdown } from "../../utils/sprintUtils";
+
+/**
+ * Seuil (en secondes) à partir duquel le compte à rebours passe en alerte
+ * @constant {number}
+ */
+const WARNING_THRESHOLD = 10;
+
+/**
+ * Composant affichant le temps restant et le score en cours d'un sprint
+ * @param {Object} props - Propriétés du composant
+ * @param {number} props.timeLeft - Temps restant en secondes
+ * @param {number} props.duration - Durée totale du sprint en secondes
+ * @param {number} props.correctCount - Nombre de bonnes réponses
+ * @param {Object|null} [props.personalBest=null] - Record personnel pour cette durée
+ * @returns {JSX.Element} Composant SprintCountdown
+ */
+export const SprintCountdown = ({
+    timeLeft,
+    duration,
+    correctCount,
+    personalBest = null,
+}) => {
+    const isWarning = timeLeft <= WARNING_THRESHOLD;
+
+    return (
+        <div className="mb-6">
+            <div className="flex justify-between items-end mb-2">
+                <div
+                    className={`text-3xl font-bold tabular-nums ${
+                        isWarning
+                            ? "text-red-600 animate-pulse"
+                            : "text-blue-600"
+                    }`}
+                    role="timer"
+                    aria-live="off"
+                >
+                    {formatCountdown(timeLeft)}
+                </div>
+                <div className="text-right text-sm text-gray-600">
+                    <div>
+                        <span className="font-semibold text-green-600">
+                            {correctCount}
+                        </span>{" "}
+                        bonne(s) réponse(s)
+                    </div>
+                    {personalBest && <div>Record : {personalBest.correct}</div>}
+                </div>
+            </div>
+
+            <ProgressBar
+                value={(timeLeft / duration) * 100}
+                variant={isWarning ? "danger" : "primary"}
+            />
+        </div>
+    );
+};
+
+SprintCountdown.propTypes = {
+    timeLeft: PropTypes.number.isRequired,
+    duration: PropTypes.number.isRequired,
+    correctCount: PropTypes.number.isRequired,
+    personalBest: PropTypes.shape({
+        correct: PropTypes.number,
+        total: PropTypes.number,
+        date: PropTypes.string,
+    }),
+};
@@ -0,0 +1,97 @@
+/**
+ * @file TenFrame.jsx
+ * @description Cadres de dix : deux quantités représentées en deux couleurs dans des grilles de 2 × 5,
+ * avec d'éventuels jetons barrés (quantité enlevée d'une soustraction)
+ */
+
+import PropTypes from "prop-types";
+
+/**
+ * Nombre de cases d'un cadre
+ * @constant {number}
+ */
+const FRAME_SIZE = 10;
+
+/**
+ * Couleurs des jetons, dans l'ordre des quantités
+ * @constant {Array<string>}
+ */
+const COUNTER_COLORS = ["bg-blue-500", "bg-orange-400"];
+
+/**
+ * Cadres de dix remplis successivement par chaque quantité
+ * @param {Object} props - Propriétés du composant
+ * @param {Array<number>} props.counts - Quantités à représenter (une couleur par quantité)
+ * @param {number} [props.removed=0] - Nombre de derniers jetons barrés
+ * @param {number} [props.frames=1] - Nombre minimal de cadres (place laissée pour un résultat)
+ * @param {string} [props.className=''] - Classes CSS additionnelles
+ * @returns {JSX.Element} Composant TenFrame
+ */
+export const TenFrame = ({
+    counts,
+    removed = 0,
+    frames = 1,
+    className = "",
+}) => {
+    const total = counts.reduce((sum, count) => sum + count, 0);
+    const frameCount = Math.max(frames, Math.ceil(total / FRAME_SIZE));
+
+    /**
+     * Couleur du jeton d'une case (null pour une case vide)
+     * @param {number} index - Position de la case sur l'ensemble des cadres
+     * @returns {string|null} Classe de couleur
+     */
+    const getCounterColor = (index) => {
+        let limit = 0;
+        for (let i = 0; i < counts.length; i++) {
+            limit += counts[i];
+            if (index < limit) return COUNTER_COLORS[i % COUNTER_COLORS.length];
+        }
+        return null;
+    };
+
+    return (
+        <div
+            className={`flex flex-wrap justify-center gap-3 ${className}`}
+            aria-label={`Cadres de dix : ${counts.join(" et ")}${
+                removed > 0 ? `, ${removed} barrés` : ""
+            }`}
+        >
+            {[...Array(frameCount)].map((_, frame) => (
+                <div
+                    key={frame}
+                    className="grid grid-cols-5 gap-1 p-1 border-2 border-gray-400 rounded"
+                >
+                    {[...Array(FRAME_SIZE)].map((_, cell) => {
+                        const index = frame * FRAME_SIZE + cell;
+                        const color = getCounterColor(index);
+                        const isRemoved = index >= total - removed;
+                        return (
+                            <div
+                                key={cell}
+                                className="w-6 h-6 border border-gray-300 flex items-center justify-center"
+                            >
+                                {color && (
+                                    <span
+                                        className={`w-4 h-4 rounded-full flex items-center justify-center text-xs font-bold text-red-600 ${color} ${
+                                            isRemoved ? "bg-opacity-30" : ""
+                                        }`}
+                                    >
+                                        {isRemoved && "×"}
+                                    </span>
+                                )}
+                            </div>
+                        );
+                    })}
+                </div>
+            ))}
+        </div>
+    );
+};
+
+TenFrame.propTypes = {
+    counts: PropTypes.arrayOf(PropTypes.number).isRequired,
+    removed: PropTypes.number,
+    frames: PropTypes.number,
+    className: PropTypes.string,
+};
@@ -0,0 +1,110 @@
+/**
+ * @file VoiceInput.jsx
+ * @description Réponse dictée à voix haute, avec retour possible à la saisie au clavier
+ */
+
+import { useState, useEffect, useCallback } from "react";
+import PropTypes from "prop-types";
+import { Button } from "../common/Button";
+import { Icon } from "../common/Icon";
+import {
+    useSpeechRecognition,
+    BLOCKING_SPEECH_ERRORS,
+} from "../../hooks/useSpeechRecognition";
+import { parseFrenchNumber } from "../../utils/frenchNumbers";
+
+/**
+ * Composant de réponse orale : l'élève appuie sur le micro et dit le nombre
+ * @param {Object} props - Propriétés du composant
+ * @param {Function} props.onAnswer - Fonction appelée avec le nombre compris
+ * @param {Function} props.onFallback - Fonction appelée pour revenir à la saisie au clavier
+ *   (micro refusé ou indisponible, ou choix de l'élève)
+ * @param {boolean} [props.disabled=false] - Désactive le micro
+ * @returns {JSX.Element} Composant VoiceInput
+ */
+export const VoiceInput = ({ onAnswer, onFallback, disabled = false }) => {
+    // Dernière transcription qui ne contenait pas de nombre
+    const [misheard, setMisheard] = useState(null);
+
+    /**
+     * Retient la première transcription qui contient un nombre
+     * @param {Array<string>} transcripts - Transcriptions possibles
+     */
+    const handleTranscripts = useCallback(
+        (transcripts) => {
+            const value = transcripts
+                .map(parseFrenchNumber)
+                .find((number) => number !== null);
+
+            if (value === undefined) {
+                setMisheard(transcripts[0] || null);
+                return;
+            }
+
+            setMisheard(null);
+            onAnswer(value);
+        },
+        [onAnswer]
+    );
+
+    const { isListening, error, start, stop } = useSpeechRecognition({
+        onResult: handleTranscripts,
+    });
+
+    /**
+     * Lance une nouvelle écoute
+     */
+    const handleListen = () => {
+        setMisheard(null);
+        start();
+    };
+
+    // Sans micro utilisable, revenir à la saisie au clavier
+    useEffect(() => {
+        if (BLOCKING_SPEECH_ERRORS.includes(error)) {
+            onFallback();
+        }
+    }, [error, onFallback]);
+
+    return (
+        <div className="flex flex-col items-center">
+            <Button
+                type="button"
+                variant={isListening ? "danger" : "primary"}
+                size="lg"
+                onClick={isListening ? stop : handleListen}
+                disabled={disabled}
+                aria-pressed={isListening}
+                className="flex items-center"
+            >
+                <Icon name="microphone" className="mr-2" />
+                {isListening ? "J'écoute…" : "Dire la réponse"}
+            </Button>
+
+            {!isListening && misheard && (
+                <p className="text-sm text-gray-600 mt-2">
+                    {`Je n'ai pas compris « ${misheard} ». Réessaie !`}
+                </p>
+            )}
+            {!isListening && !misheard && error === "no-speech" && (
+                <p className="text-sm text-gray-600 mt-2">
+                    Je n&lsquo;ai rien entendu. Réessaie !
+                </p>
+            )}
+
+            <button
+                type="button"
+                onClick={onFallback}
+                className="text-sm text-blue-600 underline mt-3"
+            >
+                Taper la réponse au clavier
+            </button>
+        </div>
+    );
+};
+
+VoiceInput.propTypes = {
+    onAnswer: PropTypes.func.isRequired,
+    onFallback: PropTypes.func.isRequired,
+    disabled: PropTypes.bool,
+};
@@ -0,0 +1,90 @@
+/**
+ * @file DailyMission.jsx
+ * @description Mission du jour : objectif quotidien, composition du plan et avancement
+ */
+
+import PropTypes from "prop-types";
+import { Button } from "../common/Button";
+import { Icon } from "../common/Icon";
+import { ProgressBar } from "../common/ProgressBar";
+import { PLAN_SOURCES, PLAN_SOURCE_LABELS } from "../../utils/studyPlan";
+
+/**
+ * Encadré de la mission du jour
+ * @param {Object} props - Propriétés du composant
+ * @param {Object} props.plan - Plan du jour { facts, counts, target } (buildStudyPlan)
+ * @param {number} props.answeredToday - Nombre de réponses déjà données aujourd'hui
+ * @param {Function} props.onStart - Fonction appelée pour lancer la session
+ * @returns {JSX.Element} Composant DailyMission
+ */
+export const DailyMission = ({ plan, answeredToday, onStart }) => {
+    const isAccomplished = answeredToday >= plan.target;
+    const composition = Object.values(PLAN_SOURCES)
+        .filter((source) => plan.counts[source] > 0)
+        .map((source) => `${plan.counts[source]} ${PLAN_SOURCE_LABELS[source]}`)
+        .join(" • ");
+
+    return (
+        <div
+            className={`p-4 rounded-lg mb-4 ${
+                isAccomplished ? "bg-green-50" : "bg-yellow-50"
+            }`}
+        >
+            <div className="flex items-center mb-1">
+                <Icon
+                    name={isAccomplished ? "checkCircle" : "star"}
+                    color={isAccomplished ? "#10B981" : "#FBBF24"}
+                    className="mr-2"
+                />
+                <span className="font-medium">
+                    {isAccomplished
+                        ? "Mission du jour accomplie !"
+                        : `Mission du jour : ${plan.target} calculs`}
+                </span>
+            </div>
+
+            {composition && !isAccomplished && (
+                <p className="text-sm text-gray-600 mb-2">{composition}</p>
+            )}
+
+            <div className="flex justify-between text-xs text-gray-600 mb-1">
+                <span>Calculs faits aujourd&lsquo;hui</span>
+                <span>
+                    {Math.min(answeredToday, plan.target)} / {plan.target}
+                </span>
+            </div>
+            <ProgressBar
+                value={answeredToday}
+                max={plan.target}
+                variant={isAccomplished ? "success" : "warning"}
+            />
+
+            {plan.facts.length > 0 ? (
+                <Button
+                    variant={isAccomplished ? "secondary" : "primary"}
+                    onClick={onStart}
+                    className="mt-3"
+                    fullWidth
+                >
+                    {isAccomplished
+                        ? "Continuer à m'entraîner"
+                        : "Lancer ma mission"}
+                </Button>
+            ) : (
+                <p className="text-sm text-gray-600 mt-3">
+                    Tu as terminé toutes tes révisions pour aujourd&lsquo;hui !
+                </p>
+            )}
+        </div>
+    );
+};
+
+DailyMission.propTypes = {
+    plan: PropTypes.shape({
+        facts: PropTypes.array.isRequired,
+        counts: PropTypes.object.isRequired,
+        target: PropTypes.number.isRequired,
+    }).isRequired,
+    answeredToday: PropTypes.number.isRequired,
+    onStart: PropTypes.func.isRequired,
+};
@@ -0,0 +1,55 @@
+/**
+ * @file ErrorPatterns.jsx
+ * @description Schémas d'erreurs repérés dans les réponses fausses d'un élève, avec pistes de remédiation
+ */
+
+import PropTypes from "prop-types";
+import { Card } from "../common/Card";
+
+/**
+ * Liste des schémas d'erreurs d'un élève, du plus fréquent au moins fréquent
+ * @param {Object} props - Propriétés du composant
+ * @param {Array} props.patterns - Schémas { pattern, label, hint, count, examples } (summarizeErrorPatterns)
+ * @returns {JSX.Element} Composant ErrorPatterns
+ */
+export const ErrorPatterns = ({ patterns }) => (
+    <Card>
+        <h3 className="text-lg font-semibold mb-1">Analyse des erreurs</h3>
+        <p className="text-xs text-gray-500 mb-4">
+            D&lsquo;après les réponses fausses enregistrées
+        </p>
+
+        {patterns.length === 0 ? (
+            <p className="text-gray-500 italic">
+                Aucune erreur à analyser pour le moment.
+            </p>
+        ) : (
+            <div className="space-y-3">
+                {patterns.map(({ pattern, label, hint, count, examples }) => (
+                    <div key={pattern} className="p-3 rounded-lg bg-gray-50">
+                        <div className="flex justify-between text-sm mb-1">
+                            <span className="font-medium">{label}</span>
+                            <span className="text-gray-500">{count} fois</span>
+                        </div>
+                        <p className="text-xs text-gray-500 mb-1">
+                            Ex. : {examples.join(" ; ")}
+                        </p>
+                        <p className="text-sm text-blue-700">{hint}</p>
+                    </div>
+                ))}
+            </div>
+        )}
+    </Card>
+);
+
+ErrorPatterns.propTypes = {
+    patterns: PropTypes.arrayOf(
+        PropTypes.shape({
+            pattern: PropTypes.string.isRequired,
+            label: PropTypes.string.isRequired,
+            hint: PropTypes.string.isRequired,
+            count: PropTypes.number.isRequired,
+            examples: PropTypes.arrayOf(PropTypes.string).isRequired,
+        })
+    ).isRequired,
+};
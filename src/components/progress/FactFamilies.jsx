@@ -0,0 +1,128 @@
+/**
+ * @file FactFamilies.jsx
+ * @description Vue des familles de faits : faits liés par commutativité ou opération inverse
+ */
+
+import PropTypes from "prop-types";
+import { Card } from "../common/Card";
+import { Icon } from "../common/Icon";
+import { KNOWLEDGE_LEVELS } from "../../hooks/useSpacedRepetition";
+import { FACT_FAMILY_TYPES } from "../../utils/factFamilies";
+import { formatEquation } from "../../utils/factUtils";
+
+/**
+ * Couleurs des pastilles selon le niveau de connaissance
+ * @constant {Object}
+ */
+const LEVEL_STYLES = {
+    [KNOWLEDGE_LEVELS.NEW]: "bg-gray-100 text-gray-700",
+    [KNOWLEDGE_LEVELS.LEARNING]: "bg-yellow-100 text-yellow-800",
+    [KNOWLEDGE_LEVELS.REVIEWING]: "bg-blue-100 text-blue-800",
+    [KNOWLEDGE_LEVELS.MASTERED]: "bg-green-100 text-green-800",
+};
+
+/**
+ * Libellés des types de familles
+ * @constant {Object}
+ */
+const FAMILY_TYPE_LABELS = {
+    [FACT_FAMILY_TYPES.ADDITIVE]: "Addition et soustraction",
+    [FACT_FAMILY_TYPES.MULTIPLICATIVE]: "Multiplication et division",
+};
+
+/**
+ * Liste des familles de faits suivies, les familles en difficulté en premier
+ * @param {Object} props - Propriétés du composant
+ * @param {Array} props.families - Familles { id, label, type, members, flagged }
+ * @returns {JSX.Element} Composant FactFamilies
+ */
+export const FactFamilies = ({ families }) => {
+    const flaggedCount = families.filter((family) => family.flagged).length;
+
+    return (
+        <Card>
+            <h3 className="text-lg font-semibold mb-1">
+                Familles de faits ({families.length})
+            </h3>
+            <p className="text-sm text-gray-500 mb-4">
+                {flaggedCount > 0
+                    ? `${flaggedCount} famille(s) à retravailler ensemble`
+                    : "Aucune famille en difficulté"}
+            </p>
+
+            {families.length === 0 ? (
+                <p className="text-gray-500 italic">
+                    Aucune famille de faits pour cette unité.
+                </p>
+            ) : (
+                <div className="space-y-3">
+                    {families.map((family) => (
+                        <div
+                            key={family.id}
+                            className={`p-3 rounded-lg border-l-4 ${
+                                family.flagged
+                                    ? "border-l-red-500 bg-red-50"
+                                    : "border-l-blue-300 bg-gray-50"
+                            }`}
+                        >
+                            <div className="flex justify-between items-center mb-2">
+                                <div>
+                                    <span className="font-medium">
+                                        Famille {family.label}
+                                    </span>
+                                    <span className="text-xs text-gray-500 ml-2">
+                                        {FAMILY_TYPE_LABELS[family.type]}
+                                    </span>
+                                </div>
+                                {family.flagged && (
+                                    <span className="flex items-center text-sm text-red-600">
+                                        <Icon
+                                            name="errorCircle"
+                                            size="18"
+                                            className="mr-1"
+                                        />
+                                        Erreurs répétées
+                                    </span>
+                                )}
+                            </div>
+
+                            <div className="flex flex-wrap gap-2">
+                                {family.members.map((member) => (
+                                    <span
+                                        key={member.id}
+                                        className={`px-2 py-1 rounded text-sm ${
+                                            LEVEL_STYLES[member.level] ||
+                                            LEVEL_STYLES[KNOWLEDGE_LEVELS.NEW]
+                                        }`}
+                                    >
+                                        {member.question ||
+                                            formatEquation(member) ||
+                                            member.id}
+                                    </span>
+                                ))}
+                            </div>
+                        </div>
+                    ))}
+                </div>
+            )}
+        </Card>
+    );
+};
+
+FactFamilies.propTypes = {
+    families: PropTypes.arrayOf(
+        PropTypes.shape({
+            id: PropTypes.string.isRequired,
+            label: PropTypes.string.isRequired,
+            type: PropTypes.string,
+            flagged: PropTypes.bool,
+            members: PropTypes.arrayOf(
+                PropTypes.shape({
+                    id: PropTypes.string.isRequired,
+                    question: PropTypes.string,
+                    level: PropTypes.number,
+                })
+            ).isRequired,
+        })
+    ).isRequired,
+};
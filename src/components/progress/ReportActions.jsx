@@ -0,0 +1,117 @@
+/**
+ * @file ReportActions.jsx
+ * @description Boutons d'export du rapport de progression (CSV et rapport imprimable)
+ */
+
+import { useState } from "react";
+import PropTypes from "prop-types";
+import { Button } from "../common/Button";
+import { reportToCsv, reportToHtml } from "../../utils/reportUtils";
+import { downloadFile, getFileDateStamp } from "../../utils/fileUtils";
+
+/**
+ * Nom de fichier du rapport d'un élève (sans accents ni espaces)
+ * @param {string} studentName - Nom de l'élève
+ * @returns {string} Nom de fichier CSV
+ */
+const getReportFileName = (studentName) => {
+    const slug = studentName
+        .normalize("NFD")
+        .replace(/[\u0300-\u036f]/g, "")
+        .replace(/[^a-zA-Z0-9]+/g, "-")
+        .replace(/^-|-$/g, "")
+        .toLowerCase();
+
+    return `progression-${slug || "eleve"}-${getFileDateStamp()}.csv`;
+};
+
+/**
+ * Boutons d'export du rapport de progression d'un élève
+ * @param {Object} props - Propriétés du composant
+ * @param {Function} props.getReport - Construit le rapport (getProgressReport du contexte)
+ * @param {string} [props.size="md"] - Taille des boutons
+ * @returns {JSX.Element} Composant ReportActions
+ */
+export const ReportActions = ({ getReport, size = "md" }) => {
+    const [busy, setBusy] = useState(false);
+    const [error, setError] = useState(null);
+
+    /**
+     * Télécharge le rapport au format CSV (une ligne par fait)
+     */
+    const handleCsv = async () => {
+        setBusy(true);
+        try {
+            const report = await getReport();
+            downloadFile(
+                reportToCsv(report),
+                getReportFileName(report.studentName),
+                "text/csv"
+            );
+            setError(null);
+        } catch (err) {
+            console.error("Erreur lors de l'export CSV:", err);
+            setError("Impossible de générer le fichier CSV");
+        } finally {
+            setBusy(false);
+        }
+    };
+
+    /**
+     * Ouvre le rapport imprimable dans un nouvel onglet et lance l'impression
+     */
+    const handlePrint = async () => {
+        // Ouvrir la fenêtre pendant le clic, sinon le navigateur la bloque
+        const printWindow = window.open("", "_blank");
+        if (!printWindow) {
+            setError("Autorise les fenêtres pop-up pour imprimer le rapport");
+            return;
+        }
+
+        setBusy(true);
+        try {
+            const report = await getReport();
+            printWindow.document.open();
+            printWindow.document.write(reportToHtml(report));
+            printWindow.document.close();
+            printWindow.focus();
+            printWindow.print();
+            setError(null);
+        } catch (err) {
+            console.error("Erreur lors de la génération du rapport:", err);
+            printWindow.close();
+            setError("Impossible de générer le rapport");
+        } finally {
+            setBusy(false);
+        }
+    };
+
+    return (
+        <div>
+            <div className="flex flex-wrap gap-2">
+                <Button
+                    variant="secondary"
+                    size={size}
+                    onClick={handleCsv}
+                    disabled={busy}
+                >
+                    Exporter en CSV
+                </Button>
+                <Button
+                    variant="secondary"
+                    size={size}
+                    onClick={handlePrint}
+                    disabled={busy}
+                >
+                    Rapport imprimable
+                </Button>
+            </div>
+            {error && <p className="text-sm text-red-600 mt-2">{error}</p>}
+        </div>
+    );
+};
+
+ReportActions.propTypes = {
+    getReport: PropTypes.func.isRequired,
+    size: PropTypes.oneOf(["sm", "md", "lg"]),
+};
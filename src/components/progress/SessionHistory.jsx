@@ -0,0 +1,248 @@
+/**
+ * @file SessionHistory.jsx
+ * @description Historique des sessions d'exercices avec le détail de chaque session
+ */
+
+import { useState } from "react";
+import PropTypes from "prop-types";
+import { Card } from "../common/Card";
+import { Button } from "../common/Button";
+import { Icon } from "../common/Icon";
+import { useProgressions } from "../../contexts";
+import { getLevelShortName } from "../../utils/customProgressions";
+
+/**
+ * Formate une date ISO en date et heure lisibles
+ * @param {string} isoDate - Date au format ISO
+ * @returns {string} Date formatée (ex: "12/03/2024 à 17:05")
+ */
+const formatDateTime = (isoDate) => {
+    if (!isoDate) return "Date inconnue";
+
+    const date = new Date(isoDate);
+    return `${date.toLocaleDateString("fr-FR")} à ${date.toLocaleTimeString(
+        "fr-FR",
+        { hour: "2-digit", minute: "2-digit" }
+    )}`;
+};
+
+/**
+ * Calcule la durée d'une session
+ * @param {Object} session - Session enregistrée
+ * @returns {string} Durée formatée (ex: "3 min 12 s")
+ */
+const formatDuration = (session) => {
+    if (!session.startedAt || !session.endedAt) return "-";
+
+    const seconds = Math.max(
+        0,
+        Math.round(
+            (new Date(session.endedAt) - new Date(session.startedAt)) / 1000
+        )
+    );
+    const minutes = Math.floor(seconds / 60);
+
+    return minutes > 0
+        ? `${minutes} min ${seconds % 60} s`
+        : `${seconds % 60} s`;
+};
+
+/**
+ * Détail d'une session : chaque fait répondu avec son résultat et son temps
+ * @param {Object} props - Propriétés du composant
+ * @param {Object} props.session - Session à détailler
+ * @param {Function} props.onBack - Fonction appelée pour revenir à la liste
+ * @returns {JSX.Element} Composant SessionDetails
+ */
+const SessionDetails = ({ session, onBack }) => {
+    const { progressions } = useProgressions();
+    const stats = session.stats || {};
+
+    return (
+        <Card>
+            <div className="flex justify-between items-center mb-4">
+                <h3 className="text-lg font-semibold">
+                    Session du {formatDateTime(session.startedAt)}
+                </h3>
+                <Button variant="secondary" size="sm" onClick={onBack}>
+                    Retour
+                </Button>
+            </div>
+
+            <div className="grid grid-cols-2 md:grid-cols-4 gap-2 text-sm mb-4">
+                <div className="bg-gray-50 p-2 rounded">
+                    <div className="font-medium">Niveau</div>
+                    <div>{getLevelShortName(session.level, progressions)}</div>
+                </div>
+                <div className="bg-gray-50 p-2 rounded">
+                    <div className="font-medium">Unité</div>
+                    <div>{session.unitName || "-"}</div>
+                </div>
+                <div className="bg-gray-50 p-2 rounded">
+                    <div className="font-medium">Réussite</div>
+                    <div className="text-green-600">
+                        {stats.successRate ?? 0}%
+                    </div>
+                </div>
+                <div className="bg-gray-50 p-2 rounded">
+                    <div className="font-medium">Durée</div>
+                    <div>{formatDuration(session)}</div>
+                </div>
+            </div>
+
+            <div className="space-y-2">
+                {(session.answers || []).map((answer, index) => (
+                    <div
+                        key={`${answer.factId}-${index}`}
+                        className={`flex justify-between items-center p-2 rounded border-l-4 ${
+                            answer.isCorrect
+                                ? "border-l-green-500 bg-green-50"
+                                : "border-l-red-500 bg-red-50"
+                        }`}
+                    >
+                        <div className="flex items-center">
+                            <Icon
+                                name={
+                                    answer.isCorrect
+                                        ? "checkCircle"
+                                        : "errorCircle"
+                                }
+                                size="20"
+                                className={`mr-2 ${
+                                    answer.isCorrect
+                                        ? "text-green-600"
+                                        : "text-red-600"
+                                }`}
+                            />
+                            <span className="font-medium">
+                                {answer.question || answer.factId}
+                            </span>
+                            {!answer.isCorrect &&
+                                ["number", "string"].includes(
+                                    typeof answer.givenAnswer
+                                ) && (
+                                    <span className="text-sm text-red-600 ml-2">
+                                        (réponse : {answer.givenAnswer})
+                                    </span>
+                                )}
+                        </div>
+                        <span className="text-sm text-gray-500">
+                            {Number(answer.responseTime || 0).toFixed(1)} s
+                            {answer.voice && " (oral)"}
+                        </span>
+                    </div>
+                ))}
+            </div>
+        </Card>
+    );
+};
+
+SessionDetails.propTypes = {
+    session: PropTypes.shape({
+        id: PropTypes.string.isRequired,
+        startedAt: PropTypes.string,
+        endedAt: PropTypes.string,
+        level: PropTypes.string,
+        unitName: PropTypes.string,
+        answers: PropTypes.arrayOf(
+            PropTypes.shape({
+                factId: PropTypes.string,
+                question: PropTypes.string,
+                isCorrect: PropTypes.bool,
+                givenAnswer: PropTypes.oneOfType([
+                    PropTypes.number,
+                    PropTypes.string,
+                    PropTypes.object,
+                ]),
+                responseTime: PropTypes.number,
+                voice: PropTypes.bool,
+            })
+        ),
+        stats: PropTypes.object,
+    }).isRequired,
+    onBack: PropTypes.func.isRequired,
+};
+
+/**
+ * Liste des sessions passées, avec accès au détail de chacune
+ * @param {Object} props - Propriétés du composant
+ * @param {Array} props.sessions - Sessions enregistrées, de la plus récente à la plus ancienne
+ * @returns {JSX.Element} Composant SessionHistory
+ */
+export const SessionHistory = ({ sessions }) => {
+    const { progressions } = useProgressions();
+    const [selectedSessionId, setSelectedSessionId] = useState(null);
+
+    const selectedSession = sessions.find((s) => s.id === selectedSessionId);
+
+    if (selectedSession) {
+        return (
+            <SessionDetails
+                session={selectedSession}
+                onBack={() => setSelectedSessionId(null)}
+            />
+        );
+    }
+
+    return (
+        <Card>
+            <h3 className="text-lg font-semibold mb-4">
+                Historique ({sessions.length} sessions)
+            </h3>
+
+            {sessions.length === 0 ? (
+                <p className="text-gray-500 italic">
+                    Aucune session terminée pour le moment.
+                </p>
+            ) : (
+                <div className="space-y-2">
+                    {sessions.map((session) => (
+                        <div
+                            key={session.id}
+                            onClick={() => setSelectedSessionId(session.id)}
+                            className="p-3 rounded-lg cursor-pointer flex justify-between items-center bg-gray-50 hover:bg-gray-100"
+                        >
+                            <div>
+                                <div className="font-medium">
+                                    {formatDateTime(session.startedAt)}
+                                </div>
+                                <div className="text-xs text-gray-500">
+                                    {session.level &&
+                                        getLevelShortName(
+                                            session.level,
+                                            progressions
+                                        )}
+                                    {session.sprintDuration &&
+                                        ` • Sprint ${session.sprintDuration} s`}
+                                    {session.unitName &&
+                                        ` • ${session.unitName}`}
+                                    {` • ${formatDuration(session)}`}
+                                </div>
+                            </div>
+                            <div className="flex items-center">
+                                <span className="text-sm mr-2">
+                                    {session.stats?.correct ?? 0} /{" "}
+                                    {session.stats?.total ??
+                                        session.answers?.length ??
+                                        0}
+                                </span>
+                                <Icon
+                                    name="arrowRight"
+                                    className="text-gray-500"
+                                />
+                            </div>
+                        </div>
+                    ))}
+                </div>
+            )}
+        </Card>
+    );
+};
+
+SessionHistory.propTypes = {
+    sessions: PropTypes.arrayOf(
+        PropTypes.shape({
+            id: PropTypes.string.isRequired,
+        })
+    ).isRequired,
+};
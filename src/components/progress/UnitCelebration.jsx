@@ -0,0 +1,52 @@
+/**
+ * @file UnitCelebration.jsx
+ * @description Célébration affichée quand l'élève termine une unité et passe à la suivante
+ */
+
+import { useProgress } from "../../contexts";
+import { Card } from "../common/Card";
+import { Button } from "../common/Button";
+import { Icon } from "../common/Icon";
+
+/**
+ * Fenêtre de félicitations pour la dernière unité terminée automatiquement
+ * (rien n'est affiché tant qu'aucune unité n'a été terminée)
+ * @returns {JSX.Element|null} Composant UnitCelebration
+ */
+export const UnitCelebration = () => {
+    const { unitAdvancement, dismissUnitAdvancement } = useProgress();
+
+    if (!unitAdvancement) return null;
+
+    const { completedUnit, nextUnit } = unitAdvancement;
+
+    return (
+        <div className="fixed inset-0 bg-gray-800 bg-opacity-75 flex items-center justify-center z-50 p-4">
+            <Card elevated className="max-w-md w-full">
+                <div className="text-center p-4">
+                    <div className="rounded-full bg-yellow-100 w-16 h-16 flex items-center justify-center mx-auto mb-4">
+                        <Icon name="star" size="32" color="#F59E0B" />
+                    </div>
+
+                    <h2 className="text-2xl font-bold mb-2">Bravo !</h2>
+                    <p className="text-gray-600 mb-2">
+                        Tu as terminé l&lsquo;unité « {completedUnit.name} ».
+                    </p>
+                    <p className="text-gray-600 mb-4">
+                        {nextUnit
+                            ? `Nouvelle unité débloquée : « ${nextUnit.name} ». Tu continueras aussi à réviser ce que tu as appris.`
+                            : "Tu as terminé toutes les unités de ton niveau !"}
+                    </p>
+
+                    <Button
+                        variant="primary"
+                        onClick={dismissUnitAdvancement}
+                        fullWidth
+                    >
+                        Continuer
+                    </Button>
+                </div>
+            </Card>
+        </div>
+    );
+};
@@ -0,0 +1,286 @@
+/**
+ * @file ProgressionForm.jsx
+ * @description Formulaire d'une progression personnalisée : nom, description, périodes et unités
+ */
+
+import PropTypes from "prop-types";
+import { Card } from "../common/Card";
+import { Button } from "../common/Button";
+import { UnitEditor } from "./UnitEditor";
+import {
+    createPeriod,
+    createUnit,
+    isBuiltInLevel,
+    moveItem,
+    moveUnit,
+} from "../../utils/customProgressions";
+
+/**
+ * Formulaire de modification d'une progression (brouillon non enregistré)
+ * @param {Object} props - Propriétés du composant
+ * @param {Object} props.progression - Progression en cours de modification
+ * @param {Function} props.onChange - Appelée avec la progression modifiée
+ * @param {Function} props.onSave - Enregistre la progression
+ * @param {Function} props.onCancel - Abandonne les modifications
+ * @param {Array<string>} [props.errors=[]] - Erreurs de validation à afficher
+ * @returns {JSX.Element} Composant ProgressionForm
+ */
+export const ProgressionForm = ({
+    progression,
+    onChange,
+    onSave,
+    onCancel,
+    errors = [],
+}) => {
+    const { periods } = progression;
+    const lastPeriodIndex = periods.length - 1;
+
+    /**
+     * Remplace une période
+     * @param {number} periodIndex - Position de la période
+     * @param {Object} period - Période modifiée
+     */
+    const setPeriod = (periodIndex, period) =>
+        onChange({
+            ...progression,
+            periods: periods.map((p, i) => (i === periodIndex ? period : p)),
+        });
+
+    /**
+     * Remplace une unité
+     * @param {number} periodIndex - Position de la période
+     * @param {number} unitIndex - Position de l'unité dans la période
+     * @param {Object} unit - Unité modifiée
+     */
+    const setUnit = (periodIndex, unitIndex, unit) =>
+        setPeriod(periodIndex, {
+            ...periods[periodIndex],
+            units: periods[periodIndex].units.map((u, i) =>
+                i === unitIndex ? unit : u
+            ),
+        });
+
+    /**
+     * Supprime une période et ses unités, après confirmation si elle en contient
+     * @param {number} periodIndex - Position de la période
+     */
+    const removePeriod = (periodIndex) => {
+        const period = periods[periodIndex];
+        if (
+            period.units.length > 0 &&
+            !window.confirm(
+                `Supprimer « ${period.name} » et ses ${period.units.length} unité(s) ?`
+            )
+        ) {
+            return;
+        }
+
+        onChange({
+            ...progression,
+            periods: periods.filter((_, i) => i !== periodIndex),
+        });
+    };
+
+    return (
+        <Card>
+            <h2 className="text-lg font-semibold mb-4">
+                {isBuiltInLevel(progression.id)
+                    ? `Modifier la progression intégrée ${progression.id.toUpperCase()}`
+                    : "Modifier la progression"}
+            </h2>
+
+            <div className="space-y-3 mb-6">
+                <label className="block text-sm font-medium text-gray-700">
+                    Nom
+                    <input
+                        type="text"
+                        value={progression.name}
+                        onChange={(e) =>
+                            onChange({ ...progression, name: e.target.value })
+                        }
+                        className="mt-1 w-full p-2 border border-gray-300 rounded focus:ring-blue-500 focus:border-blue-500"
+                        placeholder="Ex: CE1 - Classe de Mme Martin"
+                    />
+                </label>
+                <label className="block text-sm font-medium text-gray-700">
+                    Description
+                    <input
+                        type="text"
+                        value={progression.description || ""}
+                        onChange={(e) =>
+                            onChange({
+                                ...progression,
+                                description: e.target.value,
+                            })
+                        }
+                        className="mt-1 w-full p-2 border border-gray-300 rounded focus:ring-blue-500 focus:border-blue-500"
+                    />
+                </label>
+            </div>
+
+            <div className="space-y-6">
+                {periods.map((period, periodIndex) => (
+                    <section
+                        key={period.id}
+                        className="border-l-4 border-blue-200 pl-3 space-y-3"
+                    >
+                        <div className="flex flex-wrap items-center gap-2">
+                            <input
+                                type="text"
+                                value={period.name}
+                                onChange={(e) =>
+                                    setPeriod(periodIndex, {
+                                        ...period,
+                                        name: e.target.value,
+                                    })
+                                }
+                                aria-label="Nom de la période"
+                                className="flex-1 min-w-0 p-2 font-semibold border border-gray-300 rounded focus:ring-blue-500 focus:border-blue-500"
+                            />
+                            <Button
+                                variant="secondary"
+                                size="sm"
+                                onClick={() =>
+                                    onChange({
+                                        ...progression,
+                                        periods: moveItem(
+                                            periods,
+                                            periodIndex,
+                                            -1
+                                        ),
+                                    })
+                                }
+                                disabled={periodIndex === 0}
+                            >
+                                Monter
+                            </Button>
+                            <Button
+                                variant="secondary"
+                                size="sm"
+                                onClick={() =>
+                                    onChange({
+                                        ...progression,
+                                        periods: moveItem(
+                                            periods,
+                                            periodIndex,
+                                            1
+                                        ),
+                                    })
+                                }
+                                disabled={periodIndex === lastPeriodIndex}
+                            >
+                                Descendre
+                            </Button>
+                            <Button
+                                variant="danger"
+                                size="sm"
+                                onClick={() => removePeriod(periodIndex)}
+                            >
+                                Supprimer
+                            </Button>
+                        </div>
+
+                        {period.units.map((unit, unitIndex) => (
+                            <UnitEditor
+                                key={unit.id}
+                                unit={unit}
+                                level={progression.id}
+                                onChange={(nextUnit) =>
+                                    setUnit(periodIndex, unitIndex, nextUnit)
+                                }
+                                onRemove={() =>
+                                    setPeriod(periodIndex, {
+                                        ...period,
+                                        units: period.units.filter(
+                                            (_, i) => i !== unitIndex
+                                        ),
+                                    })
+                                }
+                                onMove={(offset) =>
+                                    onChange(
+                                        moveUnit(
+                                            progression,
+                                            periodIndex,
+                                            unitIndex,
+                                            offset
+                                        )
+                                    )
+                                }
+                                canMoveUp={periodIndex > 0 || unitIndex > 0}
+                                canMoveDown={
+                                    periodIndex < lastPeriodIndex ||
+                                    unitIndex < period.units.length - 1
+                                }
+                            />
+                        ))}
+
+                        <Button
+                            variant="secondary"
+                            size="sm"
+                            onClick={() =>
+                                setPeriod(periodIndex, {
+                                    ...period,
+                                    units: [
+                                        ...period.units,
+                                        createUnit(progression),
+                                    ],
+                                })
+                            }
+                        >
+                            Ajouter une unité
+                        </Button>
+                    </section>
+                ))}
+            </div>
+
+            <Button
+                variant="secondary"
+                onClick={() =>
+                    onChange({
+                        ...progression,
+                        periods: [...periods, createPeriod(progression)],
+                    })
+                }
+                className="mt-6"
+            >
+                Ajouter une période
+            </Button>
+
+            {errors.length > 0 && (
+                <ul className="mt-6 p-3 rounded-lg bg-red-100 text-red-700 text-sm list-disc list-inside">
+                    {errors.map((error) => (
+                        <li key={error}>{error}</li>
+                    ))}
+                </ul>
+            )}
+
+            <div className="flex gap-2 mt-6">
+                <Button variant="primary" onClick={onSave}>
+                    Enregistrer
+                </Button>
+                <Button variant="secondary" onClick={onCancel}>
+                    Annuler
+                </Button>
+            </div>
+        </Card>
+    );
+};
+
+ProgressionForm.propTypes = {
+    progression: PropTypes.shape({
+        id: PropTypes.string.isRequired,
+        name: PropTypes.string.isRequired,
+        description: PropTypes.string,
+        periods: PropTypes.arrayOf(
+            PropTypes.shape({
+                id: PropTypes.string.isRequired,
+                name: PropTypes.string.isRequired,
+                units: PropTypes.arrayOf(PropTypes.object).isRequired,
+            })
+        ).isRequired,
+    }).isRequired,
+    onChange: PropTypes.func.isRequired,
+    onSave: PropTypes.func.isRequired,
+    onCancel: PropTypes.func.isRequired,
+    errors: PropTypes.arrayOf(PropTypes.string),
+};
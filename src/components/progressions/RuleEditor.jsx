@@ -0,0 +1,325 @@
+/**
+ * @file RuleEditor.jsx
+ * @description Réglage d'une règle de génération de faits (type d'opération, nombres, tables, contraintes)
+ */
+
+import PropTypes from "prop-types";
+import { OPERATION_LABELS, OPERATION_TYPES } from "../../data/progressions";
+import {
+    PROGRESSION_LIMITS,
+    RULE_FIELDS,
+    createRule,
+} from "../../utils/customProgressions";
+import { range } from "../../utils/mathUtils";
+
+/**
+ * Libellé de l'intervalle principal, qui ne désigne pas le même nombre selon l'opération
+ * @constant {Object}
+ */
+const RANGE_LABELS = {
+    [OPERATION_TYPES.ADDITION]: "Premier nombre",
+    [OPERATION_TYPES.SUBTRACTION]: "Premier nombre",
+    [OPERATION_TYPES.MULTIPLICATION]: "Multiplié par",
+    [OPERATION_TYPES.DIVISION]: "Quotients",
+    [OPERATION_TYPES.DOUBLES]: "Nombres à doubler",
+    [OPERATION_TYPES.COMPLEMENTS]: "Nombres de départ",
+    [OPERATION_TYPES.COMPARISON]: "Premier nombre",
+};
+
+/**
+ * Libellés des contraintes facultatives sur le résultat
+ * @constant {Object}
+ */
+const RESULT_FIELD_LABELS = {
+    minResult: "Résultat min.",
+    maxResult: "Résultat max.",
+    resultMultipleOf: "Résultat multiple de",
+};
+
+/**
+ * Tables proposées (multiplication, division)
+ * @constant {Array<number>}
+ */
+const TABLE_OPTIONS = range(1, PROGRESSION_LIMITS.MAX_TABLE);
+
+/**
+ * Ramène une saisie entre 0 et le plus grand nombre autorisé
+ * @param {string} input - Valeur saisie
+ * @returns {number} Nombre entier borné
+ */
+const toBoundedNumber = (input) =>
+    Math.min(
+        PROGRESSION_LIMITS.MAX_VALUE,
+        Math.max(0, Math.round(Number(input) || 0))
+    );
+
+/**
+ * Classes des petits champs numériques
+ * @constant {string}
+ */
+const NUMBER_INPUT_CLASSES =
+    "w-16 p-1 border border-gray-300 rounded focus:ring-blue-500 focus:border-blue-500";
+
+/**
+ * Éditeur d'une règle de génération
+ * Seuls les champs utiles au type d'opération sont proposés ; les autres champs de la règle
+ * (ceux des progressions intégrées par exemple) sont conservés tels quels
+ * @param {Object} props - Propriétés du composant
+ * @param {Object} props.rule - Règle de génération
+ * @param {Function} props.onChange - Appelée avec la règle modifiée
+ * @param {Function} props.onRemove - Retire la règle de l'unité
+ * @returns {JSX.Element} Composant RuleEditor
+ */
+export const RuleEditor = ({ rule, onChange, onRemove }) => {
+    const fields = RULE_FIELDS[rule.type] || [];
+    const [min, max] = rule.range || [0, 10];
+
+    /**
+     * Met à jour un champ de la règle (une valeur vide retire le champ)
+     * @param {string} name - Nom du champ
+     * @param {*} value - Nouvelle valeur
+     */
+    const setField = (name, value) => {
+        const nextRule = { ...rule, [name]: value };
+        if (value === undefined || value === false) delete nextRule[name];
+        onChange(nextRule);
+    };
+
+    /**
+     * Met à jour une contrainte numérique facultative
+     * @param {string} name - Nom du champ
+     * @param {string} input - Valeur saisie
+     */
+    const setOptionalNumber = (name, input) =>
+        setField(name, input === "" ? undefined : toBoundedNumber(input));
+
+    /**
+     * Coche ou décoche une table
+     * @param {number} table - Table concernée
+     */
+    const toggleTable = (table) => {
+        const tables = rule.tables || [];
+        const nextTables = tables.includes(table)
+            ? tables.filter((t) => t !== table)
+            : [...tables, table].sort((a, b) => a - b);
+        setField("tables", nextTables);
+    };
+
+    /**
+     * Champs d'un intervalle : de, à et pas
+     * @param {string} name - Champ de l'intervalle ("range" ou "secondRange")
+     * @param {string} stepName - Champ du pas ("step" ou "secondStep")
+     * @param {Array<number>} bounds - Bornes affichées
+     * @returns {JSX.Element} Champs de l'intervalle
+     */
+    const renderRange = (name, stepName, bounds) => (
+        <span className="inline-flex items-center gap-1">
+            de
+            <input
+                type="number"
+                min="0"
+                max={PROGRESSION_LIMITS.MAX_VALUE}
+                value={bounds[0]}
+                onChange={(e) =>
+                    setField(name, [toBoundedNumber(e.target.value), bounds[1]])
+                }
+                className={NUMBER_INPUT_CLASSES}
+            />
+            à
+            <input
+                type="number"
+                min="0"
+                max={PROGRESSION_LIMITS.MAX_VALUE}
+                value={bounds[1]}
+                onChange={(e) =>
+                    setField(name, [bounds[0], toBoundedNumber(e.target.value)])
+                }
+                className={NUMBER_INPUT_CLASSES}
+            />
+            , de
+            <input
+                type="number"
+                min="1"
+                max={PROGRESSION_LIMITS.MAX_VALUE}
+                value={rule[stepName] || 1}
+                onChange={(e) => {
+                    const step = Math.max(1, toBoundedNumber(e.target.value));
+                    setField(stepName, step > 1 ? step : undefined);
+                }}
+                className={NUMBER_INPUT_CLASSES}
+                aria-label="Pas"
+            />
+            {`en ${rule[stepName] || 1}`}
+        </span>
+    );
+
+    return (
+        <div className="p-3 bg-gray-50 rounded-lg text-sm space-y-2">
+            <div className="flex items-center justify-between gap-2">
+                <select
+                    value={rule.type}
+                    onChange={(e) => onChange(createRule(e.target.value))}
+                    aria-label="Type d'opération"
+                    className="p-1 border border-gray-300 rounded focus:ring-blue-500 focus:border-blue-500"
+                >
+                    {Object.values(OPERATION_TYPES).map((type) => (
+                        <option key={type} value={type}>
+                            {OPERATION_LABELS[type]}
+                        </option>
+                    ))}
+                </select>
+                <button
+                    type="button"
+                    onClick={onRemove}
+                    className="text-red-600 hover:underline"
+                >
+                    Retirer la règle
+                </button>
+            </div>
+
+            {fields.includes("tables") && (
+                <fieldset className="flex flex-wrap items-center gap-2">
+                    <legend className="mb-1">Tables</legend>
+                    {TABLE_OPTIONS.map((table) => (
+                        <label key={table} className="flex items-center">
+                            <input
+                                type="checkbox"
+                                checked={(rule.tables || []).includes(table)}
+                                onChange={() => toggleTable(table)}
+                                className="mr-1"
+                            />
+                            {table}
+                        </label>
+                    ))}
+                </fieldset>
+            )}
+
+            <div>
+                <span className="mr-2">{RANGE_LABELS[rule.type]}</span>
+                {renderRange("range", "step", [min, max])}
+            </div>
+
+            {fields.includes("secondRange") && (
+                <div className="flex flex-wrap items-center gap-2">
+                    <label className="flex items-center">
+                        <input
+                            type="checkbox"
+                            checked={Boolean(rule.secondRange)}
+                            onChange={(e) => {
+                                const nextRule = { ...rule };
+                                delete nextRule.secondStep;
+                                if (e.target.checked) {
+                                    nextRule.secondRange = [min, max];
+                                } else {
+                                    delete nextRule.secondRange;
+                                }
+                                onChange(nextRule);
+                            }}
+                            className="mr-2"
+                        />
+                        Second nombre différent
+                    </label>
+                    {rule.secondRange &&
+                        renderRange(
+                            "secondRange",
+                            "secondStep",
+                            rule.secondRange
+                        )}
+                </div>
+            )}
+
+            {fields.includes("target") && (
+                <label className="flex items-center gap-2">
+                    Nombre à atteindre
+                    <input
+                        type="number"
+                        min="1"
+                        max={PROGRESSION_LIMITS.MAX_VALUE}
+                        value={rule.target || 10}
+                        onChange={(e) =>
+                            setField(
+                                "target",
+                                Math.max(1, toBoundedNumber(e.target.value))
+                            )
+                        }
+                        className={NUMBER_INPUT_CLASSES}
+                    />
+                </label>
+            )}
+
+            {Object.keys(RESULT_FIELD_LABELS).some((name) =>
+                fields.includes(name)
+            ) && (
+                <div className="flex flex-wrap gap-3">
+                    {Object.entries(RESULT_FIELD_LABELS)
+                        .filter(([name]) => fields.includes(name))
+                        .map(([name, label]) => (
+                            <label
+                                key={name}
+                                className="flex items-center gap-1"
+                            >
+                                {label}
+                                <input
+                                    type="number"
+                                    min="0"
+                                    max={PROGRESSION_LIMITS.MAX_VALUE}
+                                    value={rule[name] ?? ""}
+                                    onChange={(e) =>
+                                        setOptionalNumber(name, e.target.value)
+                                    }
+                                    className={NUMBER_INPUT_CLASSES}
+                                />
+                            </label>
+                        ))}
+                </div>
+            )}
+
+            {fields.includes("crossTen") && (
+                <label className="flex items-center">
+                    <input
+                        type="checkbox"
+                        checked={Boolean(rule.crossTen)}
+                        onChange={(e) => setField("crossTen", e.target.checked)}
+                        className="mr-2"
+                    />
+                    {rule.type === OPERATION_TYPES.SUBTRACTION
+                        ? "Seulement avec retenue"
+                        : "Seulement avec passage de la dizaine"}
+                </label>
+            )}
+
+            {fields.includes("withRemainder") && (
+                <label className="flex items-center">
+                    <input
+                        type="checkbox"
+                        checked={Boolean(rule.withRemainder)}
+                        onChange={(e) =>
+                            setField("withRemainder", e.target.checked)
+                        }
+                        className="mr-2"
+                    />
+                    Divisions avec reste
+                </label>
+            )}
+        </div>
+    );
+};
+
+RuleEditor.propTypes = {
+    rule: PropTypes.shape({
+        type: PropTypes.string.isRequired,
+        range: PropTypes.arrayOf(PropTypes.number),
+        step: PropTypes.number,
+        secondRange: PropTypes.arrayOf(PropTypes.number),
+        secondStep: PropTypes.number,
+        tables: PropTypes.arrayOf(PropTypes.number),
+        target: PropTypes.number,
+        minResult: PropTypes.number,
+        maxResult: PropTypes.number,
+        resultMultipleOf: PropTypes.number,
+        crossTen: PropTypes.bool,
+        withRemainder: PropTypes.bool,
+    }).isRequired,
+    onChange: PropTypes.func.isRequired,
+    onRemove: PropTypes.func.isRequired,
+};
@@ -0,0 +1,221 @@
+/**
+ * @file UnitEditor.jsx
+ * @description Modification d'une unité d'une progression personnalisée : nom, représentation,
+ * règles de génération et faits générés
+ */
+
+import { useState } from "react";
+import PropTypes from "prop-types";
+import { Button } from "../common/Button";
+import { RuleEditor } from "./RuleEditor";
+import {
+    OPERATION_TYPES,
+    REPRESENTATION_LABELS,
+} from "../../data/progressions";
+import {
+    PROGRESSION_LIMITS,
+    createRule,
+    regenerateUnitFacts,
+} from "../../utils/customProgressions";
+
+/**
+ * Éditeur d'une unité
+ * Les faits sont régénérés à chaque modification des règles ; l'enseignant peut ensuite
+ * retirer les faits qu'il ne veut pas faire travailler
+ * @param {Object} props - Propriétés du composant
+ * @param {Object} props.unit - Unité d'apprentissage
+ * @param {string} props.level - Niveau de la progression (préfixe des identifiants de faits)
+ * @param {Function} props.onChange - Appelée avec l'unité modifiée
+ * @param {Function} props.onRemove - Retire l'unité
+ * @param {Function} props.onMove - Déplace l'unité (-1 vers le haut, 1 vers le bas)
+ * @param {boolean} [props.canMoveUp=true] - Si l'unité peut monter
+ * @param {boolean} [props.canMoveDown=true] - Si l'unité peut descendre
+ * @returns {JSX.Element} Composant UnitEditor
+ */
+export const UnitEditor = ({
+    unit,
+    level,
+    onChange,
+    onRemove,
+    onMove,
+    canMoveUp = true,
+    canMoveDown = true,
+}) => {
+    const [showFacts, setShowFacts] = useState(false);
+    const facts = unit.facts || [];
+
+    /**
+     * Remplace les règles de l'unité et régénère ses faits
+     * @param {Array<Object>} rules - Nouvelles règles
+     */
+    const setRules = (rules) =>
+        onChange(regenerateUnitFacts({ ...unit, rules }, level));
+
+    return (
+        <div className="border border-gray-200 rounded-lg p-3 space-y-3">
+            <div className="flex flex-wrap items-center gap-2">
+                <input
+                    type="text"
+                    value={unit.name}
+                    onChange={(e) =>
+                        onChange({ ...unit, name: e.target.value })
+                    }
+                    aria-label="Nom de l'unité"
+                    className="flex-1 min-w-0 p-2 border border-gray-300 rounded focus:ring-blue-500 focus:border-blue-500"
+                    placeholder="Ex: Doubles jusqu'à 50"
+                />
+                <Button
+                    variant="secondary"
+                    size="sm"
+                    onClick={() => onMove(-1)}
+                    disabled={!canMoveUp}
+                >
+                    Monter
+                </Button>
+                <Button
+                    variant="secondary"
+                    size="sm"
+                    onClick={() => onMove(1)}
+                    disabled={!canMoveDown}
+                >
+                    Descendre
+                </Button>
+                <Button variant="danger" size="sm" onClick={onRemove}>
+                    Supprimer
+                </Button>
+            </div>
+
+            <label className="flex items-center gap-2 text-sm">
+                Représentation
+                <select
+                    value={unit.representation || ""}
+                    onChange={(e) =>
+                        onChange({
+                            ...unit,
+                            representation: e.target.value || null,
+                        })
+                    }
+                    className="p-1 border border-gray-300 rounded focus:ring-blue-500 focus:border-blue-500"
+                >
+                    <option value="">Selon l&lsquo;opération</option>
+                    {Object.entries(REPRESENTATION_LABELS).map(
+                        ([type, label]) => (
+                            <option key={type} value={type}>
+                                {label}
+                            </option>
+                        )
+                    )}
+                </select>
+            </label>
+
+            <div className="space-y-2">
+                {(unit.rules || []).map((rule, index) => (
+                    <RuleEditor
+                        key={index}
+                        rule={rule}
+                        onChange={(nextRule) =>
+                            setRules(
+                                unit.rules.map((r, i) =>
+                                    i === index ? nextRule : r
+                                )
+                            )
+                        }
+                        onRemove={() =>
+                            setRules(unit.rules.filter((_, i) => i !== index))
+                        }
+                    />
+                ))}
+                <Button
+                    variant="secondary"
+                    size="sm"
+                    onClick={() =>
+                        setRules([
+                            ...(unit.rules || []),
+                            createRule(OPERATION_TYPES.ADDITION),
+                        ])
+                    }
+                >
+                    Ajouter une règle
+                </Button>
+            </div>
+
+            <div className="text-sm">
+                <div className="flex flex-wrap items-center justify-between gap-2">
+                    <span
+                        className={
+                            facts.length === 0 ||
+                            facts.length > PROGRESSION_LIMITS.MAX_UNIT_FACTS
+                                ? "text-red-600"
+                                : "text-gray-600"
+                        }
+                    >
+                        {`${facts.length} fait(s) généré(s)`}
+                        {facts.length > PROGRESSION_LIMITS.MAX_UNIT_FACTS &&
+                            ` : ${PROGRESSION_LIMITS.MAX_UNIT_FACTS} au plus, réduisez les intervalles`}
+                    </span>
+                    <span className="flex gap-3">
+                        <button
+                            type="button"
+                            onClick={() => setShowFacts(!showFacts)}
+                            className="text-blue-600 hover:underline"
+                        >
+                            {showFacts ? "Masquer les faits" : "Voir les faits"}
+                        </button>
+                        <button
+                            type="button"
+                            onClick={() => setRules(unit.rules || [])}
+                            className="text-blue-600 hover:underline"
+                        >
+                            Régénérer
+                        </button>
+                    </span>
+                </div>
+
+                {showFacts && (
+                    <ul className="mt-2 flex flex-wrap gap-1 max-h-40 overflow-y-auto">
+                        {facts.map((fact) => (
+                            <li
+                                key={fact.id}
+                                className="flex items-center bg-blue-50 rounded px-2 py-0.5"
+                            >
+                                {fact.question}
+                                <button
+                                    type="button"
+                                    onClick={() =>
+                                        onChange({
+                                            ...unit,
+                                            facts: facts.filter(
+                                                (f) => f.id !== fact.id
+                                            ),
+                                        })
+                                    }
+                                    className="ml-1 text-red-600"
+                                    title="Retirer ce fait"
+                                    aria-label={`Retirer ${fact.question}`}
+                                >
+                                    ×
+                                </button>
+                            </li>
+                        ))}
+                    </ul>
+                )}
+            </div>
+        </div>
+    );
+};
+
+UnitEditor.propTypes = {
+    unit: PropTypes.shape({
+        id: PropTypes.string.isRequired,
+        name: PropTypes.string.isRequired,
+        representation: PropTypes.string,
+        rules: PropTypes.arrayOf(PropTypes.object),
+        facts: PropTypes.arrayOf(PropTypes.object),
+    }).isRequired,
+    level: PropTypes.string.isRequired,
+    onChange: PropTypes.func.isRequired,
+    onRemove: PropTypes.func.isRequired,
+    onMove: PropTypes.func.isRequired,
+    canMoveUp: PropTypes.bool,
+    canMoveDown: PropTypes.bool,
+};
@@ -0,0 +1,194 @@
+/**
+ * @file BackupManager.jsx
+ * @description Téléchargement et restauration d'une sauvegarde complète (.mathmemo.json)
+ */
+
+import { useState } from "react";
+import PropTypes from "prop-types";
+import { Card } from "../common/Card";
+import { Button } from "../common/Button";
+import {
+    BACKUP_FILE_EXTENSION,
+    IMPORT_MODES,
+    createBackup,
+    restoreBackup,
+    validateBackup,
+    parseBackup,
+    getBackupSummary,
+    getBackupFileName,
+} from "../../services/backupService";
+import { downloadFile, readFileAsText } from "../../utils/fileUtils";
+
+/**
+ * Formate le résumé d'une sauvegarde
+ * @param {Object} summary - Résumé retourné par getBackupSummary
+ * @returns {string} Texte du résumé
+ */
+const formatSummary = ({ profiles, facts, sessions }) =>
+    `${profiles} profil(s), ${facts} fait(s), ${sessions} session(s)`;
+
+/**
+ * Carte de sauvegarde et de restauration de toutes les données de l'appareil
+ * @param {Object} props - Propriétés du composant
+ * @param {Function} props.onMessage - Affiche un message { type, text } à l'utilisateur
+ * @returns {JSX.Element} Composant BackupManager
+ */
+export const BackupManager = ({ onMessage }) => {
+    const [importMode, setImportMode] = useState(IMPORT_MODES.MERGE);
+    const [busy, setBusy] = useState(false);
+
+    /**
+     * Télécharge une sauvegarde complète
+     */
+    const handleDownload = async () => {
+        setBusy(true);
+        try {
+            const backup = await createBackup();
+            downloadFile(JSON.stringify(backup, null, 2), getBackupFileName());
+            onMessage({
+                type: "success",
+                text: `Sauvegarde téléchargée : ${formatSummary(getBackupSummary(backup))}`,
+            });
+        } catch (error) {
+            onMessage({
+                type: "error",
+                text: "Impossible de créer la sauvegarde : " + error.message,
+            });
+        } finally {
+            setBusy(false);
+        }
+    };
+
+    /**
+     * Restaure le fichier de sauvegarde choisi
+     * @param {Event} e - Événement de sélection du fichier
+     */
+    const handleImport = async (e) => {
+        const file = e.target.files?.[0];
+        // Permettre de choisir à nouveau le même fichier
+        e.target.value = "";
+        if (!file) return;
+
+        setBusy(true);
+        try {
+            const backup = parseBackup(await readFileAsText(file));
+            const errors = validateBackup(backup);
+            if (errors.length > 0) {
+                onMessage({ type: "error", text: errors.join(" ; ") });
+                return;
+            }
+
+            const confirmText =
+                importMode === IMPORT_MODES.REPLACE
+                    ? "Toutes les données actuelles seront remplacées par"
+                    : "Les données actuelles seront complétées par";
+            if (
+                !window.confirm(
+                    `${confirmText} ${formatSummary(getBackupSummary(backup))}. Continuer ?`
+                )
+            ) {
+                return;
+            }
+
+            const result = await restoreBackup(backup, { mode: importMode });
+            onMessage({
+                type: "success",
+                text:
+                    `Sauvegarde restaurée : ${formatSummary(result)}` +
+                    (result.renamedProfiles > 0
+                        ? ` (${result.renamedProfiles} profil(s) renommé(s) pour éviter un conflit)`
+                        : ""),
+            });
+
+            // Recharger l'application pour relire les données restaurées
+            setTimeout(() => window.location.reload(), 1500);
+        } catch (error) {
+            onMessage({
+                type: "error",
+                text:
+                    "Impossible de restaurer la sauvegarde : " + error.message,
+            });
+        } finally {
+            setBusy(false);
+        }
+    };
+
+    return (
+        <Card elevated className="mb-6">
+            <div className="p-4">
+                <h2 className="text-xl font-semibold mb-2">
+                    Sauvegarde et restauration
+                </h2>
+                <p className="text-sm text-gray-600 mb-4">
+                    Profils, progression, historique des sessions et préférences
+                    de cet appareil, dans un fichier {BACKUP_FILE_EXTENSION}.
+                </p>
+
+                <Button
+                    variant="primary"
+                    fullWidth
+                    onClick={handleDownload}
+                    disabled={busy}
+                    className="mb-4"
+                >
+                    Télécharger une sauvegarde
+                </Button>
+
+                <fieldset className="mb-3">
+                    <legend className="block text-sm font-medium text-gray-700 mb-1">
+                        Lors de la restauration
+                    </legend>
+                    <label className="flex items-center mb-1">
+                        <input
+                            type="radio"
+                            name="importMode"
+                            value={IMPORT_MODES.MERGE}
+                            checked={importMode === IMPORT_MODES.MERGE}
+                            onChange={(e) => setImportMode(e.target.value)}
+                            className="mr-2"
+                        />
+                        <span className="text-sm">
+                            Fusionner avec les données actuelles
+                        </span>
+                    </label>
+                    <label className="flex items-center">
+                        <input
+                            type="radio"
+                            name="importMode"
+                            value={IMPORT_MODES.REPLACE}
+                            checked={importMode === IMPORT_MODES.REPLACE}
+                            onChange={(e) => setImportMode(e.target.value)}
+                            className="mr-2"
+                        />
+                        <span className="text-sm">
+                            Remplacer toutes les données actuelles
+                        </span>
+                    </label>
+                </fieldset>
+
+                <label
+                    htmlFor="backupFile"
+                    className={`block w-full text-center py-2 px-4 rounded-lg font-medium border border-blue-600 text-blue-600 ${
+                        busy
+                            ? "opacity-50 cursor-not-allowed"
+                            : "cursor-pointer hover:bg-blue-50"
+                    }`}
+                >
+                    Restaurer une sauvegarde
+                </label>
+                <input
+                    type="file"
+                    id="backupFile"
+                    accept={`${BACKUP_FILE_EXTENSION},.json,application/json`}
+                    onChange={handleImport}
+                    disabled={busy}
+                    className="hidden"
+                />
+            </div>
+        </Card>
+    );
+};
+
+BackupManager.propTypes = {
+    onMessage: PropTypes.func.isRequired,
+};
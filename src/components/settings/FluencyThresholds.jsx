@@ -0,0 +1,118 @@
+/**
+ * @file FluencyThresholds.jsx
+ * @description Réglage des seuils de fluence d'un niveau, par type d'opération
+ */
+
+import PropTypes from "prop-types";
+import { OPERATION_LABELS } from "../../data/progressions";
+import { useProgressions } from "../../contexts";
+import {
+    FLUENCY_THRESHOLDS,
+    FLUENCY_THRESHOLD_LIMITS,
+    getFluencyThreshold,
+    getProgressionOperationTypes,
+} from "../../utils/fluency";
+import { range } from "../../utils/mathUtils";
+
+/**
+ * Seuils proposés au choix (en secondes)
+ * @constant {Array<number>}
+ */
+const THRESHOLD_OPTIONS = range(
+    FLUENCY_THRESHOLD_LIMITS.MIN,
+    FLUENCY_THRESHOLD_LIMITS.MAX
+);
+
+/**
+ * Champs de réglage des seuils de fluence pour les opérations d'un niveau
+ * Seuls les seuils différents des valeurs par défaut sont conservés dans le profil
+ * @param {Object} props - Propriétés du composant
+ * @param {string} props.level - Niveau scolaire dont on règle les seuils
+ * @param {Object} props.value - Seuils personnalisés, par niveau puis par opération
+ * @param {Function} props.onChange - Appelée avec les nouveaux seuils personnalisés
+ * @returns {JSX.Element} Composant FluencyThresholds
+ */
+export const FluencyThresholds = ({ level, value, onChange }) => {
+    const { progressions } = useProgressions();
+    const operationTypes = getProgressionOperationTypes(progressions[level]);
+    const levelOverrides = value?.[level] || {};
+
+    /**
+     * Transmet les seuils personnalisés du niveau (le niveau est retiré s'il n'en a plus)
+     * @param {Object} nextLevelOverrides - Seuils personnalisés du niveau
+     */
+    const commit = (nextLevelOverrides) => {
+        const nextValue = { ...value };
+        if (Object.keys(nextLevelOverrides).length > 0) {
+            nextValue[level] = nextLevelOverrides;
+        } else {
+            delete nextValue[level];
+        }
+        onChange(nextValue);
+    };
+
+    /**
+     * Met à jour le seuil d'une opération
+     * Choisir la valeur par défaut retire le réglage personnalisé
+     * @param {string} type - Type d'opération
+     * @param {string} input - Valeur choisie (en secondes)
+     */
+    const handleChange = (type, input) => {
+        const seconds = Number(input);
+        const nextLevelOverrides = { ...levelOverrides };
+
+        if (seconds !== FLUENCY_THRESHOLDS[level]?.[type]) {
+            nextLevelOverrides[type] = seconds;
+        } else {
+            delete nextLevelOverrides[type];
+        }
+
+        commit(nextLevelOverrides);
+    };
+
+    return (
+        <div>
+            <div className="grid grid-cols-2 gap-2">
+                {operationTypes.map((type) => (
+                    <label
+                        key={type}
+                        className="flex items-center justify-between text-sm"
+                    >
+                        <span>{OPERATION_LABELS[type] || type}</span>
+                        <span className="flex items-center">
+                            <select
+                                value={getFluencyThreshold(type, level, value)}
+                                onChange={(e) =>
+                                    handleChange(type, e.target.value)
+                                }
+                                className="rounded-md border-gray-300 p-1 border"
+                            >
+                                {THRESHOLD_OPTIONS.map((seconds) => (
+                                    <option key={seconds} value={seconds}>
+                                        {seconds}
+                                    </option>
+                                ))}
+                            </select>
+                            <span className="ml-1 text-gray-500">s</span>
+                        </span>
+                    </label>
+                ))}
+            </div>
+            {Object.keys(levelOverrides).length > 0 && (
+                <button
+                    type="button"
+                    onClick={() => commit({})}
+                    className="text-xs text-blue-600 hover:underline mt-2"
+                >
+                    Rétablir les seuils par défaut
+                </button>
+            )}
+        </div>
+    );
+};
+
+FluencyThresholds.propTypes = {
+    level: PropTypes.string.isRequired,
+    value: PropTypes.objectOf(PropTypes.objectOf(PropTypes.number)),
+    onChange: PropTypes.func.isRequired,
+};
@@ -3,6 +3,8 @@ import { useState, useEffect, useCallback } from "react";
 import PropTypes from "prop-types";
 import { AuthContext, useStorage } from "..";
 import { DIFFICULTY_LEVELS } from "../../data/progressions";
+import { SCHEDULER_TYPES } from "../../utils/spacedRepetition";
+import { trackEvent, ANALYTICS_EVENTS } from "../../services/analyticsEvents";
 
 // Clés de stockage
 const STORAGE_KEYS = {
@@ -10,6 +12,32 @@ const STORAGE_KEYS = {
     ACTIVE_USER: "mathmemo-active-user",
 };
 
+/**
+ * Construit un nouveau profil avec ses préférences par défaut
+ * @param {Object} userData - Données du profil (name, avatar, level, preferences, classId,
+ * unitProgress et placement issus du test de positionnement)
+ * @param {number} [index=0] - Rang du profil, pour des identifiants uniques lors d'une création groupée
+ * @returns {Object} Nouveau profil
+ */
+const buildProfile = (userData, index = 0) => ({
+    id: `user-${Date.now()}${index > 0 ? `-${index}` : ""}`,
+    name: userData.name || "Élève",
+    avatar: userData.avatar || null,
+    level: userData.level || DIFFICULTY_LEVELS.CP,
+    classId: userData.classId || null,
+    preferences: userData.preferences || {
+        showTimer: true,
+        soundEffects: true,
+        darkMode: false,
+        missingOperand: false,
+        scheduler: SCHEDULER_TYPES.CLASSIC,
+    },
+    unitProgress: userData.unitProgress || {},
+    placement: userData.placement || null,
+    createdAt: new Date().toISOString(),
+    updatedAt: new Date().toISOString(),
+});
+
 /**
  * Fournisseur de contexte pour gérer l'authentification des utilisateurs
  * @param {Object} props - Propriétés du composant
@@ -167,6 +195,15 @@ export const AuthProvider = ({ children }) => {
 
                 const profile = profiles.find((p) => p.id === profileId);
                 if (profile) {
+                    if (profile.id !== user?.id) {
+                        trackEvent(
+                            ANALYTICS_EVENTS.PROFILE_SWITCHED,
+                            profile.id,
+                            {
+                                previousUserId: user?.id || null,
+                            }
+                        );
+                    }
                     setUser(profile);
                     setError(null);
                     return profile;
@@ -180,7 +217,7 @@ export const AuthProvider = ({ children }) => {
                 return null;
             }
         },
-        [profiles]
+        [profiles, user]
     );
 
     /**
@@ -196,19 +233,7 @@ export const AuthProvider = ({ children }) => {
                 return null;
             }
 
-            const newProfile = {
-                id: `user-${Date.now()}`,
-                name: userData.name || "Élève",
-                avatar: userData.avatar || null,
-                level: userData.level || DIFFICULTY_LEVELS.CP,
-                preferences: userData.preferences || {
-                    showTimer: true,
-                    soundEffects: true,
-                    darkMode: false,
-                },
-                createdAt: new Date().toISOString(),
-                updatedAt: new Date().toISOString(),
-            };
+            const newProfile = buildProfile(userData);
 
             // Mettre à jour l'état des profils
             setProfiles((prevProfiles) => [
@@ -228,6 +253,73 @@ export const AuthProvider = ({ children }) => {
         }
     }, []);
 
+    /**
+     * Crée plusieurs profils d'un coup (ex: élèves d'une classe) sans changer d'utilisateur actif
+     * @param {Array<Object>} usersData - Données des profils
+     * @returns {Array<Object>} Profils créés
+     */
+    const createProfiles = useCallback((usersData) => {
+        try {
+            if (!Array.isArray(usersData) || usersData.length === 0) {
+                return [];
+            }
+
+            const newProfiles = usersData.map((userData, index) =>
+                buildProfile(userData, index + 1)
+            );
+
+            setProfiles((prevProfiles) => [
+                ...(prevProfiles || []),
+                ...newProfiles,
+            ]);
+            setError(null);
+
+            return newProfiles;
+        } catch (err) {
+            console.error("Erreur lors de la création des profils:", err);
+            setError("Erreur lors de la création des profils: " + err.message);
+            return [];
+        }
+    }, []);
+
+    /**
+     * Met à jour un profil quelconque (ex: affectation d'un élève à une classe)
+     * @param {string} profileId - ID du profil à mettre à jour
+     * @param {Object} updates - Mises à jour à appliquer
+     * @returns {boolean} Succès de l'opération
+     */
+    const updateProfileById = useCallback(
+        (profileId, updates) => {
+            try {
+                const updatedAt = new Date().toISOString();
+
+                setProfiles((prevProfiles) =>
+                    prevProfiles.map((p) =>
+                        p.id === profileId ? { ...p, ...updates, updatedAt } : p
+                    )
+                );
+
+                if (user?.id === profileId) {
+                    setUser((prevUser) => ({
+                        ...prevUser,
+                        ...updates,
+                        updatedAt,
+                    }));
+                }
+
+                setError(null);
+                return true;
+            } catch (err) {
+                console.error("Erreur lors de la mise à jour du profil:", err);
+                setError(
+                    "Erreur lors de la mise à jour du profil: " + err.message
+                );
+                return false;
+            }
+        },
+        [user]
+    );
+
     /**
      * Met à jour le profil de l'utilisateur actif
      * @param {Object} updates - Mises à jour à appliquer
@@ -354,6 +446,8 @@ export const AuthProvider = ({ children }) => {
                     showTimer: true,
                     soundEffects: true,
                     darkMode: false,
+                    missingOperand: false,
+                    scheduler: SCHEDULER_TYPES.CLASSIC,
                 },
                 createdAt: new Date().toISOString(),
                 updatedAt: new Date().toISOString(),
@@ -382,7 +476,9 @@ export const AuthProvider = ({ children }) => {
         error,
         switchProfile,
         createProfile,
+        createProfiles,
         updateProfile,
+        updateProfileById,
         deleteProfile,
         logout,
         loginAsGuest,
@@ -0,0 +1,6 @@
+// src/contexts/classes/ClassContext.jsx
+import { createContext } from "react";
+
+const ClassContext = createContext(null);
+
+export default ClassContext;
@@ -0,0 +1,355 @@
+// src/contexts/classes/ClassProvider.jsx
+import { useState, useEffect, useCallback } from "react";
+import PropTypes from "prop-types";
+import ClassContext from "./ClassContext";
+import { useAuth, useStorage } from "..";
+import { DIFFICULTY_LEVELS } from "../../data/progressions";
+import {
+    parseStudentNames,
+    isValidTeacherPin,
+    hashTeacherPin,
+} from "../../utils/classUtils";
+
+// Clés de stockage
+const STORAGE_KEYS = {
+    CLASSES: "mathmemo-classes",
+    TEACHER_PIN: "mathmemo-teacher-pin",
+};
+
+/**
+ * Fournisseur de contexte pour le mode enseignant : classes, listes d'élèves et code PIN
+ * La gestion des classes n'est possible qu'après déverrouillage avec le code PIN enseignant
+ * @param {Object} props - Propriétés du composant
+ * @param {React.ReactNode} props.children - Composants enfants
+ * @returns {JSX.Element} Fournisseur ClassContext
+ */
+export const ClassProvider = ({ children }) => {
+    const { isInitialized, loadData, saveData, classesService } = useStorage();
+    const { profiles, createProfiles, updateProfileById } = useAuth();
+
+    // États
+    const [classes, setClasses] = useState([]);
+    const [pinHash, setPinHash] = useState(null);
+    const [isTeacherUnlocked, setIsTeacherUnlocked] = useState(false);
+    const [loading, setLoading] = useState(true);
+    const [error, setError] = useState(null);
+
+    // Initialisation au chargement
+    useEffect(() => {
+        if (!isInitialized) return;
+
+        const initializeClasses = async () => {
+            try {
+                setLoading(true);
+
+                let storedClasses = null;
+                // Essayer d'abord d'utiliser classesService (IndexedDB)
+                if (classesService) {
+                    try {
+                        storedClasses = await classesService.getAllClasses();
+                    } catch (err) {
+                        console.warn(
+                            "Impossible d'utiliser classesService, fallback vers loadData:",
+                            err
+                        );
+                    }
+                }
+
+                if (!storedClasses) {
+                    storedClasses = await loadData(STORAGE_KEYS.CLASSES, []);
+                }
+
+                setClasses(storedClasses);
+                setPinHash(await loadData(STORAGE_KEYS.TEACHER_PIN, null));
+                setError(null);
+            } catch (err) {
+                console.error("Erreur lors du chargement des classes:", err);
+                setError("Erreur de chargement des classes: " + err.message);
+            } finally {
+                setLoading(false);
+            }
+        };
+
+        initializeClasses();
+    }, [isInitialized, loadData, classesService]);
+
+    // Sauvegarde des classes quand elles changent
+    useEffect(() => {
+        if (!isInitialized || loading) return;
+
+        const saveClasses = async () => {
+            try {
+                if (classesService) {
+                    try {
+                        for (const classGroup of classes) {
+                            await classesService.saveClass(classGroup);
+                        }
+                        return;
+                    } catch (err) {
+                        console.warn(
+                            "Impossible d'utiliser classesService, fallback vers saveData:",
+                            err
+                        );
+                    }
+                }
+
+                await saveData(STORAGE_KEYS.CLASSES, classes);
+            } catch (err) {
+                console.error("Erreur lors de la sauvegarde des classes:", err);
+                setError(
+                    "Erreur lors de la sauvegarde des classes: " + err.message
+                );
+            }
+        };
+
+        saveClasses();
+    }, [isInitialized, loading, classes, saveData, classesService]);
+
+    /**
+     * Vérifie que le mode enseignant est déverrouillé avant une action de gestion
+     * @returns {boolean} True si l'action est autorisée
+     */
+    const ensureUnlocked = useCallback(() => {
+        if (!isTeacherUnlocked) {
+            setError("Code PIN enseignant requis");
+            return false;
+        }
+        return true;
+    }, [isTeacherUnlocked]);
+
+    /**
+     * Définit le code PIN enseignant (premier usage, ou mode enseignant déverrouillé)
+     * @param {string} pin - Nouveau code PIN (4 à 6 chiffres)
+     * @returns {Promise<boolean>} Succès de l'opération
+     */
+    const setTeacherPin = useCallback(
+        async (pin) => {
+            try {
+                if (pinHash && !isTeacherUnlocked) {
+                    setError("Code PIN enseignant requis");
+                    return false;
+                }
+                if (!isValidTeacherPin(pin)) {
+                    setError("Le code PIN doit comporter 4 à 6 chiffres");
+                    return false;
+                }
+
+                const hash = await hashTeacherPin(pin);
+                await saveData(STORAGE_KEYS.TEACHER_PIN, hash);
+                setPinHash(hash);
+                setIsTeacherUnlocked(true);
+                setError(null);
+                return true;
+            } catch (err) {
+                console.error(
+                    "Erreur lors de l'enregistrement du code PIN:",
+                    err
+                );
+                setError(
+                    "Erreur lors de l'enregistrement du code PIN: " +
+                        err.message
+                );
+                return false;
+            }
+        },
+        [pinHash, isTeacherUnlocked, saveData]
+    );
+
+    /**
+     * Déverrouille le mode enseignant
+     * @param {string} pin - Code PIN saisi
+     * @returns {Promise<boolean>} True si le code est correct
+     */
+    const unlockTeacherMode = useCallback(
+        async (pin) => {
+            try {
+                const isCorrect =
+                    Boolean(pinHash) && (await hashTeacherPin(pin)) === pinHash;
+
+                setIsTeacherUnlocked(isCorrect);
+                setError(isCorrect ? null : "Code PIN incorrect");
+                return isCorrect;
+            } catch (err) {
+                console.error(
+                    "Erreur lors de la vérification du code PIN:",
+                    err
+                );
+                setError(
+                    "Erreur lors de la vérification du code PIN: " + err.message
+                );
+                return false;
+            }
+        },
+        [pinHash]
+    );
+
+    /**
+     * Verrouille le mode enseignant
+     */
+    const lockTeacherMode = useCallback(() => {
+        setIsTeacherUnlocked(false);
+    }, []);
+
+    /**
+     * Crée une classe
+     * @param {Object} classData - Données de la classe
+     * @param {string} classData.name - Nom de la classe
+     * @param {string} [classData.level] - Niveau des élèves créés dans la classe
+     * @returns {Object|null} La classe créée ou null
+     */
+    const createClass = useCallback(
+        ({ name, level }) => {
+            if (!ensureUnlocked()) return null;
+
+            if (!name?.trim()) {
+                setError("Le nom de la classe est requis");
+                return null;
+            }
+
+            const newClass = {
+                id: `class-${Date.now()}`,
+                name: name.trim(),
+                level: level || DIFFICULTY_LEVELS.CP,
+                createdAt: new Date().toISOString(),
+                updatedAt: new Date().toISOString(),
+            };
+
+            setClasses((prevClasses) => [...prevClasses, newClass]);
+            setError(null);
+            return newClass;
+        },
+        [ensureUnlocked]
+    );
+
+    /**
+     * Récupère la liste des élèves d'une classe, triée par nom
+     * @param {string} classId - ID de la classe
+     * @returns {Array<Object>} Profils des élèves
+     */
+    const getRoster = useCallback(
+        (classId) =>
+            profiles
+                .filter((profile) => profile.classId === classId)
+                .sort((a, b) => a.name.localeCompare(b.name, "fr-FR")),
+        [profiles]
+    );
+
+    /**
+     * Crée les profils des élèves d'une liste collée et les inscrit dans la classe
+     * @param {string} classId - ID de la classe
+     * @param {string} namesText - Noms collés (un par ligne, ou séparés par des virgules)
+     * @returns {Array<Object>} Profils créés
+     */
+    const addStudents = useCallback(
+        (classId, namesText) => {
+            if (!ensureUnlocked()) return [];
+
+            const classGroup = classes.find((c) => c.id === classId);
+            if (!classGroup) {
+                setError(`Classe ${classId} non trouvée`);
+                return [];
+            }
+
+            const names = parseStudentNames(
+                namesText,
+                getRoster(classId).map((profile) => profile.name)
+            );
+
+            return createProfiles(
+                names.map((name) => ({
+                    name,
+                    level: classGroup.level,
+                    classId,
+                }))
+            );
+        },
+        [ensureUnlocked, classes, getRoster, createProfiles]
+    );
+
+    /**
+     * Retire un élève de sa classe (son profil et sa progression sont conservés)
+     * @param {string} profileId - ID du profil de l'élève
+     * @returns {boolean} Succès de l'opération
+     */
+    const removeStudent = useCallback(
+        (profileId) => {
+            if (!ensureUnlocked()) return false;
+            return updateProfileById(profileId, { classId: null });
+        },
+        [ensureUnlocked, updateProfileById]
+    );
+
+    /**
+     * Supprime une classe ; ses élèves gardent leur profil et leur progression
+     * @param {string} classId - ID de la classe
+     * @returns {boolean} Succès de l'opération
+     */
+    const deleteClass = useCallback(
+        (classId) => {
+            if (!ensureUnlocked()) return false;
+
+            try {
+                getRoster(classId).forEach((profile) =>
+                    updateProfileById(profile.id, { classId: null })
+                );
+
+                setClasses((prevClasses) =>
+                    prevClasses.filter((c) => c.id !== classId)
+                );
+
+                if (classesService) {
+                    classesService
+                        .deleteClass(classId)
+                        .catch((err) =>
+                            console.warn(
+                                "Erreur lors de la suppression de la classe dans IndexedDB:",
+                                err
+                            )
+                        );
+                }
+
+                setError(null);
+                return true;
+            } catch (err) {
+                console.error(
+                    "Erreur lors de la suppression de la classe:",
+                    err
+                );
+                setError(
+                    "Erreur lors de la suppression de la classe: " + err.message
+                );
+                return false;
+            }
+        },
+        [ensureUnlocked, getRoster, updateProfileById, classesService]
+    );
+
+    // Valeur du contexte à exposer
+    const contextValue = {
+        classes,
+        loading,
+        error,
+        hasTeacherPin: Boolean(pinHash),
+        isTeacherUnlocked,
+        setTeacherPin,
+        unlockTeacherMode,
+        lockTeacherMode,
+        createClass,
+        deleteClass,
+        getRoster,
+        addStudents,
+        removeStudent,
+    };
+
+    return (
+        <ClassContext.Provider value={contextValue}>
+            {children}
+        </ClassContext.Provider>
+    );
+};
+
+ClassProvider.propTypes = {
+    children: PropTypes.node.isRequired,
+};
+
+export default ClassProvider;
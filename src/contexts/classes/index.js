@@ -0,0 +1,6 @@
+// src/contexts/classes/index.js
+import ClassContext from "./ClassContext";
+import ClassProvider from "./ClassProvider";
+import { useClasses } from "./useClasses";
+
+export { ClassContext, ClassProvider, useClasses };
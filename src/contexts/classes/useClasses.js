@@ -0,0 +1,17 @@
+// src/contexts/classes/useClasses.js
+import { useContext } from "react";
+import ClassContext from "./ClassContext";
+
+/**
+ * Hook pour utiliser le contexte des classes
+ * @returns {Object} Contexte des classes
+ */
+export const useClasses = () => {
+    const context = useContext(ClassContext);
+    if (!context) {
+        throw new Error(
+            "useClasses doit être utilisé à l'intérieur d'un ClassProvider"
+        );
+    }
+    return context;
+};
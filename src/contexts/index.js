@@ -2,6 +2,8 @@
 export { default as ProviderComposer } from "./ProviderComposer";
 export * from "./auth";
 export * from "./progress";
+export * from "./classes";
+export * from "./progressions";
 export * from "./storage";
 export * from "./ui";
 export * from "./theme";
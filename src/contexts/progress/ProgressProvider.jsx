@@ -1,12 +1,37 @@
 // src/contexts/progress/ProgressProvider.jsx
 import { useState, useEffect, useCallback, useRef } from "react";
 import PropTypes from "prop-types";
-import { useAuth, useStorage, ProgressContext } from "..";
+import { useAuth, useStorage, useProgressions, ProgressContext } from "..";
+import { useSpacedRepetition } from "../../hooks/useSpacedRepetition";
+import { DIFFICULTY_LEVELS } from "../../data/progressions";
 import {
-    useSpacedRepetition,
-    KNOWLEDGE_LEVELS,
-} from "../../hooks/useSpacedRepetition";
-import { PROGRESSIONS, DIFFICULTY_LEVELS } from "../../data/progressions";
+    createMissingOperandVariants,
+    isFactFromLevel,
+} from "../../utils/factUtils";
+import { groupFactsByFamily } from "../../utils/factFamilies";
+import {
+    summarizeFacts,
+    getDueFacts,
+    getProgressionCoverage,
+    attachProgress,
+} from "../../utils/progressStats";
+import { buildProgressReport } from "../../utils/reportUtils";
+import { generateFactsForLevel } from "../../utils/factGenerator";
+import {
+    buildStudyPlan,
+    getDailyTarget,
+    getNewFactsCap,
+} from "../../utils/studyPlan";
+import {
+    getUnitProgress,
+    getUnitCompletionShare,
+    findUnitLocation,
+    getNextUnit,
+    isUnitComplete,
+} from "../../utils/unitProgression";
+import { getScheduler } from "../../utils/spacedRepetition";
+import { fromFactRecord, toFactRecord } from "../../services/indexedDBService";
+import { trackEvent, ANALYTICS_EVENTS } from "../../services/analyticsEvents";
 
 /**
  * Fournisseur de contexte pour gérer la progression de l'élève
@@ -15,8 +40,11 @@ import { PROGRESSIONS, DIFFICULTY_LEVELS } from "../../data/progressions";
  * @returns {JSX.Element} Fournisseur ProgressContext
  */
 export const ProgressProvider = ({ children }) => {
-    const { user } = useAuth();
-    const { isInitialized, factsService } = useStorage();
+    const { user, updateProfile } = useAuth();
+    const { isInitialized, factsService, sessionsService, loadData, saveData } =
+        useStorage();
+    // Progressions intégrées et personnalisées (un niveau personnalisé n'existe qu'une fois chargé)
+    const { progressions } = useProgressions();
 
     // État pour le niveau, la période et l'unité actifs
     const [currentLevel, setCurrentLevel] = useState(
@@ -26,6 +54,8 @@ export const ProgressProvider = ({ children }) => {
     const [activeUnit, setActiveUnit] = useState(null);
     const [loading, setLoading] = useState(true);
     const [error, setError] = useState(null);
+    // Dernière unité terminée automatiquement, à célébrer avec l'élève
+    const [unitAdvancement, setUnitAdvancement] = useState(null);
 
     // Références pour éviter des rendus inutiles
     const initializedRef = useRef(false);
@@ -44,7 +74,8 @@ export const ProgressProvider = ({ children }) => {
     // Utiliser l'ID de l'utilisateur pour le stockage des données de progression
     const userId = user?.id || "guest";
 
-    // Initialiser le hook de répétition espacée avec l'ID utilisateur et le niveau
+    // Initialiser le hook de répétition espacée avec l'ID utilisateur, le niveau,
+    // l'algorithme de planification et les seuils de fluence choisis dans le profil
     const {
         facts,
         factsToReview,
@@ -53,19 +84,25 @@ export const ProgressProvider = ({ children }) => {
         updateFactProgress,
         getFactsToReviewToday,
         getProgressStats,
-    } = useSpacedRepetition(userId, currentLevel, factsService);
+    } = useSpacedRepetition(
+        userId,
+        currentLevel,
+        factsService,
+        user?.preferences?.scheduler,
+        user?.preferences?.fluencyThresholds
+    );
 
     // Mise à jour de la période et de l'unité actives lors du changement de niveau
     useEffect(() => {
         if (
             !initializedRef.current &&
             currentLevel &&
-            PROGRESSIONS[currentLevel]
+            progressions[currentLevel]
         ) {
             setLoading(true);
 
             try {
-                const firstPeriod = PROGRESSIONS[currentLevel].periods[0];
+                const firstPeriod = progressions[currentLevel].periods[0];
                 if (firstPeriod) {
                     console.log(
                         `Sélection de la période par défaut: ${firstPeriod.name}`
@@ -95,30 +132,68 @@ export const ProgressProvider = ({ children }) => {
                 setLoading(false);
             }
         }
-    }, [currentLevel]);
+    }, [currentLevel, progressions]);
+
+    // Unité enregistrée dans le profil (atteinte automatiquement ou choisie par un adulte)
+    const savedUnitId = getUnitProgress(user, currentLevel).unitId;
+    useEffect(() => {
+        const location = findUnitLocation(
+            currentLevel,
+            savedUnitId,
+            progressions
+        );
+        if (!location) return;
+
+        setActivePeriod(location.period);
+        setActiveUnit(location.unit);
+    }, [currentLevel, savedUnitId, progressions]);
+
+    // Reprendre l'unité active dans la progression modifiée par un enseignant
+    const activeUnitId = activeUnit?.id;
+    useEffect(() => {
+        const location = findUnitLocation(
+            currentLevel,
+            activeUnitId,
+            progressions
+        );
+        if (!location) return;
+
+        setActivePeriod(location.period);
+        setActiveUnit(location.unit);
+    }, [currentLevel, activeUnitId, progressions]);
+
+    // Exercices à trou : chaque fait est aussi proposé avec l'inconnue à une autre place
+    const missingOperandEnabled = Boolean(user?.preferences?.missingOperand);
 
     // Initialiser les faits numériques de l'unité active
     useEffect(() => {
+        const unitKey = `${activeUnit?.id}-${missingOperandEnabled}`;
+
         if (
             !loading &&
             activeUnit &&
             activeUnit.facts &&
             activeUnit.facts.length > 0 &&
-            !initializedUnitsRef.current.has(activeUnit.id) &&
+            !initializedUnitsRef.current.has(unitKey) &&
             isInitialized
         ) {
             try {
+                const unitFacts = missingOperandEnabled
+                    ? activeUnit.facts.flatMap((fact) => [
+                          fact,
+                          ...createMissingOperandVariants(fact),
+                      ])
+                    : activeUnit.facts;
+
                 // Vérifier que les faits ne sont pas déjà ajoutés au système
-                const factsToAdd = activeUnit.facts.filter(
-                    (fact) => !facts[fact.id]
-                );
+                const factsToAdd = unitFacts.filter((fact) => !facts[fact.id]);
 
                 if (factsToAdd.length > 0) {
                     console.log(
                         `Ajout de ${factsToAdd.length} nouveaux faits de l'unité ${activeUnit.name}`
                     );
                     addMultipleFacts(factsToAdd);
-                    initializedUnitsRef.current.add(activeUnit.id);
+                    initializedUnitsRef.current.add(unitKey);
                 }
             } catch (err) {
                 console.error(
@@ -128,91 +203,199 @@ export const ProgressProvider = ({ children }) => {
                 setError(`Erreur lors de l'ajout des faits: ${err.message}`);
             }
         }
-    }, [activeUnit, facts, addMultipleFacts, loading, isInitialized]);
+    }, [
+        activeUnit,
+        facts,
+        addMultipleFacts,
+        loading,
+        isInitialized,
+        missingOperandEnabled,
+    ]);
+
+    /**
+     * Enregistre dans le profil l'avancement de l'élève pour le niveau actuel
+     * @param {Object} updates - Champs à mettre à jour { unitId, completedUnits }
+     */
+    const saveUnitProgress = useCallback(
+        (updates) => {
+            if (!user) return;
+
+            updateProfile({
+                unitProgress: {
+                    ...user.unitProgress,
+                    [currentLevel]: {
+                        ...getUnitProgress(user, currentLevel),
+                        ...updates,
+                    },
+                },
+            });
+        },
+        [user, currentLevel, updateProfile]
+    );
 
     /**
      * Change le niveau de difficulté actif
      * @param {string} level - Niveau de difficulté
      * @returns {boolean} Succès de l'opération
      */
-    const changeLevel = useCallback((level) => {
-        try {
-            if (!PROGRESSIONS[level]) {
+    const changeLevel = useCallback(
+        (level) => {
+            try {
+                if (!progressions[level]) {
+                    console.error(
+                        `Le niveau ${level} n'existe pas dans les progressions`
+                    );
+                    return false;
+                }
+
+                console.log(`Changement de niveau vers: ${level}`);
+
+                // Réinitialiser l'état d'initialisation
+                initializedRef.current = false;
+                initializedUnitsRef.current = new Set();
+
+                if (level !== currentLevel) {
+                    trackEvent(ANALYTICS_EVENTS.LEVEL_CHANGED, user?.id, {
+                        from: currentLevel,
+                        to: level,
+                    });
+                }
+
+                setCurrentLevel(level);
+                return true;
+            } catch (err) {
                 console.error(
-                    `Le niveau ${level} n'existe pas dans les progressions`
+                    `Erreur lors du changement de niveau vers ${level}:`,
+                    err
                 );
+                setError(`Erreur lors du changement de niveau: ${err.message}`);
                 return false;
             }
-
-            console.log(`Changement de niveau vers: ${level}`);
-
-            // Réinitialiser l'état d'initialisation
-            initializedRef.current = false;
-            initializedUnitsRef.current = new Set();
-
-            setCurrentLevel(level);
-            return true;
-        } catch (err) {
-            console.error(
-                `Erreur lors du changement de niveau vers ${level}:`,
-                err
-            );
-            setError(`Erreur lors du changement de niveau: ${err.message}`);
-            return false;
-        }
-    }, []);
+        },
+        [user, currentLevel, progressions]
+    );
 
     /**
-     * Change la période active
+     * Change la période active (choix d'un adulte, prioritaire sur l'avancement automatique)
      * @param {Object} period - Période à activer
      * @returns {boolean} Succès de l'opération
      */
-    const changePeriod = useCallback((period) => {
-        try {
-            if (!period || !period.units) {
-                console.error("Période invalide ou sans unités");
-                return false;
-            }
+    const changePeriod = useCallback(
+        (period) => {
+            try {
+                if (!period || !period.units) {
+                    console.error("Période invalide ou sans unités");
+                    return false;
+                }
 
-            console.log(`Changement de période vers: ${period.name}`);
-            setActivePeriod(period);
+                console.log(`Changement de période vers: ${period.name}`);
+                setActivePeriod(period);
 
-            // Activer la première unité de la nouvelle période par défaut
-            if (period.units.length > 0) {
-                console.log(
-                    `Sélection de la première unité: ${period.units[0].name}`
+                // Activer la première unité de la nouvelle période par défaut
+                if (period.units.length > 0) {
+                    console.log(
+                        `Sélection de la première unité: ${period.units[0].name}`
+                    );
+                    setActiveUnit(period.units[0]);
+                    saveUnitProgress({ unitId: period.units[0].id });
+                }
+
+                return true;
+            } catch (err) {
+                console.error(`Erreur lors du changement de période:`, err);
+                setError(
+                    `Erreur lors du changement de période: ${err.message}`
                 );
-                setActiveUnit(period.units[0]);
+                return false;
             }
-
-            return true;
-        } catch (err) {
-            console.error(`Erreur lors du changement de période:`, err);
-            setError(`Erreur lors du changement de période: ${err.message}`);
-            return false;
-        }
-    }, []);
+        },
+        [saveUnitProgress]
+    );
 
     /**
-     * Change l'unité active
+     * Change l'unité active (choix d'un adulte, prioritaire sur l'avancement automatique)
      * @param {Object} unit - Unité à activer
      * @returns {boolean} Succès de l'opération
      */
-    const changeUnit = useCallback((unit) => {
-        try {
-            if (!unit) {
-                console.error("Unité invalide");
+    const changeUnit = useCallback(
+        (unit) => {
+            try {
+                if (!unit) {
+                    console.error("Unité invalide");
+                    return false;
+                }
+
+                console.log(`Changement d'unité vers: ${unit.name}`);
+                setActiveUnit(unit);
+                saveUnitProgress({ unitId: unit.id });
+                return true;
+            } catch (err) {
+                console.error(`Erreur lors du changement d'unité:`, err);
+                setError(`Erreur lors du changement d'unité: ${err.message}`);
                 return false;
             }
+        },
+        [saveUnitProgress]
+    );
 
-            console.log(`Changement d'unité vers: ${unit.name}`);
-            setActiveUnit(unit);
-            return true;
-        } catch (err) {
-            console.error(`Erreur lors du changement d'unité:`, err);
-            setError(`Erreur lors du changement d'unité: ${err.message}`);
-            return false;
+    // Avancement automatique : l'unité active est terminée quand assez de ses faits
+    // sont en révision ou maîtrisés ; l'unité suivante devient active et les faits
+    // des unités terminées restent proposés en révision
+    const autoAdvanceUnits = user?.preferences?.autoAdvanceUnits ?? true;
+    const unitCompletionShare = getUnitCompletionShare(user?.preferences);
+    useEffect(() => {
+        if (!user || !autoAdvanceUnits || !activeUnit || loading) return;
+
+        const { completedUnits } = getUnitProgress(user, currentLevel);
+        if (
+            completedUnits.includes(activeUnit.id) ||
+            !isUnitComplete(activeUnit, facts, unitCompletionShare)
+        ) {
+            return;
         }
+
+        const next = getNextUnit(currentLevel, activeUnit.id, progressions);
+        console.log(
+            `Unité terminée: ${activeUnit.name}${
+                next ? `, passage à ${next.unit.name}` : ""
+            }`
+        );
+
+        saveUnitProgress({
+            unitId: next ? next.unit.id : activeUnit.id,
+            completedUnits: [...completedUnits, activeUnit.id],
+        });
+        if (next) {
+            setActivePeriod(next.period);
+            setActiveUnit(next.unit);
+        }
+
+        setUnitAdvancement({
+            completedUnit: activeUnit,
+            nextUnit: next ? next.unit : null,
+        });
+        trackEvent(ANALYTICS_EVENTS.UNIT_COMPLETED, user.id, {
+            level: currentLevel,
+            unitId: activeUnit.id,
+            nextUnitId: next ? next.unit.id : null,
+        });
+    }, [
+        user,
+        autoAdvanceUnits,
+        unitCompletionShare,
+        activeUnit,
+        facts,
+        loading,
+        currentLevel,
+        progressions,
+        saveUnitProgress,
+    ]);
+
+    /**
+     * Ferme la célébration de la dernière unité terminée
+     */
+    const dismissUnitAdvancement = useCallback(() => {
+        setUnitAdvancement(null);
     }, []);
 
     /**
@@ -239,48 +422,31 @@ export const ProgressProvider = ({ children }) => {
             return [];
         }
 
-        return activeUnit.facts.map((fact) => ({
-            ...fact,
-            progress: facts[fact.id] || {
-                level: KNOWLEDGE_LEVELS.NEW,
-                successCount: 0,
-                lastReviewed: null,
-                nextReview: null,
-            },
-        }));
+        return attachProgress(activeUnit.facts, facts);
     }, [activeUnit, facts]);
 
+    /**
+     * Regroupe les faits suivis du niveau actuel par famille
+     * @returns {Array<Object>} Familles de faits, les familles signalées en premier
+     */
+    const getFactFamilies = useCallback(
+        () => groupFactsByFamily(facts),
+        [facts]
+    );
+
     /**
      * Calcule les statistiques globales de progression
-     * @returns {Object} Statistiques de progression
+     * @returns {Promise<Object>} Statistiques de progression
      */
-    const getOverallProgress = useCallback(() => {
-        const stats = getProgressStats();
+    const getOverallProgress = useCallback(async () => {
+        const stats = await getProgressStats();
 
         // Calcul du pourcentage de couverture de la progression
-        let totalFactsInProgression = 0;
-        let factsAdded = 0;
-
-        if (currentLevel && PROGRESSIONS[currentLevel]) {
-            PROGRESSIONS[currentLevel].periods.forEach((period) => {
-                period.units.forEach((unit) => {
-                    if (unit.facts) {
-                        totalFactsInProgression += unit.facts.length;
-
-                        unit.facts.forEach((fact) => {
-                            if (facts[fact.id]) {
-                                factsAdded++;
-                            }
-                        });
-                    }
-                });
-            });
-        }
-
-        const progressionCoverage =
-            totalFactsInProgression > 0
-                ? Math.round((factsAdded / totalFactsInProgression) * 100)
-                : 0;
+        const progressionCoverage = getProgressionCoverage(
+            facts,
+            currentLevel,
+            progressions
+        );
 
         return {
             ...stats,
@@ -289,7 +455,208 @@ export const ProgressProvider = ({ children }) => {
             activePeriodName: activePeriod?.name || null,
             activeUnitName: activeUnit?.name || null,
         };
-    }, [currentLevel, facts, getProgressStats, activePeriod, activeUnit]);
+    }, [
+        currentLevel,
+        facts,
+        progressions,
+        getProgressStats,
+        activePeriod,
+        activeUnit,
+    ]);
+
+    /**
+     * Lit les faits suivis d'un autre élève directement dans le stockage,
+     * sans changer d'utilisateur actif
+     * @param {Object} profile - Profil de l'élève
+     * @returns {Promise<Object>} Faits indexés par ID
+     */
+    const loadStudentFacts = useCallback(
+        async (profile) => {
+            const level = profile.level || DIFFICULTY_LEVELS.CP;
+
+            if (factsService) {
+                try {
+                    const records = await factsService.getFactsByUserAndLevel(
+                        profile.id,
+                        level
+                    );
+                    if (records.length > 0) {
+                        return records.reduce((acc, record) => {
+                            const fact = fromFactRecord(record);
+                            acc[fact.id] = fact;
+                            return acc;
+                        }, {});
+                    }
+                } catch (err) {
+                    console.warn(
+                        "Impossible d'utiliser factsService, fallback vers loadData:",
+                        err
+                    );
+                }
+            }
+
+            return loadData(`spaced-rep-${profile.id}-${level}`, {});
+        },
+        [factsService, loadData]
+    );
+
+    /**
+     * Enregistre directement « en révision » les faits qu'un nouvel élève connaît déjà
+     * (test de positionnement), sans changer d'utilisateur actif
+     * L'écriture démarre sans attendre : appelée juste après la création du profil,
+     * elle précède le chargement des faits du nouvel utilisateur actif
+     * @param {Object} profile - Profil de l'élève
+     * @param {Array<Object>} knownFacts - Faits reconnus
+     * @returns {Promise<boolean>} Succès de l'opération
+     */
+    const seedStudentFacts = useCallback(
+        async (profile, knownFacts) => {
+            if (!profile || !knownFacts || knownFacts.length === 0) {
+                return false;
+            }
+
+            const level = profile.level || DIFFICULTY_LEVELS.CP;
+            const scheduler = getScheduler(profile.preferences?.scheduler);
+            const now = new Date();
+            const seededFacts = knownFacts.map((fact) => ({
+                ...fact,
+                lastReviewed: now.toISOString(),
+                history: [],
+                ...scheduler.known(now),
+            }));
+
+            try {
+                if (factsService) {
+                    try {
+                        await factsService.saveManyFacts(
+                            seededFacts.map((fact) =>
+                                toFactRecord(fact, profile.id, level)
+                            )
+                        );
+                        return true;
+                    } catch (err) {
+                        console.warn(
+                            "Impossible d'utiliser factsService, fallback vers saveData:",
+                            err
+                        );
+                    }
+                }
+
+                return await saveData(
+                    `spaced-rep-${profile.id}-${level}`,
+                    Object.fromEntries(
+                        seededFacts.map((fact) => [fact.id, fact])
+                    )
+                );
+            } catch (err) {
+                console.error(
+                    "Erreur lors de l'enregistrement des faits connus:",
+                    err
+                );
+                setError(
+                    `Erreur lors de l'enregistrement des faits connus: ${err.message}`
+                );
+                return false;
+            }
+        },
+        [factsService, saveData]
+    );
+
+    /**
+     * Calcule les statistiques de progression d'un autre élève (vue d'ensemble d'une classe)
+     * @param {Object} profile - Profil de l'élève
+     * @returns {Promise<Object>} Statistiques au format de getOverallProgress
+     */
+    const getStudentProgress = useCallback(
+        async (profile) => {
+            const level = profile.level || DIFFICULTY_LEVELS.CP;
+            const studentFacts = await loadStudentFacts(profile);
+
+            return {
+                ...summarizeFacts(studentFacts),
+                factsToReview: getDueFacts(Object.values(studentFacts)),
+                progressionCoverage: getProgressionCoverage(
+                    studentFacts,
+                    level,
+                    progressions
+                ),
+                currentLevel: level,
+            };
+        },
+        [loadStudentFacts, progressions]
+    );
+
+    /**
+     * Construit le rapport de progression (CSV, rapport imprimable) de l'élève actif
+     * ou d'un autre élève
+     * @param {Object} [profile=null] - Profil de l'élève (élève actif par défaut)
+     * @returns {Promise<Object>} Rapport au format de buildProgressReport
+     */
+    const getProgressReport = useCallback(
+        async (profile = null) => {
+            if (!profile || profile.id === user?.id) {
+                return buildProgressReport({
+                    studentName: user?.name || "Élève",
+                    level: currentLevel,
+                    facts,
+                    overall: await getOverallProgress(),
+                    progressions,
+                });
+            }
+
+            return buildProgressReport({
+                studentName: profile.name,
+                level: profile.level || DIFFICULTY_LEVELS.CP,
+                facts: await loadStudentFacts(profile),
+                overall: await getStudentProgress(profile),
+                progressions,
+            });
+        },
+        [
+            user,
+            currentLevel,
+            facts,
+            progressions,
+            getOverallProgress,
+            loadStudentFacts,
+            getStudentProgress,
+        ]
+    );
+
+    /**
+     * Construit le plan de travail du jour selon l'objectif quotidien du profil
+     * Le plan n'ajoute aucun fait au suivi : les faits nouveaux retournés
+     * sont ajoutés au lancement de la session
+     * @returns {Promise<Object>} Plan { facts, newFacts, counts, target } (buildStudyPlan)
+     */
+    const getStudyPlan = useCallback(async () => {
+        const target = getDailyTarget(user?.preferences);
+        // Les faits chargés depuis le stockage n'ont pas d'ID : il est porté par leur clé
+        const trackedFacts = Object.entries(facts)
+            .filter(([id, fact]) => fact && isFactFromLevel(id, currentLevel))
+            .map(([id, fact]) => ({ ...fact, id }));
+
+        return buildStudyPlan({
+            dueFacts: await getFactsToReviewToday(),
+            trackedFacts,
+            newFacts: generateFactsForLevel(currentLevel, {
+                unitId: activeUnit?.id || null,
+                maxFacts: getNewFactsCap(target),
+                excludeIds: Object.keys(facts),
+                withVariants: missingOperandEnabled,
+                progressions,
+            }),
+            target,
+        });
+    }, [
+        user,
+        facts,
+        currentLevel,
+        progressions,
+        activeUnit,
+        getFactsToReviewToday,
+        missingOperandEnabled,
+    ]);
 
     /**
      * Supprime tous les faits de progression pour l'utilisateur actuel
@@ -331,9 +698,10 @@ export const ProgressProvider = ({ children }) => {
 
     /**
      * Exporte les données de progression au format JSON
-     * @returns {Object|null} Données exportées ou null en cas d'erreur
+     * (la sauvegarde complète de tous les profils est gérée par backupService)
+     * @returns {Promise<Object|null>} Données exportées ou null en cas d'erreur
      */
-    const exportProgress = useCallback(() => {
+    const exportProgress = useCallback(async () => {
         try {
             if (!userId) {
                 console.warn(
@@ -349,7 +717,7 @@ export const ProgressProvider = ({ children }) => {
                 facts,
                 metadata: {
                     totalFacts: Object.keys(facts).length,
-                    stats: getProgressStats(),
+                    stats: await getProgressStats(),
                 },
             };
         } catch (err) {
@@ -362,6 +730,97 @@ export const ProgressProvider = ({ children }) => {
         }
     }, [userId, currentLevel, facts, getProgressStats]);
 
+    /**
+     * Clé de stockage de secours de l'historique des sessions (sans IndexedDB)
+     * @type {string}
+     */
+    const sessionsStorageKey = `mathmemo-sessions-${userId}`;
+
+    /**
+     * Enregistre une session d'exercices terminée
+     * @param {Object} session - Session à enregistrer (début, fin, réponses, statistiques)
+     * @returns {Promise<boolean>} Succès de l'opération
+     */
+    const saveSession = useCallback(
+        async (session) => {
+            if (!session || !session.id) {
+                console.error("Impossible d'enregistrer une session sans ID");
+                return false;
+            }
+
+            const completeSession = { ...session, userId };
+
+            try {
+                if (sessionsService) {
+                    try {
+                        await sessionsService.saveSession(completeSession);
+                        return true;
+                    } catch (err) {
+                        console.warn(
+                            "Impossible d'utiliser sessionsService, fallback vers saveData:",
+                            err
+                        );
+                    }
+                }
+
+                const storedSessions = await loadData(sessionsStorageKey, []);
+                await saveData(sessionsStorageKey, [
+                    ...storedSessions.filter((s) => s.id !== session.id),
+                    completeSession,
+                ]);
+                return true;
+            } catch (err) {
+                console.error(
+                    "Erreur lors de l'enregistrement de la session:",
+                    err
+                );
+                setError(
+                    `Erreur lors de l'enregistrement de la session: ${err.message}`
+                );
+                return false;
+            }
+        },
+        [userId, sessionsService, loadData, saveData, sessionsStorageKey]
+    );
+
+    /**
+     * Récupère l'historique des sessions de l'utilisateur, de la plus récente à la plus ancienne
+     * @returns {Promise<Array>} Sessions enregistrées
+     */
+    const getSessionHistory = useCallback(async () => {
+        try {
+            let sessions = null;
+
+            if (sessionsService) {
+                try {
+                    sessions = await sessionsService.getSessionsByUser(userId);
+                } catch (err) {
+                    console.warn(
+                        "Impossible d'utiliser sessionsService, fallback vers loadData:",
+                        err
+                    );
+                }
+            }
+
+            if (!sessions) {
+                sessions = await loadData(sessionsStorageKey, []);
+            }
+
+            return [...sessions].sort(
+                (a, b) => new Date(b.date) - new Date(a.date)
+            );
+        } catch (err) {
+            console.error(
+                "Erreur lors de la récupération de l'historique des sessions:",
+                err
+            );
+            setError(
+                `Erreur lors de la récupération de l'historique: ${err.message}`
+            );
+            return [];
+        }
+    }, [userId, sessionsService, loadData, sessionsStorageKey]);
+
     // Valeur du contexte à exposer
     const contextValue = {
         currentLevel,
@@ -372,11 +831,20 @@ export const ProgressProvider = ({ children }) => {
         changeLevel,
         changePeriod,
         changeUnit,
+        unitAdvancement,
+        dismissUnitAdvancement,
         getFactProgress,
         getFactsWithProgress,
+        getFactFamilies,
         getOverallProgress,
+        getStudentProgress,
+        seedStudentFacts,
+        getProgressReport,
+        getStudyPlan,
         clearUserProgress,
         exportProgress,
+        saveSession,
+        getSessionHistory,
 
         // Fonctions du système de répétition espacée
         facts,
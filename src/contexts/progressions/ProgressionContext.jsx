@@ -0,0 +1,6 @@
+// src/contexts/progressions/ProgressionContext.jsx
+import { createContext } from "react";
+
+const ProgressionContext = createContext(null);
+
+export default ProgressionContext;
@@ -0,0 +1,281 @@
+// src/contexts/progressions/ProgressionProvider.jsx
+import { useState, useEffect, useCallback, useMemo } from "react";
+import PropTypes from "prop-types";
+import ProgressionContext from "./ProgressionContext";
+import { useAuth, useClasses, useStorage } from "..";
+import {
+    isBuiltInLevel,
+    mergeCustomProgressions,
+    validateProgression,
+} from "../../utils/customProgressions";
+
+// Clés de stockage
+const STORAGE_KEYS = {
+    PROGRESSIONS: "mathmemo-progressions",
+};
+
+/**
+ * Fournisseur de contexte pour les progressions personnalisées des enseignants
+ * Les progressions personnalisées complètent ou remplacent les progressions intégrées (BUILT_IN_PROGRESSIONS) ;
+ * leur modification n'est possible qu'après déverrouillage du mode enseignant
+ * @param {Object} props - Propriétés du composant
+ * @param {React.ReactNode} props.children - Composants enfants
+ * @returns {JSX.Element} Fournisseur ProgressionContext
+ */
+export const ProgressionProvider = ({ children }) => {
+    const { isInitialized, loadData, saveData, progressionsService } =
+        useStorage();
+    const { profiles } = useAuth();
+    const { classes, isTeacherUnlocked } = useClasses();
+
+    // États
+    const [customProgressions, setCustomProgressions] = useState([]);
+    const [loading, setLoading] = useState(true);
+    const [error, setError] = useState(null);
+
+    // Initialisation au chargement
+    useEffect(() => {
+        if (!isInitialized) return;
+
+        const initializeProgressions = async () => {
+            try {
+                setLoading(true);
+
+                let storedProgressions = null;
+                // Essayer d'abord d'utiliser progressionsService (IndexedDB)
+                if (progressionsService) {
+                    try {
+                        storedProgressions =
+                            await progressionsService.getAllProgressions();
+                    } catch (err) {
+                        console.warn(
+                            "Impossible d'utiliser progressionsService, fallback vers loadData:",
+                            err
+                        );
+                    }
+                }
+
+                if (!storedProgressions) {
+                    storedProgressions = await loadData(
+                        STORAGE_KEYS.PROGRESSIONS,
+                        []
+                    );
+                }
+
+                setCustomProgressions(storedProgressions);
+                setError(null);
+            } catch (err) {
+                console.error(
+                    "Erreur lors du chargement des progressions:",
+                    err
+                );
+                setError(
+                    "Erreur de chargement des progressions: " + err.message
+                );
+            } finally {
+                setLoading(false);
+            }
+        };
+
+        initializeProgressions();
+    }, [isInitialized, loadData, progressionsService]);
+
+    // Sauvegarde des progressions quand elles changent
+    useEffect(() => {
+        if (!isInitialized || loading) return;
+
+        const saveProgressions = async () => {
+            try {
+                if (progressionsService) {
+                    try {
+                        for (const progression of customProgressions) {
+                            await progressionsService.saveProgression(
+                                progression
+                            );
+                        }
+                        return;
+                    } catch (err) {
+                        console.warn(
+                            "Impossible d'utiliser progressionsService, fallback vers saveData:",
+                            err
+                        );
+                    }
+                }
+
+                await saveData(STORAGE_KEYS.PROGRESSIONS, customProgressions);
+            } catch (err) {
+                console.error(
+                    "Erreur lors de la sauvegarde des progressions:",
+                    err
+                );
+                setError(
+                    "Erreur lors de la sauvegarde des progressions: " +
+                        err.message
+                );
+            }
+        };
+
+        saveProgressions();
+    }, [
+        isInitialized,
+        loading,
+        customProgressions,
+        saveData,
+        progressionsService,
+    ]);
+
+    // Progressions utilisées, transmises aux utilitaires (générateur de faits, unités, rapports...)
+    const progressions = useMemo(
+        () => mergeCustomProgressions(customProgressions),
+        [customProgressions]
+    );
+
+    /**
+     * Vérifie que le mode enseignant est déverrouillé avant une modification
+     * @returns {boolean} True si l'action est autorisée
+     */
+    const ensureUnlocked = useCallback(() => {
+        if (!isTeacherUnlocked) {
+            setError("Code PIN enseignant requis");
+            return false;
+        }
+        return true;
+    }, [isTeacherUnlocked]);
+
+    /**
+     * Nombre de profils et de classes qui utilisent un niveau
+     * @param {string} level - Niveau scolaire
+     * @returns {Object} { profiles, classes }
+     */
+    const getProgressionUsage = useCallback(
+        (level) => ({
+            profiles: profiles.filter((profile) => profile.level === level)
+                .length,
+            classes: classes.filter((classGroup) => classGroup.level === level)
+                .length,
+        }),
+        [profiles, classes]
+    );
+
+    /**
+     * Enregistre une progression personnalisée (création, ou modification d'une
+     * progression intégrée ou personnalisée de même identifiant)
+     * @param {Object} progression - Progression complète
+     * @returns {boolean} Succès de l'opération
+     */
+    const saveProgression = useCallback(
+        (progression) => {
+            if (!ensureUnlocked()) return false;
+
+            const errors = validateProgression(progression);
+            if (errors.length > 0) {
+                setError(errors[0]);
+                return false;
+            }
+
+            setCustomProgressions((prevProgressions) => [
+                ...prevProgressions.filter((p) => p.id !== progression.id),
+                progression,
+            ]);
+            setError(null);
+            return true;
+        },
+        [ensureUnlocked]
+    );
+
+    /**
+     * Supprime une progression personnalisée ; pour une progression intégrée modifiée,
+     * la progression d'origine est rétablie. Un niveau personnalisé encore utilisé
+     * par un profil ou une classe n'est pas supprimé
+     * @param {string} id - Identifiant du niveau
+     * @returns {boolean} Succès de l'opération
+     */
+    const deleteProgression = useCallback(
+        (id) => {
+            if (!ensureUnlocked()) return false;
+
+            try {
+                const usage = getProgressionUsage(id);
+                if (!isBuiltInLevel(id) && (usage.profiles || usage.classes)) {
+                    setError(
+                        `Progression utilisée par ${usage.profiles} profil(s) et ${usage.classes} classe(s) : changez d'abord leur niveau`
+                    );
+                    return false;
+                }
+
+                setCustomProgressions((prevProgressions) =>
+                    prevProgressions.filter((p) => p.id !== id)
+                );
+
+                if (progressionsService) {
+                    progressionsService
+                        .deleteProgression(id)
+                        .catch((err) =>
+                            console.warn(
+                                "Erreur lors de la suppression de la progression dans IndexedDB:",
+                                err
+                            )
+                        );
+                }
+
+                setError(null);
+                return true;
+            } catch (err) {
+                console.error(
+                    "Erreur lors de la suppression de la progression:",
+                    err
+                );
+                setError(
+                    "Erreur lors de la suppression de la progression: " +
+                        err.message
+                );
+                return false;
+            }
+        },
+        [ensureUnlocked, getProgressionUsage, progressionsService]
+    );
+
+    /**
+     * Importe des progressions (celles de même identifiant sont remplacées)
+     * @param {Array<Object>} importedProgressions - Progressions validées d'un fichier
+     * @returns {number} Nombre de progressions importées
+     */
+    const importProgressions = useCallback(
+        (importedProgressions) => {
+            if (!ensureUnlocked()) return 0;
+
+            const importedIds = new Set(importedProgressions.map((p) => p.id));
+            setCustomProgressions((prevProgressions) => [
+                ...prevProgressions.filter((p) => !importedIds.has(p.id)),
+                ...importedProgressions,
+            ]);
+            setError(null);
+            return importedProgressions.length;
+        },
+        [ensureUnlocked]
+    );
+
+    // Valeur du contexte à exposer
+    const contextValue = {
+        progressions,
+        customProgressions,
+        loading,
+        error,
+        getProgressionUsage,
+        saveProgression,
+        deleteProgression,
+        importProgressions,
+    };
+
+    return (
+        <ProgressionContext.Provider value={contextValue}>
+            {children}
+        </ProgressionContext.Provider>
+    );
+};
+
+ProgressionProvider.propTypes = {
+    children: PropTypes.node.isRequired,
+};
+
+export default ProgressionProvider;
@@ -0,0 +1,6 @@
+// src/contexts/progressions/index.js
+import ProgressionContext from "./ProgressionContext";
+import ProgressionProvider from "./ProgressionProvider";
+import { useProgressions } from "./useProgressions";
+
+export { ProgressionContext, ProgressionProvider, useProgressions };
@@ -0,0 +1,17 @@
+// src/contexts/progressions/useProgressions.js
+import { useContext } from "react";
+import ProgressionContext from "./ProgressionContext";
+
+/**
+ * Hook pour utiliser le contexte des progressions
+ * @returns {Object} Contexte des progressions
+ */
+export const useProgressions = () => {
+    const context = useContext(ProgressionContext);
+    if (!context) {
+        throw new Error(
+            "useProgressions doit être utilisé à l'intérieur d'un ProgressionProvider"
+        );
+    }
+    return context;
+};
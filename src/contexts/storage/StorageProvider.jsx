@@ -7,6 +7,11 @@ import indexedDBService, {
     isIndexedDBSupported,
     keyValueService,
 } from "../../services/indexedDBService";
+import {
+    trackEvent,
+    pruneEvents,
+    ANALYTICS_EVENTS,
+} from "../../services/analyticsEvents";
 
 /**
  * Vérifie si une valeur est sérialisable pour le stockage
@@ -96,6 +101,9 @@ export const StorageProvider = ({ children }) => {
                 await initializeDatabase();
                 console.log("Stockage IndexedDB initialisé avec succès");
 
+                // Purger les événements analytiques trop anciens, sans attendre
+                pruneEvents();
+
                 // Vérifier si la migration a déjà été effectuée
                 const migrationData = await keyValueService.getItem(
                     "mathmemo-migration-completed"
@@ -294,8 +302,10 @@ export const StorageProvider = ({ children }) => {
                 const db = indexedDBService.getDatabase();
                 if (db) {
                     await db.profiles.clear();
-                    await db.facts.clear();
+                    await db.factRecords.clear();
                     await db.sessions.clear();
+                    await db.classes.clear();
+                    await db.progressions.clear();
                     await db.analytics.clear();
                 }
             } else {
@@ -329,6 +339,9 @@ export const StorageProvider = ({ children }) => {
                 date: new Date().toISOString(),
                 ...result,
             });
+            trackEvent(ANALYTICS_EVENTS.MIGRATION_RUN, null, {
+                success: result?.success ?? false,
+            });
             return result;
         } catch (err) {
             console.error(
@@ -17,6 +17,20 @@ export const OPERATION_TYPES = {
     COMPLEMENTS: "complements",
 };
 
+/**
+ * Libellés des types d'opérations pour l'affichage
+ * @constant {Object}
+ */
+export const OPERATION_LABELS = {
+    [OPERATION_TYPES.ADDITION]: "Additions",
+    [OPERATION_TYPES.SUBTRACTION]: "Soustractions",
+    [OPERATION_TYPES.MULTIPLICATION]: "Multiplications",
+    [OPERATION_TYPES.DIVISION]: "Divisions",
+    [OPERATION_TYPES.COMPARISON]: "Comparaisons",
+    [OPERATION_TYPES.DOUBLES]: "Doubles",
+    [OPERATION_TYPES.COMPLEMENTS]: "Compléments",
+};
+
 /**
  * Niveaux de difficulté
  * @constant {Object}
@@ -28,11 +42,41 @@ export const DIFFICULTY_LEVELS = {
 };
 
 /**
- * Progressions didactiques pour le cycle 2 (CP, CE1, CE2)
+ * Représentations imagées d'un fait (matériel de manipulation)
+ * @constant {Object}
+ */
+export const REPRESENTATION_TYPES = {
+    NONE: "none", // Calcul seul, sans représentation
+    CONSTELLATION: "constellation", // Constellations du dé
+    TEN_FRAME: "ten_frame", // Cadres de dix
+    BASE_TEN: "base_ten", // Barres de dix et cubes unités
+    ARRAY: "array", // Quadrillage rangées × colonnes
+    SHARING: "sharing", // Partage équitable en groupes
+};
+
+/**
+ * Libellés des représentations pour l'affichage
+ * @constant {Object}
+ */
+export const REPRESENTATION_LABELS = {
+    [REPRESENTATION_TYPES.NONE]: "Aucune",
+    [REPRESENTATION_TYPES.CONSTELLATION]: "Constellations",
+    [REPRESENTATION_TYPES.TEN_FRAME]: "Cadres de dix",
+    [REPRESENTATION_TYPES.BASE_TEN]: "Barres et cubes",
+    [REPRESENTATION_TYPES.ARRAY]: "Quadrillage",
+    [REPRESENTATION_TYPES.SHARING]: "Partage en groupes",
+};
+
+/**
+ * Progressions didactiques intégrées pour le cycle 2 (CP, CE1, CE2)
  * Organisées par niveau scolaire, puis par période, puis par unités d'apprentissage
- * @constant {Array}
+ * Chaque unité déclare ses règles de génération (`rules`) utilisées par utils/factGenerator.js
+ * et la représentation imagée de ses faits (`representation`, valeur de REPRESENTATION_TYPES)
+ * Ces données ne sont jamais modifiées : ProgressionProvider les complète par les progressions
+ * personnalisées dans une copie, transmise aux utilitaires qui en ont besoin
+ * @constant {Object}
  */
-export const PROGRESSIONS = {
+export const BUILT_IN_PROGRESSIONS = {
     [DIFFICULTY_LEVELS.CP]: {
         id: "cp",
         name: "CP (6-7 ans)",
@@ -45,6 +89,10 @@ export const PROGRESSIONS = {
                     {
                         id: "cp-unit-1",
                         name: "Découverte des nombres (0-5)",
+                        representation: REPRESENTATION_TYPES.CONSTELLATION,
+                        rules: [
+                            { type: OPERATION_TYPES.COMPARISON, range: [0, 5] },
+                        ],
                         facts: [
                             {
                                 id: "cp-comp-0-1",
@@ -81,6 +129,14 @@ export const PROGRESSIONS = {
                     {
                         id: "cp-unit-2",
                         name: "Addition de petits nombres (somme ≤ 5)",
+                        representation: REPRESENTATION_TYPES.CONSTELLATION,
+                        rules: [
+                            {
+                                type: OPERATION_TYPES.ADDITION,
+                                range: [0, 5],
+                                maxResult: 5,
+                            },
+                        ],
                         facts: [
                             {
                                 id: "cp-add-0-1",
@@ -170,6 +226,14 @@ export const PROGRESSIONS = {
                     {
                         id: "cp-unit-3",
                         name: "Les compléments à 10",
+                        representation: REPRESENTATION_TYPES.TEN_FRAME,
+                        rules: [
+                            {
+                                type: OPERATION_TYPES.COMPLEMENTS,
+                                range: [1, 9],
+                                target: 10,
+                            },
+                        ],
                         facts: [
                             {
                                 id: "cp-comp-1-to-10",
@@ -239,6 +303,10 @@ export const PROGRESSIONS = {
                     {
                         id: "cp-unit-4",
                         name: "Doubles jusqu'à 10",
+                        representation: REPRESENTATION_TYPES.CONSTELLATION,
+                        rules: [
+                            { type: OPERATION_TYPES.DOUBLES, range: [1, 5] },
+                        ],
                         facts: [
                             {
                                 id: "cp-double-1",
@@ -286,6 +354,14 @@ export const PROGRESSIONS = {
                     {
                         id: "cp-unit-5",
                         name: "Addition de nombres (somme ≤ 10)",
+                        representation: REPRESENTATION_TYPES.TEN_FRAME,
+                        rules: [
+                            {
+                                type: OPERATION_TYPES.ADDITION,
+                                range: [0, 10],
+                                maxResult: 10,
+                            },
+                        ],
                         facts: [
                             {
                                 id: "cp-add-3-3",
@@ -369,6 +445,13 @@ export const PROGRESSIONS = {
                     {
                         id: "cp-unit-6",
                         name: "Soustractions simples (nombres ≤ 10)",
+                        representation: REPRESENTATION_TYPES.TEN_FRAME,
+                        rules: [
+                            {
+                                type: OPERATION_TYPES.SUBTRACTION,
+                                range: [0, 10],
+                            },
+                        ],
                         facts: [
                             {
                                 id: "cp-sub-5-1",
@@ -451,6 +534,14 @@ export const PROGRESSIONS = {
                     {
                         id: "cp-unit-7",
                         name: "Nombres jusqu'à 20",
+                        representation: REPRESENTATION_TYPES.TEN_FRAME,
+                        rules: [
+                            {
+                                type: OPERATION_TYPES.ADDITION,
+                                range: [10, 10],
+                                secondRange: [1, 10],
+                            },
+                        ],
                         facts: [
                             {
                                 id: "cp-add-10-1",
@@ -527,6 +618,14 @@ export const PROGRESSIONS = {
                     {
                         id: "cp-unit-8",
                         name: "Compléments à 20",
+                        representation: REPRESENTATION_TYPES.TEN_FRAME,
+                        rules: [
+                            {
+                                type: OPERATION_TYPES.COMPLEMENTS,
+                                range: [10, 19],
+                                target: 20,
+                            },
+                        ],
                         facts: [
                             {
                                 id: "cp-comp-15-to-20",
@@ -574,6 +673,14 @@ export const PROGRESSIONS = {
                     {
                         id: "cp-unit-9",
                         name: "Addition avec passage par 10",
+                        representation: REPRESENTATION_TYPES.TEN_FRAME,
+                        rules: [
+                            {
+                                type: OPERATION_TYPES.ADDITION,
+                                range: [2, 9],
+                                crossTen: true,
+                            },
+                        ],
                         facts: [
                             {
                                 id: "cp-add-9-1",
@@ -629,6 +736,20 @@ export const PROGRESSIONS = {
                     {
                         id: "cp-unit-10",
                         name: "Révision et consolidation",
+                        representation: REPRESENTATION_TYPES.NONE,
+                        rules: [
+                            {
+                                type: OPERATION_TYPES.ADDITION,
+                                range: [2, 9],
+                                crossTen: true,
+                            },
+                            {
+                                type: OPERATION_TYPES.SUBTRACTION,
+                                range: [11, 18],
+                                secondRange: [2, 9],
+                                crossTen: true,
+                            },
+                        ],
                         facts: [
                             {
                                 id: "cp-rev-add-9-5",
@@ -697,6 +818,15 @@ export const PROGRESSIONS = {
                     {
                         id: "ce1-unit-1",
                         name: "Addition avec retenue (somme ≤ 20)",
+                        representation: REPRESENTATION_TYPES.TEN_FRAME,
+                        rules: [
+                            {
+                                type: OPERATION_TYPES.ADDITION,
+                                range: [2, 9],
+                                crossTen: true,
+                                maxResult: 20,
+                            },
+                        ],
                         facts: [
                             {
                                 id: "ce1-add-7-8",
@@ -787,6 +917,14 @@ export const PROGRESSIONS = {
                     {
                         id: "ce1-unit-2",
                         name: "Soustractions de base (nombres ≤ 20)",
+                        representation: REPRESENTATION_TYPES.TEN_FRAME,
+                        rules: [
+                            {
+                                type: OPERATION_TYPES.SUBTRACTION,
+                                range: [10, 20],
+                                secondRange: [1, 9],
+                            },
+                        ],
                         facts: [
                             {
                                 id: "ce1-sub-10-5",
@@ -869,6 +1007,15 @@ export const PROGRESSIONS = {
                     {
                         id: "ce1-unit-3",
                         name: "Doubles et moitiés (jusqu'à 20)",
+                        representation: REPRESENTATION_TYPES.TEN_FRAME,
+                        rules: [
+                            { type: OPERATION_TYPES.DOUBLES, range: [6, 10] },
+                            {
+                                type: OPERATION_TYPES.DIVISION,
+                                tables: [2],
+                                range: [5, 10],
+                            },
+                        ],
                         facts: [
                             {
                                 id: "ce1-double-6",
@@ -952,6 +1099,19 @@ export const PROGRESSIONS = {
                     {
                         id: "ce1-unit-4",
                         name: "Addition et soustraction de 10",
+                        representation: REPRESENTATION_TYPES.BASE_TEN,
+                        rules: [
+                            {
+                                type: OPERATION_TYPES.ADDITION,
+                                range: [1, 89],
+                                secondRange: [10, 10],
+                            },
+                            {
+                                type: OPERATION_TYPES.SUBTRACTION,
+                                range: [11, 99],
+                                secondRange: [10, 10],
+                            },
+                        ],
                         facts: [
                             {
                                 id: "ce1-add-10-p-5",
@@ -1048,6 +1208,15 @@ export const PROGRESSIONS = {
                     {
                         id: "ce1-unit-5",
                         name: "Soustraction avec emprunt",
+                        representation: REPRESENTATION_TYPES.TEN_FRAME,
+                        rules: [
+                            {
+                                type: OPERATION_TYPES.SUBTRACTION,
+                                range: [11, 18],
+                                secondRange: [2, 9],
+                                crossTen: true,
+                            },
+                        ],
                         facts: [
                             {
                                 id: "ce1-sub-12-5",
@@ -1117,6 +1286,15 @@ export const PROGRESSIONS = {
                     {
                         id: "ce1-unit-6",
                         name: "Compléments à 100",
+                        representation: REPRESENTATION_TYPES.BASE_TEN,
+                        rules: [
+                            {
+                                type: OPERATION_TYPES.COMPLEMENTS,
+                                range: [10, 90],
+                                step: 10,
+                                target: 100,
+                            },
+                        ],
                         facts: [
                             {
                                 id: "ce1-comp-10-to-100",
@@ -1192,6 +1370,14 @@ export const PROGRESSIONS = {
                     {
                         id: "ce1-unit-7",
                         name: "Initiation à la multiplication",
+                        representation: REPRESENTATION_TYPES.ARRAY,
+                        rules: [
+                            {
+                                type: OPERATION_TYPES.MULTIPLICATION,
+                                tables: [2, 5],
+                                range: [1, 5],
+                            },
+                        ],
                         facts: [
                             {
                                 id: "ce1-mult-2-1",
@@ -1268,6 +1454,14 @@ export const PROGRESSIONS = {
                     {
                         id: "ce1-unit-8",
                         name: "Table de 10",
+                        representation: REPRESENTATION_TYPES.ARRAY,
+                        rules: [
+                            {
+                                type: OPERATION_TYPES.MULTIPLICATION,
+                                tables: [10],
+                                range: [1, 10],
+                            },
+                        ],
                         facts: [
                             {
                                 id: "ce1-mult-10-1",
@@ -1350,6 +1544,16 @@ export const PROGRESSIONS = {
                     {
                         id: "ce1-unit-9",
                         name: "Révision et consolidation des additions",
+                        representation: REPRESENTATION_TYPES.NONE,
+                        rules: [
+                            {
+                                type: OPERATION_TYPES.ADDITION,
+                                range: [11, 89],
+                                secondRange: [2, 29],
+                                crossTen: true,
+                                maxResult: 99,
+                            },
+                        ],
                         facts: [
                             {
                                 id: "ce1-add-27-5",
@@ -1412,6 +1616,15 @@ export const PROGRESSIONS = {
                     {
                         id: "ce1-unit-10",
                         name: "Révision et consolidation des soustractions",
+                        representation: REPRESENTATION_TYPES.NONE,
+                        rules: [
+                            {
+                                type: OPERATION_TYPES.SUBTRACTION,
+                                range: [21, 100],
+                                secondRange: [2, 49],
+                                crossTen: true,
+                            },
+                        ],
                         facts: [
                             {
                                 id: "ce1-sub-35-8",
@@ -1487,6 +1700,14 @@ export const PROGRESSIONS = {
                     {
                         id: "ce2-unit-1",
                         name: "Tables de multiplication de 2, 5 et 10",
+                        representation: REPRESENTATION_TYPES.ARRAY,
+                        rules: [
+                            {
+                                type: OPERATION_TYPES.MULTIPLICATION,
+                                tables: [2, 5, 10],
+                                range: [1, 10],
+                            },
+                        ],
                         facts: [
                             // Table de 2
                             {
@@ -1708,6 +1929,16 @@ export const PROGRESSIONS = {
                     {
                         id: "ce2-unit-2",
                         name: "Doubles et moitiés",
+                        representation: REPRESENTATION_TYPES.BASE_TEN,
+                        rules: [
+                            { type: OPERATION_TYPES.DOUBLES, range: [6, 25] },
+                            {
+                                type: OPERATION_TYPES.DIVISION,
+                                tables: [2],
+                                range: [5, 50],
+                                step: 5,
+                            },
+                        ],
                         facts: [
                             {
                                 id: "ce2-double-6",
@@ -1797,6 +2028,14 @@ export const PROGRESSIONS = {
                     {
                         id: "ce2-unit-3",
                         name: "Tables de multiplication de 3 et 4",
+                        representation: REPRESENTATION_TYPES.ARRAY,
+                        rules: [
+                            {
+                                type: OPERATION_TYPES.MULTIPLICATION,
+                                tables: [3, 4],
+                                range: [1, 10],
+                            },
+                        ],
                         facts: [
                             // Table de 3
                             {
@@ -1946,6 +2185,14 @@ export const PROGRESSIONS = {
                     {
                         id: "ce2-unit-4",
                         name: "Divisions simples",
+                        representation: REPRESENTATION_TYPES.SHARING,
+                        rules: [
+                            {
+                                type: OPERATION_TYPES.DIVISION,
+                                tables: [2, 3, 4],
+                                range: [1, 10],
+                            },
+                        ],
                         facts: [
                             {
                                 id: "ce2-div-4-2",
@@ -2042,6 +2289,14 @@ export const PROGRESSIONS = {
                     {
                         id: "ce2-unit-5",
                         name: "Tables de multiplication de 6 et 7",
+                        representation: REPRESENTATION_TYPES.ARRAY,
+                        rules: [
+                            {
+                                type: OPERATION_TYPES.MULTIPLICATION,
+                                tables: [6, 7],
+                                range: [1, 10],
+                            },
+                        ],
                         facts: [
                             // Table de 6
                             {
@@ -2191,6 +2446,23 @@ export const PROGRESSIONS = {
                     {
                         id: "ce2-unit-6",
                         name: "Calcul mental avec nombres à 2 chiffres",
+                        representation: REPRESENTATION_TYPES.BASE_TEN,
+                        rules: [
+                            {
+                                type: OPERATION_TYPES.ADDITION,
+                                range: [11, 89],
+                                secondRange: [11, 89],
+                                maxResult: 100,
+                                resultMultipleOf: 10,
+                            },
+                            {
+                                type: OPERATION_TYPES.SUBTRACTION,
+                                range: [20, 100],
+                                step: 10,
+                                secondRange: [5, 95],
+                                secondStep: 5,
+                            },
+                        ],
                         facts: [
                             {
                                 id: "ce2-add-25-25",
@@ -2273,6 +2545,14 @@ export const PROGRESSIONS = {
                     {
                         id: "ce2-unit-7",
                         name: "Tables de multiplication de 8 et 9",
+                        representation: REPRESENTATION_TYPES.ARRAY,
+                        rules: [
+                            {
+                                type: OPERATION_TYPES.MULTIPLICATION,
+                                tables: [8, 9],
+                                range: [1, 10],
+                            },
+                        ],
                         facts: [
                             // Table de 8
                             {
@@ -2422,90 +2702,123 @@ export const PROGRESSIONS = {
                     {
                         id: "ce2-unit-8",
                         name: "Divisions avec reste",
+                        representation: REPRESENTATION_TYPES.SHARING,
+                        rules: [
+                            {
+                                type: OPERATION_TYPES.DIVISION,
+                                tables: [2, 3, 4, 5],
+                                range: [1, 9],
+                                withRemainder: true,
+                            },
+                        ],
                         facts: [
                             {
                                 id: "ce2-div-7-2",
                                 type: OPERATION_TYPES.DIVISION,
                                 operands: [7, 2],
                                 answer: 3,
-                                question: "7 ÷ 2 = ? (reste 1)",
+                                quotient: 3,
+                                remainder: 1,
+                                question: "7 ÷ 2 = ? reste ?",
                             },
                             {
                                 id: "ce2-div-9-2",
                                 type: OPERATION_TYPES.DIVISION,
                                 operands: [9, 2],
                                 answer: 4,
-                                question: "9 ÷ 2 = ? (reste 1)",
+                                quotient: 4,
+                                remainder: 1,
+                                question: "9 ÷ 2 = ? reste ?",
                             },
                             {
                                 id: "ce2-div-11-2",
                                 type: OPERATION_TYPES.DIVISION,
                                 operands: [11, 2],
                                 answer: 5,
-                                question: "11 ÷ 2 = ? (reste 1)",
+                                quotient: 5,
+                                remainder: 1,
+                                question: "11 ÷ 2 = ? reste ?",
                             },
                             {
                                 id: "ce2-div-13-2",
                                 type: OPERATION_TYPES.DIVISION,
                                 operands: [13, 2],
                                 answer: 6,
-                                question: "13 ÷ 2 = ? (reste 1)",
+                                quotient: 6,
+                                remainder: 1,
+                                question: "13 ÷ 2 = ? reste ?",
                             },
                             {
                                 id: "ce2-div-7-3",
                                 type: OPERATION_TYPES.DIVISION,
                                 operands: [7, 3],
                                 answer: 2,
-                                question: "7 ÷ 3 = ? (reste 1)",
+                                quotient: 2,
+                                remainder: 1,
+                                question: "7 ÷ 3 = ? reste ?",
                             },
                             {
                                 id: "ce2-div-8-3",
                                 type: OPERATION_TYPES.DIVISION,
                                 operands: [8, 3],
                                 answer: 2,
-                                question: "8 ÷ 3 = ? (reste 2)",
+                                quotient: 2,
+                                remainder: 2,
+                                question: "8 ÷ 3 = ? reste ?",
                             },
                             {
                                 id: "ce2-div-10-3",
                                 type: OPERATION_TYPES.DIVISION,
                                 operands: [10, 3],
                                 answer: 3,
-                                question: "10 ÷ 3 = ? (reste 1)",
+                                quotient: 3,
+                                remainder: 1,
+                                question: "10 ÷ 3 = ? reste ?",
                             },
                             {
                                 id: "ce2-div-11-3",
                                 type: OPERATION_TYPES.DIVISION,
                                 operands: [11, 3],
                                 answer: 3,
-                                question: "11 ÷ 3 = ? (reste 2)",
+                                quotient: 3,
+                                remainder: 2,
+                                question: "11 ÷ 3 = ? reste ?",
                             },
                             {
                                 id: "ce2-div-13-4",
                                 type: OPERATION_TYPES.DIVISION,
                                 operands: [13, 4],
                                 answer: 3,
-                                question: "13 ÷ 4 = ? (reste 1)",
+                                quotient: 3,
+                                remainder: 1,
+                                question: "13 ÷ 4 = ? reste ?",
                             },
                             {
                                 id: "ce2-div-14-4",
                                 type: OPERATION_TYPES.DIVISION,
                                 operands: [14, 4],
                                 answer: 3,
-                                question: "14 ÷ 4 = ? (reste 2)",
+                                quotient: 3,
+                                remainder: 2,
+                                question: "14 ÷ 4 = ? reste ?",
                             },
                             {
                                 id: "ce2-div-15-4",
                                 type: OPERATION_TYPES.DIVISION,
                                 operands: [15, 4],
                                 answer: 3,
-                                question: "15 ÷ 4 = ? (reste 3)",
+                                quotient: 3,
+                                remainder: 3,
+                                question: "15 ÷ 4 = ? reste ?",
                             },
                             {
                                 id: "ce2-div-17-4",
                                 type: OPERATION_TYPES.DIVISION,
                                 operands: [17, 4],
                                 answer: 4,
-                                question: "17 ÷ 4 = ? (reste 1)",
+                                quotient: 4,
+                                remainder: 1,
+                                question: "17 ÷ 4 = ? reste ?",
                             },
                         ],
                     },
@@ -2518,6 +2831,14 @@ export const PROGRESSIONS = {
                     {
                         id: "ce2-unit-9",
                         name: "Révision et consolidation des multiplications",
+                        representation: REPRESENTATION_TYPES.NONE,
+                        rules: [
+                            {
+                                type: OPERATION_TYPES.MULTIPLICATION,
+                                tables: [3, 4, 6, 7, 8, 9],
+                                range: [2, 9],
+                            },
+                        ],
                         facts: [
                             {
                                 id: "ce2-rev-mult-6-7",
@@ -2601,6 +2922,14 @@ export const PROGRESSIONS = {
                     {
                         id: "ce2-unit-10",
                         name: "Révision et consolidation des divisions",
+                        representation: REPRESENTATION_TYPES.NONE,
+                        rules: [
+                            {
+                                type: OPERATION_TYPES.DIVISION,
+                                tables: [2, 3, 4, 5, 6, 7, 8, 9],
+                                range: [2, 9],
+                            },
+                        ],
                         facts: [
                             {
                                 id: "ce2-rev-div-18-2",
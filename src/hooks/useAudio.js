@@ -1,8 +1,17 @@
 // src/hooks/useAudio.js - version améliorée
 import { useState, useEffect, useCallback, useRef } from "react";
+import { useUI } from "../contexts";
+
+/**
+ * Indique si le son est coupé dans les préférences (effets sonores désactivés)
+ * Partagé par les effets sonores et la lecture des questions à voix haute
+ * @returns {boolean} True si le son est coupé
+ */
+export const useAudioMute = () => !useUI().soundEffects;
 
 /**
  * Hook personnalisé pour gérer les effets sonores avec gestion robuste des erreurs
+ * Rien n'est joué quand le son est coupé (useAudioMute)
  * @param {string} src - Chemin du fichier audio
  * @param {Object} options - Options de configuration
  * @param {boolean} [options.autoload=true] - Charger automatiquement l'audio
@@ -10,6 +19,7 @@ import { useState, useEffect, useCallback, useRef } from "react";
  * @returns {Object} Objet avec méthodes play, pause et des états
  */
 export const useAudio = (src, { autoload = true, preload = "auto" } = {}) => {
+    const muted = useAudioMute();
     const [loading, setLoading] = useState(autoload);
     const [playing, setPlaying] = useState(false);
     const [error, setError] = useState(null);
@@ -119,6 +129,8 @@ export const useAudio = (src, { autoload = true, preload = "auto" } = {}) => {
      */
     const play = useCallback(
         async (volume = 1, startTime = null) => {
+            if (muted) return Promise.resolve();
+
             // Si l'audio n'est pas disponible, résoudre silencieusement sans erreur
             if (!audioAvailable || !audioRef.current) {
                 console.warn(
@@ -163,7 +175,7 @@ export const useAudio = (src, { autoload = true, preload = "auto" } = {}) => {
                 return Promise.resolve();
             }
         },
-        [audioAvailable, src]
+        [audioAvailable, src, muted]
     );
 
     /**
@@ -259,6 +271,7 @@ export const useAudio = (src, { autoload = true, preload = "auto" } = {}) => {
         error,
         duration,
         audioAvailable,
+        muted,
         play,
         pause,
         stop,
@@ -1,6 +1,31 @@
 // src/hooks/useExerciseSession.js
-import { useMemo, useEffect, useCallback, useReducer, useRef } from "react";
+import {
+    useMemo,
+    useEffect,
+    useCallback,
+    useReducer,
+    useRef,
+    useState,
+} from "react";
 import { useAudio } from "./useAudio";
+import { BUILT_IN_PROGRESSIONS } from "../data/progressions";
+import { generateFactsForLevel } from "../utils/factGenerator";
+import { shuffle } from "../utils/mathUtils";
+import {
+    DEFAULT_SPRINT_DURATION,
+    SPRINT_POOL_SIZE,
+} from "../utils/sprintUtils";
+import { DEFAULT_DAILY_TARGET } from "../utils/studyPlan";
+import { trackEvent, ANALYTICS_EVENTS } from "../services/analyticsEvents";
+
+/**
+ * Modes d'exercice
+ * @constant {Object}
+ */
+export const EXERCISE_MODES = {
+    STANDARD: "standard", // Plan de travail du jour, sans limite de temps
+    SPRINT: "sprint", // Un maximum de faits avant la fin du compte à rebours
+};
 
 // Actions pour le reducer
 const SESSION_ACTIONS = {
@@ -11,9 +36,22 @@ const SESSION_ACTIONS = {
     NEXT_EXERCISE: "NEXT_EXERCISE",
     COMPLETE_SESSION: "COMPLETE_SESSION",
     UPDATE_STATS: "UPDATE_STATS",
+    REQUEUE_FACT: "REQUEUE_FACT",
     RESET_SESSION: "RESET_SESSION",
 };
 
+/**
+ * File de reprise des faits manqués (hors sprint) : un fait manqué revient
+ * quelques exercices plus loin, jusqu'à une bonne réponse, dans la limite
+ * d'un nombre de reprises par fait et par session
+ * @constant {Object}
+ */
+const RETRY_QUEUE = {
+    GAP: 3, // Nombre d'exercices avant le retour du fait manqué
+    MAX_PER_FACT: 3, // Reprises maximales d'un même fait
+    MAX_TOTAL: 10, // Reprises maximales sur la session
+};
+
 // État initial
 const initialState = {
     currentSession: null,
@@ -21,6 +59,10 @@ const initialState = {
     sessionComplete: false,
     isLoading: true,
     error: null,
+    startedAt: null,
+    endedAt: null,
+    answers: [],
+    requeued: {},
     stats: {
         correct: 0,
         incorrect: 0,
@@ -39,6 +81,10 @@ function sessionReducer(state, action) {
                 sessionComplete: false,
                 isLoading: false,
                 error: null,
+                startedAt: new Date().toISOString(),
+                endedAt: null,
+                answers: [],
+                requeued: {},
             };
 
         case SESSION_ACTIONS.START_LOADING:
@@ -70,6 +116,7 @@ function sessionReducer(state, action) {
             return {
                 ...state,
                 sessionComplete: true,
+                endedAt: new Date().toISOString(),
             };
 
         case SESSION_ACTIONS.UPDATE_STATS:
@@ -86,8 +133,40 @@ function sessionReducer(state, action) {
                     totalTime:
                         state.stats.totalTime + action.payload.responseTime,
                 },
+                answers: action.payload.answer
+                    ? [...state.answers, action.payload.answer]
+                    : state.answers,
             };
 
+        case SESSION_ACTIONS.REQUEUE_FACT: {
+            const fact = action.payload;
+            const factRetries = state.requeued[fact.id] || 0;
+            const totalRetries = Object.values(state.requeued).reduce(
+                (sum, count) => sum + count,
+                0
+            );
+            if (
+                !state.currentSession ||
+                factRetries >= RETRY_QUEUE.MAX_PER_FACT ||
+                totalRetries >= RETRY_QUEUE.MAX_TOTAL
+            ) {
+                return state;
+            }
+
+            const position = Math.min(
+                state.currentFactIndex + RETRY_QUEUE.GAP + 1,
+                state.currentSession.length
+            );
+            const currentSession = [...state.currentSession];
+            currentSession.splice(position, 0, fact);
+
+            return {
+                ...state,
+                currentSession,
+                requeued: { ...state.requeued, [fact.id]: factRetries + 1 },
+            };
+        }
+
         case SESSION_ACTIONS.RESET_SESSION:
             return {
                 ...initialState,
@@ -99,23 +178,61 @@ function sessionReducer(state, action) {
     }
 }
 
+/**
+ * Résume les tentatives d'une session : réussite du premier coup et réussite au final
+ * (un fait manqué puis retrouvé lors d'une reprise compte seulement au final)
+ * @param {Array<Object>} answers - Réponses de la session, dans l'ordre
+ * @returns {Object} { factCount, firstTryCorrect, eventualCorrect }
+ */
+const summarizeAttempts = (answers) => {
+    const firstTries = new Map();
+    const solved = new Set();
+
+    answers.forEach(({ factId, isCorrect }) => {
+        if (!firstTries.has(factId)) firstTries.set(factId, isCorrect);
+        if (isCorrect) solved.add(factId);
+    });
+
+    return {
+        factCount: firstTries.size,
+        firstTryCorrect: [...firstTries.values()].filter(Boolean).length,
+        eventualCorrect: solved.size,
+    };
+};
+
 /**
  * Hook pour gérer toute la logique d'une session d'exercices
  * @param {Object} options - Options de configuration
  * @param {Object} options.user - Utilisateur actuel
  * @param {Function} options.getFactsToReviewToday - Fonction pour récupérer les faits à réviser
+ * @param {Function} [options.getStudyPlan] - Fonction qui construit le plan de travail du jour (mode standard)
  * @param {Function} options.updateFactProgress - Fonction pour mettre à jour la progression d'un fait
  * @param {string} options.currentLevel - Niveau actuel de l'utilisateur
  * @param {Function} options.addMultipleFacts - Fonction pour ajouter plusieurs faits
+ * @param {Object} [options.activeUnit] - Unité d'apprentissage active
+ * @param {Object} [options.facts] - Faits déjà suivis par la répétition espacée, indexés par ID
+ * @param {Object} [options.progressions] - Progressions indexées par niveau (useProgressions)
+ * @param {Function} [options.saveSession] - Fonction pour enregistrer une session terminée
+ * @param {string} [options.mode="standard"] - Mode d'exercice (valeur de EXERCISE_MODES)
+ * @param {number} [options.sprintDuration=60] - Durée d'un sprint en secondes
  * @returns {Object} État et méthodes pour gérer la session d'exercices
  */
 export const useExerciseSession = ({
     user,
     getFactsToReviewToday,
+    getStudyPlan = null,
     updateFactProgress,
     currentLevel,
     addMultipleFacts,
+    activeUnit = null,
+    facts = {},
+    progressions = BUILT_IN_PROGRESSIONS,
+    saveSession = null,
+    mode = EXERCISE_MODES.STANDARD,
+    sprintDuration = DEFAULT_SPRINT_DURATION,
 }) => {
+    const isSprint = mode === EXERCISE_MODES.SPRINT;
+
     // Utiliser useReducer au lieu de plusieurs useState pour une gestion d'état plus robuste
     const [state, dispatch] = useReducer(sessionReducer, initialState);
 
@@ -127,6 +244,9 @@ export const useExerciseSession = ({
         isLoading,
         error,
         stats,
+        startedAt,
+        endedAt,
+        answers,
     } = state;
 
     // Effets sonores
@@ -140,31 +260,40 @@ export const useExerciseSession = ({
     // Référence pour le fait actuel
     const currentFactRef = useRef(null);
 
+    // Temps restant du sprint en secondes
+    const [timeLeft, setTimeLeft] = useState(sprintDuration);
+
     /**
      * Génère des faits de secours si aucun fait à réviser n'est disponible
+     * Les faits sont produits à partir des règles de l'unité active puis des
+     * unités suivantes, en ignorant ceux déjà présents dans la répétition espacée.
+     * Si le profil active les exercices à trou, leurs variantes sont aussi proposées
+     * @param {string} level - Niveau scolaire
+     * @param {number} [maxFacts=5] - Nombre maximal de faits à générer
      * @returns {Array} Liste de faits numériques
      */
-    const generateFallbackFacts = useCallback((level, maxFacts = 5) => {
-        if (!level) return [];
-
-        try {
-            // Logique pour générer des faits de secours basés sur le niveau
-            // Cette fonction doit être implémentée en fonction de votre modèle de données
-            console.log(
-                `Générer des faits de secours pour le niveau: ${level}`,
-                `Nombre max de faits : ${maxFacts}`
-            );
+    const generateFallbackFacts = useCallback(
+        (level, maxFacts = 5) => {
+            if (!level) return [];
 
-            // Exemple simplifié, à adapter selon votre modèle de données
-            return []; // Implémentation à compléter
-        } catch (err) {
-            console.error(
-                "Erreur lors de la génération des faits de secours:",
-                err
-            );
-            return [];
-        }
-    }, []);
+            try {
+                return generateFactsForLevel(level, {
+                    unitId: activeUnit?.id || null,
+                    maxFacts,
+                    excludeIds: Object.keys(facts || {}),
+                    withVariants: Boolean(user?.preferences?.missingOperand),
+                    progressions,
+                });
+            } catch (err) {
+                console.error(
+                    "Erreur lors de la génération des faits de secours:",
+                    err
+                );
+                return [];
+            }
+        },
+        [activeUnit, facts, user, progressions]
+    );
 
     /**
      * Initialise une nouvelle session d'exercices
@@ -178,12 +307,26 @@ export const useExerciseSession = ({
                 return;
             }
 
-            // Récupérer les faits à réviser
-            let factsToReview = getFactsToReviewToday();
-            console.log(
-                "Faits à réviser récupérés:",
-                factsToReview?.length || 0
-            );
+            let factsToReview;
+
+            if (!isSprint && typeof getStudyPlan === "function") {
+                // Plan du jour : révisions en retard, faits à consolider et
+                // quelques faits nouveaux, entremêlés
+                const plan = await getStudyPlan();
+                console.log("Plan du jour:", plan.counts);
+
+                if (plan.newFacts.length > 0) {
+                    addMultipleFacts(plan.newFacts);
+                }
+                factsToReview = plan.facts;
+            } else {
+                // Récupérer les faits à réviser
+                factsToReview = await getFactsToReviewToday();
+                console.log(
+                    "Faits à réviser récupérés:",
+                    factsToReview?.length || 0
+                );
+            }
 
             // Si pas de faits à réviser, utiliser des faits de fallback
             if (!factsToReview || factsToReview.length === 0) {
@@ -200,9 +343,38 @@ export const useExerciseSession = ({
                 }
             }
 
+            if (isSprint) {
+                // Sprint : faits à réviser puis autres faits suivis, mélangés et
+                // reproposés en boucle jusqu'à la fin du compte à rebours
+                const pool = [...(factsToReview || [])];
+                // Les faits chargés depuis le stockage n'ont pas d'ID : il est porté par leur clé
+                Object.entries(facts || {}).forEach(([id, fact]) => {
+                    if (!pool.some((f) => f.id === id))
+                        pool.push({ ...fact, id });
+                });
+
+                if (pool.length < SPRINT_POOL_SIZE) {
+                    const extraFacts = generateFallbackFacts(
+                        currentLevel,
+                        SPRINT_POOL_SIZE - pool.length
+                    ).filter((fact) => !pool.some((f) => f.id === fact.id));
+                    if (extraFacts.length > 0) {
+                        addMultipleFacts(extraFacts);
+                        pool.push(...extraFacts);
+                    }
+                }
+
+                factsToReview = shuffle(pool);
+            }
+
             if (factsToReview && factsToReview.length > 0) {
-                // Limiter à 10 faits par session pour ne pas fatiguer l'élève
-                const sessionFacts = factsToReview.slice(0, 10);
+                // Sans plan du jour, limiter la série à l'objectif par défaut pour ne
+                // pas fatiguer l'élève (le plan respecte l'objectif du profil et un
+                // sprint est limité par son compte à rebours)
+                const sessionFacts =
+                    isSprint || getStudyPlan
+                        ? factsToReview
+                        : factsToReview.slice(0, DEFAULT_DAILY_TARGET);
                 console.log("Session créée avec", sessionFacts.length, "faits");
 
                 dispatch({
@@ -212,6 +384,16 @@ export const useExerciseSession = ({
 
                 // Mettre à jour la référence du fait actuel
                 currentFactRef.current = sessionFacts[0] || null;
+
+                setTimeLeft(sprintDuration);
+
+                trackEvent(ANALYTICS_EVENTS.SESSION_STARTED, user.id, {
+                    level: currentLevel,
+                    unitId: activeUnit?.id || null,
+                    factCount: sessionFacts.length,
+                    mode,
+                    ...(isSprint && { sprintDuration }),
+                });
             } else {
                 console.log("Aucun fait à réviser, session terminée");
                 dispatch({ type: SESSION_ACTIONS.COMPLETE_SESSION });
@@ -230,24 +412,107 @@ export const useExerciseSession = ({
     }, [
         user,
         getFactsToReviewToday,
+        getStudyPlan,
         generateFallbackFacts,
         currentLevel,
+        activeUnit,
         addMultipleFacts,
+        facts,
+        isSprint,
+        mode,
+        sprintDuration,
     ]);
 
+    // Compte à rebours du sprint : la session se termine quand le temps est écoulé
+    useEffect(() => {
+        if (!isSprint || !currentSession || !startedAt || sessionComplete) {
+            return;
+        }
+
+        const deadline = Date.parse(startedAt) + sprintDuration * 1000;
+        const tick = () => {
+            const remaining = Math.max(
+                0,
+                Math.ceil((deadline - Date.now()) / 1000)
+            );
+            setTimeLeft(remaining);
+            if (remaining === 0) {
+                dispatch({ type: SESSION_ACTIONS.COMPLETE_SESSION });
+            }
+        };
+
+        tick();
+        const intervalId = setInterval(tick, 250);
+        return () => clearInterval(intervalId);
+    }, [isSprint, currentSession, startedAt, sessionComplete, sprintDuration]);
+
     /**
      * Gère le résultat d'un exercice
      * @param {Object} result - Résultat de l'exercice
      */
     const handleExerciseResult = useCallback(
         (result) => {
-            const { factId, isCorrect, responseTime } = result;
+            const {
+                factId,
+                isCorrect,
+                responseTime,
+                score = isCorrect ? 1 : 0,
+                errorType = null,
+                givenAnswer = null,
+                answerFormat = null,
+                voice = false,
+            } = result;
             console.log("Résultat de l'exercice:", result);
 
+            // Le temps est écoulé pendant la réponse : elle ne compte plus
+            if (sessionComplete) return;
+
+            // Conserver le détail de la réponse pour l'historique des sessions
+            const fact = currentSession?.find((f) => f.id === factId);
+            const isRetry =
+                !isSprint &&
+                Boolean(
+                    currentSession
+                        ?.slice(0, currentFactIndex)
+                        .some((f) => f.id === factId)
+                );
+            const answer = {
+                factId,
+                type: fact?.type || null,
+                operands: fact?.operands || [],
+                question: fact?.question || null,
+                isCorrect,
+                score,
+                errorType,
+                givenAnswer,
+                answerFormat,
+                responseTime,
+                ...(isSprint && { sprint: true }),
+                ...(isRetry && { retry: true }),
+                ...(voice && { voice: true }),
+                answeredAt: new Date().toISOString(),
+            };
+
             // Mettre à jour les statistiques de la session
             dispatch({
                 type: SESSION_ACTIONS.UPDATE_STATS,
-                payload: { isCorrect, responseTime },
+                payload: { isCorrect, responseTime, answer },
+            });
+
+            // Un fait manqué revient quelques exercices plus loin
+            // (en sprint, les faits reviennent déjà en boucle)
+            if (!isCorrect && !isSprint && fact) {
+                dispatch({ type: SESSION_ACTIONS.REQUEUE_FACT, payload: fact });
+            }
+
+            trackEvent(ANALYTICS_EVENTS.ANSWER_SUBMITTED, user?.id, {
+                factId,
+                type: answer.type,
+                isCorrect,
+                score,
+                errorType,
+                responseTime,
+                mode,
             });
 
             // Jouer le son correspondant, mais seulement si les sons sont disponibles
@@ -273,9 +538,26 @@ export const useExerciseSession = ({
             }
 
             // Mettre à jour la progression avec l'algorithme de répétition espacée
-            updateFactProgress(factId, isCorrect, responseTime);
+            // (les réponses d'un sprint sont marquées pour être pondérées par le planificateur)
+            updateFactProgress(factId, isCorrect, responseTime, {
+                score,
+                errorType,
+                givenAnswer,
+                ...(isSprint && { sprint: true }),
+                ...(voice && { voice: true }),
+            });
         },
-        [correctSound, incorrectSound, updateFactProgress]
+        [
+            correctSound,
+            incorrectSound,
+            updateFactProgress,
+            currentSession,
+            currentFactIndex,
+            user,
+            sessionComplete,
+            isSprint,
+            mode,
+        ]
     );
 
     /**
@@ -284,6 +566,14 @@ export const useExerciseSession = ({
     const goToNextExercise = useCallback(() => {
         if (!currentSession) return;
 
+        // En sprint, les faits sont reproposés en boucle jusqu'à la fin du temps
+        if (isSprint) {
+            dispatch({ type: SESSION_ACTIONS.NEXT_EXERCISE });
+            currentFactRef.current =
+                currentSession[(currentFactIndex + 1) % currentSession.length];
+            return;
+        }
+
         // Si c'est le dernier exercice, terminer la session
         if (currentFactIndex >= currentSession.length - 1) {
             console.log("Tous les exercices sont terminés");
@@ -301,10 +591,12 @@ export const useExerciseSession = ({
 
         // Mettre à jour la référence au fait actuel
         currentFactRef.current = currentSession[currentFactIndex + 1] || null;
-    }, [currentSession, currentFactIndex]);
+    }, [currentSession, currentFactIndex, isSprint]);
 
     /**
      * Calcule les statistiques de la session
+     * La réussite du premier coup porte sur la première réponse à chaque fait,
+     * la réussite au final compte aussi les faits retrouvés lors d'une reprise
      * @returns {Object} Statistiques formatées
      */
     const getFormattedStats = useCallback(() => {
@@ -313,8 +605,19 @@ export const useExerciseSession = ({
         const total = stats.correct + stats.incorrect;
         const successRate =
             total > 0 ? Math.round((stats.correct / total) * 100) : 0;
+        // Les réponses dictées ont leur propre temps moyen
+        const voiceAnswers = answers.filter((answer) => answer.voice);
+        const voiceTime = voiceAnswers.reduce(
+            (sum, answer) => sum + (answer.responseTime || 0),
+            0
+        );
+        const typedCount = total - voiceAnswers.length;
         const averageTime =
-            total > 0 ? (stats.totalTime / total).toFixed(1) : 0;
+            typedCount > 0
+                ? ((stats.totalTime - voiceTime) / typedCount).toFixed(1)
+                : 0;
+        const { factCount, firstTryCorrect, eventualCorrect } =
+            summarizeAttempts(answers);
 
         return {
             total,
@@ -323,26 +626,121 @@ export const useExerciseSession = ({
             successRate,
             averageTime,
             totalTime: stats.totalTime.toFixed(1),
+            voiceCount: voiceAnswers.length,
+            averageVoiceTime:
+                voiceAnswers.length > 0
+                    ? (voiceTime / voiceAnswers.length).toFixed(1)
+                    : null,
+            factCount,
+            firstTryCorrect,
+            firstTryRate:
+                factCount > 0
+                    ? Math.round((firstTryCorrect / factCount) * 100)
+                    : 0,
+            eventualCorrect,
+            eventualRate:
+                factCount > 0
+                    ? Math.round((eventualCorrect / factCount) * 100)
+                    : 0,
+            retries: answers.filter((answer) => answer.retry).length,
+        };
+    }, [currentSession, stats, answers]);
+
+    // Enregistrer la session une fois terminée (uniquement si des réponses ont été données)
+    const savedSessionRef = useRef(null);
+    useEffect(() => {
+        if (!sessionComplete || answers.length === 0) return;
+        if (savedSessionRef.current === startedAt) return;
+
+        savedSessionRef.current = startedAt;
+
+        const formattedStats = getFormattedStats();
+        trackEvent(ANALYTICS_EVENTS.SESSION_COMPLETED, user?.id, {
+            level: currentLevel,
+            unitId: activeUnit?.id || null,
+            mode,
+            ...(isSprint && { sprintDuration }),
+            ...formattedStats,
+        });
+
+        if (typeof saveSession !== "function") return;
+
+        const sessionRecord = {
+            id: `session-${Date.parse(startedAt)}`,
+            userId: user?.id || "guest",
+            date: startedAt,
+            startedAt,
+            endedAt,
+            level: currentLevel,
+            unitId: activeUnit?.id || null,
+            unitName: activeUnit?.name || null,
+            mode,
+            ...(isSprint && { sprintDuration }),
+            answers,
+            stats: formattedStats,
         };
-    }, [currentSession, stats]);
 
-    // Initialiser la session au montage du composant
+        saveSession(sessionRecord).catch((err) => {
+            console.error(
+                "Erreur lors de l'enregistrement de la session:",
+                err
+            );
+        });
+    }, [
+        sessionComplete,
+        answers,
+        saveSession,
+        startedAt,
+        endedAt,
+        user,
+        currentLevel,
+        activeUnit,
+        getFormattedStats,
+        isSprint,
+        mode,
+        sprintDuration,
+    ]);
+
+    // Initialiser la session au montage du composant, une seule fois par utilisateur et par niveau :
+    // les fonctions de progression changent après chaque réponse et ne doivent pas relancer la session
+    const initializedKeyRef = useRef(null);
     useEffect(() => {
+        const sessionKey = `${user?.id || "guest"}-${currentLevel}`;
+        if (initializedKeyRef.current === sessionKey) return;
+
+        initializedKeyRef.current = sessionKey;
         initializeSession();
-    }, [initializeSession]);
+    }, [initializeSession, user, currentLevel]);
 
-    // Calculer le pourcentage de progression
+    // Calculer le pourcentage de progression (temps écoulé pour un sprint)
     const progress = useMemo(() => {
         if (!currentSession || currentSession.length === 0) return 0;
+        if (isSprint) {
+            return ((sprintDuration - timeLeft) / sprintDuration) * 100;
+        }
         return ((currentFactIndex + 1) / currentSession.length) * 100;
-    }, [currentSession, currentFactIndex]);
+    }, [currentSession, currentFactIndex, isSprint, sprintDuration, timeLeft]);
 
     // Obtenir le fait actuel
     const currentFact = useMemo(() => {
-        if (!currentSession || currentFactIndex >= currentSession.length)
-            return null;
+        if (!currentSession || currentSession.length === 0) return null;
+        if (isSprint) {
+            return currentSession[currentFactIndex % currentSession.length];
+        }
+        if (currentFactIndex >= currentSession.length) return null;
         return currentSession[currentFactIndex];
-    }, [currentSession, currentFactIndex]);
+    }, [currentSession, currentFactIndex, isSprint]);
+
+    // Le fait actuel revient après avoir été manqué plus tôt dans la session
+    const isRetryFact = useMemo(
+        () =>
+            !isSprint &&
+            Boolean(currentFact) &&
+            currentSession
+                .slice(0, currentFactIndex)
+                .some((f) => f.id === currentFact.id),
+        [currentSession, currentFact, currentFactIndex, isSprint]
+    );
 
     return {
         // États
@@ -352,7 +750,9 @@ export const useExerciseSession = ({
         currentFact,
         currentSession,
         currentFactIndex,
+        isRetryFact,
         progress,
+        timeLeft,
 
         // Actions
         initializeSession,
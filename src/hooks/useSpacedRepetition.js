@@ -1,50 +1,35 @@
 // src/hooks/useSpacedRepetition.js
 import { useState, useEffect, useCallback, useMemo, useRef } from "react";
 import { useStorage } from "../contexts/storage";
-
-/**
- * Niveaux de connaissance pour l'algorithme de répétition espacée
- * @constant {Object}
- */
-export const KNOWLEDGE_LEVELS = {
-    NEW: 0, // Nouveau fait numérique
-    LEARNING: 1, // En cours d'apprentissage
-    REVIEWING: 2, // En révision
-    MASTERED: 3, // Maîtrisé
-};
-
-/**
- * Intervalle de répétition en jours selon le niveau de connaissance
- * @constant {Object}
- */
-const REPETITION_INTERVALS = {
-    [KNOWLEDGE_LEVELS.NEW]: 0, // Le jour même
-    [KNOWLEDGE_LEVELS.LEARNING]: 1, // 1 jour
-    [KNOWLEDGE_LEVELS.REVIEWING]: 3, // 3 jours
-    [KNOWLEDGE_LEVELS.MASTERED]: 7, // 7 jours
-};
-
-/**
- * Nombre de succès consécutifs nécessaires pour passer au niveau suivant
- * @constant {Object}
- */
-const SUCCESS_THRESHOLD = {
-    [KNOWLEDGE_LEVELS.NEW]: 2, // 2 succès pour passer de NEW à LEARNING
-    [KNOWLEDGE_LEVELS.LEARNING]: 3, // 3 succès pour passer de LEARNING à REVIEWING
-    [KNOWLEDGE_LEVELS.REVIEWING]: 4, // 4 succès pour passer de REVIEWING à MASTERED
-};
+import {
+    KNOWLEDGE_LEVELS,
+    SCHEDULER_TYPES,
+    getScheduler,
+    migrateFacts,
+} from "../utils/spacedRepetition";
+import { toFactRecord, fromFactRecord } from "../services/indexedDBService";
+import { summarizeFacts } from "../utils/progressStats";
+import { propagateToFamily } from "../utils/factFamilies";
+import { getFluencyThreshold, isFluentResponse } from "../utils/fluency";
+import { isFactFromLevel } from "../utils/factUtils";
+
+export { KNOWLEDGE_LEVELS };
 
 /**
  * Hook personnalisé pour gérer l'algorithme de répétition espacée
  * @param {string} userId - Identifiant de l'utilisateur
  * @param {string} progressionId - Identifiant de la progression didactique
  * @param {Object} [factServiceOverride=null] - Service de faits personnalisé (optionnel)
+ * @param {string} [schedulerType="classic"] - Algorithme de planification (valeur de SCHEDULER_TYPES)
+ * @param {Object} [fluencyThresholds=null] - Seuils de fluence personnalisés, par niveau puis par opération
  * @returns {Object} Fonctions et état pour gérer la répétition espacée
  */
 export const useSpacedRepetition = (
     userId,
     progressionId,
-    factServiceOverride = null
+    factServiceOverride = null,
+    schedulerType = SCHEDULER_TYPES.CLASSIC,
+    fluencyThresholds = null
 ) => {
     // Validation des entrées avec useMemo pour éviter des recalculs inutiles
     const userFactsKey = useMemo(() => {
@@ -62,6 +47,12 @@ export const useSpacedRepetition = (
         [factServiceOverride, storage.factsService]
     );
 
+    // Algorithme de planification choisi dans le profil
+    const scheduler = useMemo(
+        () => getScheduler(schedulerType),
+        [schedulerType]
+    );
+
     // État pour les faits et leur progression
     const [facts, setFacts] = useState({});
 
@@ -100,10 +91,8 @@ export const useSpacedRepetition = (
                     // Convertir l'objet en tableau pour saveManyFacts
                     const factsArray = Object.entries(updatedFacts).map(
                         ([factId, factData]) => ({
-                            ...factData,
+                            ...toFactRecord(factData, userId, progressionId),
                             id: factId,
-                            userId,
-                            level: progressionId,
                         })
                     );
 
@@ -144,8 +133,9 @@ export const useSpacedRepetition = (
 
                     if (factsFromDB && factsFromDB.length > 0) {
                         // Convertir le tableau en objet indexé par ID
-                        loadedFacts = factsFromDB.reduce((acc, fact) => {
-                            const { id, ...restOfFact } = fact;
+                        loadedFacts = factsFromDB.reduce((acc, record) => {
+                            const { id, ...restOfFact } =
+                                fromFactRecord(record);
                             acc[id] = restOfFact;
                             return acc;
                         }, {});
@@ -184,10 +174,7 @@ export const useSpacedRepetition = (
      * @returns {boolean} - true si le fait appartient au niveau actuel
      */
     const isFactFromCurrentLevel = useCallback(
-        (factId) => {
-            // Les IDs des faits commencent généralement par le code du niveau
-            return factId && factId.startsWith(progressionId);
-        },
+        (factId) => isFactFromLevel(factId, progressionId),
         [progressionId]
     );
 
@@ -228,7 +215,8 @@ export const useSpacedRepetition = (
             setLoading(true);
             try {
                 const loadedFacts = await loadFacts();
-                setFacts(loadedFacts);
+                // Compléter les enregistrements existants pour l'algorithme choisi
+                setFacts(migrateFacts(loadedFacts, scheduler.id));
                 setLoading(false);
             } catch (err) {
                 console.error(
@@ -241,7 +229,7 @@ export const useSpacedRepetition = (
         };
 
         initializeData();
-    }, [storage.isInitialized, loadFacts]);
+    }, [storage.isInitialized, loadFacts, scheduler]);
 
     // Sauvegarder les faits lorsqu'ils changent (limité pour éviter les sauvegardes inutiles)
     useEffect(() => {
@@ -295,6 +283,7 @@ export const useSpacedRepetition = (
                         lastReviewed: new Date().toISOString(),
                         nextReview: new Date().toISOString(),
                         history: [],
+                        ...scheduler.initialState(),
                         ...factData,
                     },
                 };
@@ -304,7 +293,7 @@ export const useSpacedRepetition = (
 
             return true;
         },
-        [isFactFromCurrentLevel, progressionId]
+        [isFactFromCurrentLevel, progressionId, scheduler]
     );
 
     /**
@@ -347,6 +336,7 @@ export const useSpacedRepetition = (
                             lastReviewed: new Date().toISOString(),
                             nextReview: new Date().toISOString(),
                             history: [],
+                            ...scheduler.initialState(),
                             ...fact,
                         };
                         factsAdded++;
@@ -361,18 +351,26 @@ export const useSpacedRepetition = (
 
             return true;
         },
-        [isFactFromCurrentLevel, userFactsKey]
+        [isFactFromCurrentLevel, userFactsKey, scheduler]
     );
 
     /**
      * Met à jour un fait après une réponse de l'utilisateur
+     * Une bonne réponse plus lente que le seuil de fluence de son opération
+     * compte comme « juste mais pas encore automatisée »
      * @param {string} factId - Identifiant du fait
      * @param {boolean} isCorrect - Si la réponse était correcte
      * @param {number} responseTime - Temps de réponse en secondes (optionnel)
+     * @param {Object} [details={}] - Détails de la réponse conservés dans l'historique
+     * @param {number} [details.score] - Part de la réponse juste (0 à 1), pour un crédit partiel
+     * @param {string} [details.errorType] - Catégorie d'erreur
+     * @param {number|string|Object} [details.givenAnswer] - Réponse donnée, conservée pour le diagnostic des erreurs
+     * @param {boolean} [details.sprint] - Réponse donnée en mode sprint (pondérée par le planificateur)
+     * @param {boolean} [details.voice] - Réponse dictée, dont le temps est suivi à part de celui des réponses tapées
      * @returns {Promise<Object|null>} Fait mis à jour ou null en cas d'erreur
      */
     const updateFactProgress = useCallback(
-        async (factId, isCorrect, responseTime = null) => {
+        async (factId, isCorrect, responseTime = null, details = {}) => {
             if (!factId) {
                 console.error(
                     "Cannot update fact progress: factId is required"
@@ -390,60 +388,85 @@ export const useSpacedRepetition = (
                     return prev;
                 }
 
-                let newLevel = fact.level;
-                let successCount = isCorrect ? fact.successCount + 1 : 0;
-
-                // Mise à jour du niveau en fonction de la réponse
-                if (
-                    isCorrect &&
-                    successCount >= SUCCESS_THRESHOLD[fact.level]
-                ) {
-                    if (fact.level < KNOWLEDGE_LEVELS.MASTERED) {
-                        newLevel = fact.level + 1;
-                        successCount = 0;
-                    }
-                } else if (!isCorrect && fact.level > KNOWLEDGE_LEVELS.NEW) {
-                    newLevel = fact.level - 1;
-                }
-
-                // Calcul de la prochaine date de révision
+                // Une bonne réponse au-delà du seuil de fluence est juste mais pas encore automatisée
+                // Le temps d'une réponse dictée (clic sur le micro, fin de la dictée) n'est pas
+                // comparable à celui d'une réponse tapée : il ne compte ni pour la fluence ni pour la note
+                const timedResponse = details.voice ? null : responseTime;
+                const fluent =
+                    isCorrect && !details.voice
+                        ? isFluentResponse(
+                              responseTime,
+                              getFluencyThreshold(
+                                  fact.type,
+                                  progressionId,
+                                  fluencyThresholds
+                              )
+                          )
+                        : undefined;
+
+                // Calcul du nouvel état selon l'algorithme de planification
                 const now = new Date();
-                const nextReviewDate = new Date(now);
-                nextReviewDate.setDate(
-                    now.getDate() + REPETITION_INTERVALS[newLevel]
-                );
+                const scheduled = scheduler.review(fact, {
+                    isCorrect,
+                    responseTime: timedResponse,
+                    score: details.score,
+                    sprint: Boolean(details.sprint),
+                    fluent,
+                    now,
+                });
 
                 console.log(
-                    `Mise à jour du fait ${factId}: niveau ${
+                    `Mise à jour du fait ${factId} (${scheduler.id}): niveau ${
                         fact.level
-                    } -> ${newLevel}, prochaine révision: ${nextReviewDate.toLocaleDateString()}`
+                    } -> ${scheduled.level}, prochaine révision: ${new Date(
+                        scheduled.nextReview
+                    ).toLocaleDateString()}`
                 );
 
                 // Création du fait mis à jour
                 updatedFact = {
                     ...fact,
-                    level: newLevel,
-                    successCount,
+                    ...scheduled,
                     lastReviewed: now.toISOString(),
-                    nextReview: nextReviewDate.toISOString(),
                     history: [
                         ...(fact.history || []),
                         {
                             date: now.toISOString(),
                             isCorrect,
                             responseTime: responseTime || 0,
+                            ...(details.score !== undefined && {
+                                score: details.score,
+                            }),
+                            ...(details.errorType && {
+                                errorType: details.errorType,
+                            }),
+                            ...(!isCorrect &&
+                                details.givenAnswer !== undefined &&
+                                details.givenAnswer !== null && {
+                                    givenAnswer: details.givenAnswer,
+                                }),
+                            ...(details.sprint && { sprint: true }),
+                            ...(details.voice && { voice: true }),
+                            ...(isCorrect && { fluent }),
                         },
                     ],
                 };
 
+                // Répercuter la réponse sur la famille du fait (gain léger, signalement)
+                // Les autres membres modifiés sont enregistrés par la sauvegarde automatique
+                const updatedFacts = propagateToFamily(
+                    { ...prev, [factId]: updatedFact },
+                    factId,
+                    { isCorrect, boost: scheduler.boost }
+                );
+                updatedFact = updatedFacts[factId];
+
                 // Mettre à jour dans IndexedDB si disponible
                 if (factsService && isIndexedDBUsed.current) {
                     try {
                         factsService.saveFact({
-                            ...updatedFact,
+                            ...toFactRecord(updatedFact, userId, progressionId),
                             id: factId,
-                            userId,
-                            level: progressionId,
                         });
                     } catch (e) {
                         console.warn(
@@ -455,15 +478,12 @@ export const useSpacedRepetition = (
                 }
 
                 // Retourner les faits mis à jour
-                return {
-                    ...prev,
-                    [factId]: updatedFact,
-                };
+                return updatedFacts;
             });
 
             return updatedFact;
         },
-        [factsService, userId, progressionId]
+        [factsService, userId, progressionId, scheduler, fluencyThresholds]
     );
 
     /**
@@ -482,11 +502,13 @@ export const useSpacedRepetition = (
                     now
                 );
                 // Filtrer pour ne garder que les faits du niveau actuel
-                const levelReviewFacts = reviewFacts.filter(
-                    (fact) =>
-                        fact.level === progressionId ||
-                        isFactFromCurrentLevel(fact.id)
-                );
+                const levelReviewFacts = reviewFacts
+                    .filter(
+                        (record) =>
+                            record.gradeLevel === progressionId ||
+                            isFactFromCurrentLevel(record.id)
+                    )
+                    .map(fromFactRecord);
 
                 console.log(
                     `${levelReviewFacts.length} faits à réviser aujourd'hui depuis IndexedDB pour ${userFactsKey}`
@@ -531,36 +553,13 @@ export const useSpacedRepetition = (
      */
     const getProgressStats = useCallback(async () => {
         const currentLevelFacts = cleanupInconsistentFacts();
-        const totalFacts = Object.keys(currentLevelFacts).length;
-
-        const factsByLevel = {
-            [KNOWLEDGE_LEVELS.NEW]: 0,
-            [KNOWLEDGE_LEVELS.LEARNING]: 0,
-            [KNOWLEDGE_LEVELS.REVIEWING]: 0,
-            [KNOWLEDGE_LEVELS.MASTERED]: 0,
-        };
-
-        Object.values(currentLevelFacts).forEach((fact) => {
-            if (fact && typeof fact.level === "number") {
-                factsByLevel[fact.level] = (factsByLevel[fact.level] || 0) + 1;
-            }
-        });
 
         // Récupérer les faits à réviser aujourd'hui
         const factsToReviewList = await getFactsToReviewToday();
 
         return {
-            totalFacts,
-            factsByLevel,
+            ...summarizeFacts(currentLevelFacts),
             factsToReview: factsToReviewList,
-            masteredPercentage:
-                totalFacts > 0
-                    ? Math.round(
-                          (factsByLevel[KNOWLEDGE_LEVELS.MASTERED] /
-                              totalFacts) *
-                              100
-                      )
-                    : 0,
         };
     }, [cleanupInconsistentFacts, getFactsToReviewToday]);
 
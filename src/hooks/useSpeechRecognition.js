@@ -0,0 +1,98 @@
+// src/hooks/useSpeechRecognition.js
+import { useState, useEffect, useCallback, useRef } from "react";
+
+/**
+ * Erreurs de reconnaissance vocale qui rendent la dictée inutilisable
+ * (micro refusé ou absent, langue non prise en charge) : il faut revenir à la saisie
+ * @constant {Array<string>}
+ */
+export const BLOCKING_SPEECH_ERRORS = [
+    "not-allowed",
+    "service-not-allowed",
+    "audio-capture",
+    "language-not-supported",
+];
+
+/**
+ * Constructeur de reconnaissance vocale du navigateur
+ * @returns {Function|null} SpeechRecognition, ou null si le navigateur n'en a pas
+ */
+export const getSpeechRecognition = () =>
+    typeof window !== "undefined"
+        ? window.SpeechRecognition || window.webkitSpeechRecognition || null
+        : null;
+
+/**
+ * Hook de reconnaissance vocale pour dicter une réponse courte
+ * La reconnaissance se fait sur l'appareil quand le navigateur le permet
+ * @param {Object} options - Options
+ * @param {Function} options.onResult - Fonction appelée avec les transcriptions possibles, de la plus probable à la moins probable
+ * @param {string} [options.lang='fr-FR'] - Langue reconnue
+ * @returns {Object} { isSupported, isListening, error, start, stop }
+ */
+export const useSpeechRecognition = ({ onResult, lang = "fr-FR" }) => {
+    const [isListening, setIsListening] = useState(false);
+    const [error, setError] = useState(null);
+    const recognitionRef = useRef(null);
+    const isSupported = Boolean(getSpeechRecognition());
+
+    // Interrompre l'écoute si le composant est démonté
+    useEffect(() => () => recognitionRef.current?.abort(), []);
+
+    /**
+     * Lance l'écoute d'une réponse
+     */
+    const start = useCallback(() => {
+        const SpeechRecognition = getSpeechRecognition();
+        if (!SpeechRecognition || recognitionRef.current) return;
+
+        try {
+            const recognition = new SpeechRecognition();
+            recognition.lang = lang;
+            recognition.interimResults = false;
+            recognition.continuous = false;
+            recognition.maxAlternatives = 5;
+            if ("processLocally" in recognition) {
+                recognition.processLocally = true;
+            }
+
+            recognition.onresult = (event) => {
+                onResult(
+                    Array.from(event.results[0] || []).map(
+                        (alternative) => alternative.transcript
+                    )
+                );
+            };
+            recognition.onerror = (event) => {
+                console.warn("Erreur de reconnaissance vocale:", event.error);
+                setError(event.error);
+            };
+            recognition.onend = () => {
+                recognitionRef.current = null;
+                setIsListening(false);
+            };
+
+            recognitionRef.current = recognition;
+            setError(null);
+            setIsListening(true);
+            recognition.start();
+        } catch (err) {
+            console.error(
+                "Impossible de démarrer la reconnaissance vocale:",
+                err
+            );
+            recognitionRef.current = null;
+            setIsListening(false);
+            setError("start-failed");
+        }
+    }, [lang, onResult]);
+
+    /**
+     * Arrête l'écoute (la transcription déjà entendue est transmise)
+     */
+    const stop = useCallback(() => {
+        recognitionRef.current?.stop();
+    }, []);
+
+    return { isSupported, isListening, error, start, stop };
+};
@@ -0,0 +1,88 @@
+// src/hooks/useSpeechSynthesis.js
+import { useState, useEffect, useCallback } from "react";
+import { useAudioMute } from "./useAudio";
+
+/**
+ * Vitesse de lecture, un peu ralentie pour les jeunes élèves
+ * @constant {number}
+ */
+const SPEECH_RATE = 0.9;
+
+/**
+ * Synthèse vocale du navigateur
+ * @returns {SpeechSynthesis|null} window.speechSynthesis, ou null si le navigateur n'en a pas
+ */
+export const getSpeechSynthesis = () =>
+    typeof window !== "undefined" &&
+    window.speechSynthesis &&
+    typeof window.SpeechSynthesisUtterance === "function"
+        ? window.speechSynthesis
+        : null;
+
+/**
+ * Hook de lecture à voix haute
+ * Suit le même réglage de son que les effets sonores : rien n'est lu quand le son est coupé
+ * @param {Object} [options={}] - Options
+ * @param {string} [options.lang='fr-FR'] - Langue de lecture
+ * @returns {Object} { isSupported, isSpeaking, muted, speak, cancel }
+ */
+export const useSpeechSynthesis = ({ lang = "fr-FR" } = {}) => {
+    const muted = useAudioMute();
+    const [isSpeaking, setIsSpeaking] = useState(false);
+    const isSupported = Boolean(getSpeechSynthesis());
+
+    // Interrompre la lecture si le composant est démonté ou si le son est coupé
+    useEffect(() => {
+        const synthesis = getSpeechSynthesis();
+        if (muted) synthesis?.cancel();
+        return () => synthesis?.cancel();
+    }, [muted]);
+
+    /**
+     * Lit un texte à voix haute, en interrompant la lecture en cours
+     * @param {string} text - Texte à lire
+     * @returns {boolean} True si la lecture a démarré
+     */
+    const speak = useCallback(
+        (text) => {
+            const synthesis = getSpeechSynthesis();
+            if (!synthesis || muted || !text) return false;
+
+            try {
+                synthesis.cancel();
+
+                const utterance = new window.SpeechSynthesisUtterance(text);
+                utterance.lang = lang;
+                utterance.rate = SPEECH_RATE;
+                const voice = synthesis
+                    .getVoices()
+                    .find((candidate) =>
+                        candidate.lang?.startsWith(lang.slice(0, 2))
+                    );
+                if (voice) utterance.voice = voice;
+
+                utterance.onstart = () => setIsSpeaking(true);
+                utterance.onend = () => setIsSpeaking(false);
+                utterance.onerror = () => setIsSpeaking(false);
+
+                synthesis.speak(utterance);
+                return true;
+            } catch (err) {
+                console.error("Erreur lors de la lecture à voix haute:", err);
+                setIsSpeaking(false);
+                return false;
+            }
+        },
+        [lang, muted]
+    );
+
+    /**
+     * Interrompt la lecture en cours
+     */
+    const cancel = useCallback(() => {
+        getSpeechSynthesis()?.cancel();
+        setIsSpeaking(false);
+    }, []);
+
+    return { isSupported, isSpeaking, muted, speak, cancel };
+};
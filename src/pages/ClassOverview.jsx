@@ -0,0 +1,268 @@
+/**
+ * @file ClassOverview.jsx
+ * @description Vue d'ensemble d'une classe : progression de chaque élève et synthèse du groupe
+ */
+
+import { useState, useEffect, useMemo } from "react";
+import { useNavigate, useParams } from "react-router-dom";
+import { Layout } from "../components/layout/Layout";
+import { Card } from "../components/common/Card";
+import { ProgressBar } from "../components/common/ProgressBar";
+import { TeacherPinGate } from "../components/classes/TeacherPinGate";
+import { ReportActions } from "../components/progress/ReportActions";
+import { useClasses, useProgress } from "../contexts";
+import { KNOWLEDGE_LEVELS } from "../hooks/useSpacedRepetition";
+import { ERROR_TYPE_LABELS } from "../utils/factUtils";
+import { aggregateClassProgress } from "../utils/classUtils";
+
+/**
+ * Page de vue d'ensemble d'une classe
+ * @returns {JSX.Element} Page ClassOverview
+ */
+const ClassOverview = () => {
+    const navigate = useNavigate();
+    const { classId } = useParams();
+    const { classes, getRoster, isTeacherUnlocked } = useClasses();
+    const { getStudentProgress, getProgressReport } = useProgress();
+
+    const [studentsProgress, setStudentsProgress] = useState([]);
+    const [isLoading, setIsLoading] = useState(true);
+    const [error, setError] = useState(null);
+
+    const classGroup = classes.find((c) => c.id === classId);
+    const roster = useMemo(() => getRoster(classId), [getRoster, classId]);
+
+    // Charger la progression de chaque élève une fois le mode enseignant déverrouillé
+    useEffect(() => {
+        if (!isTeacherUnlocked) return;
+
+        let cancelled = false;
+
+        const loadClassProgress = async () => {
+            setIsLoading(true);
+            try {
+                const entries = await Promise.all(
+                    roster.map(async (student) => ({
+                        student,
+                        progress: await getStudentProgress(student),
+                    }))
+                );
+
+                if (!cancelled) {
+                    setStudentsProgress(entries);
+                    setError(null);
+                }
+            } catch (err) {
+                console.error(
+                    "Erreur lors du chargement de la progression de la classe:",
+                    err
+                );
+                if (!cancelled) {
+                    setError(
+                        "Impossible de charger la progression de la classe"
+                    );
+                }
+            } finally {
+                if (!cancelled) setIsLoading(false);
+            }
+        };
+
+        loadClassProgress();
+
+        return () => {
+            cancelled = true;
+        };
+    }, [isTeacherUnlocked, getStudentProgress, roster]);
+
+    const summary = aggregateClassProgress(studentsProgress);
+
+    return (
+        <Layout
+            title={classGroup ? `Classe ${classGroup.name}` : "Classe"}
+            showBackButton
+            onBackClick={() => navigate("/classes")}
+        >
+            <TeacherPinGate>
+                {!classGroup ? (
+                    <p className="text-gray-600 text-center">
+                        Cette classe n&lsquo;existe pas ou a été supprimée.
+                    </p>
+                ) : isLoading ? (
+                    <div className="flex justify-center items-center h-64">
+                        <div className="animate-spin rounded-full h-12 w-12 border-t-2 border-b-2 border-blue-500"></div>
+                    </div>
+                ) : error ? (
+                    <div className="p-3 rounded-lg bg-red-100 text-red-700">
+                        {error}
+                    </div>
+                ) : (
+                    <div className="max-w-4xl mx-auto space-y-6">
+                        {/* Synthèse de la classe */}
+                        <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
+                            <Card>
+                                <div className="text-sm text-gray-500">
+                                    Élèves actifs
+                                </div>
+                                <div className="text-2xl font-bold">
+                                    {summary.activeStudents} /{" "}
+                                    {summary.studentCount}
+                                </div>
+                            </Card>
+                            <Card>
+                                <div className="text-sm text-gray-500">
+                                    Maîtrise moyenne
+                                </div>
+                                <div className="text-2xl font-bold text-green-600">
+                                    {summary.averageMastered}%
+                                </div>
+                            </Card>
+                            <Card>
+                                <div className="text-sm text-gray-500">
+                                    Couverture moyenne
+                                </div>
+                                <div className="text-2xl font-bold text-blue-600">
+                                    {summary.averageCoverage}%
+                                </div>
+                            </Card>
+                            <Card>
+                                <div className="text-sm text-gray-500">
+                                    Révisions en attente
+                                </div>
+                                <div className="text-2xl font-bold text-yellow-600">
+                                    {summary.factsToReviewCount}
+                                </div>
+                            </Card>
+                        </div>
+
+                        {/* Progression de chaque élève */}
+                        <Card>
+                            <h3 className="text-lg font-semibold mb-4">
+                                Élèves ({roster.length})
+                            </h3>
+
+                            {studentsProgress.length === 0 ? (
+                                <p className="text-gray-500 italic">
+                                    Aucun élève dans cette classe.
+                                </p>
+                            ) : (
+                                <div className="overflow-x-auto">
+                                    <table className="w-full text-sm">
+                                        <thead>
+                                            <tr className="text-left text-gray-500 border-b">
+                                                <th className="py-2">Élève</th>
+                                                <th className="py-2">
+                                                    Maîtrise
+                                                </th>
+                                                <th className="py-2">
+                                                    Faits vus
+                                                </th>
+                                                <th className="py-2">
+                                                    Maîtrisés
+                                                </th>
+                                                <th className="py-2">
+                                                    À réviser
+                                                </th>
+                                                <th className="py-2">
+                                                    Rapport
+                                                </th>
+                                            </tr>
+                                        </thead>
+                                        <tbody>
+                                            {studentsProgress.map(
+                                                ({ student, progress }) => (
+                                                    <tr
+                                                        key={student.id}
+                                                        className="border-b last:border-b-0"
+                                                    >
+                                                        <td className="py-2 font-medium">
+                                                            {student.name}
+                                                        </td>
+                                                        <td className="py-2 w-1/3">
+                                                            <ProgressBar
+                                                                value={
+                                                                    progress.masteredPercentage
+                                                                }
+                                                                max={100}
+                                                                variant="success"
+                                                                showLabel
+                                                            />
+                                                        </td>
+                                                        <td className="py-2">
+                                                            {
+                                                                progress.totalFacts
+                                                            }{" "}
+                                                            (
+                                                            {
+                                                                progress.progressionCoverage
+                                                            }
+                                                            %)
+                                                        </td>
+                                                        <td className="py-2">
+                                                            {
+                                                                progress
+                                                                    .factsByLevel[
+                                                                    KNOWLEDGE_LEVELS
+                                                                        .MASTERED
+                                                                ]
+                                                            }
+                                                        </td>
+                                                        <td className="py-2">
+                                                            {
+                                                                progress
+                                                                    .factsToReview
+                                                                    .length
+                                                            }
+                                                        </td>
+                                                        <td className="py-2">
+                                                            <ReportActions
+                                                                getReport={() =>
+                                                                    getProgressReport(
+                                                                        student
+                                                                    )
+                                                                }
+                                                                size="sm"
+                                                            />
+                                                        </td>
+                                                    </tr>
+                                                )
+                                            )}
+                                        </tbody>
+                                    </table>
+                                </div>
+                            )}
+                        </Card>
+
+                        {/* Erreurs fréquentes dans la classe */}
+                        {Object.keys(summary.errorsByType).length > 0 && (
+                            <Card>
+                                <h3 className="text-lg font-semibold mb-4">
+                                    Erreurs fréquentes dans la classe
+                                </h3>
+                                <div className="space-y-2">
+                                    {Object.entries(summary.errorsByType)
+                                        .sort(([, a], [, b]) => b - a)
+                                        .map(([type, count]) => (
+                                            <div
+                                                key={type}
+                                                className="flex justify-between"
+                                            >
+                                                <span>
+                                                    {ERROR_TYPE_LABELS[type] ||
+                                                        type}
+                                                </span>
+                                                <span className="font-medium">
+                                                    {count}
+                                                </span>
+                                            </div>
+                                        ))}
+                                </div>
+                            </Card>
+                        )}
+                    </div>
+                )}
+            </TeacherPinGate>
+        </Layout>
+    );
+};
+
+export default ClassOverview;
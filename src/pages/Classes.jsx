@@ -0,0 +1,338 @@
+/**
+ * @file Classes.jsx
+ * @description Page du mode enseignant : classes, listes d'élèves et création groupée de profils
+ */
+
+import { useState } from "react";
+import { useNavigate } from "react-router-dom";
+import { Layout } from "../components/layout/Layout";
+import { Card } from "../components/common/Card";
+import { Button } from "../components/common/Button";
+import { Icon } from "../components/common/Icon";
+import { TeacherPinGate } from "../components/classes/TeacherPinGate";
+import { useClasses, useProgressions } from "../contexts";
+import { DIFFICULTY_LEVELS } from "../data/progressions";
+import { getLevelShortName } from "../utils/customProgressions";
+
+/**
+ * Page de gestion des classes
+ * @returns {JSX.Element} Page Classes
+ */
+const Classes = () => {
+    const navigate = useNavigate();
+    const {
+        classes,
+        error,
+        createClass,
+        deleteClass,
+        getRoster,
+        addStudents,
+        removeStudent,
+        lockTeacherMode,
+    } = useClasses();
+    const { progressions } = useProgressions();
+
+    // Classe sélectionnée et formulaires
+    const [selectedClassId, setSelectedClassId] = useState(null);
+    const [newClassName, setNewClassName] = useState("");
+    const [newClassLevel, setNewClassLevel] = useState(DIFFICULTY_LEVELS.CP);
+    const [studentNames, setStudentNames] = useState("");
+
+    // Message d'information
+    const [message, setMessage] = useState("");
+
+    const selectedClass = classes.find((c) => c.id === selectedClassId);
+    const roster = selectedClass ? getRoster(selectedClass.id) : [];
+
+    /**
+     * Gère la création d'une classe
+     * @param {Event} e - Événement du formulaire
+     */
+    const handleCreateClass = (e) => {
+        e.preventDefault();
+
+        const newClass = createClass({
+            name: newClassName,
+            level: newClassLevel,
+        });
+
+        if (newClass) {
+            setMessage(`Classe « ${newClass.name} » créée`);
+            setNewClassName("");
+            setSelectedClassId(newClass.id);
+        }
+    };
+
+    /**
+     * Gère l'ajout des élèves collés dans la zone de texte
+     * @param {Event} e - Événement du formulaire
+     */
+    const handleAddStudents = (e) => {
+        e.preventDefault();
+
+        const created = addStudents(selectedClass.id, studentNames);
+        setMessage(
+            created.length > 0
+                ? `${created.length} élève(s) ajouté(s) à la classe`
+                : "Aucun nouvel élève à ajouter"
+        );
+        setStudentNames("");
+    };
+
+    /**
+     * Gère la suppression de la classe sélectionnée
+     */
+    const handleDeleteClass = () => {
+        if (
+            window.confirm(
+                "Supprimer cette classe ? Les profils des élèves et leur progression sont conservés."
+            ) &&
+            deleteClass(selectedClass.id)
+        ) {
+            setMessage("Classe supprimée");
+            setSelectedClassId(null);
+        }
+    };
+
+    /**
+     * Gère le retrait d'un élève de la classe
+     * @param {Object} student - Profil de l'élève
+     */
+    const handleRemoveStudent = (student) => {
+        if (
+            window.confirm(
+                `Retirer ${student.name} de la classe ? Son profil est conservé.`
+            ) &&
+            removeStudent(student.id)
+        ) {
+            setMessage(`${student.name} a été retiré(e) de la classe`);
+        }
+    };
+
+    return (
+        <Layout
+            title="Mode enseignant"
+            showBackButton
+            onBackClick={() => navigate("/profiles")}
+        >
+            <TeacherPinGate>
+                <div className="max-w-3xl mx-auto">
+                    {(message || error) && (
+                        <div
+                            className={`mb-4 p-3 rounded-lg ${
+                                error
+                                    ? "bg-red-100 text-red-700"
+                                    : "bg-blue-100 text-blue-700"
+                            }`}
+                        >
+                            {message || error}
+                        </div>
+                    )}
+
+                    <div className="flex justify-end gap-2 mb-4">
+                        <Button
+                            variant="secondary"
+                            size="sm"
+                            onClick={() => navigate("/progressions")}
+                        >
+                            Progressions
+                        </Button>
+                        <Button
+                            variant="secondary"
+                            size="sm"
+                            onClick={() => {
+                                lockTeacherMode();
+                                navigate("/profiles");
+                            }}
+                        >
+                            Verrouiller
+                        </Button>
+                    </div>
+
+                    <div className="grid grid-cols-1 md:grid-cols-3 gap-6">
+                        {/* Liste des classes et création */}
+                        <Card className="md:col-span-1">
+                            <h2 className="text-lg font-semibold mb-4">
+                                Classes
+                            </h2>
+
+                            {classes.length > 0 ? (
+                                <div className="space-y-2 mb-4">
+                                    {classes.map((classGroup) => (
+                                        <div
+                                            key={classGroup.id}
+                                            onClick={() =>
+                                                setSelectedClassId(
+                                                    classGroup.id
+                                                )
+                                            }
+                                            className={`p-2 rounded-lg cursor-pointer ${
+                                                classGroup.id ===
+                                                selectedClassId
+                                                    ? "bg-blue-100 border-2 border-blue-500"
+                                                    : "bg-gray-50 hover:bg-gray-100"
+                                            }`}
+                                        >
+                                            <div className="font-medium">
+                                                {classGroup.name}
+                                            </div>
+                                            <div className="text-xs text-gray-500">
+                                                {`${getLevelShortName(classGroup.level, progressions)} • ${
+                                                    getRoster(classGroup.id)
+                                                        .length
+                                                } élève(s)`}
+                                            </div>
+                                        </div>
+                                    ))}
+                                </div>
+                            ) : (
+                                <p className="text-gray-500 italic mb-4">
+                                    Aucune classe pour le moment.
+                                </p>
+                            )}
+
+                            <form onSubmit={handleCreateClass}>
+                                <label
+                                    htmlFor="className"
+                                    className="block text-sm font-medium text-gray-700 mb-1"
+                                >
+                                    Nouvelle classe
+                                </label>
+                                <input
+                                    type="text"
+                                    id="className"
+                                    value={newClassName}
+                                    onChange={(e) =>
+                                        setNewClassName(e.target.value)
+                                    }
+                                    className="w-full p-2 mb-2 border border-gray-300 rounded focus:ring-blue-500 focus:border-blue-500"
+                                    placeholder="Ex: CE1 B"
+                                    required
+                                />
+                                <select
+                                    value={newClassLevel}
+                                    onChange={(e) =>
+                                        setNewClassLevel(e.target.value)
+                                    }
+                                    aria-label="Niveau de la classe"
+                                    className="w-full p-2 mb-2 border border-gray-300 rounded focus:ring-blue-500 focus:border-blue-500"
+                                >
+                                    {Object.keys(progressions).map((level) => (
+                                        <option key={level} value={level}>
+                                            {getLevelShortName(
+                                                level,
+                                                progressions
+                                            )}
+                                        </option>
+                                    ))}
+                                </select>
+                                <Button
+                                    type="submit"
+                                    variant="primary"
+                                    fullWidth
+                                >
+                                    Créer la classe
+                                </Button>
+                            </form>
+                        </Card>
+
+                        {/* Liste des élèves de la classe sélectionnée */}
+                        <Card className="md:col-span-2">
+                            {!selectedClass ? (
+                                <p className="text-gray-500 italic">
+                                    Sélectionne une classe pour voir ses élèves.
+                                </p>
+                            ) : (
+                                <>
+                                    <div className="flex justify-between items-center mb-4">
+                                        <h2 className="text-lg font-semibold">
+                                            {selectedClass.name} (
+                                            {roster.length} élèves)
+                                        </h2>
+                                        <div className="flex space-x-2">
+                                            <Button
+                                                variant="primary"
+                                                size="sm"
+                                                onClick={() =>
+                                                    navigate(
+                                                        `/classes/${selectedClass.id}`
+                                                    )
+                                                }
+                                            >
+                                                Vue d&lsquo;ensemble
+                                            </Button>
+                                            <Button
+                                                variant="danger"
+                                                size="sm"
+                                                onClick={handleDeleteClass}
+                                            >
+                                                Supprimer
+                                            </Button>
+                                        </div>
+                                    </div>
+
+                                    {roster.length > 0 ? (
+                                        <div className="space-y-2 mb-4">
+                                            {roster.map((student) => (
+                                                <div
+                                                    key={student.id}
+                                                    className="p-2 rounded-lg bg-gray-50 flex justify-between items-center"
+                                                >
+                                                    <span>{student.name}</span>
+                                                    <button
+                                                        onClick={() =>
+                                                            handleRemoveStudent(
+                                                                student
+                                                            )
+                                                        }
+                                                        className="p-1 text-red-500 hover:text-red-700 rounded-full hover:bg-red-100"
+                                                        aria-label={`Retirer ${student.name} de la classe`}
+                                                    >
+                                                        <Icon
+                                                            name="close"
+                                                            size="18"
+                                                        />
+                                                    </button>
+                                                </div>
+                                            ))}
+                                        </div>
+                                    ) : (
+                                        <p className="text-gray-500 italic mb-4">
+                                            Aucun élève dans cette classe.
+                                        </p>
+                                    )}
+
+                                    <form onSubmit={handleAddStudents}>
+                                        <label
+                                            htmlFor="studentNames"
+                                            className="block text-sm font-medium text-gray-700 mb-1"
+                                        >
+                                            Ajouter des élèves (un nom par
+                                            ligne)
+                                        </label>
+                                        <textarea
+                                            id="studentNames"
+                                            rows={6}
+                                            value={studentNames}
+                                            onChange={(e) =>
+                                                setStudentNames(e.target.value)
+                                            }
+                                            className="w-full p-2 mb-2 border border-gray-300 rounded focus:ring-blue-500 focus:border-blue-500"
+                                            placeholder={"Léa\nNoé\nInès"}
+                                            required
+                                        />
+                                        <Button type="submit" variant="primary">
+                                            Créer les profils
+                                        </Button>
+                                    </form>
+                                </>
+                            )}
+                        </Card>
+                    </div>
+                </div>
+            </TeacherPinGate>
+        </Layout>
+    );
+};
+
+export default Classes;
@@ -3,33 +3,58 @@
  * @description Page principale d'exercices avec répétition espacée
  */
 
-import { useContext } from "react";
-import { useNavigate } from "react-router-dom";
+import { useContext, useEffect, useState } from "react";
+import { useNavigate, useSearchParams } from "react-router-dom";
 import { Layout } from "../components/layout/Layout";
 import { Card } from "../components/common/Card";
 import { Button } from "../components/common/Button";
 import { ExerciseCard } from "../components/exercises/ExerciseCard";
-import {AuthContext, ProgressContext} from "../contexts";
-import { useExerciseSession } from "../hooks/useExerciseSession";
+import { AuthContext, ProgressContext, ProgressionContext } from "../contexts";
+import {
+    useExerciseSession,
+    EXERCISE_MODES,
+} from "../hooks/useExerciseSession";
 import { SessionSummary } from "../components/exercises/SessionSummary";
 import { SessionProgress } from "../components/exercises/SessionProgress";
+import { SprintCountdown } from "../components/exercises/SprintCountdown";
 import { LoadingState } from "../components/exercises/LoadingState";
 import { NotLoggedInState } from "../components/exercises/NotLoggedInState";
 import { ErrorState } from "../components/exercises/ErrorState";
+import { UnitCelebration } from "../components/progress/UnitCelebration";
+import {
+    parseSprintDuration,
+    getPersonalBest,
+    updateSprintRecords,
+    SPRINT_FEEDBACK_DELAY,
+} from "../utils/sprintUtils";
+import { ANSWER_FORMATS, getAnswerFormat } from "../utils/answerFormats";
 
 /**
  * Page d'exercices qui présente des faits numériques selon l'algorithme de répétition espacée
+ * Le mode sprint (`?mode=sprint&duration=60`) propose un maximum de faits avant la fin d'un compte à rebours
  * @returns {JSX.Element} Page Exercise
  */
 const Exercise = () => {
     const navigate = useNavigate();
-    const { user } = useContext(AuthContext);
+    const [searchParams] = useSearchParams();
+    const { user, updateProfile } = useContext(AuthContext);
     const {
         getFactsToReviewToday,
+        getStudyPlan,
         updateFactProgress,
         currentLevel,
         addMultipleFacts,
+        activeUnit,
+        facts,
+        saveSession,
     } = useContext(ProgressContext);
+    const { progressions } = useContext(ProgressionContext);
+
+    const isSprint = searchParams.get("mode") === EXERCISE_MODES.SPRINT;
+    const sprintDuration = parseSprintDuration(searchParams.get("duration"));
+
+    // Résultat du sprint comparé au record personnel, calculé une fois le temps écoulé
+    const [sprintResult, setSprintResult] = useState(null);
 
     // Utiliser notre hook personnalisé pour gérer la session
     const {
@@ -39,18 +64,55 @@ const Exercise = () => {
         currentFact,
         currentSession,
         currentFactIndex,
+        isRetryFact,
         progress,
+        timeLeft,
         handleExerciseResult,
         goToNextExercise,
         getFormattedStats,
     } = useExerciseSession({
         user,
         getFactsToReviewToday,
+        getStudyPlan,
         updateFactProgress,
         currentLevel,
         addMultipleFacts,
+        activeUnit,
+        facts,
+        progressions,
+        saveSession,
+        mode: isSprint ? EXERCISE_MODES.SPRINT : EXERCISE_MODES.STANDARD,
+        sprintDuration,
     });
 
+    // Enregistrer le record personnel à la fin d'un sprint
+    useEffect(() => {
+        if (!isSprint || !sessionComplete || !currentSession || sprintResult) {
+            return;
+        }
+
+        const { correct = 0, total = 0 } = getFormattedStats();
+        const { records, previousBest, isNewBest } = updateSprintRecords(
+            user?.sprintRecords,
+            sprintDuration,
+            { correct, total }
+        );
+
+        if (isNewBest && user) {
+            updateProfile({ sprintRecords: records });
+        }
+        setSprintResult({ duration: sprintDuration, previousBest, isNewBest });
+    }, [
+        isSprint,
+        sessionComplete,
+        currentSession,
+        sprintResult,
+        getFormattedStats,
+        user,
+        sprintDuration,
+        updateProfile,
+    ]);
+
     /**
      * Démarre une nouvelle session
      */
@@ -107,7 +169,7 @@ const Exercise = () => {
 
         return (
             <Layout
-                title="Exercices terminés"
+                title={isSprint ? "Sprint terminé" : "Exercices terminés"}
                 showBackButton
                 onBackClick={handleGoHome}
             >
@@ -117,21 +179,44 @@ const Exercise = () => {
                         hasCompletedSession={!!currentSession}
                         onStartNewSession={handleStartNewSession}
                         onGoHome={handleGoHome}
+                        sprint={
+                            isSprint && currentSession
+                                ? sprintResult || { duration: sprintDuration }
+                                : null
+                        }
                     />
                 </div>
+
+                {/* Unité terminée pendant la session */}
+                <UnitCelebration />
             </Layout>
         );
     }
 
     return (
-        <Layout title="Exercice" showBackButton onBackClick={handleBackClick}>
+        <Layout
+            title={isSprint ? "Sprint" : "Exercice"}
+            showBackButton
+            onBackClick={handleBackClick}
+        >
             <div className="max-w-md mx-auto mb-6">
-                {currentSession && (
-                    <SessionProgress
-                        currentIndex={currentFactIndex}
-                        totalCount={currentSession.length}
-                        progress={progress}
+                {currentSession && isSprint ? (
+                    <SprintCountdown
+                        timeLeft={timeLeft}
+                        duration={sprintDuration}
+                        correctCount={getFormattedStats().correct || 0}
+                        personalBest={getPersonalBest(user, sprintDuration)}
                     />
+                ) : (
+                    currentSession && (
+                        <SessionProgress
+                            currentIndex={currentFactIndex}
+                            totalCount={currentSession.length}
+                            progress={progress}
+                            isRetry={isRetryFact}
+                            stats={getFormattedStats()}
+                        />
+                    )
                 )}
 
                 {currentFact ? (
@@ -141,6 +226,22 @@ const Exercise = () => {
                         onResult={handleExerciseResult}
                         onNext={goToNextExercise}
                         showTimer={true}
+                        autoAdvanceDelay={
+                            isSprint ? SPRINT_FEEDBACK_DELAY : null
+                        }
+                        // Le sprint mesure la vitesse de saisie : pas de format à choix
+                        answerFormat={
+                            isSprint
+                                ? ANSWER_FORMATS.TYPED
+                                : getAnswerFormat(user.preferences)
+                        }
+                        voiceAnswers={Boolean(user.preferences?.voiceAnswers)}
+                        readAloud={Boolean(user.preferences?.readAloud)}
+                        // Le sprint est une restitution pure : calcul seul, sans représentation
+                        showRepresentation={
+                            !isSprint &&
+                            (user.preferences?.showRepresentations ?? true)
+                        }
                     />
                 ) : (
                     <Card elevated className="text-center p-4">
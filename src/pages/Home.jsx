@@ -6,8 +6,13 @@ import { Card } from "../components/common/Card";
 import { Button } from "../components/common/Button";
 import { Icon } from "../components/common/Icon";
 import { ProgressBar } from "../components/common/ProgressBar";
+import { DailyMission } from "../components/progress/DailyMission";
+import { UnitCelebration } from "../components/progress/UnitCelebration";
 import { AuthContext, ProgressContext } from "../contexts";
 import { DIFFICULTY_LEVELS } from "../data/progressions";
+import { EXERCISE_MODES } from "../hooks/useExerciseSession";
+import { SPRINT_DURATIONS, getPersonalBest } from "../utils/sprintUtils";
+import { countAnswersOnDay } from "../utils/studyPlan";
 import { isAppInstalled, promptInstall } from "../services/pwaService";
 
 /**
@@ -17,13 +22,21 @@ import { isAppInstalled, promptInstall } from "../services/pwaService";
 const Home = () => {
     const navigate = useNavigate();
     const { user, loginAsGuest, updateProfile } = useContext(AuthContext);
-    const { currentLevel, changeLevel, factsToReview, getOverallProgress } =
-        useContext(ProgressContext);
+    const {
+        currentLevel,
+        changeLevel,
+        factsToReview,
+        getOverallProgress,
+        getStudyPlan,
+        getSessionHistory,
+    } = useContext(ProgressContext);
 
     const [installPrompt, setInstallPrompt] = useState(null);
     const [isInstalled, setIsInstalled] = useState(isAppInstalled());
     const [stats, setStats] = useState(null);
     const [isLoadingStats, setIsLoadingStats] = useState(true);
+    const [studyPlan, setStudyPlan] = useState(null);
+    const [answeredToday, setAnsweredToday] = useState(0);
 
     // Détecter si l'application peut être installée
     useEffect(() => {
@@ -86,6 +99,33 @@ const Home = () => {
         loadStats();
     }, [user, getOverallProgress]);
 
+    // Charger la mission du jour : plan de travail et calculs déjà faits aujourd'hui
+    useEffect(() => {
+        const loadMission = async () => {
+            if (!user) {
+                setStudyPlan(null);
+                return;
+            }
+
+            try {
+                const [plan, sessions] = await Promise.all([
+                    getStudyPlan(),
+                    getSessionHistory(),
+                ]);
+                setStudyPlan(plan);
+                setAnsweredToday(countAnswersOnDay(sessions));
+            } catch (error) {
+                console.error(
+                    "Erreur lors du chargement de la mission du jour:",
+                    error
+                );
+                setStudyPlan(null);
+            }
+        };
+
+        loadMission();
+    }, [user, getStudyPlan, getSessionHistory]);
+
     /**
      * Lance l'invite d'installation de la PWA
      */
@@ -112,6 +152,20 @@ const Home = () => {
         navigate("/exercise");
     };
 
+    /**
+     * Lance un sprint chronométré
+     * @param {number} duration - Durée du sprint en secondes
+     */
+    const handleStartSprint = (duration) => {
+        if (!user) {
+            loginAsGuest();
+        }
+
+        navigate(
+            `/exercise?mode=${EXERCISE_MODES.SPRINT}&duration=${duration}`
+        );
+    };
+
     /**
      * Accède à la page de progression
      */
@@ -184,43 +238,22 @@ const Home = () => {
                                 Bienvenue, {user.name} !
                             </h2>
 
-                            {hasFactsToReview ? (
-                                <div className="bg-yellow-50 p-4 rounded-lg mb-4">
-                                    <div className="flex items-center">
-                                        <Icon
-                                            name="star"
-                                            color="#FBBF24"
-                                            className="mr-2"
-                                        />
+                            {/* Mission du jour */}
+                            {studyPlan ? (
+                                <DailyMission
+                                    plan={studyPlan}
+                                    answeredToday={answeredToday}
+                                    onStart={handleStartExercise}
+                                />
+                            ) : (
+                                hasFactsToReview && (
+                                    <div className="bg-yellow-50 p-4 rounded-lg mb-4">
                                         <span className="font-medium">
                                             Tu as {factsToReview.length} faits à
                                             réviser aujourd&lsquo;hui
                                         </span>
                                     </div>
-
-                                    <Button
-                                        variant="primary"
-                                        onClick={handleStartExercise}
-                                        className="mt-3"
-                                        fullWidth
-                                    >
-                                        Commencer la révision
-                                    </Button>
-                                </div>
-                            ) : (
-                                <div className="bg-green-50 p-4 rounded-lg mb-4">
-                                    <div className="flex items-center">
-                                        <Icon
-                                            name="checkCircle"
-                                            color="#10B981"
-                                            className="mr-2"
-                                        />
-                                        <span className="font-medium">
-                                            Tu as terminé toutes tes révisions
-                                            pour aujourd&lsquo;hui !
-                                        </span>
-                                    </div>
-                                </div>
+                                )
                             )}
 
                             {/* Résumé de progression */}
@@ -266,6 +299,48 @@ const Home = () => {
                     </Card>
                 )}
 
+                {/* Mode sprint : un maximum de faits avant la fin du temps */}
+                <Card elevated className="mb-6">
+                    <div className="p-4">
+                        <h2 className="text-xl font-semibold mb-1">
+                            Sprint chronométré
+                        </h2>
+                        <p className="text-sm text-gray-600 mb-4">
+                            Réponds à un maximum de calculs avant la fin du
+                            temps !
+                        </p>
+
+                        <div className="grid grid-cols-3 gap-3">
+                            {SPRINT_DURATIONS.map((duration) => {
+                                const personalBest = getPersonalBest(
+                                    user,
+                                    duration
+                                );
+
+                                return (
+                                    <button
+                                        key={duration}
+                                        type="button"
+                                        onClick={() =>
+                                            handleStartSprint(duration)
+                                        }
+                                        className="p-3 rounded-lg bg-orange-50 hover:bg-orange-100 text-center transition-colors"
+                                    >
+                                        <div className="text-2xl font-bold text-orange-600">
+                                            {duration} s
+                                        </div>
+                                        <div className="text-xs text-gray-600">
+                                            {personalBest
+                                                ? `Record : ${personalBest.correct}`
+                                                : "Pas encore de record"}
+                                        </div>
+                                    </button>
+                                );
+                            })}
+                        </div>
+                    </div>
+                </Card>
+
                 {/* Sélection du niveau (CP, CE1, CE2) */}
                 <h2 className="text-xl font-semibold mb-4">
                     Choisis ton niveau
@@ -389,6 +464,9 @@ const Home = () => {
 
                 {/* Reste du composant... */}
             </div>
+
+            {/* Unité terminée lors de la dernière session */}
+            <UnitCelebration />
         </Layout>
     );
 };
@@ -9,8 +9,15 @@ import { Layout } from "../components/layout/Layout";
 import { Card } from "../components/common/Card";
 import { Button } from "../components/common/Button";
 import { Icon } from "../components/common/Icon";
-import { AuthContext } from "../contexts";
+import { PlacementTest } from "../components/exercises/PlacementTest";
+import {
+    AuthContext,
+    useClasses,
+    useProgress,
+    useProgressions,
+} from "../contexts";
 import { DIFFICULTY_LEVELS } from "../data/progressions";
+import { getLevelShortName } from "../utils/customProgressions";
 
 /**
  * Page de gestion des profils utilisateurs
@@ -26,6 +33,14 @@ const Profiles = () => {
         deleteProfile,
         error,
     } = useContext(AuthContext);
+    const { classes } = useClasses();
+    const { progressions } = useProgressions();
+    const { seedStudentFacts } = useProgress();
+
+    // Noms des classes, pour indiquer celle de chaque élève
+    const classNames = Object.fromEntries(
+        classes.map((classGroup) => [classGroup.id, classGroup.name])
+    );
 
     // État local pour le formulaire de création de profil
     const [showCreateForm, setShowCreateForm] = useState(false);
@@ -33,6 +48,9 @@ const Profiles = () => {
     const [newProfileLevel, setNewProfileLevel] = useState(
         DIFFICULTY_LEVELS.CP
     );
+    const [withPlacement, setWithPlacement] = useState(true);
+    // Test de positionnement en cours avant la création du profil
+    const [isPlacing, setIsPlacing] = useState(false);
 
     // Message d'information ou d'erreur
     const [message, setMessage] = useState("");
@@ -55,23 +73,36 @@ const Profiles = () => {
     };
 
     /**
-     * Gère la création d'un nouveau profil
-     * @param {Event} e - Événement du formulaire
+     * Crée le profil, avec l'avancement issu du test de positionnement s'il a été passé
+     * @param {Object|null} placement - Résultat du test (getPlacementResult) ou null
      */
-    const handleCreateProfile = (e) => {
-        e.preventDefault();
-
-        if (!newProfileName.trim()) {
-            setMessage("Le nom du profil est requis");
-            return;
-        }
+    const finishProfileCreation = (placement) => {
+        setIsPlacing(false);
 
         const newProfile = createProfile({
             name: newProfileName.trim(),
             level: newProfileLevel,
+            ...(placement?.startUnitId && {
+                unitProgress: {
+                    [newProfileLevel]: {
+                        unitId: placement.startUnitId,
+                        completedUnits: placement.completedUnits,
+                    },
+                },
+                placement: {
+                    level: newProfileLevel,
+                    startUnitId: placement.startUnitId,
+                    knownFacts: placement.knownFacts.length,
+                    completedAt: new Date().toISOString(),
+                },
+            }),
         });
 
         if (newProfile) {
+            if (placement?.knownFacts.length > 0) {
+                seedStudentFacts(newProfile, placement.knownFacts);
+            }
+
             setMessage("Profil créé avec succès");
             setNewProfileName("");
             setShowCreateForm(false);
@@ -85,6 +116,26 @@ const Profiles = () => {
         }
     };
 
+    /**
+     * Gère la création d'un nouveau profil
+     * @param {Event} e - Événement du formulaire
+     */
+    const handleCreateProfile = (e) => {
+        e.preventDefault();
+
+        if (!newProfileName.trim()) {
+            setMessage("Le nom du profil est requis");
+            return;
+        }
+
+        if (withPlacement) {
+            setMessage("");
+            setIsPlacing(true);
+        } else {
+            finishProfileCreation(null);
+        }
+    };
+
     /**
      * Gère la suppression d'un profil
      * @param {string} profileId - ID du profil à supprimer
@@ -153,7 +204,16 @@ const Profiles = () => {
                                             </div>
                                             <div className="text-xs text-gray-500">
                                                 Niveau:{" "}
-                                                {profile.level.toUpperCase()}
+                                                {getLevelShortName(
+                                                    profile.level,
+                                                    progressions
+                                                )}
+                                                {profile.classId &&
+                                                    ` • Classe ${
+                                                        classNames[
+                                                            profile.classId
+                                                        ] || "?"
+                                                    }`}
                                                 {profile.createdAt &&
                                                     ` • Créé le ${new Date(
                                                         profile.createdAt
@@ -185,7 +245,13 @@ const Profiles = () => {
                         )}
 
                         {/* Bouton pour créer un nouveau profil */}
-                        {!showCreateForm ? (
+                        {isPlacing ? (
+                            <PlacementTest
+                                level={newProfileLevel}
+                                onComplete={finishProfileCreation}
+                                onSkip={() => finishProfileCreation(null)}
+                            />
+                        ) : !showCreateForm ? (
                             <Button
                                 variant="primary"
                                 onClick={() => setShowCreateForm(true)}
@@ -237,18 +303,36 @@ const Profiles = () => {
                                         }
                                         className="w-full p-2 border border-gray-300 rounded focus:ring-blue-500 focus:border-blue-500"
                                     >
-                                        <option value={DIFFICULTY_LEVELS.CP}>
-                                            CP (6-7 ans)
-                                        </option>
-                                        <option value={DIFFICULTY_LEVELS.CE1}>
-                                            CE1 (7-8 ans)
-                                        </option>
-                                        <option value={DIFFICULTY_LEVELS.CE2}>
-                                            CE2 (8-9 ans)
-                                        </option>
+                                        {Object.values(progressions).map(
+                                            (progression) => (
+                                                <option
+                                                    key={progression.id}
+                                                    value={progression.id}
+                                                >
+                                                    {progression.name}
+                                                </option>
+                                            )
+                                        )}
                                     </select>
                                 </div>
 
+                                <div className="mb-4">
+                                    <label className="flex items-center text-sm text-gray-700">
+                                        <input
+                                            type="checkbox"
+                                            checked={withPlacement}
+                                            onChange={(e) =>
+                                                setWithPlacement(
+                                                    e.target.checked
+                                                )
+                                            }
+                                            className="mr-2"
+                                        />
+                                        Faire un test de positionnement pour
+                                        choisir où commencer
+                                    </label>
+                                </div>
+
                                 <div className="flex space-x-2">
                                     <Button
                                         type="button"
@@ -270,6 +354,15 @@ const Profiles = () => {
                         )}
                     </div>
                 </Card>
+
+                {/* Accès au mode enseignant (protégé par code PIN) */}
+                <Button
+                    variant="secondary"
+                    onClick={() => navigate("/classes")}
+                    fullWidth
+                >
+                    Mode enseignant : gérer les classes
+                </Button>
             </div>
         </Layout>
     );
@@ -1,17 +1,26 @@
 // src/pages/Progress.jsx
-import { useContext, useState, useEffect } from "react";
+import { useContext, useState, useEffect, useMemo } from "react";
 import { Layout } from "../components/layout/Layout";
 import { Card } from "../components/common/Card";
 import { Button } from "../components/common/Button";
 import { ProgressBar } from "../components/common/ProgressBar";
 import { FactCard } from "../components/exercises/FactCard";
-import { ProgressContext, AuthContext } from "../contexts";
-import {
-    DIFFICULTY_LEVELS,
-    PROGRESSIONS,
-    OPERATION_TYPES,
-} from "../data/progressions";
+import { SessionHistory } from "../components/progress/SessionHistory";
+import { FactFamilies } from "../components/progress/FactFamilies";
+import { ReportActions } from "../components/progress/ReportActions";
+import { ErrorPatterns } from "../components/progress/ErrorPatterns";
+import { ProgressContext, AuthContext, useProgressions } from "../contexts";
+import { DIFFICULTY_LEVELS, OPERATION_TYPES } from "../data/progressions";
 import { KNOWLEDGE_LEVELS } from "../hooks/useSpacedRepetition";
+import { ERROR_TYPE_LABELS } from "../utils/factUtils";
+import { FLUENCY_STATUS, FLUENCY_STATUS_LABELS } from "../utils/fluency";
+import {
+    UNIT_STATUS_LABELS,
+    getUnitProgress,
+    getUnitStatuses,
+    getUnitMastery,
+    getUnitCompletionShare,
+} from "../utils/unitProgression";
 
 /**
  * Page de suivi de progression
@@ -27,15 +36,35 @@ const Progress = () => {
         changePeriod,
         changeUnit,
         getFactsWithProgress,
+        getFactFamilies,
         getOverallProgress,
+        getProgressReport,
+        getSessionHistory,
+        facts,
     } = useContext(ProgressContext);
+    const { progressions } = useProgressions();
 
     const [viewMode, setViewMode] = useState("summary");
     const [stats, setStats] = useState(null);
     const [factsWithProgress, setFactsWithProgress] = useState([]);
+    const [sessions, setSessions] = useState([]);
     const [isLoading, setIsLoading] = useState(true);
     const [error, setError] = useState(null);
 
+    // État des unités du niveau et avancement de l'unité active
+    const unitStatuses = getUnitStatuses(
+        currentLevel,
+        {
+            ...getUnitProgress(user, currentLevel),
+            unitId: activeUnit?.id || null,
+        },
+        progressions
+    );
+    const unitMastery = getUnitMastery(activeUnit, facts);
+    const completionPercent = Math.round(
+        getUnitCompletionShare(user?.preferences) * 100
+    );
+
     // Charger les statistiques et les faits
     useEffect(() => {
         const loadProgressData = async () => {
@@ -73,6 +102,21 @@ const Progress = () => {
         activeUnit,
     ]);
 
+    // Familles de faits suivies, recalculées quand la progression change
+    const families = useMemo(() => getFactFamilies(), [getFactFamilies]);
+
+    // Charger l'historique des sessions à l'ouverture de la vue
+    useEffect(() => {
+        if (!user || viewMode !== "history") return;
+
+        const loadSessions = async () => {
+            const history = await getSessionHistory();
+            setSessions(history);
+        };
+
+        loadSessions();
+    }, [user, viewMode, getSessionHistory]);
+
     // Si l'utilisateur n'est pas connecté, afficher un message
     if (!user) {
         return (
@@ -126,7 +170,7 @@ const Progress = () => {
             case DIFFICULTY_LEVELS.CE2:
                 return "CE2 (8-9 ans)";
             default:
-                return level;
+                return progressions[level]?.name || level;
         }
     };
 
@@ -242,7 +286,7 @@ const Progress = () => {
                                         changeLevel(e.target.value)
                                     }
                                 >
-                                    {Object.keys(PROGRESSIONS).map((level) => (
+                                    {Object.keys(progressions).map((level) => (
                                         <option key={level} value={level}>
                                             {getLevelLabel(level)}
                                         </option>
@@ -258,24 +302,25 @@ const Progress = () => {
                                     className="block w-full py-2 px-3 border border-gray-300 bg-white rounded-md shadow-sm focus:outline-none focus:ring-blue-500 focus:border-blue-500"
                                     value={activePeriod?.id}
                                     onChange={(e) => {
-                                        const period = PROGRESSIONS[
+                                        const period = progressions[
                                             currentLevel
-                                        ].periods.find(
+                                        ]?.periods.find(
                                             (p) => p.id === e.target.value
                                         );
                                         if (period) changePeriod(period);
                                     }}
                                 >
-                                    {PROGRESSIONS[currentLevel].periods.map(
-                                        (period) => (
-                                            <option
-                                                key={period.id}
-                                                value={period.id}
-                                            >
-                                                {period.name}
-                                            </option>
-                                        )
-                                    )}
+                                    {(
+                                        progressions[currentLevel]?.periods ||
+                                        []
+                                    ).map((period) => (
+                                        <option
+                                            key={period.id}
+                                            value={period.id}
+                                        >
+                                            {period.name}
+                                        </option>
+                                    ))}
                                 </select>
                             </div>
 
@@ -295,12 +340,37 @@ const Progress = () => {
                                 >
                                     {activePeriod?.units.map((unit) => (
                                         <option key={unit.id} value={unit.id}>
-                                            {unit.name}
+                                            {`${unit.name} (${UNIT_STATUS_LABELS[unitStatuses[unit.id]]})`}
                                         </option>
                                     ))}
                                 </select>
                             </div>
                         </div>
+
+                        {activeUnit && (
+                            <p className="text-xs text-gray-500 mt-2">
+                                {`Unité en cours : ${unitMastery.secured} / ${unitMastery.total} faits en révision ou maîtrisés (terminée à partir de ${completionPercent} %). Un adulte peut choisir une autre unité ci-dessus.`}
+                            </p>
+                        )}
+                    </div>
+                </Card>
+
+                {/* Rapport pour les parents et l'enseignant */}
+                <Card className="mb-6">
+                    <div className="flex flex-col md:flex-row md:items-center md:justify-between gap-3">
+                        <div>
+                            <h3 className="font-semibold">
+                                Rapport de progression
+                            </h3>
+                            <p className="text-sm text-gray-600">
+                                Fiche à imprimer ou tableau à ouvrir dans un
+                                tableur
+                            </p>
+                        </div>
+                        <ReportActions
+                            getReport={() => getProgressReport()}
+                            size="sm"
+                        />
                     </div>
                 </Card>
 
@@ -320,7 +390,7 @@ const Progress = () => {
                         </button>
                         <button
                             type="button"
-                            className={`px-4 py-2 text-sm font-medium rounded-r-lg ${
+                            className={`px-4 py-2 text-sm font-medium ${
                                 viewMode === "details"
                                     ? "bg-blue-500 text-white"
                                     : "bg-white text-gray-700 hover:bg-gray-50"
@@ -329,6 +399,28 @@ const Progress = () => {
                         >
                             Détails
                         </button>
+                        <button
+                            type="button"
+                            className={`px-4 py-2 text-sm font-medium ${
+                                viewMode === "families"
+                                    ? "bg-blue-500 text-white"
+                                    : "bg-white text-gray-700 hover:bg-gray-50"
+                            }`}
+                            onClick={() => setViewMode("families")}
+                        >
+                            Familles
+                        </button>
+                        <button
+                            type="button"
+                            className={`px-4 py-2 text-sm font-medium rounded-r-lg ${
+                                viewMode === "history"
+                                    ? "bg-blue-500 text-white"
+                                    : "bg-white text-gray-700 hover:bg-gray-50"
+                            }`}
+                            onClick={() => setViewMode("history")}
+                        >
+                            Historique
+                        </button>
                     </div>
                 </div>
 
@@ -497,7 +589,90 @@ const Progress = () => {
                                 </div>
                             </div>
                         </Card>
+
+                        {/* Rapidité de rappel (seuils de fluence) */}
+                        <Card>
+                            <h3 className="text-lg font-semibold mb-1">
+                                Rapidité de rappel
+                            </h3>
+                            <p className="text-xs text-gray-500 mb-4">
+                                D&lsquo;après la dernière réponse à chaque fait
+                            </p>
+
+                            <div className="space-y-4">
+                                {[
+                                    [FLUENCY_STATUS.FLUENT, "success"],
+                                    [FLUENCY_STATUS.SLOW, "warning"],
+                                    [FLUENCY_STATUS.NOT_YET, "info"],
+                                ].map(([status, variant]) => {
+                                    const count =
+                                        stats?.factsByFluency?.[status] || 0;
+
+                                    return (
+                                        <div key={status}>
+                                            <div className="flex justify-between mb-1">
+                                                <span className="text-sm font-medium">
+                                                    {
+                                                        FLUENCY_STATUS_LABELS[
+                                                            status
+                                                        ]
+                                                    }
+                                                </span>
+                                                <span className="text-sm text-gray-500">
+                                                    {count} faits
+                                                </span>
+                                            </div>
+                                            <ProgressBar
+                                                value={
+                                                    totalFacts > 0
+                                                        ? (count * 100) /
+                                                          totalFacts
+                                                        : 0
+                                                }
+                                                variant={variant}
+                                            />
+                                        </div>
+                                    );
+                                })}
+                            </div>
+                        </Card>
+
+                        {/* Catégories d'erreurs (divisions avec reste) */}
+                        {Object.keys(stats?.errorsByType || {}).length > 0 && (
+                            <Card>
+                                <h3 className="text-lg font-semibold mb-4">
+                                    Erreurs fréquentes
+                                </h3>
+
+                                <div className="space-y-2">
+                                    {Object.entries(stats.errorsByType).map(
+                                        ([errorType, count]) => (
+                                            <div
+                                                key={errorType}
+                                                className="flex justify-between text-sm"
+                                            >
+                                                <span className="font-medium">
+                                                    {ERROR_TYPE_LABELS[
+                                                        errorType
+                                                    ] || errorType}
+                                                </span>
+                                                <span className="text-gray-500">
+                                                    {count} fois
+                                                </span>
+                                            </div>
+                                        )
+                                    )}
+                                </div>
+                            </Card>
+                        )}
+
+                        {/* Schémas d'erreurs et pistes de remédiation */}
+                        <ErrorPatterns patterns={stats?.errorPatterns || []} />
                     </div>
+                ) : viewMode === "history" ? (
+                    <SessionHistory sessions={sessions} />
+                ) : viewMode === "families" ? (
+                    <FactFamilies families={families} />
                 ) : (
                     <div>
                         <Card>
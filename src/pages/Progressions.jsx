@@ -0,0 +1,350 @@
+/**
+ * @file Progressions.jsx
+ * @description Page du mode enseignant : création, copie et modification des progressions,
+ * export et import de progressions personnalisées
+ */
+
+import { useState } from "react";
+import { useNavigate } from "react-router-dom";
+import { Layout } from "../components/layout/Layout";
+import { Card } from "../components/common/Card";
+import { Button } from "../components/common/Button";
+import { TeacherPinGate } from "../components/classes/TeacherPinGate";
+import { ProgressionForm } from "../components/progressions/ProgressionForm";
+import { useProgressions } from "../contexts";
+import {
+    PROGRESSION_FILE_EXTENSION,
+    cloneProgression,
+    createEmptyProgression,
+    getProgressionsFileName,
+    isBuiltInLevel,
+    parseProgressionsFile,
+    serializeProgressions,
+    validateProgression,
+    validateProgressionsFile,
+} from "../utils/customProgressions";
+import { downloadFile, readFileAsText } from "../utils/fileUtils";
+
+/**
+ * Nombre d'unités d'une progression
+ * @param {Object} progression - Progression
+ * @returns {number} Nombre d'unités
+ */
+const countUnits = (progression) =>
+    progression.periods.reduce((sum, period) => sum + period.units.length, 0);
+
+/**
+ * Page de gestion des progressions
+ * @returns {JSX.Element} Page Progressions
+ */
+const Progressions = () => {
+    const navigate = useNavigate();
+    const {
+        progressions,
+        customProgressions,
+        error,
+        getProgressionUsage,
+        saveProgression,
+        deleteProgression,
+        importProgressions,
+    } = useProgressions();
+
+    // Progression en cours de modification et erreurs de validation
+    const [draft, setDraft] = useState(null);
+    const [draftErrors, setDraftErrors] = useState([]);
+
+    // Message d'information { type, text }
+    const [message, setMessage] = useState(null);
+
+    const levelIds = Object.keys(progressions);
+    const customIds = new Set(customProgressions.map((p) => p.id));
+
+    /**
+     * Ouvre une progression dans le formulaire
+     * @param {Object} progression - Progression à modifier
+     */
+    const openDraft = (progression) => {
+        setDraft(progression);
+        setDraftErrors([]);
+        setMessage(null);
+    };
+
+    /**
+     * Enregistre la progression du formulaire
+     */
+    const handleSave = () => {
+        const errors = validateProgression(draft);
+        setDraftErrors(errors);
+        if (errors.length > 0 || !saveProgression(draft)) return;
+
+        setMessage({
+            type: "success",
+            text: `Progression « ${draft.name} » enregistrée`,
+        });
+        setDraft(null);
+    };
+
+    /**
+     * Supprime une progression personnalisée, ou rétablit une progression intégrée
+     * @param {Object} progression - Progression concernée
+     */
+    const handleDelete = (progression) => {
+        const builtIn = isBuiltInLevel(progression.id);
+        const confirmText = builtIn
+            ? `Rétablir la progression d'origine de « ${progression.name} » ? Vos modifications seront perdues.`
+            : `Supprimer la progression « ${progression.name} » ?`;
+
+        if (window.confirm(confirmText) && deleteProgression(progression.id)) {
+            setMessage({
+                type: "success",
+                text: builtIn
+                    ? "Progression d'origine rétablie"
+                    : "Progression supprimée",
+            });
+        }
+    };
+
+    /**
+     * Télécharge des progressions au format JSON
+     * @param {Array<Object>} list - Progressions à exporter
+     */
+    const handleExport = (list) => {
+        downloadFile(serializeProgressions(list), getProgressionsFileName());
+        setMessage({
+            type: "success",
+            text: `${list.length} progression(s) exportée(s)`,
+        });
+    };
+
+    /**
+     * Importe le fichier de progressions choisi
+     * @param {Event} e - Événement de sélection du fichier
+     */
+    const handleImport = async (e) => {
+        const file = e.target.files?.[0];
+        // Permettre de choisir à nouveau le même fichier
+        e.target.value = "";
+        if (!file) return;
+
+        try {
+            const content = parseProgressionsFile(await readFileAsText(file));
+            const errors = validateProgressionsFile(content);
+            if (errors.length > 0) {
+                setMessage({ type: "error", text: errors.join(" ; ") });
+                return;
+            }
+
+            const replaced = content.progressions.filter(
+                (progression) => progressions[progression.id]
+            );
+            if (
+                replaced.length > 0 &&
+                !window.confirm(
+                    `${replaced.length} progression(s) existante(s) seront remplacées (${replaced
+                        .map((progression) => progression.name)
+                        .join(", ")}). Continuer ?`
+                )
+            ) {
+                return;
+            }
+
+            const count = importProgressions(content.progressions);
+            if (count > 0) {
+                setMessage({
+                    type: "success",
+                    text: `${count} progression(s) importée(s)`,
+                });
+            }
+        } catch (err) {
+            setMessage({
+                type: "error",
+                text: "Impossible d'importer les progressions : " + err.message,
+            });
+        }
+    };
+
+    const notice = message || (error && { type: "error", text: error });
+
+    return (
+        <Layout
+            title="Progressions"
+            showBackButton
+            onBackClick={() => (draft ? setDraft(null) : navigate("/classes"))}
+        >
+            <TeacherPinGate>
+                <div className="max-w-3xl mx-auto">
+                    {notice && (
+                        <div
+                            className={`mb-4 p-3 rounded-lg ${
+                                notice.type === "error"
+                                    ? "bg-red-100 text-red-700"
+                                    : "bg-blue-100 text-blue-700"
+                            }`}
+                        >
+                            {notice.text}
+                        </div>
+                    )}
+
+                    {draft ? (
+                        <ProgressionForm
+                            progression={draft}
+                            onChange={setDraft}
+                            onSave={handleSave}
+                            onCancel={() => setDraft(null)}
+                            errors={draftErrors}
+                        />
+                    ) : (
+                        <Card>
+                            <h2 className="text-lg font-semibold mb-2">
+                                Progressions
+                            </h2>
+                            <p className="text-sm text-gray-600 mb-4">
+                                Modifiez une progression intégrée pour votre
+                                classe, copiez-la pour en faire un nouveau
+                                niveau, ou créez une progression complète. Les
+                                faits de chaque unité sont générés à partir de
+                                ses règles.
+                            </p>
+
+                            <div className="space-y-3 mb-6">
+                                {Object.values(progressions).map(
+                                    (progression) => {
+                                        const builtIn = isBuiltInLevel(
+                                            progression.id
+                                        );
+                                        const usage = getProgressionUsage(
+                                            progression.id
+                                        );
+
+                                        return (
+                                            <div
+                                                key={progression.id}
+                                                className="p-3 bg-gray-50 rounded-lg"
+                                            >
+                                                <div className="flex flex-wrap items-baseline justify-between gap-2">
+                                                    <div className="font-medium">
+                                                        {progression.name}
+                                                    </div>
+                                                    <div className="text-xs text-gray-500">
+                                                        {builtIn
+                                                            ? customIds.has(
+                                                                  progression.id
+                                                              )
+                                                                ? "Intégrée, modifiée"
+                                                                : "Intégrée"
+                                                            : "Personnalisée"}
+                                                    </div>
+                                                </div>
+                                                <div className="text-xs text-gray-500 mb-2">
+                                                    {`${progression.periods.length} période(s) • ${countUnits(
+                                                        progression
+                                                    )} unité(s) • ${
+                                                        usage.profiles
+                                                    } profil(s), ${
+                                                        usage.classes
+                                                    } classe(s)`}
+                                                </div>
+                                                <div className="flex flex-wrap gap-2">
+                                                    <Button
+                                                        variant="secondary"
+                                                        size="sm"
+                                                        onClick={() =>
+                                                            openDraft(
+                                                                progression
+                                                            )
+                                                        }
+                                                    >
+                                                        Modifier
+                                                    </Button>
+                                                    <Button
+                                                        variant="secondary"
+                                                        size="sm"
+                                                        onClick={() =>
+                                                            openDraft(
+                                                                cloneProgression(
+                                                                    progression,
+                                                                    levelIds
+                                                                )
+                                                            )
+                                                        }
+                                                    >
+                                                        Copier
+                                                    </Button>
+                                                    <Button
+                                                        variant="secondary"
+                                                        size="sm"
+                                                        onClick={() =>
+                                                            handleExport([
+                                                                progression,
+                                                            ])
+                                                        }
+                                                    >
+                                                        Exporter
+                                                    </Button>
+                                                    {customIds.has(
+                                                        progression.id
+                                                    ) && (
+                                                        <Button
+                                                            variant="danger"
+                                                            size="sm"
+                                                            onClick={() =>
+                                                                handleDelete(
+                                                                    progression
+                                                                )
+                                                            }
+                                                        >
+                                                            {builtIn
+                                                                ? "Rétablir"
+                                                                : "Supprimer"}
+                                                        </Button>
+                                                    )}
+                                                </div>
+                                            </div>
+                                        );
+                                    }
+                                )}
+                            </div>
+
+                            <div className="flex flex-wrap gap-2">
+                                <Button
+                                    variant="primary"
+                                    onClick={() =>
+                                        openDraft(
+                                            createEmptyProgression(levelIds)
+                                        )
+                                    }
+                                >
+                                    Nouvelle progression
+                                </Button>
+                                <Button
+                                    variant="secondary"
+                                    onClick={() =>
+                                        handleExport(customProgressions)
+                                    }
+                                    disabled={customProgressions.length === 0}
+                                >
+                                    Exporter mes progressions
+                                </Button>
+                                <label
+                                    htmlFor="progressionsFile"
+                                    className="py-2 px-4 rounded-lg font-medium border border-blue-600 text-blue-600 cursor-pointer hover:bg-blue-50"
+                                >
+                                    Importer
+                                </label>
+                                <input
+                                    type="file"
+                                    id="progressionsFile"
+                                    accept={`${PROGRESSION_FILE_EXTENSION},.json,application/json`}
+                                    onChange={handleImport}
+                                    className="hidden"
+                                />
+                            </div>
+                        </Card>
+                    )}
+                </div>
+            </TeacherPinGate>
+        </Layout>
+    );
+};
+
+export default Progressions;
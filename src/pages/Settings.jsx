@@ -9,8 +9,23 @@ import { Layout } from "../components/layout/Layout";
 import { Card } from "../components/common/Card";
 import { Button } from "../components/common/Button";
 import { Icon } from "../components/common/Icon";
-import {AuthContext} from "../contexts";
+import { BackupManager } from "../components/settings/BackupManager";
+import { FluencyThresholds } from "../components/settings/FluencyThresholds";
+import { AuthContext, useProgressions } from "../contexts";
 import { DIFFICULTY_LEVELS } from "../data/progressions";
+import { SCHEDULER_TYPES } from "../utils/spacedRepetition";
+import { DAILY_TARGET_OPTIONS, getDailyTarget } from "../utils/studyPlan";
+import {
+    ANSWER_FORMATS,
+    ANSWER_FORMAT_LABELS,
+    getAnswerFormat,
+} from "../utils/answerFormats";
+import { getSpeechRecognition } from "../hooks/useSpeechRecognition";
+import { getSpeechSynthesis } from "../hooks/useSpeechSynthesis";
+import {
+    UNIT_COMPLETION_SHARES,
+    getUnitCompletionShare,
+} from "../utils/unitProgression";
 import { updateCache } from "../services/pwaService";
 
 /**
@@ -21,6 +36,7 @@ const Settings = () => {
     const navigate = useNavigate();
     const { user, updateProfile, logout, createProfile } =
         useContext(AuthContext);
+    const { progressions } = useProgressions();
 
     const [displayName, setDisplayName] = useState(user?.name || "");
     const [selectedLevel, setSelectedLevel] = useState(
@@ -41,6 +57,36 @@ const Settings = () => {
             ? user.preferences.darkMode
             : false
     );
+    const [missingOperand, setMissingOperand] = useState(
+        user?.preferences?.missingOperand ?? false
+    );
+    const [answerFormat, setAnswerFormat] = useState(
+        getAnswerFormat(user?.preferences)
+    );
+    const [voiceAnswers, setVoiceAnswers] = useState(
+        user?.preferences?.voiceAnswers ?? false
+    );
+    const [readAloud, setReadAloud] = useState(
+        user?.preferences?.readAloud ?? false
+    );
+    const [showRepresentations, setShowRepresentations] = useState(
+        user?.preferences?.showRepresentations ?? true
+    );
+    const [scheduler, setScheduler] = useState(
+        user?.preferences?.scheduler || SCHEDULER_TYPES.CLASSIC
+    );
+    const [fluencyThresholds, setFluencyThresholds] = useState(
+        user?.preferences?.fluencyThresholds || {}
+    );
+    const [dailyTarget, setDailyTarget] = useState(
+        getDailyTarget(user?.preferences)
+    );
+    const [autoAdvanceUnits, setAutoAdvanceUnits] = useState(
+        user?.preferences?.autoAdvanceUnits ?? true
+    );
+    const [unitCompletionShare, setUnitCompletionShare] = useState(
+        getUnitCompletionShare(user?.preferences)
+    );
     const [message, setMessage] = useState(null);
 
     /**
@@ -60,6 +106,16 @@ const Settings = () => {
                         showTimer,
                         soundEffects,
                         darkMode,
+                        missingOperand,
+                        answerFormat,
+                        voiceAnswers,
+                        readAloud,
+                        showRepresentations,
+                        scheduler,
+                        fluencyThresholds,
+                        dailyTarget,
+                        autoAdvanceUnits,
+                        unitCompletionShare,
                     },
                 });
 
@@ -83,6 +139,16 @@ const Settings = () => {
                         showTimer,
                         soundEffects,
                         darkMode,
+                        missingOperand,
+                        answerFormat,
+                        voiceAnswers,
+                        readAloud,
+                        showRepresentations,
+                        scheduler,
+                        fluencyThresholds,
+                        dailyTarget,
+                        autoAdvanceUnits,
+                        unitCompletionShare,
                     },
                 });
 
@@ -256,15 +322,16 @@ const Settings = () => {
                                         }
                                         className="block w-full rounded-md border-gray-300 shadow-sm focus:border-blue-500 focus:ring-blue-500 p-2 border"
                                     >
-                                        <option value={DIFFICULTY_LEVELS.CP}>
-                                            CP (6-7 ans)
-                                        </option>
-                                        <option value={DIFFICULTY_LEVELS.CE1}>
-                                            CE1 (7-8 ans)
-                                        </option>
-                                        <option value={DIFFICULTY_LEVELS.CE2}>
-                                            CE2 (8-9 ans)
-                                        </option>
+                                        {Object.values(progressions).map(
+                                            (progression) => (
+                                                <option
+                                                    key={progression.id}
+                                                    value={progression.id}
+                                                >
+                                                    {progression.name}
+                                                </option>
+                                            )
+                                        )}
                                     </select>
                                 </div>
 
@@ -395,6 +462,372 @@ const Settings = () => {
                                     </div>
                                 </div>
 
+                                {/* Option: Exercices à trou */}
+                                <div className="flex items-center justify-between">
+                                    <div>
+                                        <label
+                                            htmlFor="missingOperand"
+                                            className="text-sm font-medium text-gray-700"
+                                        >
+                                            Exercices à trou
+                                        </label>
+                                        <p className="text-xs text-gray-500">
+                                            Chercher aussi le nombre manquant
+                                            (ex : 7 + ? = 12)
+                                        </p>
+                                    </div>
+                                    <div className="relative inline-block w-10 mr-2 align-middle">
+                                        <input
+                                            type="checkbox"
+                                            id="missingOperand"
+                                            checked={missingOperand}
+                                            onChange={() =>
+                                                setMissingOperand(
+                                                    !missingOperand
+                                                )
+                                            }
+                                            className="sr-only"
+                                        />
+                                        <span
+                                            className={`${
+                                                missingOperand
+                                                    ? "bg-blue-500"
+                                                    : "bg-gray-300"
+                                            } block h-6 w-10 rounded-full transition-colors duration-200`}
+                                        ></span>
+                                        <span
+                                            className={`${
+                                                missingOperand
+                                                    ? "translate-x-4"
+                                                    : "translate-x-0"
+                                            } absolute left-1 top-1 block h-4 w-4 transform rounded-full bg-white transition-transform duration-200`}
+                                        ></span>
+                                    </div>
+                                </div>
+
+                                {/* Option: Format des réponses */}
+                                <div>
+                                    <label
+                                        htmlFor="answerFormat"
+                                        className="block text-sm font-medium text-gray-700 mb-1"
+                                    >
+                                        Format des réponses
+                                    </label>
+                                    <select
+                                        id="answerFormat"
+                                        value={answerFormat}
+                                        onChange={(e) =>
+                                            setAnswerFormat(e.target.value)
+                                        }
+                                        className="block w-full rounded-md border-gray-300 shadow-sm focus:border-blue-500 focus:ring-blue-500 p-2 border"
+                                    >
+                                        {Object.values(ANSWER_FORMATS).map(
+                                            (format) => (
+                                                <option
+                                                    key={format}
+                                                    value={format}
+                                                >
+                                                    {
+                                                        ANSWER_FORMAT_LABELS[
+                                                            format
+                                                        ]
+                                                    }
+                                                </option>
+                                            )
+                                        )}
+                                    </select>
+                                    <p className="text-xs text-gray-500 mt-1">
+                                        Les choix évitent de taper la réponse ;
+                                        le mélange les propose pour les faits
+                                        nouveaux
+                                    </p>
+                                </div>
+
+                                {/* Option: Réponses à l'oral */}
+                                <div className="flex items-center justify-between">
+                                    <div>
+                                        <label
+                                            htmlFor="voiceAnswers"
+                                            className="text-sm font-medium text-gray-700"
+                                        >
+                                            Réponses à l&lsquo;oral
+                                        </label>
+                                        <p className="text-xs text-gray-500">
+                                            {getSpeechRecognition()
+                                                ? "Dire la réponse au micro au lieu de la taper (temps mesurés à part)"
+                                                : "Non disponible sur ce navigateur : la réponse se tape au clavier"}
+                                        </p>
+                                    </div>
+                                    <div className="relative inline-block w-10 mr-2 align-middle">
+                                        <input
+                                            type="checkbox"
+                                            id="voiceAnswers"
+                                            checked={voiceAnswers}
+                                            onChange={() =>
+                                                setVoiceAnswers(!voiceAnswers)
+                                            }
+                                            className="sr-only"
+                                        />
+                                        <span
+                                            className={`${
+                                                voiceAnswers
+                                                    ? "bg-blue-500"
+                                                    : "bg-gray-300"
+                                            } block h-6 w-10 rounded-full transition-colors duration-200`}
+                                        ></span>
+                                        <span
+                                            className={`${
+                                                voiceAnswers
+                                                    ? "translate-x-4"
+                                                    : "translate-x-0"
+                                            } absolute left-1 top-1 block h-4 w-4 transform rounded-full bg-white transition-transform duration-200`}
+                                        ></span>
+                                    </div>
+                                </div>
+
+                                {/* Option: Représentations imagées */}
+                                <div className="flex items-center justify-between">
+                                    <div>
+                                        <label
+                                            htmlFor="showRepresentations"
+                                            className="text-sm font-medium text-gray-700"
+                                        >
+                                            Représentations imagées
+                                        </label>
+                                        <p className="text-xs text-gray-500">
+                                            Dessiner chaque calcul
+                                            (constellations, cadres de dix,
+                                            barres et cubes...) ; à désactiver
+                                            pour travailler la mémorisation
+                                            seule
+                                        </p>
+                                    </div>
+                                    <div className="relative inline-block w-10 mr-2 align-middle">
+                                        <input
+                                            type="checkbox"
+                                            id="showRepresentations"
+                                            checked={showRepresentations}
+                                            onChange={() =>
+                                                setShowRepresentations(
+                                                    !showRepresentations
+                                                )
+                                            }
+                                            className="sr-only"
+                                        />
+                                        <span
+                                            className={`${
+                                                showRepresentations
+                                                    ? "bg-blue-500"
+                                                    : "bg-gray-300"
+                                            } block h-6 w-10 rounded-full transition-colors duration-200`}
+                                        ></span>
+                                        <span
+                                            className={`${
+                                                showRepresentations
+                                                    ? "translate-x-4"
+                                                    : "translate-x-0"
+                                            } absolute left-1 top-1 block h-4 w-4 transform rounded-full bg-white transition-transform duration-200`}
+                                        ></span>
+                                    </div>
+                                </div>
+
+                                {/* Option: Lecture des questions à voix haute */}
+                                <div className="flex items-center justify-between">
+                                    <div>
+                                        <label
+                                            htmlFor="readAloud"
+                                            className="text-sm font-medium text-gray-700"
+                                        >
+                                            Lire les questions à voix haute
+                                        </label>
+                                        <p className="text-xs text-gray-500">
+                                            {getSpeechSynthesis()
+                                                ? "Pour les élèves qui ne lisent pas encore (muet si les effets sonores sont coupés)"
+                                                : "Non disponible sur ce navigateur"}
+                                        </p>
+                                    </div>
+                                    <div className="relative inline-block w-10 mr-2 align-middle">
+                                        <input
+                                            type="checkbox"
+                                            id="readAloud"
+                                            checked={readAloud}
+                                            onChange={() =>
+                                                setReadAloud(!readAloud)
+                                            }
+                                            className="sr-only"
+                                        />
+                                        <span
+                                            className={`${
+                                                readAloud
+                                                    ? "bg-blue-500"
+                                                    : "bg-gray-300"
+                                            } block h-6 w-10 rounded-full transition-colors duration-200`}
+                                        ></span>
+                                        <span
+                                            className={`${
+                                                readAloud
+                                                    ? "translate-x-4"
+                                                    : "translate-x-0"
+                                            } absolute left-1 top-1 block h-4 w-4 transform rounded-full bg-white transition-transform duration-200`}
+                                        ></span>
+                                    </div>
+                                </div>
+
+                                {/* Option: Objectif quotidien */}
+                                <div>
+                                    <label
+                                        htmlFor="dailyTarget"
+                                        className="block text-sm font-medium text-gray-700 mb-1"
+                                    >
+                                        Mission du jour
+                                    </label>
+                                    <select
+                                        id="dailyTarget"
+                                        value={dailyTarget}
+                                        onChange={(e) =>
+                                            setDailyTarget(
+                                                Number(e.target.value)
+                                            )
+                                        }
+                                        className="block w-full rounded-md border-gray-300 shadow-sm focus:border-blue-500 focus:ring-blue-500 p-2 border"
+                                    >
+                                        {DAILY_TARGET_OPTIONS.map((option) => (
+                                            <option key={option} value={option}>
+                                                {option} calculs par jour
+                                            </option>
+                                        ))}
+                                    </select>
+                                    <p className="text-xs text-gray-500 mt-1">
+                                        Révisions en retard, faits à consolider
+                                        et quelques faits nouveaux
+                                    </p>
+                                </div>
+
+                                {/* Option: Passage automatique à l'unité suivante */}
+                                <div className="flex items-center justify-between">
+                                    <div>
+                                        <label
+                                            htmlFor="autoAdvanceUnits"
+                                            className="text-sm font-medium text-gray-700"
+                                        >
+                                            Passage automatique à l&lsquo;unité
+                                            suivante
+                                        </label>
+                                        <p className="text-xs text-gray-500">
+                                            Sinon, l&lsquo;unité se choisit dans
+                                            la page Progression
+                                        </p>
+                                    </div>
+                                    <div className="relative inline-block w-10 mr-2 align-middle">
+                                        <input
+                                            type="checkbox"
+                                            id="autoAdvanceUnits"
+                                            checked={autoAdvanceUnits}
+                                            onChange={() =>
+                                                setAutoAdvanceUnits(
+                                                    !autoAdvanceUnits
+                                                )
+                                            }
+                                            className="sr-only"
+                                        />
+                                        <span
+                                            className={`${
+                                                autoAdvanceUnits
+                                                    ? "bg-blue-500"
+                                                    : "bg-gray-300"
+                                            } block h-6 w-10 rounded-full transition-colors duration-200`}
+                                        ></span>
+                                        <span
+                                            className={`${
+                                                autoAdvanceUnits
+                                                    ? "translate-x-4"
+                                                    : "translate-x-0"
+                                            } absolute left-1 top-1 block h-4 w-4 transform rounded-full bg-white transition-transform duration-200`}
+                                        ></span>
+                                    </div>
+                                </div>
+
+                                {autoAdvanceUnits && (
+                                    <div>
+                                        <label
+                                            htmlFor="unitCompletionShare"
+                                            className="block text-sm font-medium text-gray-700 mb-1"
+                                        >
+                                            Unité terminée à partir de
+                                        </label>
+                                        <select
+                                            id="unitCompletionShare"
+                                            value={unitCompletionShare}
+                                            onChange={(e) =>
+                                                setUnitCompletionShare(
+                                                    Number(e.target.value)
+                                                )
+                                            }
+                                            className="block w-full rounded-md border-gray-300 shadow-sm focus:border-blue-500 focus:ring-blue-500 p-2 border"
+                                        >
+                                            {UNIT_COMPLETION_SHARES.map(
+                                                (share) => (
+                                                    <option
+                                                        key={share}
+                                                        value={share}
+                                                    >
+                                                        {`${Math.round(share * 100)} % des faits en révision ou maîtrisés`}
+                                                    </option>
+                                                )
+                                            )}
+                                        </select>
+                                    </div>
+                                )}
+
+                                {/* Option: Algorithme de révision */}
+                                <div>
+                                    <label
+                                        htmlFor="scheduler"
+                                        className="block text-sm font-medium text-gray-700 mb-1"
+                                    >
+                                        Planification des révisions
+                                    </label>
+                                    <select
+                                        id="scheduler"
+                                        value={scheduler}
+                                        onChange={(e) =>
+                                            setScheduler(e.target.value)
+                                        }
+                                        className="block w-full rounded-md border-gray-300 shadow-sm focus:border-blue-500 focus:ring-blue-500 p-2 border"
+                                    >
+                                        <option value={SCHEDULER_TYPES.CLASSIC}>
+                                            Classique (révisions à 1, 3 et 7
+                                            jours)
+                                        </option>
+                                        <option
+                                            value={SCHEDULER_TYPES.ADAPTIVE}
+                                        >
+                                            Adaptative (selon la facilité et la
+                                            rapidité de chaque réponse)
+                                        </option>
+                                    </select>
+                                    <p className="text-xs text-gray-500 mt-1">
+                                        L&lsquo;historique de chaque fait est
+                                        conservé lors du changement
+                                    </p>
+                                </div>
+
+                                {/* Option: Seuils de fluence */}
+                                <div>
+                                    <span className="block text-sm font-medium text-gray-700">
+                                        Temps de réponse maximal
+                                    </span>
+                                    <p className="text-xs text-gray-500 mb-2">
+                                        Une bonne réponse plus lente compte
+                                        comme juste mais pas encore automatisée
+                                    </p>
+                                    <FluencyThresholds
+                                        level={selectedLevel}
+                                        value={fluencyThresholds}
+                                        onChange={setFluencyThresholds}
+                                    />
+                                </div>
+
                                 {/* Bouton de sauvegarde */}
                                 <div className="mt-6">
                                     <Button
@@ -410,6 +843,9 @@ const Settings = () => {
                     </div>
                 </Card>
 
+                {/* Section: Sauvegarde et restauration */}
+                <BackupManager onMessage={setMessage} />
+
                 {/* Section: Gestion de l'application */}
                 <Card elevated className="mb-6">
                     <div className="p-4">
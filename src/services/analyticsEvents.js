@@ -0,0 +1,272 @@
+// src/services/analyticsEvents.js
+/**
+ * @file analyticsEvents.js
+ * @description Bus d'événements analytiques : enregistre localement les événements d'usage
+ * dans la table `analytics` d'IndexedDB et fournit des fonctions d'agrégation.
+ * Aucune donnée n'est envoyée à un serveur.
+ */
+
+import { analyticsService, isIndexedDBSupported } from "./indexedDBService";
+
+/**
+ * Types d'événements analytiques reconnus
+ * @constant {Object}
+ */
+export const ANALYTICS_EVENTS = {
+    SESSION_STARTED: "session_started",
+    SESSION_COMPLETED: "session_completed",
+    ANSWER_SUBMITTED: "answer_submitted",
+    LEVEL_CHANGED: "level_changed",
+    UNIT_COMPLETED: "unit_completed",
+    PROFILE_SWITCHED: "profile_switched",
+    MIGRATION_RUN: "migration_run",
+};
+
+/**
+ * Durée de conservation des événements analytiques, en jours (une année scolaire et ses vacances)
+ * @constant {number}
+ */
+export const ANALYTICS_RETENTION_DAYS = 365;
+
+/**
+ * Abonnés au bus, indexés par type d'événement ("*" pour tous les types)
+ * @type {Map<string, Set<Function>>}
+ */
+const subscribers = new Map();
+
+/**
+ * Abonne une fonction à un type d'événement
+ * @param {string} type - Type d'événement (valeur de ANALYTICS_EVENTS) ou "*" pour tous
+ * @param {Function} handler - Fonction appelée avec l'événement
+ * @returns {Function} Fonction de désabonnement
+ */
+export const subscribe = (type, handler) => {
+    if (!subscribers.has(type)) {
+        subscribers.set(type, new Set());
+    }
+    subscribers.get(type).add(handler);
+
+    return () => {
+        subscribers.get(type)?.delete(handler);
+    };
+};
+
+/**
+ * Notifie les abonnés d'un événement sans interrompre le flux en cas d'erreur
+ * @param {Object} event - Événement à diffuser
+ */
+const notifySubscribers = (event) => {
+    const handlers = [
+        ...(subscribers.get(event.type) || []),
+        ...(subscribers.get("*") || []),
+    ];
+
+    handlers.forEach((handler) => {
+        try {
+            handler(event);
+        } catch (err) {
+            console.warn("Erreur dans un abonné analytique:", err);
+        }
+    });
+};
+
+/**
+ * Enregistre un événement analytique et le diffuse aux abonnés
+ * Les erreurs sont journalisées mais jamais propagées : l'analytique ne doit pas bloquer l'élève
+ * @param {string} type - Type d'événement (valeur de ANALYTICS_EVENTS)
+ * @param {string|null} userId - ID de l'utilisateur concerné (null pour un événement global)
+ * @param {Object} [data={}] - Données associées à l'événement
+ * @returns {Promise<Object|null>} Événement enregistré ou null en cas d'erreur
+ */
+export const trackEvent = async (type, userId, data = {}) => {
+    if (!Object.values(ANALYTICS_EVENTS).includes(type)) {
+        console.warn(`Type d'événement analytique inconnu: ${type}`);
+        return null;
+    }
+
+    const event = {
+        type,
+        userId: userId || null,
+        date: new Date().toISOString(),
+        data,
+    };
+
+    notifySubscribers(event);
+
+    if (!isIndexedDBSupported()) return event;
+
+    try {
+        const id = await analyticsService.logEvent(event);
+        return { ...event, id };
+    } catch (err) {
+        console.warn(
+            `Impossible d'enregistrer l'événement analytique ${type}:`,
+            err
+        );
+        return null;
+    }
+};
+
+/**
+ * Supprime les événements plus anciens que la durée de conservation
+ * Les erreurs sont journalisées mais jamais propagées, comme pour trackEvent
+ * @param {number} [retentionDays=ANALYTICS_RETENTION_DAYS] - Durée de conservation en jours
+ * @returns {Promise<number>} Nombre d'événements supprimés
+ */
+export const pruneEvents = async (retentionDays = ANALYTICS_RETENTION_DAYS) => {
+    if (!isIndexedDBSupported()) return 0;
+
+    const limit = new Date();
+    limit.setDate(limit.getDate() - retentionDays);
+
+    try {
+        return await analyticsService.deleteEventsBefore(limit);
+    } catch (err) {
+        console.warn("Impossible de purger les anciens événements:", err);
+        return 0;
+    }
+};
+
+/**
+ * Récupère les événements enregistrés, avec filtres optionnels
+ * @param {Object} [filters] - Filtres de recherche
+ * @param {string} [filters.userId=null] - ID de l'utilisateur
+ * @param {string} [filters.type=null] - Type d'événement
+ * @param {Date} [filters.from=null] - Date de début (incluse)
+ * @param {Date} [filters.to=null] - Date de fin (incluse)
+ * @returns {Promise<Array>} Événements triés par date croissante
+ */
+export const getEvents = async ({
+    userId = null,
+    type = null,
+    from = null,
+    to = null,
+} = {}) => {
+    if (!isIndexedDBSupported()) return [];
+
+    try {
+        let events;
+
+        if (from || to) {
+            events = await analyticsService.getEventsBetween(
+                from || new Date(0),
+                to || new Date(),
+                userId
+            );
+        } else if (userId) {
+            events = await analyticsService.getEventsByUser(userId);
+        } else {
+            events = await analyticsService.getEventsBetween(
+                new Date(0),
+                new Date()
+            );
+        }
+
+        return events
+            .filter((event) => !type || event.type === type)
+            .sort((a, b) => a.date.localeCompare(b.date));
+    } catch (err) {
+        console.error("Erreur lors de la récupération des événements:", err);
+        return [];
+    }
+};
+
+/**
+ * Clé de jour locale d'une date (AAAA-MM-JJ)
+ * @param {string|Date} date - Date à convertir
+ * @returns {string} Clé du jour
+ */
+export const getDayKey = (date) => {
+    const d = new Date(date);
+    const month = String(d.getMonth() + 1).padStart(2, "0");
+    const day = String(d.getDate()).padStart(2, "0");
+    return `${d.getFullYear()}-${month}-${day}`;
+};
+
+/**
+ * Clé de semaine ISO 8601 d'une date (AAAA-Www, semaines commençant le lundi)
+ * @param {string|Date} date - Date à convertir
+ * @returns {string} Clé de la semaine
+ */
+export const getWeekKey = (date) => {
+    const d = new Date(date);
+    const target = new Date(
+        Date.UTC(d.getFullYear(), d.getMonth(), d.getDate())
+    );
+    // Le jeudi de la semaine détermine l'année ISO
+    const dayNumber = target.getUTCDay() || 7;
+    target.setUTCDate(target.getUTCDate() + 4 - dayNumber);
+
+    const yearStart = new Date(Date.UTC(target.getUTCFullYear(), 0, 1));
+    const week = Math.ceil(((target - yearStart) / 86400000 + 1) / 7);
+
+    return `${target.getUTCFullYear()}-W${String(week).padStart(2, "0")}`;
+};
+
+/**
+ * Regroupe des événements selon une clé calculée
+ * @param {Array} events - Événements à regrouper
+ * @param {Function} getKey - Fonction retournant la clé d'un événement
+ * @returns {Object} Groupes { clé: { total, byType } } triés par clé
+ */
+const groupEvents = (events, getKey) => {
+    const groups = {};
+
+    events.forEach((event) => {
+        const key = getKey(event);
+        if (!groups[key]) {
+            groups[key] = { total: 0, byType: {} };
+        }
+        groups[key].total++;
+        groups[key].byType[event.type] =
+            (groups[key].byType[event.type] || 0) + 1;
+    });
+
+    return Object.keys(groups)
+        .sort()
+        .reduce((acc, key) => {
+            acc[key] = groups[key];
+            return acc;
+        }, {});
+};
+
+/**
+ * Agrège des événements par jour
+ * @param {Array} events - Événements à agréger
+ * @returns {Object} Compteurs par jour { "2024-03-12": { total, byType } }
+ */
+export const aggregateEventsByDay = (events) =>
+    groupEvents(events, (event) => getDayKey(event.date));
+
+/**
+ * Agrège des événements par semaine ISO
+ * @param {Array} events - Événements à agréger
+ * @returns {Object} Compteurs par semaine { "2024-W11": { total, byType } }
+ */
+export const aggregateEventsByWeek = (events) =>
+    groupEvents(events, (event) => getWeekKey(event.date));
+
+/**
+ * Compte les événements par type
+ * @param {Array} events - Événements à compter
+ * @returns {Object} Nombre d'événements par type
+ */
+export const countEventsByType = (events) =>
+    events.reduce((acc, event) => {
+        acc[event.type] = (acc[event.type] || 0) + 1;
+        return acc;
+    }, {});
+
+export default {
+    ANALYTICS_EVENTS,
+    ANALYTICS_RETENTION_DAYS,
+    subscribe,
+    trackEvent,
+    pruneEvents,
+    getEvents,
+    getDayKey,
+    getWeekKey,
+    aggregateEventsByDay,
+    aggregateEventsByWeek,
+    countEventsByType,
+};
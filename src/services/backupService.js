@@ -0,0 +1,609 @@
+// src/services/backupService.js
+import {
+    isIndexedDBSupported,
+    initializeDatabase,
+    getDatabase,
+    keyValueService,
+    profilesService,
+    factsService,
+    sessionsService,
+    classesService,
+    progressionsService,
+    analyticsService,
+    toFactRecord,
+    fromFactRecord,
+    parseFactsStorageKey,
+} from "./indexedDBService";
+import { getFileDateStamp } from "../utils/fileUtils";
+
+/**
+ * @file backupService.js
+ * @description Sauvegarde complète et restauration des données de l'application (fichier .mathmemo.json).
+ * Les données sont décrites avec la même organisation de clés que l'ancien stockage localStorage
+ * ("mathmemo-profiles", "spaced-rep-<userId>-<niveau>", "mathmemo-sessions-<userId>"...),
+ * ce qui permet de les restaurer avec ou sans IndexedDB et de les reprendre avec migrateFromLocalStorage
+ */
+
+/**
+ * Identifiant du format de sauvegarde
+ * @constant {string}
+ */
+export const BACKUP_FORMAT = "mathmemo-backup";
+
+/**
+ * Version actuelle du format de sauvegarde
+ * À incrémenter lors des changements de format
+ * @constant {number}
+ */
+export const BACKUP_VERSION = 1;
+
+/**
+ * Extension des fichiers de sauvegarde
+ * @constant {string}
+ */
+export const BACKUP_FILE_EXTENSION = ".mathmemo.json";
+
+/**
+ * Modes de restauration
+ * @constant {Object}
+ */
+export const IMPORT_MODES = {
+    MERGE: "merge", // Ajoute les données de la sauvegarde aux données existantes
+    REPLACE: "replace", // Remplace toutes les données existantes
+};
+
+/**
+ * Clés de stockage des données sauvegardées
+ * @constant {Object}
+ */
+const STORAGE_KEYS = {
+    PROFILES: "mathmemo-profiles",
+    CLASSES: "mathmemo-classes",
+    PROGRESSIONS: "mathmemo-progressions",
+    ACTIVE_USER: "mathmemo-active-user",
+    FACTS_PREFIX: "spaced-rep-",
+    SESSIONS_PREFIX: "mathmemo-sessions-",
+};
+
+/**
+ * Clés jamais sauvegardées ni effacées par une restauration
+ * (le code PIN enseignant ne doit pas pouvoir être remplacé par un fichier importé)
+ * @constant {Array<string>}
+ */
+const PRESERVED_KEYS = ["mathmemo-teacher-pin", "mathmemo-migration-completed"];
+
+/**
+ * Indique si une clé de stockage fait partie des données sauvegardées
+ * @param {string} key - Clé de stockage
+ * @returns {boolean} True si la clé est sauvegardée
+ */
+const isBackedUpKey = (key) =>
+    (key.startsWith("mathmemo-") ||
+        key.startsWith(STORAGE_KEYS.FACTS_PREFIX)) &&
+    !PRESERVED_KEYS.includes(key);
+
+/**
+ * Indique si une valeur est un objet simple (ni tableau, ni null)
+ * @param {*} value - Valeur à tester
+ * @returns {boolean} True pour un objet simple
+ */
+const isPlainObject = (value) =>
+    typeof value === "object" && value !== null && !Array.isArray(value);
+
+/**
+ * Fusionne deux listes d'enregistrements par identifiant ;
+ * en cas de doublon, l'enregistrement modifié le plus récemment l'emporte
+ * @param {Array<Object>} [current=[]] - Enregistrements existants
+ * @param {Array<Object>} [incoming=[]] - Enregistrements importés
+ * @returns {Array<Object>} Enregistrements fusionnés
+ */
+const mergeRecordsById = (current = [], incoming = []) => {
+    const merged = new Map(current.map((record) => [record.id, record]));
+
+    incoming.forEach((record) => {
+        const existing = merged.get(record.id);
+        if (
+            !existing ||
+            String(record.updatedAt || "") > String(existing.updatedAt || "")
+        ) {
+            merged.set(record.id, record);
+        }
+    });
+
+    return Array.from(merged.values());
+};
+
+/**
+ * Fusionne deux ensembles de faits ; pour un même fait, la révision la plus récente l'emporte
+ * @param {Object} [current={}] - Faits existants indexés par ID
+ * @param {Object} [incoming={}] - Faits importés indexés par ID
+ * @returns {Object} Faits fusionnés
+ */
+const mergeFacts = (current = {}, incoming = {}) => {
+    const merged = { ...current };
+
+    Object.entries(incoming).forEach(([factId, fact]) => {
+        const existing = merged[factId];
+        if (
+            !existing ||
+            String(fact.lastReviewed || "") >
+                String(existing.lastReviewed || "")
+        ) {
+            merged[factId] = fact;
+        }
+    });
+
+    return merged;
+};
+
+/**
+ * Fusionne deux ensembles de données organisés par clé de stockage
+ * Les réglages existants (préférences, utilisateur actif) sont conservés
+ * @param {Object} current - Données existantes
+ * @param {Object} incoming - Données importées
+ * @returns {Object} Données fusionnées
+ */
+const mergeData = (current, incoming) => {
+    const merged = { ...current };
+
+    Object.entries(incoming).forEach(([key, value]) => {
+        if (
+            key === STORAGE_KEYS.PROFILES ||
+            key === STORAGE_KEYS.CLASSES ||
+            key === STORAGE_KEYS.PROGRESSIONS ||
+            key.startsWith(STORAGE_KEYS.SESSIONS_PREFIX)
+        ) {
+            merged[key] = mergeRecordsById(merged[key], value);
+        } else if (key.startsWith(STORAGE_KEYS.FACTS_PREFIX)) {
+            merged[key] = mergeFacts(merged[key], value);
+        } else if (!(key in merged)) {
+            merged[key] = value;
+        }
+    });
+
+    return merged;
+};
+
+/**
+ * Fusionne deux listes d'événements analytiques en ignorant les doublons
+ * @param {Array<Object>} current - Événements existants
+ * @param {Array<Object>} incoming - Événements importés
+ * @returns {Array<Object>} Événements fusionnés
+ */
+const mergeAnalytics = (current, incoming) => {
+    const eventKey = (event) => `${event.type}|${event.userId}|${event.date}`;
+    const known = new Set(current.map(eventKey));
+
+    return [
+        ...current,
+        ...incoming.filter((event) => !known.has(eventKey(event))),
+    ];
+};
+
+/**
+ * Résout les conflits d'identifiants avant une fusion : un profil (ou une classe) importé
+ * qui porte l'identifiant d'un enregistrement existant différent (date de création différente)
+ * reçoit un nouvel identifiant, répercuté sur ses faits, ses sessions et ses événements
+ * @param {Object} incoming - Données importées { data, analytics }
+ * @param {Object} currentData - Données existantes organisées par clé
+ * @returns {Object} { data, analytics, renamedProfiles } avec les identifiants corrigés
+ */
+const resolveIdConflicts = (incoming, currentData) => {
+    const suffix = Date.now().toString(36);
+
+    /**
+     * Calcule les identifiants à renommer pour une liste d'enregistrements
+     * @param {Array<Object>} records - Enregistrements importés
+     * @param {Array<Object>} existing - Enregistrements existants
+     * @returns {Object} Correspondance ancien ID -> nouvel ID
+     */
+    const findConflicts = (records = [], existing = []) =>
+        records.reduce((acc, record) => {
+            const match = existing.find((e) => e.id === record.id);
+            if (match && match.createdAt !== record.createdAt) {
+                acc[record.id] = `${record.id}-${suffix}`;
+            }
+            return acc;
+        }, {});
+
+    const renamedProfiles = findConflicts(
+        incoming.data[STORAGE_KEYS.PROFILES],
+        currentData[STORAGE_KEYS.PROFILES]
+    );
+    const renamedClasses = findConflicts(
+        incoming.data[STORAGE_KEYS.CLASSES],
+        currentData[STORAGE_KEYS.CLASSES]
+    );
+    const renameUser = (userId) => renamedProfiles[userId] || userId;
+
+    const data = {};
+    Object.entries(incoming.data).forEach(([key, value]) => {
+        if (key === STORAGE_KEYS.PROFILES) {
+            data[key] = value.map((profile) => ({
+                ...profile,
+                id: renameUser(profile.id),
+                classId: renamedClasses[profile.classId] || profile.classId,
+            }));
+        } else if (key === STORAGE_KEYS.CLASSES) {
+            data[key] = value.map((classGroup) => ({
+                ...classGroup,
+                id: renamedClasses[classGroup.id] || classGroup.id,
+            }));
+        } else if (key.startsWith(STORAGE_KEYS.FACTS_PREFIX)) {
+            const { userId, gradeLevel } = parseFactsStorageKey(key);
+            data[
+                `${STORAGE_KEYS.FACTS_PREFIX}${renameUser(userId)}-${gradeLevel}`
+            ] = value;
+        } else if (key.startsWith(STORAGE_KEYS.SESSIONS_PREFIX)) {
+            const userId = renameUser(
+                key.slice(STORAGE_KEYS.SESSIONS_PREFIX.length)
+            );
+            data[`${STORAGE_KEYS.SESSIONS_PREFIX}${userId}`] = value.map(
+                (session) => ({ ...session, userId })
+            );
+        } else if (key === STORAGE_KEYS.ACTIVE_USER) {
+            data[key] = renameUser(value);
+        } else {
+            data[key] = value;
+        }
+    });
+
+    return {
+        data,
+        analytics: incoming.analytics.map((event) => ({
+            ...event,
+            userId: renameUser(event.userId),
+        })),
+        renamedProfiles,
+    };
+};
+
+/**
+ * Lit toutes les données sauvegardables, organisées par clé de stockage
+ * @returns {Promise<Object>} { data, analytics }
+ */
+const readStoredData = async () => {
+    const data = {};
+
+    if (!isIndexedDBSupported()) {
+        Object.keys(localStorage)
+            .filter(isBackedUpKey)
+            .forEach((key) => {
+                const rawValue = localStorage.getItem(key);
+                try {
+                    data[key] = JSON.parse(rawValue);
+                } catch {
+                    data[key] = rawValue;
+                }
+            });
+
+        // Les événements analytiques ne sont conservés qu'avec IndexedDB
+        return { data, analytics: [] };
+    }
+
+    await initializeDatabase();
+
+    // Données enregistrées en clé-valeur (réglages, faits encore stockés en secours)
+    (await keyValueService.getAllItems()).forEach(({ key, value }) => {
+        if (isBackedUpKey(key)) data[key] = value;
+    });
+
+    data[STORAGE_KEYS.PROFILES] = await profilesService.getAllProfiles();
+    data[STORAGE_KEYS.CLASSES] = await classesService.getAllClasses();
+    data[STORAGE_KEYS.PROGRESSIONS] =
+        await progressionsService.getAllProgressions();
+
+    // Tables lues en entier pour inclure aussi les données sans profil (invité)
+    const db = getDatabase();
+
+    (await db.factRecords.toArray()).forEach((record) => {
+        const { userId, gradeLevel } = record;
+        // Le profil et le niveau sont portés par la clé de stockage
+        const fact = fromFactRecord(record);
+        delete fact.userId;
+        delete fact.gradeLevel;
+        delete fact.updatedAt;
+
+        const key = `${STORAGE_KEYS.FACTS_PREFIX}${userId}-${gradeLevel}`;
+        data[key] = mergeFacts(data[key], { [fact.id]: fact });
+    });
+
+    (await db.sessions.toArray()).forEach((session) => {
+        const key = `${STORAGE_KEYS.SESSIONS_PREFIX}${session.userId}`;
+        data[key] = mergeRecordsById(data[key], [session]);
+    });
+
+    const events = await analyticsService.getEventsBetween(
+        new Date(0),
+        new Date()
+    );
+    // L'identifiant auto-incrémenté n'a pas de sens d'une base à l'autre
+    const analytics = events.map((event) => {
+        const exported = { ...event };
+        delete exported.id;
+        return exported;
+    });
+
+    return { data, analytics };
+};
+
+/**
+ * Efface les données sauvegardables (les clés préservées sont conservées)
+ * @returns {Promise<void>}
+ */
+const clearStoredData = async () => {
+    if (!isIndexedDBSupported()) {
+        Object.keys(localStorage)
+            .filter(isBackedUpKey)
+            .forEach((key) => localStorage.removeItem(key));
+        return;
+    }
+
+    await initializeDatabase();
+    const db = getDatabase();
+
+    await db.profiles.clear();
+    await db.factRecords.clear();
+    await db.sessions.clear();
+    await db.classes.clear();
+    await db.progressions.clear();
+    await db.analytics.clear();
+
+    for (const { key } of await keyValueService.getAllItems()) {
+        if (isBackedUpKey(key)) {
+            await keyValueService.removeItem(key);
+        }
+    }
+};
+
+/**
+ * Enregistre des données organisées par clé de stockage
+ * Avec IndexedDB, chaque clé est rangée dans sa table (profils, faits, sessions, classes, progressions)
+ * @param {Object} data - Données à enregistrer
+ * @param {Array<Object>} analytics - Événements analytiques
+ * @returns {Promise<void>}
+ */
+const writeStoredData = async (data, analytics) => {
+    if (!isIndexedDBSupported()) {
+        Object.entries(data).forEach(([key, value]) =>
+            localStorage.setItem(key, JSON.stringify(value))
+        );
+        return;
+    }
+
+    await initializeDatabase();
+
+    for (const [key, value] of Object.entries(data)) {
+        if (key === STORAGE_KEYS.PROFILES) {
+            for (const profile of value) {
+                await profilesService.saveProfile(profile);
+            }
+        } else if (key === STORAGE_KEYS.CLASSES) {
+            for (const classGroup of value) {
+                await classesService.saveClass(classGroup);
+            }
+        } else if (key === STORAGE_KEYS.PROGRESSIONS) {
+            for (const progression of value) {
+                await progressionsService.saveProgression(progression);
+            }
+        } else if (key.startsWith(STORAGE_KEYS.FACTS_PREFIX)) {
+            const { userId, gradeLevel } = parseFactsStorageKey(key);
+            const records = Object.entries(value).map(([factId, fact]) => ({
+                ...toFactRecord(fact, userId, gradeLevel),
+                id: factId,
+            }));
+            if (records.length > 0) {
+                await factsService.saveManyFacts(records);
+            }
+        } else if (key.startsWith(STORAGE_KEYS.SESSIONS_PREFIX)) {
+            const userId = key.slice(STORAGE_KEYS.SESSIONS_PREFIX.length);
+            for (const session of value) {
+                await sessionsService.saveSession({ ...session, userId });
+            }
+        } else {
+            await keyValueService.saveItem(key, value);
+        }
+    }
+
+    for (const event of analytics) {
+        await analyticsService.logEvent(event);
+    }
+};
+
+/**
+ * Résume le contenu d'une sauvegarde
+ * @param {Object} backup - Sauvegarde
+ * @returns {Object} Nombre de profils, faits, sessions et événements
+ */
+export const getBackupSummary = (backup) => {
+    const entries = Object.entries(backup?.data || {});
+
+    return {
+        profiles: backup?.data?.[STORAGE_KEYS.PROFILES]?.length || 0,
+        facts: entries
+            .filter(([key]) => key.startsWith(STORAGE_KEYS.FACTS_PREFIX))
+            .reduce((sum, [, facts]) => sum + Object.keys(facts).length, 0),
+        sessions: entries
+            .filter(([key]) => key.startsWith(STORAGE_KEYS.SESSIONS_PREFIX))
+            .reduce((sum, [, sessions]) => sum + sessions.length, 0),
+        analytics: backup?.analytics?.length || 0,
+    };
+};
+
+/**
+ * Vérifie qu'un objet est une sauvegarde valide
+ * @param {*} backup - Contenu du fichier importé
+ * @returns {Array<string>} Erreurs détectées (vide si la sauvegarde est valide)
+ */
+export const validateBackup = (backup) => {
+    if (!isPlainObject(backup) || backup.format !== BACKUP_FORMAT) {
+        return ["Ce fichier n'est pas une sauvegarde MathMemo"];
+    }
+    if (
+        !Number.isInteger(backup.version) ||
+        backup.version < 1 ||
+        backup.version > BACKUP_VERSION
+    ) {
+        return [
+            `Version de sauvegarde non prise en charge (${backup.version})`,
+        ];
+    }
+    if (!isPlainObject(backup.data)) {
+        return ["La sauvegarde ne contient aucune donnée"];
+    }
+
+    const errors = [];
+
+    Object.entries(backup.data).forEach(([key, value]) => {
+        if (
+            key === STORAGE_KEYS.PROFILES ||
+            key === STORAGE_KEYS.CLASSES ||
+            key === STORAGE_KEYS.PROGRESSIONS
+        ) {
+            if (
+                !Array.isArray(value) ||
+                !value.every(
+                    (record) =>
+                        isPlainObject(record) &&
+                        typeof record.id === "string" &&
+                        typeof record.name === "string"
+                )
+            ) {
+                errors.push(`« ${key} » doit être une liste avec id et nom`);
+            }
+        } else if (key.startsWith(STORAGE_KEYS.FACTS_PREFIX)) {
+            if (
+                !isPlainObject(value) ||
+                !Object.values(value).every(isPlainObject)
+            ) {
+                errors.push(`« ${key} » doit contenir des faits`);
+            }
+        } else if (key.startsWith(STORAGE_KEYS.SESSIONS_PREFIX)) {
+            if (
+                !Array.isArray(value) ||
+                !value.every(
+                    (session) =>
+                        isPlainObject(session) && typeof session.id === "string"
+                )
+            ) {
+                errors.push(`« ${key} » doit être une liste de sessions`);
+            }
+        } else if (!isBackedUpKey(key)) {
+            errors.push(`Clé inattendue : « ${key} »`);
+        }
+    });
+
+    if (backup.analytics !== undefined && !Array.isArray(backup.analytics)) {
+        errors.push("« analytics » doit être une liste d'événements");
+    }
+
+    return errors;
+};
+
+/**
+ * Lit le contenu texte d'un fichier de sauvegarde
+ * @param {string} text - Contenu du fichier
+ * @returns {Object} Sauvegarde
+ * @throws {Error} Si le contenu n'est pas du JSON
+ */
+export const parseBackup = (text) => {
+    try {
+        return JSON.parse(text);
+    } catch (error) {
+        console.error("Erreur lors de la lecture de la sauvegarde:", error);
+        throw new Error("Le fichier n'est pas un fichier JSON valide");
+    }
+};
+
+/**
+ * Nom de fichier proposé pour une sauvegarde
+ * @param {Date} [date=new Date()] - Date de la sauvegarde
+ * @returns {string} Nom de fichier (ex: "mathmemo-2024-03-12.mathmemo.json")
+ */
+export const getBackupFileName = (date = new Date()) =>
+    `mathmemo-${getFileDateStamp(date)}${BACKUP_FILE_EXTENSION}`;
+
+/**
+ * Crée une sauvegarde complète : profils, classes, faits et leur historique,
+ * sessions, événements analytiques et préférences d'affichage
+ * @returns {Promise<Object>} Sauvegarde prête à être sérialisée
+ */
+export const createBackup = async () => {
+    try {
+        const { data, analytics } = await readStoredData();
+
+        return {
+            format: BACKUP_FORMAT,
+            version: BACKUP_VERSION,
+            exportedAt: new Date().toISOString(),
+            data,
+            analytics,
+        };
+    } catch (error) {
+        console.error("Erreur lors de la création de la sauvegarde:", error);
+        throw error;
+    }
+};
+
+/**
+ * Restaure une sauvegarde
+ * En cas d'échec de l'écriture, les données présentes avant l'import sont rétablies
+ * @param {Object} backup - Sauvegarde à restaurer
+ * @param {Object} [options={}] - Options
+ * @param {string} [options.mode="merge"] - Mode de restauration (valeur de IMPORT_MODES)
+ * @returns {Promise<Object>} Résumé { mode, profiles, facts, sessions, analytics, renamedProfiles }
+ * @throws {Error} Si la sauvegarde est invalide ou ne peut pas être enregistrée
+ */
+export const restoreBackup = async (
+    backup,
+    { mode = IMPORT_MODES.MERGE } = {}
+) => {
+    const errors = validateBackup(backup);
+    if (errors.length > 0) {
+        throw new Error(`Sauvegarde invalide : ${errors.join(" ; ")}`);
+    }
+
+    const current = await readStoredData();
+    let incoming = {
+        data: backup.data,
+        analytics: backup.analytics || [],
+        renamedProfiles: {},
+    };
+    let result = incoming;
+
+    if (mode !== IMPORT_MODES.REPLACE) {
+        incoming = resolveIdConflicts(incoming, current.data);
+        result = {
+            data: mergeData(current.data, incoming.data),
+            analytics: mergeAnalytics(current.analytics, incoming.analytics),
+        };
+    }
+
+    try {
+        await clearStoredData();
+        await writeStoredData(result.data, result.analytics);
+    } catch (error) {
+        console.error(
+            "Erreur lors de la restauration, rétablissement des données:",
+            error
+        );
+        await clearStoredData();
+        await writeStoredData(current.data, current.analytics);
+        throw error;
+    }
+
+    return {
+        mode,
+        ...getBackupSummary(incoming),
+        renamedProfiles: Object.keys(incoming.renamedProfiles).length,
+    };
+};
+
+export default {
+    createBackup,
+    restoreBackup,
+    validateBackup,
+    parseBackup,
+    getBackupSummary,
+    getBackupFileName,
+};
@@ -1,5 +1,9 @@
 // src/services/indexedDBService.js
 import Dexie from "dexie";
+import {
+    KNOWLEDGE_LEVELS,
+    getMasteryLevelFromHistory,
+} from "../utils/spacedRepetition";
 
 /**
  * @file indexedDBService.js
@@ -11,7 +15,7 @@ import Dexie from "dexie";
  * À incrémenter lors des changements de schéma
  * @constant {number}
  */
-const DB_VERSION = 1;
+const DB_VERSION = 5;
 
 /**
  * Nom de la base de données
@@ -38,6 +42,71 @@ export const isIndexedDBSupported = () => {
     }
 };
 
+/**
+ * Répare un fait enregistré avec le schéma v1, où `level` contenait soit le niveau
+ * scolaire (écrasé lors de la sauvegarde), soit le niveau de connaissance
+ * @param {Object} fact - Enregistrement v1
+ * @returns {Object} Champs gradeLevel et masteryLevel
+ */
+const repairFactRecord = (fact) => {
+    if (typeof fact.level === "number") {
+        return {
+            gradeLevel: fact.gradeLevel || fact.id.split("-")[0],
+            masteryLevel: fact.level,
+        };
+    }
+
+    // Le niveau de connaissance a été perdu : le reconstituer depuis l'historique
+    return {
+        gradeLevel: fact.level || fact.id.split("-")[0],
+        masteryLevel: getMasteryLevelFromHistory(fact.history),
+    };
+};
+
+/**
+ * Convertit un fait manipulé par l'application (où `level` est le niveau de connaissance)
+ * en enregistrement de la table `factRecords`
+ * @param {Object} fact - Fait avec son état de progression
+ * @param {string} userId - ID de l'utilisateur
+ * @param {string} gradeLevel - Niveau scolaire (cp, ce1, ce2)
+ * @returns {Object} Enregistrement prêt à être stocké
+ */
+export const toFactRecord = (fact, userId, gradeLevel) => {
+    const { level, ...rest } = fact;
+
+    return {
+        ...rest,
+        userId,
+        gradeLevel,
+        masteryLevel:
+            typeof level === "number"
+                ? level
+                : (rest.masteryLevel ?? KNOWLEDGE_LEVELS.NEW),
+    };
+};
+
+/**
+ * Convertit un enregistrement de la table `factRecords` en fait manipulé par l'application
+ * @param {Object} record - Enregistrement stocké
+ * @returns {Object} Fait où `level` est le niveau de connaissance
+ */
+export const fromFactRecord = (record) => {
+    const { masteryLevel, ...rest } = record;
+    return { ...rest, level: masteryLevel ?? KNOWLEDGE_LEVELS.NEW };
+};
+
+/**
+ * Extrait l'utilisateur et le niveau d'une clé de stockage de faits
+ * (format "spaced-rep-<userId>-<niveau>", l'ID utilisateur pouvant lui-même contenir des tirets)
+ * @param {string} key - Clé de stockage
+ * @returns {Object} { userId, gradeLevel }
+ */
+export const parseFactsStorageKey = (key) => {
+    const [, userId = "guest", gradeLevel = "default"] =
+        key.match(/^spaced-rep-(.+)-([^-]+)$/) || [];
+    return { userId, gradeLevel };
+};
+
 /**
  * Initialise la base de données
  * @returns {Promise<Dexie>} Instance Dexie initialisée
@@ -53,8 +122,8 @@ export const initializeDatabase = async () => {
         // Créer une nouvelle instance de Dexie
         db = new Dexie(DB_NAME);
 
-        // Définir le schéma
-        db.version(DB_VERSION).stores({
+        // Schéma v1 : `level` mélangeait niveau scolaire et niveau de connaissance
+        db.version(1).stores({
             keyValuePairs: "&key", // Stockage clé-valeur général (remplace localStorage)
             profiles: "&id,name,level", // Profils utilisateurs
             facts: "&id,userId,level,nextReview", // Faits numériques et leur progression
@@ -62,6 +131,45 @@ export const initializeDatabase = async () => {
             analytics: "++id,userId,date,type", // Données analytiques
         });
 
+        // Schéma v2 : niveau scolaire (gradeLevel) et niveau de connaissance (masteryLevel) distincts
+        db.version(2)
+            .stores({
+                facts: "&id,userId,gradeLevel,masteryLevel,nextReview,[userId+gradeLevel]",
+            })
+            .upgrade((tx) =>
+                tx
+                    .table("facts")
+                    .toCollection()
+                    .modify((fact) => {
+                        Object.assign(fact, repairFactRecord(fact));
+                        delete fact.level;
+                    })
+            );
+
+        // Schéma v3 : classes d'élèves, les profils pouvant appartenir à une classe
+        db.version(3).stores({
+            profiles: "&id,name,level,classId",
+            classes: "&id,name",
+        });
+
+        // Schéma v4 : progressions personnalisées par les enseignants
+        db.version(4).stores({
+            progressions: "&id,name",
+        });
+
+        // Schéma v5 : les faits sont propres à chaque profil et niveau. Dexie ne sait pas
+        // changer une clé primaire : les faits passent dans une nouvelle table
+        db.version(DB_VERSION)
+            .stores({
+                facts: null,
+                factRecords:
+                    "[userId+gradeLevel+id],userId,gradeLevel,masteryLevel,nextReview,[userId+gradeLevel]",
+            })
+            .upgrade(async (tx) => {
+                const records = await tx.table("facts").toArray();
+                await tx.table("factRecords").bulkPut(records);
+            });
+
         // Ouvrir la connexion à la base de données
         await db.open();
         console.log(
@@ -372,7 +480,7 @@ export const factsService = {
                 updatedAt: new Date().toISOString(),
             };
 
-            await db.facts.put(completeFact);
+            await db.factRecords.put(completeFact);
             return fact.id;
         } catch (error) {
             console.error(
@@ -398,7 +506,7 @@ export const factsService = {
                 updatedAt: now,
             }));
 
-            await db.facts.bulkPut(completeFacts);
+            await db.factRecords.bulkPut(completeFacts);
             return facts.length;
         } catch (error) {
             console.error(
@@ -410,14 +518,16 @@ export const factsService = {
     },
 
     /**
-     * Récupère un fait par son ID
+     * Récupère un fait d'un utilisateur par son ID
+     * @param {string} userId - ID de l'utilisateur
+     * @param {string} level - Niveau scolaire
      * @param {string} id - ID du fait
      * @returns {Promise<Object|null>} Fait numérique ou null si non trouvé
      */
-    getFactById: async (id) => {
+    getFactById: async (userId, level, id) => {
         try {
             if (!db) await initializeDatabase();
-            return await db.facts.get(id);
+            return await db.factRecords.get([userId, level, id]);
         } catch (error) {
             console.error(
                 `Erreur lors de la récupération du fait ${id}:`,
@@ -436,7 +546,10 @@ export const factsService = {
     getFactsByUserAndLevel: async (userId, level) => {
         try {
             if (!db) await initializeDatabase();
-            return await db.facts.where({ userId, level }).toArray();
+            return await db.factRecords
+                .where("[userId+gradeLevel]")
+                .equals([userId, level])
+                .toArray();
         } catch (error) {
             console.error(
                 `Erreur lors de la récupération des faits pour l'utilisateur ${userId} et le niveau ${level}:`,
@@ -456,7 +569,7 @@ export const factsService = {
         try {
             if (!db) await initializeDatabase();
             const dateString = date.toISOString();
-            return await db.facts
+            return await db.factRecords
                 .where({ userId })
                 .and((item) => item.nextReview <= dateString)
                 .toArray();
@@ -477,7 +590,7 @@ export const factsService = {
     getAllFactsForUser: async (userId) => {
         try {
             if (!db) await initializeDatabase();
-            const allFacts = await db.facts.where({ userId }).toArray();
+            const allFacts = await db.factRecords.where({ userId }).toArray();
 
             // Transformer en objet indexé par ID
             return allFacts.reduce((acc, fact) => {
@@ -495,16 +608,18 @@ export const factsService = {
 
     /**
      * Met à jour un fait numérique existant
+     * @param {string} userId - ID de l'utilisateur
+     * @param {string} level - Niveau scolaire
      * @param {string} id - ID du fait à mettre à jour
      * @param {Object} updates - Mises à jour à appliquer
      * @returns {Promise<Object>} Fait mis à jour
      */
-    updateFact: async (id, updates) => {
+    updateFact: async (userId, level, id, updates) => {
         try {
             if (!db) await initializeDatabase();
 
             // Récupérer le fait existant
-            const existingFact = await db.facts.get(id);
+            const existingFact = await db.factRecords.get([userId, level, id]);
 
             if (!existingFact) {
                 throw new Error(`Fait avec ID ${id} non trouvé`);
@@ -517,7 +632,7 @@ export const factsService = {
                 updatedAt: new Date().toISOString(),
             };
 
-            await db.facts.put(updatedFact);
+            await db.factRecords.put(updatedFact);
             return updatedFact;
         } catch (error) {
             console.error(
@@ -529,14 +644,16 @@ export const factsService = {
     },
 
     /**
-     * Supprime un fait
+     * Supprime un fait d'un utilisateur
+     * @param {string} userId - ID de l'utilisateur
+     * @param {string} level - Niveau scolaire
      * @param {string} id - ID du fait à supprimer
      * @returns {Promise<void>}
      */
-    deleteFact: async (id) => {
+    deleteFact: async (userId, level, id) => {
         try {
             if (!db) await initializeDatabase();
-            await db.facts.delete(id);
+            await db.factRecords.delete([userId, level, id]);
         } catch (error) {
             console.error(
                 `Erreur lors de la suppression du fait ${id}:`,
@@ -554,7 +671,7 @@ export const factsService = {
     deleteAllFactsForUser: async (userId) => {
         try {
             if (!db) await initializeDatabase();
-            return await db.facts.where({ userId }).delete();
+            return await db.factRecords.where({ userId }).delete();
         } catch (error) {
             console.error(
                 `Erreur lors de la suppression des faits pour l'utilisateur ${userId}:`,
@@ -617,6 +734,141 @@ export const sessionsService = {
     },
 };
 
+/**
+ * Service pour la gestion des classes (groupes d'élèves)
+ */
+export const classesService = {
+    /**
+     * Enregistre une classe
+     * @param {Object} classGroup - Classe à enregistrer
+     * @returns {Promise<string>} ID de la classe enregistrée
+     */
+    saveClass: async (classGroup) => {
+        try {
+            if (!db) await initializeDatabase();
+
+            const completeClass = {
+                ...classGroup,
+                updatedAt: new Date().toISOString(),
+            };
+
+            if (!completeClass.createdAt) {
+                completeClass.createdAt = completeClass.updatedAt;
+            }
+
+            await db.classes.put(completeClass);
+            return classGroup.id;
+        } catch (error) {
+            console.error(
+                `Erreur lors de l'enregistrement de la classe ${classGroup.id}:`,
+                error
+            );
+            throw error;
+        }
+    },
+
+    /**
+     * Récupère toutes les classes
+     * @returns {Promise<Array>} Tableau de toutes les classes
+     */
+    getAllClasses: async () => {
+        try {
+            if (!db) await initializeDatabase();
+            return await db.classes.toArray();
+        } catch (error) {
+            console.error("Erreur lors de la récupération des classes:", error);
+            throw error;
+        }
+    },
+
+    /**
+     * Supprime une classe (les profils des élèves sont conservés)
+     * @param {string} id - ID de la classe à supprimer
+     * @returns {Promise<void>}
+     */
+    deleteClass: async (id) => {
+        try {
+            if (!db) await initializeDatabase();
+            await db.classes.delete(id);
+        } catch (error) {
+            console.error(
+                `Erreur lors de la suppression de la classe ${id}:`,
+                error
+            );
+            throw error;
+        }
+    },
+};
+
+/**
+ * Service pour la gestion des progressions personnalisées (niveaux créés ou modifiés par un enseignant)
+ */
+export const progressionsService = {
+    /**
+     * Enregistre une progression personnalisée
+     * @param {Object} progression - Progression à enregistrer
+     * @returns {Promise<string>} ID de la progression enregistrée
+     */
+    saveProgression: async (progression) => {
+        try {
+            if (!db) await initializeDatabase();
+
+            const completeProgression = {
+                ...progression,
+                updatedAt: new Date().toISOString(),
+            };
+
+            if (!completeProgression.createdAt) {
+                completeProgression.createdAt = completeProgression.updatedAt;
+            }
+
+            await db.progressions.put(completeProgression);
+            return progression.id;
+        } catch (error) {
+            console.error(
+                `Erreur lors de l'enregistrement de la progression ${progression.id}:`,
+                error
+            );
+            throw error;
+        }
+    },
+
+    /**
+     * Récupère toutes les progressions personnalisées
+     * @returns {Promise<Array>} Tableau de toutes les progressions personnalisées
+     */
+    getAllProgressions: async () => {
+        try {
+            if (!db) await initializeDatabase();
+            return await db.progressions.toArray();
+        } catch (error) {
+            console.error(
+                "Erreur lors de la récupération des progressions:",
+                error
+            );
+            throw error;
+        }
+    },
+
+    /**
+     * Supprime une progression personnalisée
+     * @param {string} id - ID de la progression à supprimer
+     * @returns {Promise<void>}
+     */
+    deleteProgression: async (id) => {
+        try {
+            if (!db) await initializeDatabase();
+            await db.progressions.delete(id);
+        } catch (error) {
+            console.error(
+                `Erreur lors de la suppression de la progression ${id}:`,
+                error
+            );
+            throw error;
+        }
+    },
+};
+
 /**
  * Service pour la gestion des données analytiques
  */
@@ -668,6 +920,59 @@ export const analyticsService = {
             throw error;
         }
     },
+
+    /**
+     * Récupère les événements analytiques compris entre deux dates
+     * @param {Date} from - Date de début (incluse)
+     * @param {Date} to - Date de fin (incluse)
+     * @param {string} [userId] - ID de l'utilisateur (optionnel, tous les utilisateurs sinon)
+     * @returns {Promise<Array>} Tableau d'événements
+     */
+    getEventsBetween: async (from, to, userId = null) => {
+        try {
+            if (!db) await initializeDatabase();
+
+            const collection = db.analytics
+                .where("date")
+                .between(from.toISOString(), to.toISOString(), true, true);
+
+            if (userId) {
+                return await collection
+                    .and((event) => event.userId === userId)
+                    .toArray();
+            }
+
+            return await collection.toArray();
+        } catch (error) {
+            console.error(
+                "Erreur lors de la récupération des événements par période:",
+                error
+            );
+            throw error;
+        }
+    },
+
+    /**
+     * Supprime les événements analytiques antérieurs à une date
+     * @param {Date} before - Date limite (exclue)
+     * @returns {Promise<number>} Nombre d'événements supprimés
+     */
+    deleteEventsBefore: async (before) => {
+        try {
+            if (!db) await initializeDatabase();
+
+            return await db.analytics
+                .where("date")
+                .below(before.toISOString())
+                .delete();
+        } catch (error) {
+            console.error(
+                "Erreur lors de la suppression des anciens événements:",
+                error
+            );
+            throw error;
+        }
+    },
 };
 
 /**
@@ -729,22 +1034,18 @@ export const migrateFromLocalStorage = async () => {
                     await keyValueService.saveItem(key, value);
                     migratedItems++;
                 } else if (key.startsWith("spaced-rep-")) {
-                    // Migrer les faits numériques
-                    const parts = key.split("-");
-                    const userId = parts.length > 2 ? parts[2] : "guest";
-                    const level = parts.length > 3 ? parts[3] : "default";
+                    // Migrer les faits numériques (clé "spaced-rep-<userId>-<niveau>")
+                    const { userId, gradeLevel } = parseFactsStorageKey(key);
 
                     // Grouper les faits pour les ajouter en lot
-                    const groupKey = `${userId}-${level}`;
+                    const groupKey = `${userId}-${gradeLevel}`;
                     factsGroups[groupKey] = factsGroups[groupKey] || [];
 
-                    // Transformer l'objet en tableau de faits avec userId et level ajoutés
+                    // Transformer l'objet en tableau d'enregistrements avec userId et gradeLevel
                     const facts = Object.entries(value).map(
                         ([factId, factData]) => ({
-                            ...factData,
+                            ...toFactRecord(factData, userId, gradeLevel),
                             id: factId,
-                            userId,
-                            level,
                             migratedAt: new Date().toISOString(),
                         })
                     );
@@ -812,6 +1113,8 @@ export default {
     profilesService,
     factsService,
     sessionsService,
+    classesService,
+    progressionsService,
     analyticsService,
     migrateFromLocalStorage,
     // Alias de compatibilité pour références existantes
@@ -0,0 +1,95 @@
+// src/services/indexedDBService.test.js
+import "fake-indexeddb/auto";
+import Dexie from "dexie";
+import { beforeAll, describe, expect, it, vi } from "vitest";
+import {
+    factsService,
+    fromFactRecord,
+    initializeDatabase,
+    toFactRecord,
+} from "./indexedDBService";
+
+/**
+ * Base au schéma v4, où les faits étaient indexés par leur seul ID
+ * @returns {Promise<void>}
+ */
+const seedVersion4Database = async () => {
+    const legacyDb = new Dexie("mathmemoDb");
+    legacyDb.version(4).stores({
+        keyValuePairs: "&key",
+        profiles: "&id,name,level,classId",
+        facts: "&id,userId,gradeLevel,masteryLevel,nextReview,[userId+gradeLevel]",
+        sessions: "&id,userId,date",
+        analytics: "++id,userId,date,type",
+        classes: "&id,name",
+        progressions: "&id,name",
+    });
+    await legacyDb.open();
+    await legacyDb.table("facts").bulkPut([
+        { id: "cp-add-1-1", userId: "lea", gradeLevel: "cp", masteryLevel: 2 },
+        { id: "cp-add-1-2", userId: "lea", gradeLevel: "cp", masteryLevel: 1 },
+    ]);
+    legacyDb.close();
+};
+
+describe("factsService", () => {
+    beforeAll(async () => {
+        vi.stubGlobal("window", globalThis);
+        await seedVersion4Database();
+        await initializeDatabase();
+    });
+
+    it("reprend les faits du schéma v4 dans la table par profil", async () => {
+        const records = await factsService.getFactsByUserAndLevel("lea", "cp");
+
+        expect(records.map((record) => record.id).sort()).toEqual([
+            "cp-add-1-1",
+            "cp-add-1-2",
+        ]);
+        expect(
+            (await factsService.getFactById("lea", "cp", "cp-add-1-1"))
+                .masteryLevel
+        ).toBe(2);
+    });
+
+    it("identifie un fait par son profil, son niveau et son ID", async () => {
+        await factsService.saveFact({
+            id: "cp-add-2-2",
+            userId: "lea",
+            gradeLevel: "cp",
+            masteryLevel: 3,
+        });
+        await factsService.updateFact("lea", "cp", "cp-add-2-2", {
+            masteryLevel: 4,
+        });
+        expect(
+            (await factsService.getFactById("lea", "cp", "cp-add-2-2"))
+                .masteryLevel
+        ).toBe(4);
+
+        await factsService.deleteFact("lea", "cp", "cp-add-2-2");
+        expect(
+            await factsService.getFactById("lea", "cp", "cp-add-2-2")
+        ).toBeUndefined();
+    });
+
+    it("garde des faits distincts pour deux élèves du même niveau", async () => {
+        const fact = { id: "cp-add-3-4", question: "3 + 4 = ?", answer: 7 };
+        await factsService.saveManyFacts([
+            toFactRecord({ ...fact, level: 4 }, "tom", "cp"),
+            toFactRecord({ ...fact, level: 0 }, "zoe", "cp"),
+        ]);
+
+        const [tomRecords, zoeRecords] = await Promise.all([
+            factsService.getFactsByUserAndLevel("tom", "cp"),
+            factsService.getFactsByUserAndLevel("zoe", "cp"),
+        ]);
+
+        expect(tomRecords.map(fromFactRecord)).toMatchObject([
+            { id: fact.id, userId: "tom", level: 4 },
+        ]);
+        expect(zoeRecords.map(fromFactRecord)).toMatchObject([
+            { id: fact.id, userId: "zoe", level: 0 },
+        ]);
+    });
+});
@@ -0,0 +1,152 @@
+// src/utils/answerFormats.js
+/**
+ * @file answerFormats.js
+ * @description Formats de réponse : saisie au clavier, choix multiple et vrai/faux.
+ * Les formats à choix évitent la saisie aux plus jeunes ; leurs distracteurs
+ * viennent des erreurs les plus courantes (getPlausibleWrongAnswers)
+ */
+
+import { KNOWLEDGE_LEVELS } from "./spacedRepetition";
+import { getEquation } from "./factUtils";
+import { getPlausibleWrongAnswers } from "./errorDiagnosis";
+import { shuffle } from "./mathUtils";
+
+/**
+ * Formats de réponse proposés dans le profil
+ * @constant {Object}
+ */
+export const ANSWER_FORMATS = {
+    TYPED: "typed", // Saisie du nombre au clavier
+    MULTIPLE_CHOICE: "multiple_choice", // Un choix parmi plusieurs réponses
+    TRUE_FALSE: "true_false", // Égalité complétée à juger vraie ou fausse
+    MIXED: "mixed", // Formats à choix pour les faits nouveaux, saisie ensuite
+};
+
+/**
+ * Libellés des formats de réponse
+ * @constant {Object}
+ */
+export const ANSWER_FORMAT_LABELS = {
+    [ANSWER_FORMATS.TYPED]: "Saisie au clavier",
+    [ANSWER_FORMATS.MULTIPLE_CHOICE]: "Choix multiple",
+    [ANSWER_FORMATS.TRUE_FALSE]: "Vrai ou faux",
+    [ANSWER_FORMATS.MIXED]: "Mélange automatique",
+};
+
+/**
+ * Nombre de réponses proposées en choix multiple (bonne réponse comprise)
+ * @constant {number}
+ */
+const CHOICE_COUNT = 4;
+
+/**
+ * Nombre de distracteurs les plus plausibles parmi lesquels tirer la proposition d'un vrai/faux
+ * @constant {number}
+ */
+const TRUE_FALSE_CANDIDATES = 3;
+
+/**
+ * Choix proposés pour juger une égalité
+ * @constant {Array<Object>}
+ */
+export const TRUE_FALSE_CHOICES = [
+    { value: true, label: "Vrai", description: "vrai", keys: ["v", "V"] },
+    { value: false, label: "Faux", description: "faux", keys: ["f", "F"] },
+];
+
+/**
+ * Format de réponse choisi dans le profil, en revenant à la saisie s'il n'est pas proposé
+ * @param {Object} [preferences] - Préférences du profil
+ * @returns {string} Valeur de ANSWER_FORMATS
+ */
+export const getAnswerFormat = (preferences) =>
+    Object.values(ANSWER_FORMATS).includes(preferences?.answerFormat)
+        ? preferences.answerFormat
+        : ANSWER_FORMATS.TYPED;
+
+/**
+ * Réponse attendue d'un fait écrit sous forme d'égalité
+ * @param {Object} fact - Fait numérique
+ * @returns {number|null} Terme manquant ou null (comparaison, division avec reste)
+ */
+export const getExpectedAnswer = (fact) => {
+    const equation = getEquation(fact);
+    return equation ? equation.terms[equation.missing] : null;
+};
+
+/**
+ * Format à utiliser pour un fait : les comparaisons et les divisions avec reste
+ * gardent leur propre saisie ; en mélange automatique, les faits nouveaux sont
+ * proposés en choix multiple ou en vrai/faux, les autres en saisie
+ * @param {Object} fact - Fait numérique (avec son niveau de connaissance s'il est suivi)
+ * @param {string} format - Format choisi dans le profil (ANSWER_FORMATS)
+ * @returns {string} Format effectif (TYPED, MULTIPLE_CHOICE ou TRUE_FALSE)
+ */
+export const resolveAnswerFormat = (fact, format) => {
+    if (getExpectedAnswer(fact) === null) return ANSWER_FORMATS.TYPED;
+
+    if (format === ANSWER_FORMATS.MIXED) {
+        if ((fact.level || KNOWLEDGE_LEVELS.NEW) !== KNOWLEDGE_LEVELS.NEW) {
+            return ANSWER_FORMATS.TYPED;
+        }
+        return Math.random() < 0.5
+            ? ANSWER_FORMATS.MULTIPLE_CHOICE
+            : ANSWER_FORMATS.TRUE_FALSE;
+    }
+
+    return Object.values(ANSWER_FORMATS).includes(format)
+        ? format
+        : ANSWER_FORMATS.TYPED;
+};
+
+/**
+ * Réponses proposées en choix multiple : la bonne réponse et les erreurs
+ * les plus plausibles, complétées par des nombres proches si besoin, dans le désordre
+ * @param {Object} fact - Fait numérique
+ * @returns {Array<Object>} Choix { value, label } pour ChoiceInput
+ */
+export const buildAnswerChoices = (fact) => {
+    const expected = getExpectedAnswer(fact);
+    const values = [
+        expected,
+        ...getPlausibleWrongAnswers(fact).slice(0, CHOICE_COUNT - 1),
+    ];
+
+    // Compléter avec des nombres proches quand les erreurs plausibles manquent
+    for (let offset = 2; values.length < CHOICE_COUNT; offset++) {
+        [expected + offset, expected - offset].forEach((value) => {
+            if (
+                values.length < CHOICE_COUNT &&
+                value >= 0 &&
+                !values.includes(value)
+            ) {
+                values.push(value);
+            }
+        });
+    }
+
+    return shuffle(values).map((value) => ({ value, label: value }));
+};
+
+/**
+ * Égalité à juger : complétée une fois sur deux par la bonne réponse,
+ * sinon par une erreur plausible
+ * @param {Object} fact - Fait numérique
+ * @returns {Object} { proposed, isTrue }
+ */
+export const buildTrueFalseStatement = (fact) => {
+    const expected = getExpectedAnswer(fact);
+    const wrongAnswers = getPlausibleWrongAnswers(fact).slice(
+        0,
+        TRUE_FALSE_CANDIDATES
+    );
+
+    if (wrongAnswers.length === 0 || Math.random() < 0.5) {
+        return { proposed: expected, isTrue: true };
+    }
+
+    return {
+        proposed: wrongAnswers[Math.floor(Math.random() * wrongAnswers.length)],
+        isTrue: false,
+    };
+};
@@ -0,0 +1,123 @@
+// src/utils/classUtils.js
+/**
+ * @file classUtils.js
+ * @description Fonctions utilitaires du mode enseignant : liste d'élèves, code PIN et synthèse d'une classe
+ */
+
+import { KNOWLEDGE_LEVELS } from "./spacedRepetition";
+
+/**
+ * Longueurs autorisées du code PIN enseignant
+ * @constant {Object}
+ */
+export const TEACHER_PIN_LENGTH = {
+    MIN: 4,
+    MAX: 6,
+};
+
+/**
+ * Extrait les noms d'élèves d'une liste collée (un nom par ligne, ou séparés par des virgules
+ * ou des points-virgules). Les doublons, y compris avec les élèves déjà inscrits, sont ignorés
+ * @param {string} text - Liste collée
+ * @param {Array<string>} [existingNames=[]] - Noms des élèves déjà inscrits
+ * @returns {Array<string>} Noms à créer
+ */
+export const parseStudentNames = (text, existingNames = []) => {
+    const seen = new Set(
+        existingNames.map((name) => name.trim().toLocaleLowerCase("fr-FR"))
+    );
+
+    return (text || "")
+        .split(/[\n\r,;\t]+/)
+        .map((name) => name.replace(/\s+/g, " ").trim())
+        .filter((name) => {
+            const key = name.toLocaleLowerCase("fr-FR");
+            if (!name || seen.has(key)) return false;
+            seen.add(key);
+            return true;
+        });
+};
+
+/**
+ * Vérifie le format d'un code PIN enseignant (4 à 6 chiffres)
+ * @param {string} pin - Code saisi
+ * @returns {boolean} True si le format est valide
+ */
+export const isValidTeacherPin = (pin) =>
+    new RegExp(
+        `^\\d{${TEACHER_PIN_LENGTH.MIN},${TEACHER_PIN_LENGTH.MAX}}$`
+    ).test(pin || "");
+
+/**
+ * Calcule l'empreinte SHA-256 d'un code PIN, pour ne jamais le stocker en clair
+ * @param {string} pin - Code PIN
+ * @returns {Promise<string>} Empreinte hexadécimale
+ */
+export const hashTeacherPin = async (pin) => {
+    const data = new TextEncoder().encode(`mathmemo-teacher-${pin}`);
+    const digest = await crypto.subtle.digest("SHA-256", data);
+
+    return Array.from(new Uint8Array(digest))
+        .map((byte) => byte.toString(16).padStart(2, "0"))
+        .join("");
+};
+
+/**
+ * Calcule la moyenne arrondie d'une liste de nombres
+ * @param {Array<number>} values - Valeurs
+ * @returns {number} Moyenne arrondie (0 si la liste est vide)
+ */
+const average = (values) =>
+    values.length > 0
+        ? Math.round(
+              values.reduce((sum, value) => sum + value, 0) / values.length
+          )
+        : 0;
+
+/**
+ * Agrège les statistiques de progression des élèves d'une classe
+ * @param {Array<Object>} studentsProgress - Entrées { student, progress } (progress au format de getOverallProgress)
+ * @returns {Object} Synthèse { studentCount, activeStudents, averageMastered, averageCoverage,
+ * factsByLevel, errorsByType, factsToReviewCount }
+ */
+export const aggregateClassProgress = (studentsProgress) => {
+    const factsByLevel = {
+        [KNOWLEDGE_LEVELS.NEW]: 0,
+        [KNOWLEDGE_LEVELS.LEARNING]: 0,
+        [KNOWLEDGE_LEVELS.REVIEWING]: 0,
+        [KNOWLEDGE_LEVELS.MASTERED]: 0,
+    };
+    const errorsByType = {};
+    let factsToReviewCount = 0;
+
+    studentsProgress.forEach(({ progress }) => {
+        Object.entries(progress.factsByLevel || {}).forEach(
+            ([level, count]) => {
+                factsByLevel[level] = (factsByLevel[level] || 0) + count;
+            }
+        );
+        Object.entries(progress.errorsByType || {}).forEach(([type, count]) => {
+            errorsByType[type] = (errorsByType[type] || 0) + count;
+        });
+        factsToReviewCount += progress.factsToReview?.length || 0;
+    });
+
+    // Les élèves qui n'ont encore rien travaillé ne comptent pas dans les moyennes
+    const active = studentsProgress.filter(
+        ({ progress }) => progress.totalFacts > 0
+    );
+
+    return {
+        studentCount: studentsProgress.length,
+        activeStudents: active.length,
+        averageMastered: average(
+            active.map(({ progress }) => progress.masteredPercentage)
+        ),
+        averageCoverage: average(
+            active.map(({ progress }) => progress.progressionCoverage)
+        ),
+        factsByLevel,
+        errorsByType,
+        factsToReviewCount,
+    };
+};
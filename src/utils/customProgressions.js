@@ -0,0 +1,599 @@
+// src/utils/customProgressions.js
+/**
+ * @file customProgressions.js
+ * @description Progressions personnalisées des enseignants : création, copie et modification de niveaux,
+ * périodes et unités dont les faits sont générés à partir de règles, fusion avec les progressions
+ * intégrées et échange sous forme de fichier JSON
+ */
+
+import {
+    BUILT_IN_PROGRESSIONS,
+    OPERATION_TYPES,
+    REPRESENTATION_TYPES,
+} from "../data/progressions";
+import { generateFactsForUnit } from "./factGenerator";
+import { isFactFromLevel } from "./factUtils";
+import { getFileDateStamp } from "./fileUtils";
+
+/**
+ * Identifiant du format des fichiers de progressions exportés
+ * @constant {string}
+ */
+export const PROGRESSION_FILE_FORMAT = "mathmemo-progressions";
+
+/**
+ * Version du format des fichiers de progressions (à incrémenter si leur structure change)
+ * @constant {number}
+ */
+export const PROGRESSION_FILE_VERSION = 1;
+
+/**
+ * Extension des fichiers de progressions exportés
+ * @constant {string}
+ */
+export const PROGRESSION_FILE_EXTENSION = ".progressions.json";
+
+/**
+ * Limites des règles et des unités personnalisées, pour rester dans les nombres du cycle 2
+ * et garder des unités travaillables
+ * @constant {Object}
+ */
+export const PROGRESSION_LIMITS = {
+    MAX_VALUE: 100, // Plus grand nombre utilisable dans une règle
+    MAX_TABLE: 10, // Plus grande table de multiplication ou de division
+    MAX_UNIT_FACTS: 200, // Plus grand nombre de faits dans une unité
+};
+
+/**
+ * Champs réglables d'une règle, par type d'opération
+ * @constant {Object}
+ */
+export const RULE_FIELDS = {
+    [OPERATION_TYPES.ADDITION]: [
+        "range",
+        "secondRange",
+        "minResult",
+        "maxResult",
+        "resultMultipleOf",
+        "crossTen",
+    ],
+    [OPERATION_TYPES.SUBTRACTION]: [
+        "range",
+        "secondRange",
+        "minResult",
+        "maxResult",
+        "resultMultipleOf",
+        "crossTen",
+    ],
+    [OPERATION_TYPES.MULTIPLICATION]: ["tables", "range", "maxResult"],
+    [OPERATION_TYPES.DIVISION]: ["tables", "range", "withRemainder"],
+    [OPERATION_TYPES.DOUBLES]: ["range", "maxResult"],
+    [OPERATION_TYPES.COMPLEMENTS]: ["range", "target"],
+    [OPERATION_TYPES.COMPARISON]: ["range", "secondRange"],
+};
+
+/**
+ * Règle proposée à l'ajout, par type d'opération
+ * @constant {Object}
+ */
+const DEFAULT_RULES = {
+    [OPERATION_TYPES.ADDITION]: { range: [0, 10], maxResult: 10 },
+    [OPERATION_TYPES.SUBTRACTION]: { range: [0, 10] },
+    [OPERATION_TYPES.MULTIPLICATION]: { tables: [2], range: [1, 10] },
+    [OPERATION_TYPES.DIVISION]: { tables: [2], range: [1, 10] },
+    [OPERATION_TYPES.DOUBLES]: { range: [1, 10] },
+    [OPERATION_TYPES.COMPLEMENTS]: { range: [1, 9], target: 10 },
+    [OPERATION_TYPES.COMPARISON]: { range: [0, 10] },
+};
+
+/**
+ * Format des identifiants de niveau : sans tiret, car le niveau préfixe
+ * les identifiants de faits et les clés de stockage
+ * @constant {RegExp}
+ */
+const LEVEL_ID_PATTERN = /^[a-z0-9]+$/;
+
+/**
+ * Vérifie qu'une valeur est un objet littéral
+ * @param {*} value - Valeur à tester
+ * @returns {boolean} True si la valeur est un objet non tableau
+ */
+const isPlainObject = (value) =>
+    value !== null && typeof value === "object" && !Array.isArray(value);
+
+/**
+ * Indique si un niveau fait partie des progressions intégrées
+ * (une progression personnalisée du même identifiant la remplace)
+ * @param {string} level - Niveau scolaire
+ * @returns {boolean} True pour CP, CE1 et CE2
+ */
+export const isBuiltInLevel = (level) =>
+    Object.prototype.hasOwnProperty.call(BUILT_IN_PROGRESSIONS, level);
+
+/**
+ * Nom court d'un niveau pour les listes (« CE1 », ou le nom d'une progression personnalisée)
+ * @param {string} level - Niveau scolaire
+ * @param {Object} [progressions=BUILT_IN_PROGRESSIONS] - Progressions indexées par niveau
+ * @returns {string} Nom à afficher
+ */
+export const getLevelShortName = (
+    level,
+    progressions = BUILT_IN_PROGRESSIONS
+) => {
+    if (!level) return "-";
+    return isBuiltInLevel(level)
+        ? level.toUpperCase()
+        : progressions[level]?.name || level;
+};
+
+/**
+ * Progressions utilisées par l'application : les progressions intégrées,
+ * complétées ou remplacées par les progressions personnalisées
+ * BUILT_IN_PROGRESSIONS n'est pas modifié
+ * @param {Array<Object>} customProgressions - Progressions personnalisées
+ * @returns {Object} Nouvel objet des progressions, indexées par niveau
+ */
+export const mergeCustomProgressions = (customProgressions) => ({
+    ...BUILT_IN_PROGRESSIONS,
+    ...Object.fromEntries(
+        (customProgressions || []).map((progression) => [
+            progression.id,
+            progression,
+        ])
+    ),
+});
+
+/**
+ * Identifiant libre pour un nouveau niveau personnalisé
+ * @param {Array<string>} [existingIds=[]] - Identifiants déjà utilisés
+ * @returns {string} Identifiant (ex: "persolx2k9a")
+ */
+const createLevelId = (existingIds = []) => {
+    const base = `perso${Date.now().toString(36)}`;
+    let id = base;
+    for (let i = 2; existingIds.includes(id) || isBuiltInLevel(id); i++) {
+        id = `${base}${i}`;
+    }
+    return id;
+};
+
+/**
+ * Prochain numéro libre pour un identifiant de la forme « niveau-genre-numéro »
+ * @param {Array<string>} ids - Identifiants existants
+ * @param {string} prefix - Préfixe (ex: "perso1-unit-")
+ * @returns {number} Numéro suivant
+ */
+const getNextNumber = (ids, prefix) =>
+    ids.reduce((max, id) => {
+        const number = id.startsWith(prefix)
+            ? Number(id.slice(prefix.length))
+            : 0;
+        return Number.isInteger(number) && number > max ? number : max;
+    }, 0) + 1;
+
+/**
+ * Crée une période vide, numérotée après celles de la progression
+ * @param {Object} progression - Progression qui accueillera la période
+ * @returns {Object} Période { id, name, units }
+ */
+export const createPeriod = (progression) => {
+    const prefix = `${progression.id}-period-`;
+    const number = getNextNumber(
+        progression.periods.map((period) => period.id),
+        prefix
+    );
+
+    return {
+        id: `${prefix}${number}`,
+        name: `Période ${progression.periods.length + 1}`,
+        units: [],
+    };
+};
+
+/**
+ * Règle de génération proposée pour un type d'opération
+ * @param {string} type - Type d'opération (valeur de OPERATION_TYPES)
+ * @returns {Object} Règle de génération
+ */
+export const createRule = (type) => ({ type, ...DEFAULT_RULES[type] });
+
+/**
+ * Crée une unité avec une règle d'addition, numérotée après toutes celles de la progression
+ * @param {Object} progression - Progression qui accueillera l'unité
+ * @returns {Object} Unité { id, name, representation, rules, facts }
+ */
+export const createUnit = (progression) => {
+    const prefix = `${progression.id}-unit-`;
+    const number = getNextNumber(
+        progression.periods.flatMap((period) =>
+            period.units.map((unit) => unit.id)
+        ),
+        prefix
+    );
+    const unit = {
+        id: `${prefix}${number}`,
+        name: "Nouvelle unité",
+        representation: null,
+        rules: [createRule(OPERATION_TYPES.ADDITION)],
+    };
+
+    return { ...unit, facts: generateFactsForUnit(unit, progression.id) };
+};
+
+/**
+ * Crée une progression personnalisée avec une première période et une première unité
+ * @param {Array<string>} [existingIds=[]] - Identifiants de niveau déjà utilisés
+ * @returns {Object} Progression { id, name, description, periods }
+ */
+export const createEmptyProgression = (existingIds = []) => {
+    const progression = {
+        id: createLevelId(existingIds),
+        name: "Nouvelle progression",
+        description: "",
+        periods: [],
+    };
+    const period = createPeriod(progression);
+
+    return {
+        ...progression,
+        periods: [{ ...period, units: [createUnit(progression)] }],
+    };
+};
+
+/**
+ * Régénère les faits d'une unité à partir de ses règles
+ * Les faits prédéfinis de la progression intégrée de ce niveau sont réutilisés, pour garder leur suivi
+ * @param {Object} unit - Unité d'apprentissage
+ * @param {string} level - Niveau de la progression
+ * @returns {Object} Unité avec ses faits
+ */
+export const regenerateUnitFacts = (unit, level) => ({
+    ...unit,
+    facts: generateFactsForUnit(unit, level),
+});
+
+/**
+ * Déplace un élément d'une liste d'un rang vers le haut ou vers le bas
+ * @param {Array} list - Liste d'origine
+ * @param {number} index - Position de l'élément
+ * @param {number} offset - -1 pour monter, 1 pour descendre
+ * @returns {Array} Nouvelle liste (inchangée si le déplacement sort de la liste)
+ */
+export const moveItem = (list, index, offset) => {
+    const target = index + offset;
+    if (target < 0 || target >= list.length) return list;
+
+    const moved = [...list];
+    [moved[index], moved[target]] = [moved[target], moved[index]];
+    return moved;
+};
+
+/**
+ * Déplace une unité d'un rang ; en bout de période, elle passe
+ * à la fin de la période précédente ou au début de la suivante
+ * @param {Object} progression - Progression
+ * @param {number} periodIndex - Position de la période de l'unité
+ * @param {number} unitIndex - Position de l'unité dans sa période
+ * @param {number} offset - -1 pour monter, 1 pour descendre
+ * @returns {Object} Nouvelle progression
+ */
+export const moveUnit = (progression, periodIndex, unitIndex, offset) => {
+    const periods = [...progression.periods];
+    const units = periods[periodIndex].units;
+    const target = unitIndex + offset;
+
+    if (target >= 0 && target < units.length) {
+        periods[periodIndex] = {
+            ...periods[periodIndex],
+            units: moveItem(units, unitIndex, offset),
+        };
+        return { ...progression, periods };
+    }
+
+    const targetPeriodIndex = periodIndex + offset;
+    if (targetPeriodIndex < 0 || targetPeriodIndex >= periods.length) {
+        return progression;
+    }
+
+    const unit = units[unitIndex];
+    const targetUnits = periods[targetPeriodIndex].units;
+    periods[periodIndex] = {
+        ...periods[periodIndex],
+        units: units.filter((_, index) => index !== unitIndex),
+    };
+    periods[targetPeriodIndex] = {
+        ...periods[targetPeriodIndex],
+        units: offset < 0 ? [...targetUnits, unit] : [unit, ...targetUnits],
+    };
+    return { ...progression, periods };
+};
+
+/**
+ * Copie une progression (intégrée ou personnalisée) sous un nouvel identifiant
+ * Les identifiants des périodes, unités et faits sont repréfixés par le nouveau niveau
+ * @param {Object} progression - Progression à copier
+ * @param {Array<string>} [existingIds=[]] - Identifiants de niveau déjà utilisés
+ * @returns {Object} Copie de la progression
+ */
+export const cloneProgression = (progression, existingIds = []) => {
+    const id = createLevelId(existingIds);
+    const sourcePrefix = `${progression.id}-`;
+    const rebase = (itemId) =>
+        itemId.startsWith(sourcePrefix)
+            ? `${id}-${itemId.slice(sourcePrefix.length)}`
+            : `${id}-${itemId}`;
+
+    return {
+        id,
+        name: `${progression.name} (copie)`,
+        description: progression.description || "",
+        periods: progression.periods.map((period) => ({
+            id: rebase(period.id),
+            name: period.name,
+            units: period.units.map((unit) => ({
+                ...unit,
+                id: rebase(unit.id),
+                rules: (unit.rules || []).map((rule) => ({ ...rule })),
+                facts: (unit.facts || []).map((fact) => ({
+                    ...fact,
+                    id: rebase(fact.id),
+                })),
+            })),
+        })),
+    };
+};
+
+/**
+ * Vérifie un intervalle de valeurs [min, max]
+ * @param {*} value - Intervalle à vérifier
+ * @returns {boolean} True si l'intervalle est valide
+ */
+const isValidRange = (value) =>
+    Array.isArray(value) &&
+    value.length === 2 &&
+    value.every(
+        (bound) =>
+            Number.isInteger(bound) &&
+            bound >= 0 &&
+            bound <= PROGRESSION_LIMITS.MAX_VALUE
+    ) &&
+    value[0] <= value[1];
+
+/**
+ * Vérifie une règle de génération
+ * @param {Object} rule - Règle de génération
+ * @returns {string|null} Erreur détectée, ou null si la règle est valide
+ */
+const validateRule = (rule) => {
+    if (!isPlainObject(rule) || !RULE_FIELDS[rule.type]) {
+        return "type d'opération inconnu";
+    }
+    if (!isValidRange(rule.range)) {
+        return `les nombres doivent aller de 0 à ${PROGRESSION_LIMITS.MAX_VALUE}, du plus petit au plus grand`;
+    }
+    if (rule.secondRange !== undefined && !isValidRange(rule.secondRange)) {
+        return "le second intervalle est invalide";
+    }
+    if (
+        rule.tables !== undefined &&
+        (!Array.isArray(rule.tables) ||
+            rule.tables.length === 0 ||
+            !rule.tables.every(
+                (table) =>
+                    Number.isInteger(table) &&
+                    table >= 1 &&
+                    table <= PROGRESSION_LIMITS.MAX_TABLE
+            ))
+    ) {
+        return `les tables doivent aller de 1 à ${PROGRESSION_LIMITS.MAX_TABLE}`;
+    }
+    if (
+        rule.target !== undefined &&
+        !(
+            Number.isInteger(rule.target) &&
+            rule.target > 0 &&
+            rule.target <= PROGRESSION_LIMITS.MAX_VALUE
+        )
+    ) {
+        return "le nombre à atteindre est invalide";
+    }
+    return null;
+};
+
+/**
+ * Vérifie un fait d'une unité
+ * @param {*} fact - Fait à vérifier
+ * @param {string} level - Niveau de la progression (préfixe des identifiants)
+ * @returns {boolean} True si le fait est valide
+ */
+const isValidFact = (fact, level) =>
+    isPlainObject(fact) &&
+    isFactFromLevel(fact.id, level) &&
+    Object.values(OPERATION_TYPES).includes(fact.type) &&
+    Array.isArray(fact.operands) &&
+    fact.operands.every(Number.isFinite);
+
+/**
+ * Vérifie une progression personnalisée avant son enregistrement ou son import
+ * @param {*} progression - Progression à vérifier
+ * @returns {Array<string>} Erreurs détectées (vide si la progression est valide)
+ */
+export const validateProgression = (progression) => {
+    if (!isPlainObject(progression)) {
+        return ["La progression doit être un objet"];
+    }
+    if (
+        typeof progression.id !== "string" ||
+        !LEVEL_ID_PATTERN.test(progression.id)
+    ) {
+        return [
+            `Identifiant de niveau invalide : « ${progression.id} » (lettres minuscules et chiffres uniquement)`,
+        ];
+    }
+
+    const errors = [];
+    const name = progression.name;
+    const label =
+        typeof name === "string" && name.trim() ? name : progression.id;
+
+    if (typeof name !== "string" || !name.trim()) {
+        errors.push(`${label} : le nom est requis`);
+    }
+    if (!Array.isArray(progression.periods) || !progression.periods.length) {
+        errors.push(`${label} : ajoutez au moins une période`);
+        return errors;
+    }
+
+    const seenIds = new Set();
+    progression.periods.forEach((period, periodIndex) => {
+        const periodLabel = `${label}, période ${periodIndex + 1}`;
+        if (!isPlainObject(period) || typeof period.id !== "string") {
+            errors.push(`${periodLabel} : période invalide`);
+            return;
+        }
+        if (seenIds.has(period.id)) {
+            errors.push(`${periodLabel} : identifiant en double`);
+        }
+        seenIds.add(period.id);
+
+        if (typeof period.name !== "string" || !period.name.trim()) {
+            errors.push(`${periodLabel} : le nom est requis`);
+        }
+        if (!Array.isArray(period.units) || !period.units.length) {
+            errors.push(`${periodLabel} : ajoutez au moins une unité`);
+            return;
+        }
+
+        period.units.forEach((unit, unitIndex) => {
+            const unitLabel =
+                typeof unit?.name === "string" && unit.name.trim()
+                    ? `${label}, unité « ${unit.name} »`
+                    : `${periodLabel}, unité ${unitIndex + 1}`;
+
+            if (!isPlainObject(unit) || typeof unit.id !== "string") {
+                errors.push(`${unitLabel} : unité invalide`);
+                return;
+            }
+            if (seenIds.has(unit.id)) {
+                errors.push(`${unitLabel} : identifiant en double`);
+            }
+            seenIds.add(unit.id);
+
+            if (typeof unit.name !== "string" || !unit.name.trim()) {
+                errors.push(`${unitLabel} : le nom est requis`);
+            }
+            if (
+                unit.representation &&
+                !Object.values(REPRESENTATION_TYPES).includes(
+                    unit.representation
+                )
+            ) {
+                errors.push(`${unitLabel} : représentation inconnue`);
+            }
+            if (!Array.isArray(unit.rules)) {
+                errors.push(`${unitLabel} : règles manquantes`);
+            } else {
+                unit.rules.forEach((rule, ruleIndex) => {
+                    const ruleError = validateRule(rule);
+                    if (ruleError) {
+                        errors.push(
+                            `${unitLabel}, règle ${ruleIndex + 1} : ${ruleError}`
+                        );
+                    }
+                });
+            }
+
+            if (!Array.isArray(unit.facts) || unit.facts.length === 0) {
+                errors.push(`${unitLabel} : aucun fait à travailler`);
+            } else if (unit.facts.length > PROGRESSION_LIMITS.MAX_UNIT_FACTS) {
+                errors.push(
+                    `${unitLabel} : trop de faits (${unit.facts.length}, ${PROGRESSION_LIMITS.MAX_UNIT_FACTS} au plus), réduisez les intervalles`
+                );
+            } else if (
+                !unit.facts.every((fact) => isValidFact(fact, progression.id))
+            ) {
+                errors.push(`${unitLabel} : faits invalides`);
+            }
+        });
+    });
+
+    return errors;
+};
+
+/**
+ * Copie d'une progression sans ses dates d'enregistrement, propres à chaque poste
+ * @param {Object} progression - Progression à exporter
+ * @returns {Object} Progression exportée
+ */
+const toExportedProgression = (progression) => {
+    const exported = { ...progression };
+    delete exported.createdAt;
+    delete exported.updatedAt;
+    return exported;
+};
+
+/**
+ * Sérialise des progressions personnalisées pour l'export
+ * @param {Array<Object>} progressions - Progressions à exporter
+ * @returns {string} Contenu JSON du fichier
+ */
+export const serializeProgressions = (progressions) =>
+    JSON.stringify(
+        {
+            format: PROGRESSION_FILE_FORMAT,
+            version: PROGRESSION_FILE_VERSION,
+            exportedAt: new Date().toISOString(),
+            progressions: progressions.map(toExportedProgression),
+        },
+        null,
+        2
+    );
+
+/**
+ * Lit le contenu texte d'un fichier de progressions
+ * @param {string} text - Contenu du fichier
+ * @returns {Object} Contenu du fichier
+ * @throws {Error} Si le contenu n'est pas du JSON
+ */
+export const parseProgressionsFile = (text) => {
+    try {
+        return JSON.parse(text);
+    } catch (error) {
+        console.error(
+            "Erreur lors de la lecture du fichier de progressions:",
+            error
+        );
+        throw new Error("Le fichier n'est pas un fichier JSON valide");
+    }
+};
+
+/**
+ * Vérifie qu'un objet est un fichier de progressions valide
+ * @param {*} file - Contenu du fichier importé
+ * @returns {Array<string>} Erreurs détectées (vide si le fichier est valide)
+ */
+export const validateProgressionsFile = (file) => {
+    if (!isPlainObject(file) || file.format !== PROGRESSION_FILE_FORMAT) {
+        return ["Ce fichier n'est pas un fichier de progressions MathMemo"];
+    }
+    if (
+        !Number.isInteger(file.version) ||
+        file.version < 1 ||
+        file.version > PROGRESSION_FILE_VERSION
+    ) {
+        return [`Version de fichier non prise en charge (${file.version})`];
+    }
+    if (!Array.isArray(file.progressions) || !file.progressions.length) {
+        return ["Le fichier ne contient aucune progression"];
+    }
+
+    return file.progressions.flatMap(validateProgression);
+};
+
+/**
+ * Nom de fichier proposé pour un export de progressions
+ * @param {Date} [date=new Date()] - Date de l'export
+ * @returns {string} Nom de fichier (ex: "mathmemo-2024-03-12.progressions.json")
+ */
+export const getProgressionsFileName = (date = new Date()) =>
+    `mathmemo-${getFileDateStamp(date)}${PROGRESSION_FILE_EXTENSION}`;
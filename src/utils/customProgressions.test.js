@@ -0,0 +1,40 @@
+// src/utils/customProgressions.test.js
+import { describe, expect, it } from "vitest";
+import { BUILT_IN_PROGRESSIONS } from "../data/progressions";
+import { generateFactsForLevel } from "./factGenerator";
+import { getOrderedUnits } from "./unitProgression";
+import {
+    createEmptyProgression,
+    getLevelShortName,
+    mergeCustomProgressions,
+} from "./customProgressions";
+
+describe("mergeCustomProgressions", () => {
+    it("complète les progressions intégrées sans les modifier", () => {
+        const builtInLevels = Object.keys(BUILT_IN_PROGRESSIONS);
+        const custom = { ...createEmptyProgression(), name: "Ma classe" };
+        const customCp = { ...BUILT_IN_PROGRESSIONS.cp, periods: [] };
+
+        const progressions = mergeCustomProgressions([custom, customCp]);
+
+        expect(progressions[custom.id]).toBe(custom);
+        expect(progressions.cp).toBe(customCp);
+        expect(progressions.ce1).toBe(BUILT_IN_PROGRESSIONS.ce1);
+        expect(Object.keys(BUILT_IN_PROGRESSIONS)).toEqual(builtInLevels);
+        expect(BUILT_IN_PROGRESSIONS.cp.periods.length).toBeGreaterThan(0);
+    });
+
+    it("transmet les progressions fusionnées aux utilitaires", () => {
+        const custom = { ...createEmptyProgression(), name: "Ma classe" };
+        const progressions = mergeCustomProgressions([custom]);
+
+        expect(getLevelShortName(custom.id, progressions)).toBe("Ma classe");
+        expect(getLevelShortName(custom.id)).toBe(custom.id);
+        expect(getOrderedUnits(custom.id, progressions)).toHaveLength(1);
+        expect(getOrderedUnits(custom.id)).toEqual([]);
+        expect(
+            generateFactsForLevel(custom.id, { progressions }).length
+        ).toBeGreaterThan(0);
+        expect(generateFactsForLevel(custom.id)).toEqual([]);
+    });
+});
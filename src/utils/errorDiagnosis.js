@@ -0,0 +1,281 @@
+// src/utils/errorDiagnosis.js
+/**
+ * @file errorDiagnosis.js
+ * @description Diagnostic des réponses fausses : classement des erreurs par schéma
+ * (écart de 1, mauvaise opération, confusion de table...) et pistes de remédiation.
+ * Le diagnostic est recalculé à la lecture à partir des réponses conservées dans l'historique
+ */
+
+import { OPERATION_TYPES } from "../data/progressions";
+import { getComparisonRelation } from "./mathUtils";
+import { getEquation, hasRemainder, MISSING_POSITIONS } from "./factUtils";
+
+/**
+ * Schémas d'erreurs reconnus
+ * @constant {Object}
+ */
+export const ERROR_PATTERNS = {
+    OFF_BY_ONE: "off_by_one", // 7 + 5 = 11
+    NEIGHBOUR_TABLE: "neighbour_table", // 6 × 7 = 48 (résultat de 6 × 8)
+    SWAPPED_DIGITS: "swapped_digits", // 9 + 3 = 21
+    WRONG_OPERATION: "wrong_operation", // 3 × 4 = 7
+    TEN_ERROR: "ten_error", // 27 + 5 = 22
+    OPERAND_COPY: "operand_copy", // 8 - 3 = 8
+    REVERSED_COMPARISON: "reversed_comparison", // 3 > 5
+    OTHER: "other", // Aucun schéma reconnu
+};
+
+/**
+ * Libellés des schémas d'erreurs pour l'affichage
+ * @constant {Object}
+ */
+export const ERROR_PATTERN_LABELS = {
+    [ERROR_PATTERNS.OFF_BY_ONE]: "Écart de 1",
+    [ERROR_PATTERNS.NEIGHBOUR_TABLE]: "Confusion avec un résultat voisin",
+    [ERROR_PATTERNS.SWAPPED_DIGITS]: "Chiffres inversés",
+    [ERROR_PATTERNS.WRONG_OPERATION]: "Mauvaise opération",
+    [ERROR_PATTERNS.TEN_ERROR]: "Erreur d'une dizaine",
+    [ERROR_PATTERNS.OPERAND_COPY]: "Nombre de l'énoncé recopié",
+    [ERROR_PATTERNS.REVERSED_COMPARISON]: "Signes < et > inversés",
+    [ERROR_PATTERNS.OTHER]: "Autres erreurs",
+};
+
+/**
+ * Pistes de remédiation associées à chaque schéma d'erreur
+ * @constant {Object}
+ */
+export const ERROR_PATTERN_HINTS = {
+    [ERROR_PATTERNS.OFF_BY_ONE]:
+        "Erreur typique du comptage un par un : s'appuyer sur des faits connus (doubles, passage par 10) plutôt que sur les doigts.",
+    [ERROR_PATTERNS.NEIGHBOUR_TABLE]:
+        "Revoir la table en reliant les résultats voisins : 6 × 8, c'est 6 × 7 + 6.",
+    [ERROR_PATTERNS.SWAPPED_DIGITS]:
+        "Faire dire le nombre en dizaines et unités avant de l'écrire (« 2 dizaines et 1 unité »).",
+    [ERROR_PATTERNS.WRONG_OPERATION]:
+        "Faire lire le signe à voix haute avant de répondre (« 3 fois 4 », « 3 plus 4 »).",
+    [ERROR_PATTERNS.TEN_ERROR]:
+        "Retravailler le passage de la dizaine (retenue, emprunt) avec du matériel de numération.",
+    [ERROR_PATTERNS.OPERAND_COPY]:
+        "Vérifier que la consigne est comprise : faire expliquer ce que représente le « ? ».",
+    [ERROR_PATTERNS.REVERSED_COMPARISON]:
+        "Rappeler que la pointe du signe est tournée vers le plus petit nombre.",
+    [ERROR_PATTERNS.OTHER]:
+        "Pas de schéma reconnu : observer l'élève pendant qu'il calcule pour comprendre sa démarche.",
+};
+
+/**
+ * Nombre d'exemples conservés par schéma d'erreur
+ * @constant {number}
+ */
+const MAX_EXAMPLES = 3;
+
+/**
+ * Résultats obtenus en combinant deux nombres avec une autre opération que celle attendue
+ * @param {number} x - Premier nombre connu
+ * @param {number} y - Second nombre connu
+ * @returns {Array<number>} Résultats possibles (somme, écart, produit, quotients entiers)
+ */
+const getOperationResults = (x, y) => {
+    const results = [x + y, Math.abs(x - y), x * y];
+    if (y !== 0 && x % y === 0) results.push(x / y);
+    if (x !== 0 && y % x === 0) results.push(y / x);
+    return results;
+};
+
+/**
+ * Indique si deux nombres s'écrivent avec les mêmes chiffres dans l'ordre inverse (12 et 21)
+ * @param {number} given - Réponse donnée
+ * @param {number} expected - Réponse attendue
+ * @returns {boolean} True pour des chiffres inversés
+ */
+const hasSwappedDigits = (given, expected) => {
+    if (expected < 10 || expected % 10 === 0) return false;
+    return Number(String(expected).split("").reverse().join("")) === given;
+};
+
+/**
+ * Indique si une réponse est le résultat d'une multiplication voisine (6 × 7 répondu 48 = 6 × 8)
+ * @param {Object} equation - Égalité du fait (getEquation)
+ * @param {number} given - Réponse donnée
+ * @returns {boolean} True pour une confusion de table
+ */
+const isNeighbourTableResult = ({ terms, missing }, given) => {
+    if (missing !== MISSING_POSITIONS.RESULT) return false;
+
+    const [a, b] = terms;
+    return [(a - 1) * b, (a + 1) * b, a * (b - 1), a * (b + 1)].includes(given);
+};
+
+/**
+ * Classe une réponse fausse selon le schéma d'erreur qu'elle révèle
+ * Les divisions avec reste ont leurs propres catégories (REMAINDER_ERROR_TYPES)
+ * @param {Object} fact - Fait numérique
+ * @param {number|string|Object} givenAnswer - Réponse donnée par l'élève
+ * @returns {string|null} Valeur de ERROR_PATTERNS, ou null si la réponse n'est pas diagnostiquable
+ */
+export const diagnoseError = (fact, givenAnswer) => {
+    if (!fact || givenAnswer === undefined || givenAnswer === null) {
+        return null;
+    }
+    if (hasRemainder(fact)) return null;
+
+    if (fact.type === OPERATION_TYPES.COMPARISON) {
+        const expected = getComparisonRelation(
+            fact.operands[0],
+            fact.operands[1]
+        );
+        if (givenAnswer === expected) return null;
+
+        return [givenAnswer, expected].includes("=")
+            ? ERROR_PATTERNS.OTHER
+            : ERROR_PATTERNS.REVERSED_COMPARISON;
+    }
+
+    const equation = getEquation(fact);
+    const given = Number(givenAnswer);
+    if (!equation || !Number.isFinite(given)) return null;
+
+    const expected = equation.terms[equation.missing];
+    if (given === expected) return null;
+
+    // Nombres visibles dans l'énoncé (pour la moitié d'un double, seul le résultat est affiché)
+    const known =
+        fact.type === OPERATION_TYPES.DOUBLES &&
+        equation.missing !== MISSING_POSITIONS.RESULT
+            ? [equation.terms[MISSING_POSITIONS.RESULT]]
+            : equation.terms.filter((_, index) => index !== equation.missing);
+    const otherResults =
+        known.length === 2
+            ? getOperationResults(known[0], known[1])
+            : [known[0] * 2];
+
+    if (Math.abs(given - expected) === 1) return ERROR_PATTERNS.OFF_BY_ONE;
+    if (
+        fact.type === OPERATION_TYPES.MULTIPLICATION &&
+        isNeighbourTableResult(equation, given)
+    ) {
+        return ERROR_PATTERNS.NEIGHBOUR_TABLE;
+    }
+    if (hasSwappedDigits(given, expected)) return ERROR_PATTERNS.SWAPPED_DIGITS;
+    if (Math.abs(given - expected) === 10) return ERROR_PATTERNS.TEN_ERROR;
+    if (otherResults.includes(given)) return ERROR_PATTERNS.WRONG_OPERATION;
+    if (known.includes(given)) return ERROR_PATTERNS.OPERAND_COPY;
+
+    return ERROR_PATTERNS.OTHER;
+};
+
+/**
+ * Réponses fausses plausibles pour un fait, en alternant les schémas d'erreurs
+ * (écart de 1, confusion de table, chiffres inversés, mauvaise opération, dizaine,
+ * nombre recopié) pour que les premières soient variées
+ * Sert de distracteurs pour les formats à choix
+ * @param {Object} fact - Fait numérique
+ * @returns {Array<number>} Réponses fausses distinctes et positives (vide si le fait n'est pas une égalité)
+ */
+export const getPlausibleWrongAnswers = (fact) => {
+    const equation = getEquation(fact);
+    if (!equation) return [];
+
+    const expected = equation.terms[equation.missing];
+    const known =
+        fact.type === OPERATION_TYPES.DOUBLES &&
+        equation.missing !== MISSING_POSITIONS.RESULT
+            ? [equation.terms[MISSING_POSITIONS.RESULT]]
+            : equation.terms.filter((_, index) => index !== equation.missing);
+    const [a, b] = equation.terms;
+    const swapped = Number(String(expected).split("").reverse().join(""));
+
+    // Une liste de candidats par schéma d'erreur, dans l'ordre de ERROR_PATTERNS
+    const byPattern = [
+        [expected - 1, expected + 1],
+        fact.type === OPERATION_TYPES.MULTIPLICATION &&
+        equation.missing === MISSING_POSITIONS.RESULT
+            ? [a * (b + 1), (a + 1) * b, a * (b - 1), (a - 1) * b]
+            : [],
+        hasSwappedDigits(swapped, expected) ? [swapped] : [],
+        known.length === 2
+            ? getOperationResults(known[0], known[1])
+            : [known[0] * 2],
+        [expected + 10, expected - 10],
+        known,
+    ];
+
+    const result = [];
+    const longest = Math.max(...byPattern.map((values) => values.length));
+    for (let rank = 0; rank < longest; rank++) {
+        byPattern.forEach((values) => {
+            const value = values[rank];
+            if (
+                Number.isInteger(value) &&
+                value >= 0 &&
+                value !== expected &&
+                !result.includes(value)
+            ) {
+                result.push(value);
+            }
+        });
+    }
+
+    return result;
+};
+
+/**
+ * Écrit un fait complété avec la réponse fausse de l'élève (ex: "6 × 7 = 48")
+ * @param {Object} fact - Fait numérique
+ * @param {number|string} givenAnswer - Réponse donnée par l'élève
+ * @returns {string} Égalité complétée
+ */
+export const formatWrongAnswer = (fact, givenAnswer) => {
+    if (fact.type === OPERATION_TYPES.COMPARISON) {
+        return `${fact.operands[0]} ${givenAnswer} ${fact.operands[1]}`;
+    }
+
+    const equation = getEquation(fact);
+    if (!equation) return `${fact.question || fact.id} → ${givenAnswer}`;
+
+    const terms = equation.terms.map((term, index) =>
+        index === equation.missing ? givenAnswer : term
+    );
+    return `${terms[0]} ${equation.symbol} ${terms[1]} = ${terms[2]}`;
+};
+
+/**
+ * Regroupe les réponses fausses d'un ensemble de faits par schéma d'erreur
+ * @param {Array<Object>} facts - Faits suivis, avec leur historique
+ * @returns {Array<Object>} Schémas trouvés { pattern, label, hint, count, examples },
+ *   du plus fréquent au moins fréquent
+ */
+export const summarizeErrorPatterns = (facts) => {
+    const byPattern = {};
+
+    facts.forEach((fact) => {
+        (fact?.history || []).forEach((entry) => {
+            if (entry.isCorrect) return;
+
+            const pattern = diagnoseError(fact, entry.givenAnswer);
+            if (!pattern) return;
+
+            if (!byPattern[pattern]) {
+                byPattern[pattern] = {
+                    pattern,
+                    label: ERROR_PATTERN_LABELS[pattern],
+                    hint: ERROR_PATTERN_HINTS[pattern],
+                    count: 0,
+                    examples: [],
+                };
+            }
+
+            const summary = byPattern[pattern];
+            const example = formatWrongAnswer(fact, entry.givenAnswer);
+            summary.count++;
+            if (
+                summary.examples.length < MAX_EXAMPLES &&
+                !summary.examples.includes(example)
+            ) {
+                summary.examples.push(example);
+            }
+        });
+    });
+
+    return Object.values(byPattern).sort((a, b) => b.count - a.count);
+};
@@ -0,0 +1,192 @@
+// src/utils/factFamilies.js
+/**
+ * @file factFamilies.js
+ * @description Familles de faits : regroupe les faits liés par commutativité ou par opération inverse
+ * (3 + 5, 5 + 3, 8 - 3, 8 - 5 ou 6 × 7, 42 ÷ 6, 42 ÷ 7)
+ */
+
+import { OPERATION_TYPES } from "../data/progressions";
+import { getEquation } from "./factUtils";
+
+/**
+ * Types de familles de faits
+ * @constant {Object}
+ */
+export const FACT_FAMILY_TYPES = {
+    ADDITIVE: "add", // Additions, soustractions, doubles et compléments
+    MULTIPLICATIVE: "mult", // Multiplications et divisions exactes
+};
+
+/**
+ * Nombre d'erreurs, parmi les dernières réponses d'une famille, à partir duquel elle est signalée
+ * @constant {number}
+ */
+export const FAMILY_ERROR_THRESHOLD = 3;
+
+/**
+ * Nombre de réponses récentes d'une famille prises en compte pour le signalement
+ * @constant {number}
+ */
+export const FAMILY_ERROR_WINDOW = 6;
+
+/**
+ * Opérations additives : la famille est définie par les deux parties et le tout
+ * @constant {Array<string>}
+ */
+const ADDITIVE_TYPES = [
+    OPERATION_TYPES.ADDITION,
+    OPERATION_TYPES.SUBTRACTION,
+    OPERATION_TYPES.DOUBLES,
+    OPERATION_TYPES.COMPLEMENTS,
+];
+
+/**
+ * Décompose un fait en deux parties et un tout (a + b = c, c - a = b, a × b = c, c ÷ a = b)
+ * @param {Object} fact - Fait numérique
+ * @returns {Object|null} { familyType, parts: [p1, p2] triées, whole } ou null
+ */
+const getFamilyParts = (fact) => {
+    const equation = getEquation(fact);
+    if (!equation) return null;
+
+    const [x, y, z] = equation.terms;
+    let familyType;
+    let parts;
+    let whole;
+
+    if (ADDITIVE_TYPES.includes(fact.type)) {
+        familyType = FACT_FAMILY_TYPES.ADDITIVE;
+        // Pour une soustraction x - y = z, le tout est x
+        [parts, whole] =
+            fact.type === OPERATION_TYPES.SUBTRACTION
+                ? [[y, z], x]
+                : [[x, y], z];
+    } else {
+        familyType = FACT_FAMILY_TYPES.MULTIPLICATIVE;
+        // Pour une division x ÷ y = z, le tout est x
+        [parts, whole] =
+            fact.type === OPERATION_TYPES.DIVISION ? [[y, z], x] : [[x, y], z];
+    }
+
+    if (!Number.isInteger(whole)) return null;
+
+    return { familyType, parts: [...parts].sort((a, b) => a - b), whole };
+};
+
+/**
+ * Identifiant de la famille d'un fait (ex: "cp-fam-add-3-5", "ce1-fam-mult-6-7")
+ * Les variantes « à trou » appartiennent à la famille de leur fait de base
+ * @param {Object} fact - Fait numérique (avec son identifiant, son type et ses opérandes)
+ * @returns {string|null} Identifiant de famille ou null (comparaisons, divisions avec reste)
+ */
+export const getFactFamilyId = (fact) => {
+    if (!fact?.id || !Array.isArray(fact.operands)) return null;
+
+    const family = getFamilyParts(fact);
+    if (!family) return null;
+
+    const level = fact.id.split("-")[0];
+    return `${level}-fam-${family.familyType}-${family.parts.join("-")}`;
+};
+
+/**
+ * Libellé d'une famille de faits (ex: "3, 5 et 8" ou "6, 7 et 42")
+ * @param {Object} fact - Un membre de la famille
+ * @returns {string} Libellé
+ */
+export const getFactFamilyLabel = (fact) => {
+    const family = getFamilyParts(fact);
+    if (!family) return "";
+
+    return `${family.parts[0]}, ${family.parts[1]} et ${family.whole}`;
+};
+
+/**
+ * Indique si une famille doit être signalée : trop d'erreurs dans ses dernières réponses
+ * @param {Array<Object>} members - Faits de la famille avec leur historique
+ * @returns {boolean} True si la famille est en difficulté
+ */
+export const isFamilyStruggling = (members) => {
+    const recentAnswers = members
+        .flatMap((member) => member.history || [])
+        .sort((a, b) => String(b.date).localeCompare(String(a.date)))
+        .slice(0, FAMILY_ERROR_WINDOW);
+
+    return (
+        recentAnswers.filter((entry) => !entry.isCorrect).length >=
+        FAMILY_ERROR_THRESHOLD
+    );
+};
+
+/**
+ * Regroupe des faits suivis par famille
+ * @param {Object} facts - Faits indexés par ID
+ * @returns {Array<Object>} Familles { id, label, type, members, flagged }, les familles signalées en premier
+ */
+export const groupFactsByFamily = (facts) => {
+    const families = {};
+
+    Object.entries(facts || {}).forEach(([factId, fact]) => {
+        const member = { ...fact, id: factId };
+        const familyId = getFactFamilyId(member);
+        if (!familyId) return;
+
+        if (!families[familyId]) {
+            families[familyId] = {
+                id: familyId,
+                label: getFactFamilyLabel(member),
+                type: familyId.split("-")[2],
+                members: [],
+            };
+        }
+        families[familyId].members.push(member);
+    });
+
+    return Object.values(families)
+        .map((family) => ({
+            ...family,
+            flagged: family.members.some((member) => member.familyFlagged),
+        }))
+        .sort(
+            (a, b) =>
+                Number(b.flagged) - Number(a.flagged) ||
+                a.id.localeCompare(b.id, undefined, { numeric: true })
+        );
+};
+
+/**
+ * Répercute une réponse sur les autres faits de la même famille :
+ * une réussite leur accorde le léger gain du planificateur, et la famille entière
+ * est signalée (ou ne l'est plus) selon ses dernières réponses
+ * @param {Object} facts - Faits indexés par ID, la réponse étant déjà enregistrée
+ * @param {string} factId - Identifiant du fait auquel l'élève vient de répondre
+ * @param {Object} options - Options
+ * @param {boolean} options.isCorrect - Si la réponse était correcte
+ * @param {Function} options.boost - Gain du planificateur (`scheduler.boost`)
+ * @returns {Object} Faits mis à jour (même référence si le fait n'a pas de famille)
+ */
+export const propagateToFamily = (facts, factId, { isCorrect, boost }) => {
+    const familyId = getFactFamilyId({ ...facts[factId], id: factId });
+    if (!familyId) return facts;
+
+    const memberIds = Object.keys(facts).filter(
+        (id) => getFactFamilyId({ ...facts[id], id }) === familyId
+    );
+    const flagged = isFamilyStruggling(memberIds.map((id) => facts[id]));
+    const updatedFacts = { ...facts };
+
+    memberIds.forEach((id) => {
+        let member = facts[id];
+
+        if (isCorrect && id !== factId) {
+            member = { ...member, ...boost(member) };
+        }
+        if (Boolean(member.familyFlagged) !== flagged) {
+            member = { ...member, familyFlagged: flagged };
+        }
+
+        updatedFacts[id] = member;
+    });
+
+    return updatedFacts;
+};
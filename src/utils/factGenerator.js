@@ -0,0 +1,374 @@
+// src/utils/factGenerator.js
+/**
+ * @file factGenerator.js
+ * @description Génération procédurale de faits numériques à partir des règles déclarées par chaque unité des progressions
+ */
+
+import { BUILT_IN_PROGRESSIONS, OPERATION_TYPES } from "../data/progressions";
+import { range, crossesTen, needsBorrow } from "./mathUtils";
+import { createMissingOperandVariants } from "./factUtils";
+
+/**
+ * Règle de génération déclarée par une unité d'apprentissage
+ * @typedef {Object} GenerationRule
+ * @property {string} type - Type d'opération (valeur de OPERATION_TYPES)
+ * @property {Array<number>} [range] - Bornes du premier opérande ; pour les multiplications
+ *   et divisions, bornes du second facteur ou du quotient
+ * @property {number} [step=1] - Pas appliqué à `range`
+ * @property {Array<number>} [secondRange] - Bornes du second opérande (addition, soustraction)
+ * @property {number} [secondStep=1] - Pas appliqué à `secondRange`
+ * @property {Array<number>} [tables] - Tables utilisées (multiplication, division)
+ * @property {number} [target] - Nombre à atteindre (compléments)
+ * @property {number} [minResult] - Résultat minimal accepté (quotient pour les divisions)
+ * @property {number} [maxResult] - Résultat maximal accepté (quotient pour les divisions)
+ * @property {number} [resultMultipleOf] - Le résultat doit être un multiple de ce nombre
+ * @property {boolean} [crossTen] - Impose un passage par la dizaine (addition) ou un emprunt (soustraction)
+ * @property {boolean} [withRemainder] - Génère des divisions avec reste, où l'élève donne
+ *   le quotient et le reste (division)
+ */
+
+/**
+ * Préfixes utilisés dans les identifiants de faits, identiques à ceux de BUILT_IN_PROGRESSIONS
+ * @constant {Object}
+ */
+const ID_PREFIXES = {
+    [OPERATION_TYPES.ADDITION]: "add",
+    [OPERATION_TYPES.SUBTRACTION]: "sub",
+    [OPERATION_TYPES.MULTIPLICATION]: "mult",
+    [OPERATION_TYPES.DIVISION]: "div",
+    [OPERATION_TYPES.COMPARISON]: "comp",
+    [OPERATION_TYPES.DOUBLES]: "double",
+    [OPERATION_TYPES.COMPLEMENTS]: "comp",
+};
+
+/**
+ * Vérifie qu'un résultat respecte les contraintes de la règle
+ * @param {number} result - Résultat à vérifier
+ * @param {GenerationRule} rule - Règle de génération
+ * @returns {boolean} True si le résultat est accepté
+ */
+const isResultAllowed = (result, rule) => {
+    if (rule.minResult !== undefined && result < rule.minResult) return false;
+    if (rule.maxResult !== undefined && result > rule.maxResult) return false;
+    if (rule.resultMultipleOf && result % rule.resultMultipleOf !== 0) {
+        return false;
+    }
+    return true;
+};
+
+/**
+ * Valeurs du premier opérande d'une règle
+ * @param {GenerationRule} rule - Règle de génération
+ * @returns {Array<number>} Valeurs possibles
+ */
+const firstValues = (rule) => {
+    const [min, max] = rule.range || [0, 10];
+    return range(min, max, rule.step || 1);
+};
+
+/**
+ * Valeurs du second opérande d'une règle (par défaut identiques au premier)
+ * @param {GenerationRule} rule - Règle de génération
+ * @returns {Array<number>} Valeurs possibles
+ */
+const secondValues = (rule) => {
+    if (!rule.secondRange) return firstValues(rule);
+    const [min, max] = rule.secondRange;
+    return range(min, max, rule.secondStep || 1);
+};
+
+/**
+ * Générateurs de candidats par type d'opération
+ * Chaque générateur retourne des faits sans identifiant
+ * @constant {Object}
+ */
+const GENERATORS = {
+    [OPERATION_TYPES.ADDITION]: (rule) =>
+        firstValues(rule).flatMap((a) =>
+            secondValues(rule)
+                .filter(
+                    (b) =>
+                        isResultAllowed(a + b, rule) &&
+                        (!rule.crossTen || crossesTen(a, b))
+                )
+                .map((b) => ({
+                    type: OPERATION_TYPES.ADDITION,
+                    operands: [a, b],
+                    answer: a + b,
+                    question: `${a} + ${b} = ?`,
+                }))
+        ),
+
+    [OPERATION_TYPES.SUBTRACTION]: (rule) =>
+        firstValues(rule).flatMap((a) =>
+            secondValues(rule)
+                .filter(
+                    (b) =>
+                        b <= a &&
+                        isResultAllowed(a - b, rule) &&
+                        (!rule.crossTen || needsBorrow(a, b))
+                )
+                .map((b) => ({
+                    type: OPERATION_TYPES.SUBTRACTION,
+                    operands: [a, b],
+                    answer: a - b,
+                    question: `${a} - ${b} = ?`,
+                }))
+        ),
+
+    [OPERATION_TYPES.MULTIPLICATION]: (rule) =>
+        (rule.tables || [2]).flatMap((table) =>
+            firstValues(rule)
+                .filter((factor) => isResultAllowed(table * factor, rule))
+                .map((factor) => ({
+                    type: OPERATION_TYPES.MULTIPLICATION,
+                    operands: [table, factor],
+                    answer: table * factor,
+                    question: `${table} × ${factor} = ?`,
+                }))
+        ),
+
+    [OPERATION_TYPES.DIVISION]: (rule) =>
+        (rule.tables || [2]).flatMap((divisor) =>
+            firstValues(rule)
+                .filter((quotient) => isResultAllowed(quotient, rule))
+                .flatMap((quotient) => {
+                    const remainders = rule.withRemainder
+                        ? range(1, divisor - 1)
+                        : [0];
+
+                    return remainders.map((remainder) => {
+                        const dividend = divisor * quotient + remainder;
+                        return {
+                            type: OPERATION_TYPES.DIVISION,
+                            operands: [dividend, divisor],
+                            answer: quotient,
+                            ...(rule.withRemainder && { quotient, remainder }),
+                            question: rule.withRemainder
+                                ? `${dividend} ÷ ${divisor} = ? reste ?`
+                                : `${dividend} ÷ ${divisor} = ?`,
+                        };
+                    });
+                })
+        ),
+
+    [OPERATION_TYPES.DOUBLES]: (rule) =>
+        firstValues(rule)
+            .filter((n) => isResultAllowed(n * 2, rule))
+            .map((n) => ({
+                type: OPERATION_TYPES.DOUBLES,
+                operands: [n],
+                answer: n * 2,
+                question: `${n} + ${n} = ?`,
+            })),
+
+    [OPERATION_TYPES.COMPLEMENTS]: (rule) => {
+        const target = rule.target || 10;
+        return firstValues(rule)
+            .filter((n) => n < target)
+            .map((n) => ({
+                type: OPERATION_TYPES.COMPLEMENTS,
+                operands: [n],
+                answer: target - n,
+                target,
+                question: `${n} + ? = ${target}`,
+            }));
+    },
+
+    [OPERATION_TYPES.COMPARISON]: (rule) =>
+        firstValues(rule).flatMap((a) =>
+            secondValues(rule)
+                .filter((b) => b !== a)
+                .map((b) => ({
+                    type: OPERATION_TYPES.COMPARISON,
+                    operands: [a, b],
+                    question: `Quel est le plus grand : ${a} ou ${b} ?`,
+                }))
+        ),
+};
+
+/**
+ * Construit l'identifiant stable d'un fait à partir de son contenu
+ * Le format reprend celui de BUILT_IN_PROGRESSIONS (ex: "cp-add-3-4", "cp-comp-2-to-10")
+ * @param {string} level - Niveau scolaire (préfixe obligatoire des identifiants)
+ * @param {Object} fact - Fait sans identifiant
+ * @returns {string} Identifiant du fait
+ */
+export const buildFactId = (level, fact) => {
+    const prefix = ID_PREFIXES[fact.type] || fact.type;
+
+    if (fact.type === OPERATION_TYPES.COMPLEMENTS) {
+        return `${level}-${prefix}-${fact.operands[0]}-to-${fact.target}`;
+    }
+
+    return `${level}-${prefix}-${fact.operands.join("-")}`;
+};
+
+/**
+ * Nombre à atteindre d'un complément ; les faits prédéfinis ne le déclarent pas,
+ * il se déduit alors de l'opérande et de la réponse
+ * @param {Object} fact - Fait numérique
+ * @returns {number|undefined} Nombre à atteindre, undefined pour les autres opérations
+ */
+const getFactTarget = (fact) => {
+    if (fact.target !== undefined) return fact.target;
+    if (fact.type !== OPERATION_TYPES.COMPLEMENTS) return undefined;
+    return fact.operands[0] + fact.answer;
+};
+
+/**
+ * Signature d'un fait indépendante de son identifiant, pour détecter les doublons
+ * (le nombre à atteindre en fait partie : 3 + ? = 10 et 3 + ? = 20 sont distincts)
+ * @param {Object} fact - Fait numérique
+ * @returns {string} Signature
+ */
+const getFactSignature = (fact) => {
+    const signature = `${fact.type}:${fact.operands.join(",")}`;
+    const target = getFactTarget(fact);
+    return target === undefined ? signature : `${signature}:${target}`;
+};
+
+/**
+ * Cache des faits prédéfinis par progression, indexés par signature
+ * (indexé par l'objet de la progression : un niveau personnalisé modifié est réindexé)
+ * @type {WeakMap<Object, Map<string, Object>>}
+ */
+const builtInIndexCache = new WeakMap();
+
+/**
+ * Indexe les faits prédéfinis d'une progression par signature
+ * @param {Object} [progression] - Progression d'un niveau
+ * @returns {Map<string, Object>} Faits prédéfinis indexés par signature
+ */
+const getBuiltInIndex = (progression) => {
+    if (!progression) return new Map();
+    if (builtInIndexCache.has(progression)) {
+        return builtInIndexCache.get(progression);
+    }
+
+    const index = new Map();
+    progression.periods.forEach((period) => {
+        period.units.forEach((unit) => {
+            (unit.facts || []).forEach((fact) => {
+                const signature = getFactSignature(fact);
+                if (!index.has(signature)) index.set(signature, fact);
+            });
+        });
+    });
+
+    builtInIndexCache.set(progression, index);
+    return index;
+};
+
+/**
+ * Génère tous les faits possibles pour une unité à partir de ses règles
+ * Un fait déjà défini dans la progression de ce niveau est réutilisé tel quel,
+ * afin qu'un même calcul ne soit jamais présent sous deux identifiants
+ * @param {Object} unit - Unité d'apprentissage (doit déclarer `rules`)
+ * @param {string} level - Niveau scolaire
+ * @param {Object} [progressions=BUILT_IN_PROGRESSIONS] - Progressions indexées par niveau
+ * @returns {Array<Object>} Faits au format des progressions
+ */
+export const generateFactsForUnit = (
+    unit,
+    level,
+    progressions = BUILT_IN_PROGRESSIONS
+) => {
+    if (!unit || !Array.isArray(unit.rules)) return [];
+
+    const builtInIndex = getBuiltInIndex(progressions[level]);
+    const seenIds = new Set();
+    const generated = [];
+
+    unit.rules.forEach((rule) => {
+        const generator = GENERATORS[rule.type];
+        if (!generator) {
+            console.warn(`Aucun générateur pour le type: ${rule.type}`);
+            return;
+        }
+
+        generator(rule).forEach((candidate) => {
+            const existing = builtInIndex.get(getFactSignature(candidate));
+            const fact = existing || {
+                id: buildFactId(level, candidate),
+                type: candidate.type,
+                operands: candidate.operands,
+                ...(candidate.answer !== undefined && {
+                    answer: candidate.answer,
+                }),
+                ...(candidate.remainder !== undefined && {
+                    quotient: candidate.quotient,
+                    remainder: candidate.remainder,
+                }),
+                question: candidate.question,
+            };
+
+            if (!seenIds.has(fact.id)) {
+                seenIds.add(fact.id);
+                generated.push(fact);
+            }
+        });
+    });
+
+    return generated;
+};
+
+/**
+ * Génère de nouveaux faits pour un niveau, en commençant par l'unité indiquée
+ * puis en parcourant les unités suivantes et enfin les unités précédentes
+ * @param {string} level - Niveau scolaire
+ * @param {Object} [options] - Options de génération
+ * @param {string} [options.unitId=null] - Unité à privilégier
+ * @param {number} [options.maxFacts=5] - Nombre maximal de faits retournés
+ * @param {Array<string>} [options.excludeIds=[]] - Identifiants déjà connus à ignorer
+ * @param {boolean} [options.withVariants=false] - Ajoute après chaque fait ses variantes « à trou »
+ * @param {Object} [options.progressions=BUILT_IN_PROGRESSIONS] - Progressions indexées par niveau
+ * @returns {Array<Object>} Faits au format des progressions
+ */
+export const generateFactsForLevel = (
+    level,
+    {
+        unitId = null,
+        maxFacts = 5,
+        excludeIds = [],
+        withVariants = false,
+        progressions = BUILT_IN_PROGRESSIONS,
+    } = {}
+) => {
+    if (!progressions[level]) return [];
+
+    const units = progressions[level].periods.flatMap((period) => period.units);
+    const startIndex = Math.max(
+        0,
+        units.findIndex((unit) => unit.id === unitId)
+    );
+    const orderedUnits = [
+        ...units.slice(startIndex),
+        ...units.slice(0, startIndex),
+    ];
+
+    const excluded = new Set(excludeIds);
+    const selected = [];
+
+    for (const unit of orderedUnits) {
+        const unitFacts = generateFactsForUnit(
+            unit,
+            level,
+            progressions
+        ).flatMap((fact) =>
+            withVariants
+                ? [fact, ...createMissingOperandVariants(fact)]
+                : [fact]
+        );
+
+        for (const fact of unitFacts) {
+            if (selected.length >= maxFacts) return selected;
+            if (excluded.has(fact.id)) continue;
+
+            excluded.add(fact.id);
+            selected.push(fact);
+        }
+    }
+
+    return selected;
+};
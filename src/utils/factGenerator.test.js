@@ -0,0 +1,42 @@
+// src/utils/factGenerator.test.js
+import { describe, expect, it } from "vitest";
+import { OPERATION_TYPES } from "../data/progressions";
+import { generateFactsForUnit } from "./factGenerator";
+
+/**
+ * Unité générant des compléments jusqu'à un nombre donné
+ * @param {number} target - Nombre à atteindre
+ * @returns {Object} Unité d'apprentissage
+ */
+const complementsUnit = (target) => ({
+    id: "test-unit",
+    rules: [{ type: OPERATION_TYPES.COMPLEMENTS, range: [1, 3], target }],
+});
+
+describe("generateFactsForUnit", () => {
+    it("réutilise les compléments prédéfinis du niveau", () => {
+        const facts = generateFactsForUnit(complementsUnit(10), "cp");
+
+        expect(facts.map((fact) => fact.id)).toEqual([
+            "cp-comp-1-to-10",
+            "cp-comp-2-to-10",
+            "cp-comp-3-to-10",
+        ]);
+        expect(facts[0].answer).toBe(9);
+    });
+
+    it("distingue les compléments qui n'ont pas le même nombre à atteindre", () => {
+        const facts = generateFactsForUnit(complementsUnit(20), "cp");
+
+        expect(facts.map((fact) => fact.id)).toEqual([
+            "cp-comp-1-to-20",
+            "cp-comp-2-to-20",
+            "cp-comp-3-to-20",
+        ]);
+        expect(facts.map((fact) => fact.question)).toEqual([
+            "1 + ? = 20",
+            "2 + ? = 20",
+            "3 + ? = 20",
+        ]);
+    });
+});
@@ -0,0 +1,230 @@
+// src/utils/factUtils.js
+/**
+ * @file factUtils.js
+ * @description Fonctions utilitaires sur les faits numériques : formes de réponse particulières et correction
+ */
+
+import { OPERATION_TYPES } from "../data/progressions";
+
+/**
+ * Catégories d'erreurs des divisions avec reste
+ * @constant {Object}
+ */
+export const REMAINDER_ERROR_TYPES = {
+    QUOTIENT: "quotient_error", // Quotient faux, reste juste
+    REMAINDER: "remainder_error", // Quotient juste, reste faux
+    REMAINDER_TOO_LARGE: "remainder_too_large", // Reste supérieur ou égal au diviseur
+    BOTH: "quotient_and_remainder_error", // Quotient et reste faux
+};
+
+/**
+ * Libellés des catégories d'erreurs pour l'affichage
+ * @constant {Object}
+ */
+export const ERROR_TYPE_LABELS = {
+    [REMAINDER_ERROR_TYPES.QUOTIENT]: "Quotient faux (reste juste)",
+    [REMAINDER_ERROR_TYPES.REMAINDER]: "Reste faux (quotient juste)",
+    [REMAINDER_ERROR_TYPES.REMAINDER_TOO_LARGE]:
+        "Reste plus grand que le diviseur",
+    [REMAINDER_ERROR_TYPES.BOTH]: "Quotient et reste faux",
+};
+
+/**
+ * Indique si un fait attend un quotient et un reste
+ * @param {Object} fact - Fait numérique
+ * @returns {boolean} True pour une division avec reste
+ */
+export const hasRemainder = (fact) =>
+    fact?.type === OPERATION_TYPES.DIVISION &&
+    typeof fact.quotient === "number" &&
+    typeof fact.remainder === "number";
+
+/**
+ * Corrige une réponse de division avec reste, partie par partie
+ * Une réponse dont une seule partie est juste obtient la moitié des points
+ * @param {Object} fact - Fait avec quotient et reste
+ * @param {number} quotient - Quotient proposé par l'élève
+ * @param {number} remainder - Reste proposé par l'élève
+ * @returns {Object} Résultat { isCorrect, score, errorType }
+ */
+export const gradeRemainderAnswer = (fact, quotient, remainder) => {
+    const quotientCorrect = quotient === fact.quotient;
+    const remainderCorrect = remainder === fact.remainder;
+
+    if (quotientCorrect && remainderCorrect) {
+        return { isCorrect: true, score: 1, errorType: null };
+    }
+
+    let errorType;
+    if (remainder >= fact.operands[1]) {
+        errorType = REMAINDER_ERROR_TYPES.REMAINDER_TOO_LARGE;
+    } else if (quotientCorrect) {
+        errorType = REMAINDER_ERROR_TYPES.REMAINDER;
+    } else if (remainderCorrect) {
+        errorType = REMAINDER_ERROR_TYPES.QUOTIENT;
+    } else {
+        errorType = REMAINDER_ERROR_TYPES.BOTH;
+    }
+
+    return {
+        isCorrect: false,
+        score: quotientCorrect || remainderCorrect ? 0.5 : 0,
+        errorType,
+    };
+};
+
+/**
+ * Compte les erreurs par catégorie dans l'historique d'un ensemble de faits
+ * @param {Array<Object>} facts - Faits avec leur historique
+ * @returns {Object} Nombre d'erreurs par catégorie
+ */
+export const countErrorsByType = (facts) =>
+    facts.reduce((acc, fact) => {
+        (fact?.history || []).forEach((entry) => {
+            if (entry.errorType) {
+                acc[entry.errorType] = (acc[entry.errorType] || 0) + 1;
+            }
+        });
+        return acc;
+    }, {});
+
+/**
+ * Position de l'inconnue dans l'égalité « a op b = c »
+ * @constant {Object}
+ */
+export const MISSING_POSITIONS = {
+    FIRST: 0, // ? + 4 = 7
+    SECOND: 1, // 3 + ? = 7
+    RESULT: 2, // 3 + 4 = ?
+};
+
+/**
+ * Symboles des opérations écrites sous forme d'égalité
+ * @constant {Object}
+ */
+const EQUATION_SYMBOLS = {
+    [OPERATION_TYPES.ADDITION]: "+",
+    [OPERATION_TYPES.SUBTRACTION]: "-",
+    [OPERATION_TYPES.MULTIPLICATION]: "×",
+    [OPERATION_TYPES.DIVISION]: "÷",
+    [OPERATION_TYPES.DOUBLES]: "+",
+    [OPERATION_TYPES.COMPLEMENTS]: "+",
+};
+
+/**
+ * Écrit un fait sous la forme d'une égalité « a op b = c » avec la position de l'inconnue
+ * Les compléments (« 3 + ? = 10 ») ont par défaut leur inconnue en deuxième position
+ * @param {Object} fact - Fait numérique
+ * @returns {Object|null} Égalité { terms: [a, b, c], symbol, missing } ou null (comparaison, reste)
+ */
+export const getEquation = (fact) => {
+    const symbol = EQUATION_SYMBOLS[fact?.type];
+    if (!symbol || hasRemainder(fact)) return null;
+
+    const [a, b] = fact.operands;
+    let terms;
+    let defaultMissing = MISSING_POSITIONS.RESULT;
+
+    switch (fact.type) {
+        case OPERATION_TYPES.DOUBLES:
+            terms = [a, a, a * 2];
+            break;
+        case OPERATION_TYPES.COMPLEMENTS: {
+            // Les faits prédéfinis n'indiquent pas leur cible : la déduire de la réponse
+            const target = fact.target ?? fact.result ?? a + fact.answer;
+            terms = [a, target - a, target];
+            defaultMissing = MISSING_POSITIONS.SECOND;
+            break;
+        }
+        case OPERATION_TYPES.ADDITION:
+            terms = [a, b, a + b];
+            break;
+        case OPERATION_TYPES.SUBTRACTION:
+            terms = [a, b, a - b];
+            break;
+        case OPERATION_TYPES.MULTIPLICATION:
+            terms = [a, b, a * b];
+            break;
+        case OPERATION_TYPES.DIVISION:
+            terms = [a, b, a / b];
+            break;
+        default:
+            return null;
+    }
+
+    return { terms, symbol, missing: fact.missing ?? defaultMissing };
+};
+
+/**
+ * Formate l'égalité d'un fait en masquant l'inconnue (ex: "7 + ? = 12")
+ * Pour un double dont on cherche la moitié, les deux termes sont masqués ("? + ? = 14")
+ * @param {Object} fact - Fait numérique
+ * @returns {string|null} Égalité formatée ou null si le fait ne s'y prête pas
+ */
+export const formatEquation = (fact) => {
+    const equation = getEquation(fact);
+    if (!equation) return null;
+
+    const hideBothTerms =
+        fact.type === OPERATION_TYPES.DOUBLES &&
+        equation.missing !== MISSING_POSITIONS.RESULT;
+    const display = equation.terms.map((term, index) =>
+        index === equation.missing ||
+        (hideBothTerms && index !== MISSING_POSITIONS.RESULT)
+            ? "?"
+            : term
+    );
+
+    return `${display[0]} ${equation.symbol} ${display[1]} = ${display[2]}`;
+};
+
+/**
+ * Indique si un fait appartient à un niveau, d'après le préfixe de son identifiant
+ * ("ce1-add-3-4" appartient à "ce1", pas à "ce" ni à un niveau "ce1bis")
+ * @param {string} factId - Identifiant du fait
+ * @param {string} level - Identifiant du niveau
+ * @returns {boolean} True si le fait appartient au niveau
+ */
+export const isFactFromLevel = (factId, level) =>
+    typeof factId === "string" && factId.startsWith(`${level}-`);
+
+/**
+ * Indique si un fait est une variante « à trou » d'un fait de base
+ * @param {Object} fact - Fait numérique
+ * @returns {boolean} True pour une variante
+ */
+export const isMissingOperandVariant = (fact) => Boolean(fact?.baseFactId);
+
+/**
+ * Crée les variantes « à trou » d'un fait : une par position de l'inconnue
+ * différente de celle du fait de base. Chaque variante est un fait distinct
+ * (identifiant "<id de base>-miss-<position>") relié à son fait de base
+ * @param {Object} fact - Fait de base
+ * @returns {Array<Object>} Variantes du fait (vide pour les comparaisons et les divisions avec reste)
+ */
+export const createMissingOperandVariants = (fact) => {
+    const equation = getEquation(fact);
+    if (!equation || isMissingOperandVariant(fact)) return [];
+
+    // Pour un double, les deux termes sont identiques : une seule variante (la moitié)
+    const positions =
+        fact.type === OPERATION_TYPES.DOUBLES
+            ? [MISSING_POSITIONS.FIRST]
+            : Object.values(MISSING_POSITIONS).filter(
+                  (position) => position !== equation.missing
+              );
+
+    return positions.map((position) => {
+        const variant = {
+            id: `${fact.id}-miss-${position}`,
+            type: fact.type,
+            operands: fact.operands,
+            answer: equation.terms[position],
+            result: equation.terms[MISSING_POSITIONS.RESULT],
+            missing: position,
+            baseFactId: fact.id,
+        };
+
+        return { ...variant, question: formatEquation(variant) };
+    });
+};
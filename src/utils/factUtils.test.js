@@ -0,0 +1,20 @@
+// src/utils/factUtils.test.js
+import { describe, expect, it } from "vitest";
+import { isFactFromLevel } from "./factUtils";
+
+describe("isFactFromLevel", () => {
+    it("reconnaît les faits préfixés par le niveau", () => {
+        expect(isFactFromLevel("ce1-add-3-4", "ce1")).toBe(true);
+        expect(isFactFromLevel("ce1bis-add-3-4", "ce1bis")).toBe(true);
+    });
+
+    it("ne confond pas deux niveaux au préfixe commun", () => {
+        expect(isFactFromLevel("ce1bis-add-3-4", "ce1")).toBe(false);
+        expect(isFactFromLevel("ce1-add-3-4", "ce")).toBe(false);
+    });
+
+    it("refuse un identifiant absent", () => {
+        expect(isFactFromLevel(undefined, "cp")).toBe(false);
+        expect(isFactFromLevel(null, "cp")).toBe(false);
+    });
+});
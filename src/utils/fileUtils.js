@@ -0,0 +1,57 @@
+// src/utils/fileUtils.js
+/**
+ * @file fileUtils.js
+ * @description Téléchargement et lecture de fichiers côté navigateur (sauvegardes, rapports)
+ */
+
+/**
+ * Propose le téléchargement d'un contenu sous forme de fichier
+ * @param {string} content - Contenu du fichier
+ * @param {string} fileName - Nom du fichier proposé
+ * @param {string} [mimeType="application/json"] - Type MIME du contenu
+ */
+export const downloadFile = (
+    content,
+    fileName,
+    mimeType = "application/json"
+) => {
+    const url = URL.createObjectURL(
+        new Blob([content], { type: `${mimeType};charset=utf-8` })
+    );
+
+    const link = document.createElement("a");
+    link.href = url;
+    link.download = fileName;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+
+    // Laisser au navigateur le temps de démarrer le téléchargement
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+};
+
+/**
+ * Lit le contenu texte d'un fichier choisi par l'utilisateur
+ * @param {File} file - Fichier sélectionné
+ * @returns {Promise<string>} Contenu du fichier
+ */
+export const readFileAsText = (file) =>
+    new Promise((resolve, reject) => {
+        const reader = new FileReader();
+        reader.onload = () => resolve(reader.result);
+        reader.onerror = () =>
+            reject(reader.error || new Error("Lecture du fichier impossible"));
+        reader.readAsText(file);
+    });
+
+/**
+ * Date du jour au format AAAA-MM-JJ, pour nommer les fichiers exportés
+ * @param {Date} [date=new Date()] - Date à formater
+ * @returns {string} Date formatée
+ */
+export const getFileDateStamp = (date = new Date()) =>
+    [
+        date.getFullYear(),
+        String(date.getMonth() + 1).padStart(2, "0"),
+        String(date.getDate()).padStart(2, "0"),
+    ].join("-");
@@ -0,0 +1,129 @@
+// src/utils/fluency.js
+/**
+ * @file fluency.js
+ * @description Seuils de fluence : temps de réponse au-delà duquel une bonne réponse
+ * est jugée « juste mais pas encore automatisée » (calcul reconstruit, comptage sur les doigts)
+ */
+
+import { DIFFICULTY_LEVELS, OPERATION_TYPES } from "../data/progressions";
+
+/**
+ * Seuil appliqué quand ni le niveau ni l'opération n'ont de seuil défini (en secondes)
+ * @constant {number}
+ */
+export const DEFAULT_FLUENCY_THRESHOLD = 3;
+
+/**
+ * Bornes des seuils réglables dans les paramètres (en secondes)
+ * @constant {Object}
+ */
+export const FLUENCY_THRESHOLD_LIMITS = {
+    MIN: 1,
+    MAX: 20,
+};
+
+/**
+ * Seuils de fluence par défaut, par niveau scolaire puis par type d'opération (en secondes)
+ * @constant {Object}
+ */
+export const FLUENCY_THRESHOLDS = {
+    [DIFFICULTY_LEVELS.CP]: {
+        [OPERATION_TYPES.COMPARISON]: 3,
+        [OPERATION_TYPES.ADDITION]: 3,
+        [OPERATION_TYPES.DOUBLES]: 3,
+        [OPERATION_TYPES.COMPLEMENTS]: 4,
+        [OPERATION_TYPES.SUBTRACTION]: 4,
+    },
+    [DIFFICULTY_LEVELS.CE1]: {
+        [OPERATION_TYPES.COMPARISON]: 2,
+        [OPERATION_TYPES.ADDITION]: 3,
+        [OPERATION_TYPES.DOUBLES]: 2,
+        [OPERATION_TYPES.COMPLEMENTS]: 3,
+        [OPERATION_TYPES.SUBTRACTION]: 3,
+        [OPERATION_TYPES.MULTIPLICATION]: 4,
+        [OPERATION_TYPES.DIVISION]: 5,
+    },
+    [DIFFICULTY_LEVELS.CE2]: {
+        [OPERATION_TYPES.COMPARISON]: 2,
+        [OPERATION_TYPES.ADDITION]: 2,
+        [OPERATION_TYPES.DOUBLES]: 2,
+        [OPERATION_TYPES.COMPLEMENTS]: 2,
+        [OPERATION_TYPES.SUBTRACTION]: 3,
+        [OPERATION_TYPES.MULTIPLICATION]: 3,
+        [OPERATION_TYPES.DIVISION]: 4,
+    },
+};
+
+/**
+ * État de fluence d'un fait, d'après sa dernière réponse
+ * @constant {Object}
+ */
+export const FLUENCY_STATUS = {
+    NOT_YET: "not_yet", // Jamais répondu ou dernière réponse fausse
+    SLOW: "slow", // Juste mais pas encore automatisé
+    FLUENT: "fluent", // Juste et dans le temps
+};
+
+/**
+ * Libellés des états de fluence pour l'affichage
+ * @constant {Object}
+ */
+export const FLUENCY_STATUS_LABELS = {
+    [FLUENCY_STATUS.NOT_YET]: "Pas encore réussis",
+    [FLUENCY_STATUS.SLOW]: "Justes mais lents",
+    [FLUENCY_STATUS.FLUENT]: "Automatisés",
+};
+
+/**
+ * Seuil de fluence d'un type d'opération à un niveau
+ * Les réglages du profil (`preferences.fluencyThresholds`) priment sur les valeurs par défaut
+ * @param {string} type - Type d'opération (valeur de OPERATION_TYPES)
+ * @param {string} level - Niveau scolaire
+ * @param {Object} [overrides=null] - Seuils personnalisés, par niveau puis par opération
+ * @returns {number} Seuil en secondes
+ */
+export const getFluencyThreshold = (type, level, overrides = null) =>
+    overrides?.[level]?.[type] ??
+    FLUENCY_THRESHOLDS[level]?.[type] ??
+    DEFAULT_FLUENCY_THRESHOLD;
+
+/**
+ * Indique si une bonne réponse a été donnée dans le temps du seuil
+ * Un temps inconnu ne pénalise pas l'élève
+ * @param {number|null} responseTime - Temps de réponse en secondes
+ * @param {number} threshold - Seuil de fluence en secondes
+ * @returns {boolean} True si la réponse est automatisée
+ */
+export const isFluentResponse = (responseTime, threshold) =>
+    !responseTime || responseTime <= threshold;
+
+/**
+ * État de fluence d'un fait d'après la dernière entrée de son historique
+ * Les réponses enregistrées avant l'introduction des seuils comptent comme automatisées
+ * @param {Object} fact - Fait suivi (avec `history`)
+ * @returns {string} Valeur de FLUENCY_STATUS
+ */
+export const getFluencyStatus = (fact) => {
+    const lastEntry = fact?.history?.[fact.history.length - 1];
+    if (!lastEntry?.isCorrect) return FLUENCY_STATUS.NOT_YET;
+
+    return lastEntry.fluent === false
+        ? FLUENCY_STATUS.SLOW
+        : FLUENCY_STATUS.FLUENT;
+};
+
+/**
+ * Types d'opération présents dans la progression d'un niveau (pour régler leurs seuils)
+ * @param {Object} progression - Progression d'un niveau (progressions[level], voir useProgressions)
+ * @returns {Array<string>} Types d'opération, dans l'ordre de la progression
+ */
+export const getProgressionOperationTypes = (progression) => {
+    const types = new Set();
+    (progression?.periods || []).forEach((period) =>
+        period.units.forEach((unit) => {
+            (unit.rules || []).forEach((rule) => types.add(rule.type));
+            (unit.facts || []).forEach((fact) => types.add(fact.type));
+        })
+    );
+    return [...types];
+};
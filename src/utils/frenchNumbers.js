@@ -0,0 +1,208 @@
+// src/utils/frenchNumbers.js
+/**
+ * @file frenchNumbers.js
+ * @description Nombres écrits en toutes lettres en français : lecture d'une réponse
+ * dictée (« quarante-deux », « quatre-vingt-dix-sept ») en nombre entier, et écriture
+ * d'un nombre en lettres pour la lecture à voix haute (« soixante et onze », « quatre-vingts »)
+ */
+
+/**
+ * Valeur des mots-nombres de zéro à seize
+ * @constant {Object}
+ */
+const UNIT_WORDS = {
+    zéro: 0,
+    zero: 0,
+    un: 1,
+    une: 1,
+    deux: 2,
+    trois: 3,
+    quatre: 4,
+    cinq: 5,
+    six: 6,
+    sept: 7,
+    huit: 8,
+    neuf: 9,
+    dix: 10,
+    onze: 11,
+    douze: 12,
+    treize: 13,
+    quatorze: 14,
+    quinze: 15,
+    seize: 16,
+};
+
+/**
+ * Valeur des dizaines (y compris les formes de Belgique et de Suisse)
+ * @constant {Object}
+ */
+const TEN_WORDS = {
+    vingt: 20,
+    vingts: 20,
+    trente: 30,
+    quarante: 40,
+    cinquante: 50,
+    soixante: 60,
+    septante: 70,
+    huitante: 80,
+    octante: 80,
+    nonante: 90,
+};
+
+/**
+ * Lit un nombre entier dicté ou écrit en lettres
+ * Les chiffres renvoyés par la reconnaissance vocale (« 42 ») sont acceptés,
+ * les mots qui ne sont pas des nombres (« euh », « c'est », « et ») sont ignorés
+ * @param {string} text - Texte à lire (ex: "quatre-vingt-dix-sept")
+ * @returns {number|null} Nombre lu, ou null si le texte ne contient aucun nombre
+ */
+export const parseFrenchNumber = (text) => {
+    if (typeof text !== "string") return null;
+
+    const words = text
+        .toLowerCase()
+        .replace(/[’']/g, " ")
+        .split(/[\s-]+/)
+        .filter(Boolean);
+
+    let total = 0; // Milliers déjà lus
+    let current = 0; // Nombre en cours, sous le millier
+    let previous = null;
+    let found = false;
+
+    words.forEach((word) => {
+        if (/^\d+$/.test(word)) {
+            current += Number(word);
+        } else if (word in UNIT_WORDS) {
+            current += UNIT_WORDS[word];
+        } else if (word in TEN_WORDS) {
+            // « quatre-vingt(s) » : le quatre déjà compté multiplie le vingt
+            current +=
+                TEN_WORDS[word] === 20 && previous === "quatre"
+                    ? 80 - 4
+                    : TEN_WORDS[word];
+        } else if (word === "cent" || word === "cents") {
+            current = (current || 1) * 100;
+        } else if (word === "mille") {
+            total += (current || 1) * 1000;
+            current = 0;
+        } else {
+            return;
+        }
+
+        found = true;
+        previous = word;
+    });
+
+    return found ? total + current : null;
+};
+
+/**
+ * Mots des nombres de zéro à seize, par valeur
+ * @constant {Array<string>}
+ */
+const UNIT_NAMES = [
+    "zéro",
+    "un",
+    "deux",
+    "trois",
+    "quatre",
+    "cinq",
+    "six",
+    "sept",
+    "huit",
+    "neuf",
+    "dix",
+    "onze",
+    "douze",
+    "treize",
+    "quatorze",
+    "quinze",
+    "seize",
+];
+
+/**
+ * Mots des dizaines de vingt à soixante, par chiffre des dizaines
+ * @constant {Object}
+ */
+const TEN_NAMES = {
+    2: "vingt",
+    3: "trente",
+    4: "quarante",
+    5: "cinquante",
+    6: "soixante",
+};
+
+/**
+ * Écrit en lettres un nombre de 0 à 99
+ * (soixante-dix et quatre-vingt-dix se forment sur soixante et quatre-vingt)
+ * @param {number} n - Nombre entier de 0 à 99
+ * @param {boolean} isFinal - Si le nombre termine l'écriture (« quatre-vingts » ne prend un s qu'en fin de nombre)
+ * @returns {string} Nombre en lettres
+ */
+const writeBelowHundred = (n, isFinal) => {
+    if (n <= 16) return UNIT_NAMES[n];
+    if (n < 20) return `dix-${UNIT_NAMES[n - 10]}`;
+
+    const tens = Math.floor(n / 10);
+    const unit = n % 10;
+
+    if (tens === 7) {
+        return n === 71
+            ? "soixante et onze"
+            : `soixante-${writeBelowHundred(n - 60, true)}`;
+    }
+    if (tens >= 8) {
+        return n === 80
+            ? `quatre-vingt${isFinal ? "s" : ""}`
+            : `quatre-vingt-${writeBelowHundred(n - 80, true)}`;
+    }
+
+    if (unit === 0) return TEN_NAMES[tens];
+    if (unit === 1) return `${TEN_NAMES[tens]} et un`;
+    return `${TEN_NAMES[tens]}-${UNIT_NAMES[unit]}`;
+};
+
+/**
+ * Écrit en lettres un nombre de 0 à 999
+ * @param {number} n - Nombre entier de 0 à 999
+ * @param {boolean} isFinal - Si le nombre termine l'écriture (« cents » ne prend un s qu'en fin de nombre)
+ * @returns {string} Nombre en lettres
+ */
+const writeBelowThousand = (n, isFinal) => {
+    const hundreds = Math.floor(n / 100);
+    const rest = n % 100;
+    if (hundreds === 0) return writeBelowHundred(rest, isFinal);
+
+    const hundredWords =
+        hundreds === 1
+            ? "cent"
+            : `${UNIT_NAMES[hundreds]} cent${rest === 0 && isFinal ? "s" : ""}`;
+    return rest === 0
+        ? hundredWords
+        : `${hundredWords} ${writeBelowHundred(rest, isFinal)}`;
+};
+
+/**
+ * Écrit un nombre entier en lettres, en orthographe traditionnelle
+ * (« soixante et onze », « quatre-vingts », « deux cents », « quatre-vingt mille »)
+ * @param {number} n - Nombre entier de 0 à 999 999 (les négatifs sont précédés de « moins »)
+ * @returns {string} Nombre en lettres, ou le nombre en chiffres s'il n'est pas pris en charge
+ */
+export const toFrenchWords = (n) => {
+    if (!Number.isInteger(n) || Math.abs(n) >= 1000000) return String(n);
+    if (n < 0) return `moins ${toFrenchWords(-n)}`;
+
+    const thousands = Math.floor(n / 1000);
+    const rest = n % 1000;
+    if (thousands === 0) return writeBelowThousand(rest, true);
+
+    // « mille » est invariable et ne se dit pas « un mille »
+    const thousandWords =
+        thousands === 1
+            ? "mille"
+            : `${writeBelowThousand(thousands, false)} mille`;
+    return rest === 0
+        ? thousandWords
+        : `${thousandWords} ${writeBelowThousand(rest, true)}`;
+};
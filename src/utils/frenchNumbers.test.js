@@ -0,0 +1,79 @@
+// src/utils/frenchNumbers.test.js
+import { describe, expect, it } from "vitest";
+import { parseFrenchNumber, toFrenchWords } from "./frenchNumbers";
+
+describe("parseFrenchNumber", () => {
+    it.each([
+        ["zéro", 0],
+        ["sept", 7],
+        ["dix-sept", 17],
+        ["vingt et un", 21],
+        ["quarante-deux", 42],
+        ["soixante et onze", 71],
+        ["soixante-dix-neuf", 79],
+        ["quatre-vingts", 80],
+        ["quatre-vingt", 80],
+        ["quatre-vingt-un", 81],
+        ["quatre-vingt-dix-sept", 97],
+        ["cent", 100],
+        ["deux cents", 200],
+        ["trois cent quatre", 304],
+        ["mille deux cent cinquante", 1250],
+    ])("lit « %s » comme %i", (text, expected) => {
+        expect(parseFrenchNumber(text)).toBe(expected);
+    });
+
+    it("accepte les formes de Belgique et de Suisse", () => {
+        expect(parseFrenchNumber("septante-trois")).toBe(73);
+        expect(parseFrenchNumber("huitante")).toBe(80);
+        expect(parseFrenchNumber("nonante-neuf")).toBe(99);
+    });
+
+    it("ignore la casse, les apostrophes et les mots qui ne sont pas des nombres", () => {
+        expect(parseFrenchNumber("Euh, c'est Quarante-Deux")).toBe(42);
+        expect(parseFrenchNumber("l’onze")).toBe(11);
+    });
+
+    it("lit les chiffres renvoyés par la reconnaissance vocale", () => {
+        expect(parseFrenchNumber("42")).toBe(42);
+        expect(parseFrenchNumber("0")).toBe(0);
+        expect(parseFrenchNumber("c'est 15")).toBe(15);
+    });
+
+    it("retourne null sans nombre à lire", () => {
+        expect(parseFrenchNumber("")).toBeNull();
+        expect(parseFrenchNumber("euh je sais pas")).toBeNull();
+        expect(parseFrenchNumber("-4,5")).toBeNull();
+        expect(parseFrenchNumber(null)).toBeNull();
+        expect(parseFrenchNumber(undefined)).toBeNull();
+        expect(parseFrenchNumber(42)).toBeNull();
+    });
+});
+
+describe("toFrenchWords", () => {
+    it.each([
+        [0, "zéro"],
+        [21, "vingt et un"],
+        [71, "soixante et onze"],
+        [80, "quatre-vingts"],
+        [97, "quatre-vingt-dix-sept"],
+        [200, "deux cents"],
+        [280, "deux cent quatre-vingts"],
+        [80000, "quatre-vingt mille"],
+        [-3, "moins trois"],
+    ])("écrit %i « %s »", (n, expected) => {
+        expect(toFrenchWords(n)).toBe(expected);
+    });
+
+    it("relit chaque nombre écrit en lettres", () => {
+        for (let n = 0; n <= 1000; n++) {
+            expect(parseFrenchNumber(toFrenchWords(n))).toBe(n);
+        }
+    });
+
+    it("garde les chiffres pour les nombres non pris en charge", () => {
+        expect(toFrenchWords(2.5)).toBe("2.5");
+        expect(toFrenchWords(1000000)).toBe("1000000");
+        expect(toFrenchWords(NaN)).toBe("NaN");
+    });
+});
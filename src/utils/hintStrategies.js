@@ -0,0 +1,455 @@
+// src/utils/hintStrategies.js
+/**
+ * @file hintStrategies.js
+ * @description Stratégies de remédiation affichées après une erreur : une stratégie de calcul
+ * par type de fait (passage par 10, double plus un, 9 × n à partir de 10 × n...)
+ * et l'aide visuelle qui l'accompagne (cadre de dix, droite numérique, quadrillage)
+ */
+
+import { OPERATION_TYPES } from "../data/progressions";
+import { crossesTen, needsBorrow } from "./mathUtils";
+import { getEquation, hasRemainder, MISSING_POSITIONS } from "./factUtils";
+
+/**
+ * Stratégies de calcul proposées
+ * @constant {Object}
+ */
+export const HINT_STRATEGIES = {
+    BRIDGE_TEN: "bridge_ten", // 8 + 5 = 8 + 2 + 3
+    NEAR_DOUBLE: "near_double", // 6 + 7 = 6 + 6 + 1
+    COUNT_ON: "count_on", // 9 + 2 : 10, 11
+    DOUBLE: "double", // 7 + 7
+    COUNT_UP: "count_up", // 6 + ? = 10 : compter de 6 à 10
+    BRIDGE_TEN_BACK: "bridge_ten_back", // 13 - 5 = 13 - 3 - 2
+    THINK_ADDITION: "think_addition", // 9 - 4 : 4 + ? = 9
+    FROM_TEN: "from_ten", // 9 × 7 = 10 × 7 - 7
+    HALF_OF_TEN: "half_of_ten", // 5 × 8 = la moitié de 10 × 8
+    DOUBLE_TABLE: "double_table", // 4 × 6 = le double de 2 × 6
+    KNOWN_NEIGHBOUR: "known_neighbour", // 7 × 6 = 7 × 5 + 7
+    THINK_MULTIPLICATION: "think_multiplication", // 42 ÷ 6 : 6 × ? = 42
+    NUMBER_LINE: "number_line", // Comparaison : le plus loin sur la droite
+};
+
+/**
+ * Aides visuelles disponibles
+ * @constant {Object}
+ */
+export const VISUAL_AIDS = {
+    TEN_FRAME: "ten_frame", // { counts: [n1, n2] } : cadres de dix remplis en deux couleurs
+    NUMBER_LINE: "number_line", // { min, max, marks, jumps: [{ from, to }] }
+    ARRAY: "array", // { rows, columns, extra } : quadrillage de points
+};
+
+/**
+ * Plus grand nombre représenté dans des cadres de dix (deux cadres)
+ * @constant {number}
+ */
+const MAX_TEN_FRAME_TOTAL = 20;
+
+/**
+ * Plus grand facteur représenté en quadrillage
+ * @constant {number}
+ */
+const MAX_ARRAY_SIDE = 10;
+
+/**
+ * Aide visuelle « cadres de dix » si les nombres s'y prêtent
+ * @param {number} first - Premier nombre (première couleur)
+ * @param {number} second - Second nombre (seconde couleur)
+ * @returns {Object|null} Aide visuelle ou null
+ */
+const tenFrame = (first, second) =>
+    first >= 0 && second >= 0 && first + second <= MAX_TEN_FRAME_TOTAL
+        ? { type: VISUAL_AIDS.TEN_FRAME, counts: [first, second] }
+        : null;
+
+/**
+ * Aide visuelle « droite numérique » passant par des étapes successives
+ * @param {Array<number>} steps - Nombres atteints successivement (au moins deux)
+ * @returns {Object} Aide visuelle
+ */
+const numberLine = (steps) => ({
+    type: VISUAL_AIDS.NUMBER_LINE,
+    min: Math.min(...steps),
+    max: Math.max(...steps),
+    marks: steps,
+    jumps: steps.slice(1).map((to, index) => ({ from: steps[index], to })),
+});
+
+/**
+ * Aide visuelle « quadrillage » si les facteurs s'y prêtent
+ * @param {number} rows - Nombre de rangées
+ * @param {number} columns - Nombre de points par rangée
+ * @param {number} [extra=0] - Points isolés (reste d'une division)
+ * @returns {Object|null} Aide visuelle ou null
+ */
+const dotArray = (rows, columns, extra = 0) =>
+    rows > 0 &&
+    columns > 0 &&
+    rows <= MAX_ARRAY_SIDE &&
+    columns <= MAX_ARRAY_SIDE
+        ? { type: VISUAL_AIDS.ARRAY, rows, columns, extra }
+        : null;
+
+/**
+ * Stratégie pour une addition a + b (résultat cherché)
+ * @param {number} a - Premier terme
+ * @param {number} b - Second terme
+ * @returns {Object} Indice
+ */
+const getAdditionHint = (a, b) => {
+    const sum = a + b;
+    const big = Math.max(a, b);
+    const small = Math.min(a, b);
+
+    if (big - small === 1) {
+        return {
+            strategy: HINT_STRATEGIES.NEAR_DOUBLE,
+            title: "Utilise un double",
+            steps: [
+                `${a} + ${b}, c'est le double de ${small} plus 1`,
+                `${small} + ${small} = ${small * 2}, et ${small * 2} + 1 = ${sum}`,
+            ],
+            visual: tenFrame(a, b),
+        };
+    }
+
+    if (big < 10 && crossesTen(a, b)) {
+        const toTen = 10 - big;
+        return {
+            strategy: HINT_STRATEGIES.BRIDGE_TEN,
+            title: "Passe par 10",
+            steps: [
+                `Découpe ${small} en ${toTen} + ${small - toTen}`,
+                `${big} + ${toTen} = 10, puis 10 + ${small - toTen} = ${sum}`,
+            ],
+            visual: tenFrame(big, small),
+        };
+    }
+
+    if (big >= 10 && small < 10 && crossesTen(big, small)) {
+        const nextTen = big + (10 - (big % 10));
+        return {
+            strategy: HINT_STRATEGIES.BRIDGE_TEN,
+            title: "Passe par la dizaine",
+            steps: [
+                `${big} + ${nextTen - big} = ${nextTen}`,
+                `Il reste ${small - (nextTen - big)} : ${nextTen} + ${small - (nextTen - big)} = ${sum}`,
+            ],
+            visual: numberLine([big, nextTen, sum]),
+        };
+    }
+
+    if (small === 0) {
+        return {
+            strategy: HINT_STRATEGIES.COUNT_ON,
+            title: "Ajouter 0",
+            steps: [`Ajouter 0 ne change pas le nombre : ${big} + 0 = ${big}`],
+            visual: null,
+        };
+    }
+
+    if (small <= 3) {
+        return {
+            strategy: HINT_STRATEGIES.COUNT_ON,
+            title: "Avance à partir du plus grand",
+            steps: [
+                `Pars de ${big} et avance de ${small}`,
+                `${[...Array(small)].map((_, i) => big + i + 1).join(", ")}`,
+            ],
+            visual: numberLine([big, sum]),
+        };
+    }
+
+    return {
+        strategy: HINT_STRATEGIES.COUNT_ON,
+        title: "Ajoute par étapes",
+        steps: [
+            `Pars de ${big} et ajoute ${small}`,
+            `${big} + ${small} = ${sum}`,
+        ],
+        visual: tenFrame(big, small) || numberLine([big, sum]),
+    };
+};
+
+/**
+ * Stratégie pour trouver ce qu'il faut ajouter à un nombre pour atteindre un total
+ * @param {number} start - Nombre de départ
+ * @param {number} total - Total à atteindre
+ * @returns {Object} Indice
+ */
+const getCountUpHint = (start, total) => ({
+    strategy: HINT_STRATEGIES.COUNT_UP,
+    title: "Compte ce qui manque",
+    steps: [
+        `Combien faut-il ajouter à ${start} pour arriver à ${total} ?`,
+        `Compte de ${start} jusqu'à ${total} : il manque ${total - start}`,
+    ],
+    visual: tenFrame(start, total - start) || numberLine([start, total]),
+});
+
+/**
+ * Stratégie pour une soustraction a - b (résultat cherché)
+ * @param {number} a - Premier terme
+ * @param {number} b - Nombre retiré
+ * @returns {Object} Indice
+ */
+const getSubtractionHint = (a, b) => {
+    const difference = a - b;
+
+    if (a > 10 && b < 10 && needsBorrow(a, b)) {
+        const units = a % 10;
+        const tens = a - units;
+        return {
+            strategy: HINT_STRATEGIES.BRIDGE_TEN_BACK,
+            title: "Recule jusqu'à la dizaine",
+            steps: [
+                `Découpe ${b} en ${units} + ${b - units}`,
+                `${a} - ${units} = ${tens}, puis ${tens} - ${b - units} = ${difference}`,
+            ],
+            visual: numberLine([a, tens, difference]),
+        };
+    }
+
+    return {
+        strategy: HINT_STRATEGIES.THINK_ADDITION,
+        title: "Pense à l'addition",
+        steps: [
+            `${a} - ${b}, c'est chercher ${b} + ? = ${a}`,
+            `${b} + ${difference} = ${a}`,
+        ],
+        visual: numberLine([a, difference]),
+    };
+};
+
+/**
+ * Stratégie pour une multiplication a × b (résultat cherché)
+ * @param {number} a - Premier facteur
+ * @param {number} b - Second facteur
+ * @returns {Object} Indice
+ */
+const getMultiplicationHint = (a, b) => {
+    const product = a * b;
+    const visual = dotArray(a, b);
+    // Le facteur « repère » (9, 5, 2 ou 4) et l'autre facteur
+    const withFactor = (factor) => (a === factor ? b : b === factor ? a : null);
+
+    const big = Math.max(a, b);
+    const small = Math.min(a, b);
+
+    if (small <= 1) {
+        return {
+            strategy: HINT_STRATEGIES.KNOWN_NEIGHBOUR,
+            title: small === 0 ? "Fois 0" : "Fois 1",
+            steps: [
+                small === 0
+                    ? "Un nombre multiplié par 0 donne toujours 0"
+                    : `Multiplier par 1 ne change pas le nombre : ${big} × 1 = ${big}`,
+            ],
+            visual,
+        };
+    }
+
+    const tenOther = withFactor(10);
+    if (tenOther !== null) {
+        return {
+            strategy: HINT_STRATEGIES.FROM_TEN,
+            title: "Fois 10",
+            steps: [
+                `10 × ${tenOther}, c'est ${tenOther} dizaines`,
+                `${tenOther} dizaines = ${product}`,
+            ],
+            visual,
+        };
+    }
+
+    const nineOther = withFactor(9);
+    if (nineOther !== null) {
+        return {
+            strategy: HINT_STRATEGIES.FROM_TEN,
+            title: "Pars de 10 fois",
+            steps: [
+                `9 × ${nineOther}, c'est 10 × ${nineOther} moins ${nineOther}`,
+                `10 × ${nineOther} = ${10 * nineOther}, et ${10 * nineOther} - ${nineOther} = ${product}`,
+            ],
+            visual,
+        };
+    }
+
+    const fiveOther = withFactor(5);
+    if (fiveOther !== null) {
+        return {
+            strategy: HINT_STRATEGIES.HALF_OF_TEN,
+            title: "Prends la moitié de 10 fois",
+            steps: [
+                `5 × ${fiveOther}, c'est la moitié de 10 × ${fiveOther}`,
+                `10 × ${fiveOther} = ${10 * fiveOther}, et la moitié de ${10 * fiveOther} est ${product}`,
+            ],
+            visual,
+        };
+    }
+
+    const twoOther = withFactor(2);
+    if (twoOther !== null) {
+        return {
+            strategy: HINT_STRATEGIES.DOUBLE_TABLE,
+            title: "Fois 2, c'est le double",
+            steps: [`2 × ${twoOther} = ${twoOther} + ${twoOther} = ${product}`],
+            visual,
+        };
+    }
+
+    const fourOther = withFactor(4);
+    if (fourOther !== null) {
+        return {
+            strategy: HINT_STRATEGIES.DOUBLE_TABLE,
+            title: "Fois 4, c'est le double du double",
+            steps: [
+                `2 × ${fourOther} = ${2 * fourOther}`,
+                `Le double de ${2 * fourOther} est ${product}`,
+            ],
+            visual,
+        };
+    }
+
+    return {
+        strategy: HINT_STRATEGIES.KNOWN_NEIGHBOUR,
+        title: "Pars d'un résultat connu",
+        steps: [
+            `${big} × ${small}, c'est ${big} × ${small - 1} plus ${big}`,
+            `${big * (small - 1)} + ${big} = ${product}`,
+        ],
+        visual,
+    };
+};
+
+/**
+ * Stratégie pour retrouver un facteur : a × ? = c ou c ÷ a = ?
+ * @param {number} factor - Facteur connu
+ * @param {number} product - Produit
+ * @returns {Object|null} Indice (null pour un facteur nul)
+ */
+const getMissingFactorHint = (factor, product) => {
+    if (factor === 0) return null;
+
+    const other = product / factor;
+    return {
+        strategy: HINT_STRATEGIES.THINK_MULTIPLICATION,
+        title: `Pense à la table de ${factor}`,
+        steps: [
+            `Cherche ${factor} × ? = ${product}`,
+            `${factor} × ${other} = ${product}`,
+        ],
+        visual: dotArray(factor, other),
+    };
+};
+
+/**
+ * Stratégie pour une division avec reste
+ * @param {Object} fact - Fait avec quotient et reste
+ * @returns {Object} Indice
+ */
+const getRemainderHint = (fact) => {
+    const [dividend, divisor] = fact.operands;
+    const multiple = divisor * fact.quotient;
+    return {
+        strategy: HINT_STRATEGIES.THINK_MULTIPLICATION,
+        title: `Pense à la table de ${divisor}`,
+        steps: [
+            `Cherche le plus grand résultat de la table de ${divisor} qui ne dépasse pas ${dividend}`,
+            `${divisor} × ${fact.quotient} = ${multiple}, il reste ${dividend} - ${multiple} = ${fact.remainder}`,
+        ],
+        visual: dotArray(fact.quotient, divisor, fact.remainder),
+    };
+};
+
+/**
+ * Stratégie pour une comparaison
+ * @param {number} a - Premier nombre
+ * @param {number} b - Second nombre
+ * @returns {Object} Indice
+ */
+const getComparisonHint = (a, b) => ({
+    strategy: HINT_STRATEGIES.NUMBER_LINE,
+    title: "Place les nombres sur la droite",
+    steps: [
+        a === b
+            ? `${a} et ${b} sont au même endroit : ils sont égaux`
+            : `${Math.max(a, b)} est plus loin que ${Math.min(a, b)} : il est plus grand`,
+        "La pointe du signe est tournée vers le plus petit nombre",
+    ],
+    visual: { ...numberLine([Math.min(a, b), Math.max(a, b)]), jumps: [] },
+});
+
+/**
+ * Choisit la stratégie de remédiation et l'aide visuelle adaptées à un fait
+ * @param {Object} fact - Fait numérique
+ * @returns {Object|null} Indice { strategy, title, steps, visual } ou null si aucun ne s'applique
+ */
+export const getHint = (fact) => {
+    if (!fact?.operands) return null;
+
+    if (hasRemainder(fact)) return getRemainderHint(fact);
+    if (fact.type === OPERATION_TYPES.COMPARISON) {
+        return getComparisonHint(fact.operands[0], fact.operands[1]);
+    }
+
+    const equation = getEquation(fact);
+    if (!equation) return null;
+
+    const [a, b, c] = equation.terms;
+    const missing = equation.missing;
+
+    switch (fact.type) {
+        case OPERATION_TYPES.DOUBLES:
+            return {
+                strategy: HINT_STRATEGIES.DOUBLE,
+                title: "Utilise les doubles",
+                steps: [
+                    missing === MISSING_POSITIONS.RESULT
+                        ? `Le double de ${a}, c'est ${a} + ${a} = ${c}`
+                        : `Cherche le nombre qui, ajouté à lui-même, donne ${c}`,
+                    `${a} + ${a} = ${c}`,
+                ],
+                visual: tenFrame(a, a) || dotArray(2, a),
+            };
+        case OPERATION_TYPES.COMPLEMENTS:
+            return getCountUpHint(a, c);
+        case OPERATION_TYPES.ADDITION:
+            if (missing === MISSING_POSITIONS.RESULT) {
+                return getAdditionHint(a, b);
+            }
+            return getCountUpHint(
+                missing === MISSING_POSITIONS.FIRST ? b : a,
+                c
+            );
+        case OPERATION_TYPES.SUBTRACTION:
+            if (missing === MISSING_POSITIONS.FIRST) {
+                // ? - b = c : l'addition c + b donne le nombre de départ
+                return getAdditionHint(c, b);
+            }
+            if (missing === MISSING_POSITIONS.SECOND) {
+                return getCountUpHint(c, a);
+            }
+            return getSubtractionHint(a, b);
+        case OPERATION_TYPES.MULTIPLICATION:
+            if (missing === MISSING_POSITIONS.RESULT) {
+                return getMultiplicationHint(a, b);
+            }
+            return getMissingFactorHint(
+                missing === MISSING_POSITIONS.FIRST ? b : a,
+                c
+            );
+        case OPERATION_TYPES.DIVISION:
+            if (missing === MISSING_POSITIONS.FIRST) {
+                // ? ÷ b = c : le nombre de départ est c × b
+                return getMultiplicationHint(c, b);
+            }
+            if (missing === MISSING_POSITIONS.SECOND) {
+                return getMissingFactorHint(c, a);
+            }
+            return getMissingFactorHint(b, a);
+        default:
+            return null;
+    }
+};
@@ -0,0 +1,67 @@
+// src/utils/mathUtils.js
+/**
+ * @file mathUtils.js
+ * @description Fonctions mathématiques utilitaires partagées par les générateurs d'exercices
+ */
+
+/**
+ * Construit la liste des entiers compris entre deux bornes (incluses)
+ * @param {number} min - Borne inférieure
+ * @param {number} max - Borne supérieure
+ * @param {number} [step=1] - Pas entre deux valeurs
+ * @returns {Array<number>} Liste des entiers
+ */
+export const range = (min, max, step = 1) => {
+    const values = [];
+    if (step <= 0) return values;
+
+    for (let value = min; value <= max; value += step) {
+        values.push(value);
+    }
+    return values;
+};
+
+/**
+ * Mélange un tableau (algorithme de Fisher-Yates) sans modifier l'original
+ * @param {Array} array - Tableau à mélanger
+ * @returns {Array} Nouveau tableau mélangé
+ */
+export const shuffle = (array) => {
+    const result = [...array];
+
+    for (let i = result.length - 1; i > 0; i--) {
+        const j = Math.floor(Math.random() * (i + 1));
+        [result[i], result[j]] = [result[j], result[i]];
+    }
+    return result;
+};
+
+/**
+ * Indique si l'addition de deux nombres nécessite un passage par la dizaine
+ * (atteindre la dizaine sans la dépasser, comme 6 + 4, n'en est pas un)
+ * @param {number} a - Premier terme
+ * @param {number} b - Second terme
+ * @returns {boolean} True si la somme des unités dépasse 10
+ */
+export const crossesTen = (a, b) => (a % 10) + (b % 10) > 10;
+
+/**
+ * Indique si la soustraction de deux nombres nécessite un passage par la dizaine
+ * (règle inverse de crossesTen : partir d'une dizaine, comme 20 - 3, n'en est pas un)
+ * @param {number} a - Nombre de départ
+ * @param {number} b - Nombre retranché
+ * @returns {boolean} True si les unités de b dépassent celles, non nulles, de a
+ */
+export const needsBorrow = (a, b) => a % 10 !== 0 && a % 10 < b % 10;
+
+/**
+ * Relation d'ordre entre deux nombres
+ * @param {number} a - Premier nombre
+ * @param {number} b - Second nombre
+ * @returns {string} "<", "=" ou ">"
+ */
+export const getComparisonRelation = (a, b) => {
+    if (a < b) return "<";
+    if (a > b) return ">";
+    return "=";
+};
@@ -0,0 +1,33 @@
+// src/utils/mathUtils.test.js
+import { describe, expect, it } from "vitest";
+import { crossesTen, needsBorrow } from "./mathUtils";
+
+describe("crossesTen", () => {
+    it("repère les additions qui dépassent la dizaine", () => {
+        expect(crossesTen(7, 5)).toBe(true);
+        expect(crossesTen(9, 2)).toBe(true);
+        expect(crossesTen(28, 6)).toBe(true);
+    });
+
+    it("n'y compte pas les additions qui s'arrêtent à la dizaine", () => {
+        expect(crossesTen(6, 4)).toBe(false);
+        expect(crossesTen(9, 1)).toBe(false);
+        expect(crossesTen(25, 5)).toBe(false);
+        expect(crossesTen(3, 4)).toBe(false);
+    });
+});
+
+describe("needsBorrow", () => {
+    it("repère les soustractions qui redescendent sous la dizaine", () => {
+        expect(needsBorrow(12, 5)).toBe(true);
+        expect(needsBorrow(11, 2)).toBe(true);
+        expect(needsBorrow(34, 6)).toBe(true);
+    });
+
+    it("n'y compte pas les soustractions qui partent d'une dizaine", () => {
+        expect(needsBorrow(10, 4)).toBe(false);
+        expect(needsBorrow(20, 3)).toBe(false);
+        expect(needsBorrow(15, 5)).toBe(false);
+        expect(needsBorrow(17, 3)).toBe(false);
+    });
+});
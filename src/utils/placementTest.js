@@ -0,0 +1,159 @@
+// src/utils/placementTest.js
+/**
+ * @file placementTest.js
+ * @description Test de positionnement d'un nouveau profil : quelques faits de chaque unité,
+ * dans l'ordre de la progression, jusqu'à la première unité échouée
+ */
+
+import { BUILT_IN_PROGRESSIONS } from "../data/progressions";
+import { getOrderedUnits } from "./unitProgression";
+
+/**
+ * Paramètres du test de positionnement
+ * Une unité est réussie dès PASS_COUNT bonnes réponses et échouée dès que
+ * ce score n'est plus atteignable ; le test s'arrête à la première unité échouée
+ * @constant {Object}
+ */
+export const PLACEMENT_SETTINGS = {
+    FACTS_PER_UNIT: 3, // Faits tirés de chaque unité
+    PASS_COUNT: 2, // Bonnes réponses nécessaires pour réussir une unité
+    FEEDBACK_DELAY: 1200, // Délai (ms) avant le calcul suivant, sans indice ni nouvel essai
+};
+
+/**
+ * Tire des faits répartis sur toute l'unité (début, milieu, fin)
+ * @param {Array<Object>} facts - Faits de l'unité
+ * @param {number} count - Nombre de faits voulus
+ * @returns {Array<Object>} Faits tirés
+ */
+const sampleUnitFacts = (facts, count) => {
+    if (facts.length <= count) return [...facts];
+
+    const indexes = new Set(
+        Array.from({ length: count }, (_, i) =>
+            Math.round((i * (facts.length - 1)) / (count - 1))
+        )
+    );
+    return [...indexes].map((index) => facts[index]);
+};
+
+/**
+ * Crée un test de positionnement pour un niveau
+ * @param {string} level - Niveau scolaire
+ * @param {Object} [progressions=BUILT_IN_PROGRESSIONS] - Progressions indexées par niveau
+ * @returns {Object} Test { level, units, unitIndex, answers, passedUnits, finished }
+ */
+export const createPlacementTest = (
+    level,
+    progressions = BUILT_IN_PROGRESSIONS
+) => {
+    const units = getOrderedUnits(level, progressions)
+        .filter(({ unit }) => unit.facts?.length > 0)
+        .map(({ unit }) => ({
+            unit,
+            facts: sampleUnitFacts(
+                unit.facts,
+                PLACEMENT_SETTINGS.FACTS_PER_UNIT
+            ),
+        }));
+
+    return {
+        level,
+        units,
+        unitIndex: 0,
+        answers: [],
+        passedUnits: [],
+        finished: units.length === 0,
+    };
+};
+
+/**
+ * Réponses données pour une unité du test
+ * @param {Object} test - Test de positionnement
+ * @param {string} unitId - Identifiant de l'unité
+ * @returns {Array<Object>} Réponses { unitId, factId, isCorrect }
+ */
+const getUnitAnswers = (test, unitId) =>
+    test.answers.filter((answer) => answer.unitId === unitId);
+
+/**
+ * Fait à proposer ensuite
+ * @param {Object} test - Test de positionnement
+ * @returns {Object|null} Fait ou null si le test est terminé
+ */
+export const getCurrentPlacementFact = (test) => {
+    if (test.finished) return null;
+
+    const { unit, facts } = test.units[test.unitIndex];
+    return facts[getUnitAnswers(test, unit.id).length] || null;
+};
+
+/**
+ * Enregistre une réponse et passe au fait ou à l'unité suivante
+ * @param {Object} test - Test de positionnement
+ * @param {boolean} isCorrect - Si la réponse était correcte
+ * @returns {Object} Nouveau test
+ */
+export const recordPlacementAnswer = (test, isCorrect) => {
+    const fact = getCurrentPlacementFact(test);
+    if (!fact) return test;
+
+    const { unit, facts } = test.units[test.unitIndex];
+    const answers = [
+        ...test.answers,
+        { unitId: unit.id, factId: fact.id, isCorrect },
+    ];
+    const unitAnswers = answers.filter((answer) => answer.unitId === unit.id);
+    const correct = unitAnswers.filter((answer) => answer.isCorrect).length;
+    const remaining = facts.length - unitAnswers.length;
+    const passCount = Math.min(PLACEMENT_SETTINGS.PASS_COUNT, facts.length);
+
+    if (correct >= passCount) {
+        const unitIndex = test.unitIndex + 1;
+        return {
+            ...test,
+            answers,
+            unitIndex,
+            passedUnits: [...test.passedUnits, unit.id],
+            finished: unitIndex >= test.units.length,
+        };
+    }
+
+    // Le score de réussite n'est plus atteignable : arrêter le test
+    if (correct + remaining < passCount) {
+        return { ...test, answers, finished: true };
+    }
+
+    return { ...test, answers };
+};
+
+/**
+ * Résultat du test : unité de départ, unités validées et faits déjà connus
+ * (tous les faits des unités réussies et les faits réussis de l'unité de départ)
+ * Si toutes les unités sont réussies, l'élève repart de la dernière
+ * @param {Object} test - Test de positionnement terminé
+ * @returns {Object} { startUnitId, completedUnits, knownFacts, answered, correct }
+ */
+export const getPlacementResult = (test) => {
+    const startUnit =
+        test.units[test.passedUnits.length] ||
+        test.units[test.units.length - 1];
+    const passed = new Set(test.passedUnits);
+    const correctIds = new Set(
+        test.answers
+            .filter((answer) => answer.isCorrect)
+            .map((answer) => answer.factId)
+    );
+
+    return {
+        startUnitId: startUnit ? startUnit.unit.id : null,
+        completedUnits: test.passedUnits,
+        knownFacts: test.units.flatMap(({ unit }) =>
+            unit.facts.filter(
+                (fact) => passed.has(unit.id) || correctIds.has(fact.id)
+            )
+        ),
+        answered: test.answers.length,
+        correct: correctIds.size,
+    };
+};
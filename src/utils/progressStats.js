@@ -0,0 +1,118 @@
+// src/utils/progressStats.js
+/**
+ * @file progressStats.js
+ * @description Calcul des statistiques de progression à partir des faits suivis d'un élève,
+ * partagé entre la progression de l'élève actif et la vue d'ensemble d'une classe
+ */
+
+import { BUILT_IN_PROGRESSIONS } from "../data/progressions";
+import { KNOWLEDGE_LEVELS } from "./spacedRepetition";
+import { countErrorsByType } from "./factUtils";
+import { FLUENCY_STATUS, getFluencyStatus } from "./fluency";
+import { summarizeErrorPatterns } from "./errorDiagnosis";
+
+/**
+ * Sélectionne les faits dont la révision est due
+ * @param {Array<Object>} facts - Faits suivis
+ * @param {Date} [now=new Date()] - Date de référence
+ * @returns {Array<Object>} Faits à réviser
+ */
+export const getDueFacts = (facts, now = new Date()) =>
+    facts.filter(
+        (fact) => fact?.nextReview && new Date(fact.nextReview) <= now
+    );
+
+/**
+ * Résume la progression d'un ensemble de faits suivis
+ * @param {Object} facts - Faits indexés par ID
+ * @returns {Object} Statistiques { totalFacts, factsByLevel, factsByFluency, errorsByType, errorPatterns, masteredPercentage }
+ */
+export const summarizeFacts = (facts) => {
+    const factsList = Object.values(facts || {});
+    const totalFacts = factsList.length;
+
+    const factsByLevel = {
+        [KNOWLEDGE_LEVELS.NEW]: 0,
+        [KNOWLEDGE_LEVELS.LEARNING]: 0,
+        [KNOWLEDGE_LEVELS.REVIEWING]: 0,
+        [KNOWLEDGE_LEVELS.MASTERED]: 0,
+    };
+
+    const factsByFluency = {
+        [FLUENCY_STATUS.NOT_YET]: 0,
+        [FLUENCY_STATUS.SLOW]: 0,
+        [FLUENCY_STATUS.FLUENT]: 0,
+    };
+
+    factsList.forEach((fact) => {
+        if (fact && typeof fact.level === "number") {
+            factsByLevel[fact.level] = (factsByLevel[fact.level] || 0) + 1;
+        }
+        if (fact) {
+            factsByFluency[getFluencyStatus(fact)]++;
+        }
+    });
+
+    return {
+        totalFacts,
+        factsByLevel,
+        factsByFluency,
+        errorsByType: countErrorsByType(factsList),
+        errorPatterns: summarizeErrorPatterns(factsList),
+        masteredPercentage:
+            totalFacts > 0
+                ? Math.round(
+                      (factsByLevel[KNOWLEDGE_LEVELS.MASTERED] / totalFacts) *
+                          100
+                  )
+                : 0,
+    };
+};
+
+/**
+ * Calcule la part des faits d'une progression déjà suivis par l'élève
+ * @param {Object} facts - Faits suivis, indexés par ID
+ * @param {string} level - Niveau scolaire de la progression
+ * @param {Object} [progressions=BUILT_IN_PROGRESSIONS] - Progressions indexées par niveau
+ * @returns {number} Pourcentage de couverture (0-100)
+ */
+export const getProgressionCoverage = (
+    facts,
+    level,
+    progressions = BUILT_IN_PROGRESSIONS
+) => {
+    let totalFactsInProgression = 0;
+    let factsAdded = 0;
+
+    (progressions[level]?.periods || []).forEach((period) => {
+        period.units.forEach((unit) => {
+            (unit.facts || []).forEach((fact) => {
+                totalFactsInProgression++;
+                if (facts?.[fact.id]) {
+                    factsAdded++;
+                }
+            });
+        });
+    });
+
+    return totalFactsInProgression > 0
+        ? Math.round((factsAdded / totalFactsInProgression) * 100)
+        : 0;
+};
+
+/**
+ * Associe à chaque fait d'une unité sa progression (état « nouveau » s'il n'est pas encore suivi)
+ * @param {Array<Object>} unitFacts - Faits de l'unité au format des progressions
+ * @param {Object} facts - Faits suivis, indexés par ID
+ * @returns {Array<Object>} Faits avec leur progression dans `progress`
+ */
+export const attachProgress = (unitFacts, facts) =>
+    (unitFacts || []).map((fact) => ({
+        ...fact,
+        progress: facts?.[fact.id] || {
+            level: KNOWLEDGE_LEVELS.NEW,
+            successCount: 0,
+            lastReviewed: null,
+            nextReview: null,
+        },
+    }));
@@ -0,0 +1,398 @@
+// src/utils/reportUtils.js
+/**
+ * @file reportUtils.js
+ * @description Rapports de progression pour les enseignants et les parents :
+ * export CSV (une ligne par fait) et rapport HTML imprimable (une section par unité)
+ */
+
+import { BUILT_IN_PROGRESSIONS } from "../data/progressions";
+import { KNOWLEDGE_LEVELS } from "./spacedRepetition";
+import { formatEquation } from "./factUtils";
+import { generateFactsForUnit } from "./factGenerator";
+import { attachProgress } from "./progressStats";
+
+/**
+ * Libellés des niveaux de connaissance
+ * @constant {Object}
+ */
+export const MASTERY_LABELS = {
+    [KNOWLEDGE_LEVELS.NEW]: "Nouveau",
+    [KNOWLEDGE_LEVELS.LEARNING]: "En apprentissage",
+    [KNOWLEDGE_LEVELS.REVIEWING]: "En révision",
+    [KNOWLEDGE_LEVELS.MASTERED]: "Maîtrisé",
+};
+
+/**
+ * Nombre de faits les plus difficiles affichés pour chaque unité
+ * @constant {number}
+ */
+export const HARDEST_FACTS_COUNT = 3;
+
+/**
+ * Colonnes de l'export CSV
+ * @constant {Array<Object>}
+ */
+export const REPORT_CSV_COLUMNS = [
+    { key: "unitName", header: "Unité" },
+    { key: "label", header: "Fait" },
+    { key: "masteryLabel", header: "Maîtrise" },
+    { key: "attempts", header: "Essais" },
+    { key: "correctCount", header: "Réussites" },
+    { key: "accuracy", header: "Réussite (%)" },
+    { key: "meanResponseTime", header: "Temps moyen (s)" },
+    { key: "meanVoiceResponseTime", header: "Temps moyen à l'oral (s)" },
+    { key: "lastReviewed", header: "Dernière révision" },
+    { key: "nextReview", header: "Prochaine révision" },
+];
+
+/**
+ * Temps de réponse moyen d'une partie de l'historique, arrondi au dixième
+ * @param {Array<Object>} entries - Entrées de l'historique
+ * @returns {number|null} Moyenne en secondes, ou null sans temps mesuré
+ */
+const getMeanResponseTime = (entries) => {
+    const times = entries
+        .map((entry) => entry.responseTime)
+        .filter((time) => time > 0);
+
+    return times.length > 0
+        ? Math.round(
+              (times.reduce((sum, time) => sum + time, 0) / times.length) * 10
+          ) / 10
+        : null;
+};
+
+/**
+ * Calcule les statistiques d'un fait à partir de son historique de réponses
+ * Une réponse partiellement juste compte pour son score (ex: 0,5) ;
+ * les temps des réponses dictées sont moyennés à part
+ * @param {Object} fact - Fait avec son historique
+ * @returns {Object} { attempts, correctCount, accuracy, meanResponseTime, meanVoiceResponseTime } (null si aucune donnée)
+ */
+export const getFactStats = (fact) => {
+    const history = fact?.history || [];
+    const attempts = history.length;
+    const correctCount = history.filter((entry) => entry.isCorrect).length;
+    const points = history.reduce(
+        (sum, entry) => sum + (entry.score ?? (entry.isCorrect ? 1 : 0)),
+        0
+    );
+
+    return {
+        attempts,
+        correctCount,
+        accuracy: attempts > 0 ? Math.round((points / attempts) * 100) : null,
+        meanResponseTime: getMeanResponseTime(
+            history.filter((entry) => !entry.voice)
+        ),
+        meanVoiceResponseTime: getMeanResponseTime(
+            history.filter((entry) => entry.voice)
+        ),
+    };
+};
+
+/**
+ * Libellé lisible d'un fait (égalité, sinon question)
+ * @param {Object} fact - Fait numérique
+ * @returns {string} Libellé
+ */
+export const getFactLabel = (fact) =>
+    formatEquation(fact) || fact.question || fact.id;
+
+/**
+ * Faits d'une unité : générés à partir de ses règles, ou définis dans l'unité
+ * @param {Object} unit - Unité d'apprentissage
+ * @param {string} level - Niveau scolaire
+ * @param {Object} progressions - Progressions indexées par niveau
+ * @returns {Array<Object>} Faits de l'unité
+ */
+const getUnitFacts = (unit, level, progressions) =>
+    Array.isArray(unit.rules)
+        ? generateFactsForUnit(unit, level, progressions)
+        : unit.facts || [];
+
+/**
+ * Trie les faits déjà travaillés du plus difficile au plus facile
+ * (réussite la plus faible, puis le plus d'essais, puis le temps moyen le plus long)
+ * @param {Array<Object>} rows - Lignes de rapport
+ * @param {number} [count=HARDEST_FACTS_COUNT] - Nombre de faits retournés
+ * @returns {Array<Object>} Faits les plus difficiles
+ */
+export const getHardestFacts = (rows, count = HARDEST_FACTS_COUNT) =>
+    rows
+        .filter((row) => row.attempts > 0 && row.accuracy < 100)
+        .sort(
+            (a, b) =>
+                a.accuracy - b.accuracy ||
+                b.attempts - a.attempts ||
+                (b.meanResponseTime || 0) - (a.meanResponseTime || 0)
+        )
+        .slice(0, count);
+
+/**
+ * Construit une ligne de rapport pour un fait suivi
+ * @param {Object} fact - Fait avec sa progression (format de getFactsWithProgress)
+ * @param {string} unitName - Nom de l'unité du fait
+ * @returns {Object} Ligne de rapport
+ */
+const buildRow = (fact, unitName) => {
+    const { progress } = fact;
+    const level = progress.level ?? KNOWLEDGE_LEVELS.NEW;
+
+    return {
+        factId: fact.id,
+        unitName,
+        label: getFactLabel(fact),
+        level,
+        masteryLabel: MASTERY_LABELS[level] || "",
+        ...getFactStats(progress),
+        lastReviewed: progress.lastReviewed || null,
+        nextReview: progress.nextReview || null,
+    };
+};
+
+/**
+ * Construit le rapport de progression d'un élève
+ * @param {Object} params - Paramètres
+ * @param {string} params.studentName - Nom de l'élève
+ * @param {string} params.level - Niveau scolaire
+ * @param {Object} params.facts - Faits suivis, indexés par ID
+ * @param {Object} params.overall - Statistiques au format de getOverallProgress
+ * @param {Date} [params.now=new Date()] - Date du rapport
+ * @param {Object} [params.progressions=BUILT_IN_PROGRESSIONS] - Progressions indexées par niveau
+ * @returns {Object} Rapport { studentName, levelName, generatedAt, overall, units, rows }
+ */
+export const buildProgressReport = ({
+    studentName,
+    level,
+    facts,
+    overall,
+    now = new Date(),
+    progressions = BUILT_IN_PROGRESSIONS,
+}) => {
+    const rows = [];
+    const reportedIds = new Set();
+    // Les faits chargés depuis le stockage n'ont pas d'ID : il est porté par leur clé
+    const trackedList = Object.entries(facts || {}).map(([id, fact]) => ({
+        ...fact,
+        id,
+    }));
+
+    const units = (progressions[level]?.periods || []).flatMap((period) =>
+        period.units.map((unit) => {
+            const unitFacts = attachProgress(
+                getUnitFacts(unit, level, progressions),
+                facts
+            );
+            const unitIds = new Set(unitFacts.map((fact) => fact.id));
+
+            // Les variantes « à trou » sont rattachées à l'unité de leur fait de base
+            const variants = trackedList
+                .filter(
+                    (fact) =>
+                        fact.baseFactId &&
+                        unitIds.has(fact.baseFactId) &&
+                        !unitIds.has(fact.id)
+                )
+                .map((fact) => ({ ...fact, progress: fact }));
+
+            const unitRows = [...unitFacts, ...variants]
+                .filter((fact) => facts?.[fact.id])
+                .map((fact) => buildRow(fact, unit.name));
+
+            unitRows.forEach((row) => {
+                if (!reportedIds.has(row.factId)) {
+                    reportedIds.add(row.factId);
+                    rows.push(row);
+                }
+            });
+
+            const trackedFacts = unitFacts.filter(
+                (fact) => facts?.[fact.id]
+            ).length;
+
+            return {
+                id: unit.id,
+                name: unit.name,
+                periodName: period.name,
+                totalFacts: unitFacts.length,
+                trackedFacts,
+                coverage:
+                    unitFacts.length > 0
+                        ? Math.round((trackedFacts / unitFacts.length) * 100)
+                        : 0,
+                masteredFacts: unitRows.filter(
+                    (row) => row.level === KNOWLEDGE_LEVELS.MASTERED
+                ).length,
+                hardestFacts: getHardestFacts(unitRows),
+            };
+        })
+    );
+
+    // Faits suivis qui n'appartiennent à aucune unité du niveau
+    trackedList
+        .filter((fact) => !reportedIds.has(fact.id))
+        .forEach((fact) =>
+            rows.push(buildRow({ ...fact, progress: fact }, ""))
+        );
+
+    return {
+        studentName,
+        levelName: progressions[level]?.name || level,
+        generatedAt: now.toISOString(),
+        overall,
+        units,
+        rows,
+    };
+};
+
+/**
+ * Formate une date ISO pour le rapport
+ * @param {string|null} isoDate - Date ISO
+ * @returns {string} Date au format français, ou chaîne vide
+ */
+const formatDate = (isoDate) =>
+    isoDate ? new Date(isoDate).toLocaleDateString("fr-FR") : "";
+
+/**
+ * Formate une valeur pour une cellule CSV (séparateur « ; » et virgule décimale,
+ * comme l'attendent les tableurs configurés en français)
+ * @param {*} value - Valeur de la cellule
+ * @returns {string} Cellule échappée
+ */
+const toCsvCell = (value) => {
+    if (value === null || value === undefined) return "";
+
+    const text =
+        typeof value === "number"
+            ? String(value).replace(".", ",")
+            : String(value);
+
+    return /[";\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Exporte les lignes d'un rapport au format CSV
+ * Le BOM initial permet aux tableurs de reconnaître l'encodage UTF-8 (accents)
+ * @param {Object} report - Rapport construit par buildProgressReport
+ * @returns {string} Contenu CSV
+ */
+export const reportToCsv = (report) => {
+    const lines = [
+        REPORT_CSV_COLUMNS.map((column) => toCsvCell(column.header)).join(";"),
+        ...report.rows.map((row) =>
+            REPORT_CSV_COLUMNS.map((column) =>
+                toCsvCell(
+                    column.key === "lastReviewed" || column.key === "nextReview"
+                        ? formatDate(row[column.key])
+                        : row[column.key]
+                )
+            ).join(";")
+        ),
+    ];
+
+    return `\uFEFF${lines.join("\r\n")}`;
+};
+
+/**
+ * Échappe un texte pour l'insérer dans du HTML
+ * @param {*} value - Texte à échapper
+ * @returns {string} Texte échappé
+ */
+const escapeHtml = (value) =>
+    String(value ?? "")
+        .replace(/&/g, "&amp;")
+        .replace(/</g, "&lt;")
+        .replace(/>/g, "&gt;")
+        .replace(/"/g, "&quot;");
+
+/**
+ * Feuille de style du rapport imprimable (A4, sans couleurs de fond indispensables)
+ * @constant {string}
+ */
+const REPORT_STYLES = `
+    body { font-family: system-ui, sans-serif; color: #111827; margin: 2rem; }
+    h1 { font-size: 1.5rem; margin: 0 0 0.25rem; }
+    h2 { font-size: 1.1rem; margin: 1.5rem 0 0.5rem; border-bottom: 1px solid #d1d5db; }
+    h3 { font-size: 1rem; margin: 0 0 0.25rem; }
+    .meta { color: #4b5563; margin: 0 0 1rem; }
+    .summary { display: flex; gap: 1rem; flex-wrap: wrap; }
+    .summary div { border: 1px solid #d1d5db; border-radius: 0.5rem; padding: 0.5rem 1rem; }
+    .summary strong { display: block; font-size: 1.25rem; }
+    .unit { border: 1px solid #e5e7eb; border-radius: 0.5rem; padding: 0.75rem; margin-bottom: 0.75rem; }
+    .unit p { margin: 0.25rem 0; }
+    .bar { height: 0.5rem; background: #e5e7eb; border-radius: 0.25rem; overflow: hidden; }
+    .bar span { display: block; height: 100%; background: #3b82f6; }
+    table { border-collapse: collapse; width: 100%; font-size: 0.85rem; }
+    th, td { text-align: left; padding: 0.25rem 0.5rem; border-bottom: 1px solid #e5e7eb; }
+    .muted { color: #6b7280; font-style: italic; }
+    @page { size: A4; margin: 1.5cm; }
+    @media print {
+        body { margin: 0; }
+        .unit { break-inside: avoid; }
+        .bar, .bar span { -webkit-print-color-adjust: exact; print-color-adjust: exact; }
+    }
+`;
+
+/**
+ * Génère le rapport de progression au format HTML, optimisé pour l'impression
+ * @param {Object} report - Rapport construit par buildProgressReport
+ * @returns {string} Document HTML complet
+ */
+export const reportToHtml = (report) => {
+    const { overall } = report;
+
+    const unitsHtml = report.units
+        .map((unit) => {
+            const hardest =
+                unit.hardestFacts.length > 0
+                    ? `<table>
+                <thead><tr><th>Fait le plus difficile</th><th>Essais</th><th>Réussite</th><th>Temps moyen</th></tr></thead>
+                <tbody>${unit.hardestFacts
+                    .map(
+                        (row) =>
+                            `<tr><td>${escapeHtml(row.label)}</td><td>${row.attempts}</td><td>${row.accuracy} %</td><td>${
+                                row.meanResponseTime !== null
+                                    ? `${String(row.meanResponseTime).replace(".", ",")} s`
+                                    : ""
+                            }</td></tr>`
+                    )
+                    .join("")}</tbody>
+            </table>`
+                    : `<p class="muted">${
+                          unit.trackedFacts > 0
+                              ? "Aucune difficulté relevée."
+                              : "Unité pas encore travaillée."
+                      }</p>`;
+
+            return `<section class="unit">
+            <h3>${escapeHtml(unit.name)}</h3>
+            <p class="meta">${escapeHtml(unit.periodName)} — ${unit.trackedFacts} fait(s) vu(s) sur ${unit.totalFacts}, ${unit.masteredFacts} maîtrisé(s)</p>
+            <p>Couverture : ${unit.coverage} %</p>
+            <div class="bar"><span style="width: ${unit.coverage}%"></span></div>
+            ${hardest}
+        </section>`;
+        })
+        .join("\n");
+
+    return `<!DOCTYPE html>
+<html lang="fr">
+<head>
+    <meta charset="utf-8">
+    <title>Progression de ${escapeHtml(report.studentName)} — MathMemo</title>
+    <style>${REPORT_STYLES}</style>
+</head>
+<body>
+    <h1>Progression de ${escapeHtml(report.studentName)}</h1>
+    <p class="meta">${escapeHtml(report.levelName)} — rapport du ${formatDate(report.generatedAt)}</p>
+    <div class="summary">
+        <div><strong>${overall?.totalFacts ?? 0}</strong>faits travaillés</div>
+        <div><strong>${overall?.masteredPercentage ?? 0} %</strong>maîtrisés</div>
+        <div><strong>${overall?.progressionCoverage ?? 0} %</strong>de la progression</div>
+        <div><strong>${overall?.factsToReview?.length ?? 0}</strong>à réviser</div>
+    </div>
+    <h2>Unités</h2>
+    ${unitsHtml}
+</body>
+</html>`;
+};
@@ -0,0 +1,46 @@
+// src/utils/reportUtils.test.js
+import { describe, expect, it } from "vitest";
+import { createMissingOperandVariants } from "./factUtils";
+import { generateFactsForUnit } from "./factGenerator";
+import { getOrderedUnits } from "./unitProgression";
+import { buildProgressReport } from "./reportUtils";
+
+/**
+ * Progression d'un fait telle que rechargée depuis le stockage (sans ID)
+ * @param {Object} [fields={}] - Champs à ajouter
+ * @returns {Object} Progression du fait
+ */
+const storedProgress = (fields = {}) => ({
+    level: 2,
+    history: [{ isCorrect: true, responseTime: 3 }],
+    ...fields,
+});
+
+describe("buildProgressReport", () => {
+    it("utilise la clé des faits rechargés comme identifiant", () => {
+        // Première unité dont un fait a des variantes « à trou »
+        const { unit, fact } = getOrderedUnits("cp")
+            .flatMap(({ unit }) =>
+                generateFactsForUnit(unit, "cp").map((fact) => ({ unit, fact }))
+            )
+            .find(({ fact }) => createMissingOperandVariants(fact).length > 0);
+        const [{ id: variantId, ...variant }] =
+            createMissingOperandVariants(fact);
+
+        const report = buildProgressReport({
+            studentName: "Léa",
+            level: "cp",
+            facts: {
+                [fact.id]: storedProgress(),
+                [variantId]: storedProgress(variant),
+            },
+            overall: {},
+        });
+
+        expect(report.rows).toHaveLength(2);
+        expect(report.rows).toMatchObject([
+            { factId: fact.id, unitName: unit.name },
+            { factId: variantId, unitName: unit.name },
+        ]);
+    });
+});
@@ -0,0 +1,297 @@
+// src/utils/representations.js
+/**
+ * @file representations.js
+ * @description Représentations imagées des faits (constellations, cadres de dix, barres et cubes,
+ * quadrillages, partages) : chaque unité des progressions déclare la sienne, et seuls les termes
+ * connus du calcul sont dessinés pour ne jamais afficher la réponse en chiffres
+ */
+
+import {
+    BUILT_IN_PROGRESSIONS,
+    OPERATION_TYPES,
+    REPRESENTATION_TYPES,
+} from "../data/progressions";
+import { generateFactsForUnit } from "./factGenerator";
+import { getEquation, hasRemainder, MISSING_POSITIONS } from "./factUtils";
+
+/**
+ * Représentation utilisée quand l'unité d'un fait n'en déclare pas
+ * @constant {Object}
+ */
+const DEFAULT_REPRESENTATIONS = {
+    [OPERATION_TYPES.COMPARISON]: REPRESENTATION_TYPES.CONSTELLATION,
+    [OPERATION_TYPES.ADDITION]: REPRESENTATION_TYPES.TEN_FRAME,
+    [OPERATION_TYPES.SUBTRACTION]: REPRESENTATION_TYPES.TEN_FRAME,
+    [OPERATION_TYPES.DOUBLES]: REPRESENTATION_TYPES.TEN_FRAME,
+    [OPERATION_TYPES.COMPLEMENTS]: REPRESENTATION_TYPES.TEN_FRAME,
+    [OPERATION_TYPES.MULTIPLICATION]: REPRESENTATION_TYPES.ARRAY,
+    [OPERATION_TYPES.DIVISION]: REPRESENTATION_TYPES.SHARING,
+};
+
+/**
+ * Limites au-delà desquelles une représentation devient illisible (le fait reste alors symbolique)
+ * @constant {Object}
+ */
+const REPRESENTATION_LIMITS = {
+    CONSTELLATION: 10, // Plus grand nombre en constellation (deux dés au-delà de 6)
+    TEN_FRAME: 20, // Deux cadres de dix
+    BASE_TEN: 100, // Dix barres de dix
+    ARRAY_SIDE: 10, // Plus grand facteur en quadrillage
+    SHARING: 100, // Plus grand nombre d'objets à partager
+};
+
+/**
+ * Types de faits représentables par des quantités juxtaposées (constellations, cadres, barres et cubes)
+ * @constant {Array<string>}
+ */
+const ADDITIVE_TYPES = [
+    OPERATION_TYPES.ADDITION,
+    OPERATION_TYPES.SUBTRACTION,
+    OPERATION_TYPES.DOUBLES,
+    OPERATION_TYPES.COMPLEMENTS,
+];
+
+/**
+ * Index des unités par identifiant de fait, pour chaque progression
+ * (indexé par l'objet de la progression : un niveau personnalisé modifié est réindexé)
+ * @type {WeakMap<Object, Map<string, Object>>}
+ */
+const factUnitIndexes = new WeakMap();
+
+/**
+ * Indexe les unités d'un niveau par identifiant de fait (première unité qui contient le fait)
+ * @param {string} level - Niveau scolaire
+ * @param {Object} progressions - Progressions indexées par niveau
+ * @returns {Map<string, Object>} Unités indexées par identifiant de fait
+ */
+const getFactUnitIndex = (level, progressions) => {
+    const progression = progressions[level];
+    if (factUnitIndexes.has(progression)) {
+        return factUnitIndexes.get(progression);
+    }
+
+    const index = new Map();
+    progression.periods.forEach((period) => {
+        period.units.forEach((unit) => {
+            [
+                ...(unit.facts || []),
+                ...generateFactsForUnit(unit, level, progressions),
+            ].forEach(({ id }) => {
+                if (!index.has(id)) index.set(id, unit);
+            });
+        });
+    });
+
+    factUnitIndexes.set(progression, index);
+    return index;
+};
+
+/**
+ * Unité où un fait est introduit (première unité de la progression qui le contient)
+ * Les variantes « à trou » sont rattachées à l'unité de leur fait d'origine
+ * @param {Object} fact - Fait numérique
+ * @param {Object} [progressions=BUILT_IN_PROGRESSIONS] - Progressions indexées par niveau
+ * @returns {Object|null} Unité ou null si le fait n'appartient à aucune unité
+ */
+export const findFactUnit = (fact, progressions = BUILT_IN_PROGRESSIONS) => {
+    if (!fact) return null;
+
+    const factId = fact.baseFactId || fact.id;
+    for (const level of Object.keys(progressions)) {
+        const unit = getFactUnitIndex(level, progressions).get(factId);
+        if (unit) return unit;
+    }
+    return null;
+};
+
+/**
+ * Termes connus d'une égalité (l'inconnue n'est jamais dessinée)
+ * Pour la moitié d'un double, les deux termes de l'addition sont inconnus
+ * @param {Object} fact - Fait numérique
+ * @param {Object} equation - Égalité (getEquation)
+ * @returns {Array<number>} Termes connus dans l'ordre de l'égalité
+ */
+const getKnownTerms = (fact, { terms, missing }) =>
+    terms.filter((_, index) => {
+        if (index === missing) return false;
+        return !(
+            fact.type === OPERATION_TYPES.DOUBLES &&
+            missing !== MISSING_POSITIONS.RESULT &&
+            index !== MISSING_POSITIONS.RESULT
+        );
+    });
+
+/**
+ * Constellations : chaque nombre connu dessiné comme sur un dé
+ * @param {Object} fact - Fait numérique
+ * @param {Object|null} equation - Égalité (getEquation)
+ * @returns {Object|null} Représentation { type, values } ou null
+ */
+const buildConstellation = (fact, equation) => {
+    const values =
+        fact.type === OPERATION_TYPES.COMPARISON
+            ? fact.operands
+            : ADDITIVE_TYPES.includes(fact.type) &&
+              equation &&
+              getKnownTerms(fact, equation);
+
+    return values?.length > 0 &&
+        values.every(
+            (value) =>
+                value >= 0 && value <= REPRESENTATION_LIMITS.CONSTELLATION
+        )
+        ? { type: REPRESENTATION_TYPES.CONSTELLATION, values }
+        : null;
+};
+
+/**
+ * Cadres de dix : opérandes connus en deux couleurs, avec la place pour le résultat ;
+ * pour une soustraction, la quantité enlevée est barrée
+ * @param {Object} fact - Fait numérique
+ * @param {Object|null} equation - Égalité (getEquation)
+ * @returns {Object|null} Représentation { type, counts, removed, frames } ou null
+ */
+const buildTenFrame = (fact, equation) => {
+    if (!equation || !ADDITIVE_TYPES.includes(fact.type)) return null;
+
+    const { terms, missing } = equation;
+    if (
+        Math.max(...terms) > REPRESENTATION_LIMITS.TEN_FRAME ||
+        Math.min(...terms) < 0
+    ) {
+        return null;
+    }
+
+    // Sans le résultat, que l'élève doit trouver ou atteindre
+    const known = getKnownTerms(fact, equation);
+    let counts =
+        missing === MISSING_POSITIONS.RESULT ? known : known.slice(0, -1);
+    let removed = 0;
+
+    if (fact.type === OPERATION_TYPES.SUBTRACTION) {
+        // Nombre de départ dont on barre la quantité enlevée,
+        // ou, si c'est lui qu'on cherche, ce qui reste et ce qui a été enlevé
+        if (missing === MISSING_POSITIONS.FIRST) {
+            counts = [terms[MISSING_POSITIONS.RESULT], terms[1]];
+        } else {
+            counts = [terms[0]];
+            removed = missing === MISSING_POSITIONS.RESULT ? terms[1] : 0;
+        }
+    } else if (counts.length === 0) {
+        // Moitié d'un double : la quantité à partager en deux
+        counts = [terms[MISSING_POSITIONS.RESULT]];
+    }
+
+    return {
+        type: REPRESENTATION_TYPES.TEN_FRAME,
+        counts,
+        removed,
+        frames: Math.max(1, Math.ceil(Math.max(...terms) / 10)),
+    };
+};
+
+/**
+ * Barres de dix et cubes unités pour chaque nombre connu
+ * @param {Object} fact - Fait numérique
+ * @param {Object|null} equation - Égalité (getEquation)
+ * @returns {Object|null} Représentation { type, values } ou null
+ */
+const buildBaseTen = (fact, equation) => {
+    const values =
+        fact.type === OPERATION_TYPES.COMPARISON
+            ? fact.operands
+            : ADDITIVE_TYPES.includes(fact.type) &&
+              equation &&
+              getKnownTerms(fact, equation);
+
+    return values?.length > 0 &&
+        values.every(
+            (value) => value >= 0 && value <= REPRESENTATION_LIMITS.BASE_TEN
+        )
+        ? { type: REPRESENTATION_TYPES.BASE_TEN, values }
+        : null;
+};
+
+/**
+ * Quadrillage d'une multiplication dont on cherche le produit
+ * @param {Object} fact - Fait numérique
+ * @param {Object|null} equation - Égalité (getEquation)
+ * @returns {Object|null} Représentation { type, rows, columns } ou null
+ */
+const buildArray = (fact, equation) => {
+    if (
+        fact.type !== OPERATION_TYPES.MULTIPLICATION ||
+        equation?.missing !== MISSING_POSITIONS.RESULT
+    ) {
+        return null;
+    }
+
+    const [rows, columns] = equation.terms;
+    return rows > 0 &&
+        columns > 0 &&
+        rows <= REPRESENTATION_LIMITS.ARRAY_SIDE &&
+        columns <= REPRESENTATION_LIMITS.ARRAY_SIDE
+        ? { type: REPRESENTATION_TYPES.ARRAY, rows, columns }
+        : null;
+};
+
+/**
+ * Partage équitable d'une division dont on cherche le quotient (et le reste)
+ * @param {Object} fact - Fait numérique
+ * @param {Object|null} equation - Égalité (getEquation), absente pour une division avec reste
+ * @returns {Object|null} Représentation { type, groups, perGroup, extra } ou null
+ */
+const buildSharing = (fact, equation) => {
+    if (fact.type !== OPERATION_TYPES.DIVISION) return null;
+    if (!hasRemainder(fact) && equation?.missing !== MISSING_POSITIONS.RESULT) {
+        return null;
+    }
+
+    const [dividend, divisor] = fact.operands;
+    if (divisor <= 0 || dividend > REPRESENTATION_LIMITS.SHARING) return null;
+
+    return {
+        type: REPRESENTATION_TYPES.SHARING,
+        groups: divisor,
+        perGroup: Math.floor(dividend / divisor),
+        extra: dividend % divisor,
+    };
+};
+
+/**
+ * Construction de chaque représentation
+ * @constant {Object}
+ */
+const BUILDERS = {
+    [REPRESENTATION_TYPES.CONSTELLATION]: buildConstellation,
+    [REPRESENTATION_TYPES.TEN_FRAME]: buildTenFrame,
+    [REPRESENTATION_TYPES.BASE_TEN]: buildBaseTen,
+    [REPRESENTATION_TYPES.ARRAY]: buildArray,
+    [REPRESENTATION_TYPES.SHARING]: buildSharing,
+};
+
+/**
+ * Représentation imagée d'un fait, selon celle déclarée par son unité
+ * Si elle ne convient pas à ce fait (moitié écrite en division dans une unité de doubles,
+ * nombres trop grands...), celle de son type d'opération est essayée
+ * @param {Object} fact - Fait numérique
+ * @param {Object} [progressions=BUILT_IN_PROGRESSIONS] - Progressions indexées par niveau
+ * @returns {Object|null} Représentation à dessiner, ou null si le fait reste symbolique
+ */
+export const getFactRepresentation = (
+    fact,
+    progressions = BUILT_IN_PROGRESSIONS
+) => {
+    if (!fact) return null;
+
+    const unitType = findFactUnit(fact, progressions)?.representation;
+    if (unitType === REPRESENTATION_TYPES.NONE) return null;
+
+    const equation = getEquation(fact);
+    const build = (type) => BUILDERS[type]?.(fact, equation) || null;
+
+    return (
+        (unitType && build(unitType)) ||
+        build(DEFAULT_REPRESENTATIONS[fact.type])
+    );
+};
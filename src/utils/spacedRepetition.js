@@ -0,0 +1,498 @@
+// src/utils/spacedRepetition.js
+/**
+ * @file spacedRepetition.js
+ * @description Algorithmes de planification des révisions (répétition espacée).
+ * Chaque planificateur expose la même interface afin de pouvoir être choisi dans le profil :
+ * - `initialState()` : champs propres à l'algorithme pour un nouveau fait
+ * - `migrate(fact)` : complète un enregistrement existant sans perdre son historique
+ * - `review(fact, { isCorrect, responseTime, score, sprint, fluent, now })` : champs mis à jour après une réponse
+ * - `boost(fact)` : léger gain accordé quand un autre fait de la même famille est réussi
+ * - `known(now)` : état d'un fait déjà connu, placé directement « en révision » (test de positionnement)
+ */
+
+/**
+ * Niveaux de connaissance pour l'algorithme de répétition espacée
+ * @constant {Object}
+ */
+export const KNOWLEDGE_LEVELS = {
+    NEW: 0, // Nouveau fait numérique
+    LEARNING: 1, // En cours d'apprentissage
+    REVIEWING: 2, // En révision
+    MASTERED: 3, // Maîtrisé
+};
+
+/**
+ * Intervalle de répétition en jours selon le niveau de connaissance
+ * @constant {Object}
+ */
+export const REPETITION_INTERVALS = {
+    [KNOWLEDGE_LEVELS.NEW]: 0, // Le jour même
+    [KNOWLEDGE_LEVELS.LEARNING]: 1, // 1 jour
+    [KNOWLEDGE_LEVELS.REVIEWING]: 3, // 3 jours
+    [KNOWLEDGE_LEVELS.MASTERED]: 7, // 7 jours
+};
+
+/**
+ * Nombre de succès consécutifs nécessaires pour passer au niveau suivant
+ * @constant {Object}
+ */
+export const SUCCESS_THRESHOLD = {
+    [KNOWLEDGE_LEVELS.NEW]: 2, // 2 succès pour passer de NEW à LEARNING
+    [KNOWLEDGE_LEVELS.LEARNING]: 3, // 3 succès pour passer de LEARNING à REVIEWING
+    [KNOWLEDGE_LEVELS.REVIEWING]: 4, // 4 succès pour passer de REVIEWING à MASTERED
+};
+
+/**
+ * Identifiants des planificateurs disponibles
+ * @constant {Object}
+ */
+export const SCHEDULER_TYPES = {
+    CLASSIC: "classic",
+    ADAPTIVE: "adaptive",
+};
+
+/**
+ * Paramètres de l'algorithme adaptatif (inspiré de SM-2)
+ * @constant {Object}
+ */
+const ADAPTIVE_SETTINGS = {
+    INITIAL_EASE: 2.5, // Facilité initiale d'un fait
+    MIN_EASE: 1.3, // Facilité minimale
+    LAPSE_FACTOR: 0.5, // Réduction de la stabilité après une erreur
+    MAX_INTERVAL: 60, // Intervalle maximal en jours
+    FAST_RESPONSE: 3, // Réponse automatisée (secondes)
+    SLOW_RESPONSE: 6, // Au-delà, la réponse est jugée laborieuse (secondes)
+};
+
+/**
+ * Gain accordé aux autres membres d'une famille quand l'un d'eux est réussi
+ * @constant {Object}
+ */
+const FAMILY_BOOST = {
+    SUCCESS_COUNT: 0.5, // Demi-succès pour le planificateur classique
+    STABILITY_FACTOR: 1.1, // +10 % de stabilité pour le planificateur adaptatif
+};
+
+/**
+ * Pondération des réponses données en mode sprint : sous la pression du temps,
+ * et avec des faits reproposés plusieurs fois en quelques minutes, elles comptent moins
+ * @constant {Object}
+ */
+const SPRINT_WEIGHTING = {
+    SUCCESS_COUNT: 0.5, // Une réussite en sprint vaut une demi-réussite (classique)
+    MAX_QUALITY: 4, // La rapidité en sprint ne prouve pas l'automatisation (adaptatif)
+};
+
+/**
+ * Pondération des bonnes réponses données au-delà du seuil de fluence (voir utils/fluency.js) :
+ * justes mais pas encore automatisées, elles ne suffisent pas à maîtriser un fait
+ * @constant {Object}
+ */
+const SLOW_ANSWER_WEIGHTING = {
+    SUCCESS_COUNT: 0.5, // Une réussite lente vaut une demi-réussite (classique)
+    QUALITY: 3, // Réponse juste mais laborieuse (adaptatif)
+    MAX_LEVEL: KNOWLEDGE_LEVELS.REVIEWING, // Niveau maximal tant que le fait n'est pas automatisé
+};
+
+/**
+ * Ajoute un nombre de jours (éventuellement fractionnaire) à une date
+ * @param {Date} date - Date de départ
+ * @param {number} days - Nombre de jours
+ * @returns {Date} Nouvelle date
+ */
+const addDays = (date, days) => {
+    const result = new Date(date);
+    result.setDate(result.getDate() + Math.round(days));
+    return result;
+};
+
+/**
+ * Planificateur classique : quatre niveaux fixes et intervalles de 0, 1, 3 et 7 jours
+ * @constant {Object}
+ */
+const classicScheduler = {
+    id: SCHEDULER_TYPES.CLASSIC,
+    label: "Classique",
+
+    /**
+     * Champs initiaux d'un nouveau fait
+     * @returns {Object} Champs propres à l'algorithme
+     */
+    initialState: () => ({}),
+
+    /**
+     * État d'un fait déjà connu (test de positionnement) : directement « en révision »
+     * @param {Date} now - Date du positionnement
+     * @returns {Object} Champs du fait (level, successCount, nextReview)
+     */
+    known: (now) => ({
+        level: KNOWLEDGE_LEVELS.REVIEWING,
+        successCount: 0,
+        nextReview: addDays(
+            now,
+            REPETITION_INTERVALS[KNOWLEDGE_LEVELS.REVIEWING]
+        ).toISOString(),
+    }),
+
+    /**
+     * Le planificateur classique n'utilise que `level` et `successCount`
+     * @param {Object} fact - Enregistrement existant
+     * @returns {Object} Enregistrement inchangé
+     */
+    migrate: (fact) => fact,
+
+    /**
+     * Calcule l'état d'un fait après une réponse
+     * @param {Object} fact - Enregistrement du fait
+     * @param {Object} review - Réponse de l'élève
+     * @param {boolean} review.isCorrect - Si la réponse était correcte
+     * @param {number} [review.score] - Part de la réponse juste (0 à 1), pour les réponses en plusieurs parties
+     * @param {boolean} [review.sprint] - Réponse donnée en mode sprint
+     * @param {boolean} [review.fluent] - Bonne réponse donnée dans le temps du seuil de fluence
+     * @param {Date} review.now - Date de la réponse
+     * @returns {Object} Champs mis à jour (level, successCount, nextReview)
+     */
+    review: (fact, { isCorrect, score, sprint, fluent, now }) => {
+        let newLevel = fact.level;
+        let successCount = isCorrect
+            ? (fact.successCount || 0) +
+              (sprint ? SPRINT_WEIGHTING.SUCCESS_COUNT : 1) *
+                  (fluent === false ? SLOW_ANSWER_WEIGHTING.SUCCESS_COUNT : 1)
+            : 0;
+
+        // Mise à jour du niveau en fonction de la réponse
+        // (une réponse partiellement juste ou une erreur en sprint remet la série à zéro
+        // sans faire baisser le niveau ; une réponse lente ne fait pas passer à « maîtrisé »)
+        if (isCorrect && successCount >= SUCCESS_THRESHOLD[fact.level]) {
+            if (
+                fact.level < KNOWLEDGE_LEVELS.MASTERED &&
+                !(
+                    fluent === false &&
+                    fact.level >= SLOW_ANSWER_WEIGHTING.MAX_LEVEL
+                )
+            ) {
+                newLevel = fact.level + 1;
+                successCount = 0;
+            }
+        } else if (
+            !isCorrect &&
+            !(score > 0) &&
+            !sprint &&
+            fact.level > KNOWLEDGE_LEVELS.NEW
+        ) {
+            newLevel = fact.level - 1;
+        }
+
+        return {
+            level: newLevel,
+            successCount,
+            nextReview: addDays(
+                now,
+                REPETITION_INTERVALS[newLevel]
+            ).toISOString(),
+        };
+    },
+
+    /**
+     * Ajoute un demi-succès à la série en cours, sans jamais faire changer le fait de niveau :
+     * seule une réponse à ce fait peut le faire progresser
+     * @param {Object} fact - Enregistrement du fait
+     * @returns {Object} Champs mis à jour (successCount)
+     */
+    boost: (fact) => {
+        const threshold = SUCCESS_THRESHOLD[fact.level];
+        if (threshold === undefined) return {};
+
+        return {
+            successCount: Math.min(
+                (fact.successCount || 0) + FAMILY_BOOST.SUCCESS_COUNT,
+                threshold - FAMILY_BOOST.SUCCESS_COUNT
+            ),
+        };
+    },
+};
+
+/**
+ * Convertit une réponse en note de qualité (0 à 5, échelle SM-2)
+ * Une bonne réponse lente reste fragile : le seuil de fluence (ou, pour les réponses
+ * enregistrées sans seuil, le temps de réponse) module la note
+ * @param {boolean} isCorrect - Si la réponse était correcte
+ * @param {number|null} responseTime - Temps de réponse en secondes
+ * @param {number} [score] - Part de la réponse juste (0 à 1)
+ * @param {boolean} [sprint=false] - Réponse donnée en mode sprint (note plafonnée)
+ * @param {boolean} [fluent] - Bonne réponse donnée dans le temps du seuil de fluence
+ * @returns {number} Qualité de la réponse
+ */
+export const getResponseQuality = (
+    isCorrect,
+    responseTime,
+    score,
+    sprint = false,
+    fluent
+) => {
+    if (!isCorrect) return score > 0 ? 2 : 1;
+
+    let quality = 3;
+    if (fluent === false) {
+        quality = SLOW_ANSWER_WEIGHTING.QUALITY;
+    } else if (
+        fluent ||
+        !responseTime ||
+        responseTime <= ADAPTIVE_SETTINGS.FAST_RESPONSE
+    ) {
+        quality = 5;
+    } else if (responseTime <= ADAPTIVE_SETTINGS.SLOW_RESPONSE) {
+        quality = 4;
+    }
+
+    return sprint ? Math.min(quality, SPRINT_WEIGHTING.MAX_QUALITY) : quality;
+};
+
+/**
+ * Déduit un niveau de connaissance de la stabilité, pour que les écrans de progression
+ * restent cohérents quel que soit l'algorithme
+ * @param {number} stability - Stabilité en jours
+ * @returns {number} Niveau de connaissance
+ */
+const levelFromStability = (stability) => {
+    if (stability >= REPETITION_INTERVALS[KNOWLEDGE_LEVELS.MASTERED]) {
+        return KNOWLEDGE_LEVELS.MASTERED;
+    }
+    if (stability >= REPETITION_INTERVALS[KNOWLEDGE_LEVELS.REVIEWING]) {
+        return KNOWLEDGE_LEVELS.REVIEWING;
+    }
+    if (stability >= REPETITION_INTERVALS[KNOWLEDGE_LEVELS.LEARNING]) {
+        return KNOWLEDGE_LEVELS.LEARNING;
+    }
+    return KNOWLEDGE_LEVELS.NEW;
+};
+
+/**
+ * Applique une réponse à l'état adaptatif d'un fait
+ * Une erreur en sprint fait baisser la facilité sans réduire la stabilité ;
+ * une bonne réponse lente ne porte pas la stabilité au-delà de l'intervalle « en révision »
+ * @param {Object} state - État adaptatif (ease, stability, repetitions)
+ * @param {number} quality - Qualité de la réponse (0 à 5)
+ * @param {boolean} [sprint=false] - Réponse donnée en mode sprint
+ * @param {boolean} [fluent] - Bonne réponse donnée dans le temps du seuil de fluence
+ * @returns {Object} Nouvel état adaptatif
+ */
+const applyQuality = (state, quality, sprint = false, fluent) => {
+    const ease = Math.max(
+        ADAPTIVE_SETTINGS.MIN_EASE,
+        state.ease + (0.1 - (5 - quality) * (0.08 + (5 - quality) * 0.02))
+    );
+
+    if (quality < 3) {
+        return {
+            ease,
+            stability: sprint
+                ? state.stability
+                : state.stability * ADAPTIVE_SETTINGS.LAPSE_FACTOR,
+            repetitions: 0,
+        };
+    }
+
+    let stability;
+    if (state.repetitions === 0) {
+        stability = Math.max(1, state.stability);
+    } else if (state.repetitions === 1) {
+        stability = Math.max(3, state.stability);
+    } else {
+        stability = state.stability * ease;
+    }
+
+    return {
+        ease,
+        stability: Math.min(
+            fluent === false
+                ? REPETITION_INTERVALS[SLOW_ANSWER_WEIGHTING.MAX_LEVEL]
+                : ADAPTIVE_SETTINGS.MAX_INTERVAL,
+            stability
+        ),
+        repetitions: state.repetitions + 1,
+    };
+};
+
+/**
+ * Planificateur adaptatif : facilité et stabilité propres à chaque fait,
+ * le temps de réponse servant de signal de qualité
+ * @constant {Object}
+ */
+const adaptiveScheduler = {
+    id: SCHEDULER_TYPES.ADAPTIVE,
+    label: "Adaptatif",
+
+    /**
+     * Champs initiaux d'un nouveau fait
+     * @returns {Object} Champs propres à l'algorithme
+     */
+    initialState: () => ({
+        ease: ADAPTIVE_SETTINGS.INITIAL_EASE,
+        stability: 0,
+        repetitions: 0,
+    }),
+
+    /**
+     * État d'un fait déjà connu (test de positionnement) : comme après
+     * deux bonnes réponses, avec la stabilité du niveau « en révision »
+     * @param {Date} now - Date du positionnement
+     * @returns {Object} Champs du fait (ease, stability, repetitions, level, successCount, nextReview)
+     */
+    known: (now) => {
+        const stability = REPETITION_INTERVALS[KNOWLEDGE_LEVELS.REVIEWING];
+        return {
+            ease: ADAPTIVE_SETTINGS.INITIAL_EASE,
+            stability,
+            repetitions: 2,
+            level: levelFromStability(stability),
+            successCount: 0,
+            nextReview: addDays(now, stability).toISOString(),
+        };
+    },
+
+    /**
+     * Reconstitue l'état adaptatif d'un fait en rejouant son historique
+     * Les champs existants (level, history, nextReview...) sont conservés
+     * @param {Object} fact - Enregistrement existant
+     * @returns {Object} Enregistrement complété
+     */
+    migrate: (fact) => {
+        if (
+            typeof fact.ease === "number" &&
+            typeof fact.stability === "number"
+        ) {
+            return fact;
+        }
+
+        const state = (fact.history || []).reduce(
+            (acc, entry) =>
+                applyQuality(
+                    acc,
+                    getResponseQuality(
+                        entry.isCorrect,
+                        entry.voice ? null : entry.responseTime,
+                        entry.score,
+                        entry.sprint,
+                        entry.fluent
+                    ),
+                    entry.sprint,
+                    entry.fluent
+                ),
+            adaptiveScheduler.initialState()
+        );
+
+        return { ...fact, ...state };
+    },
+
+    /**
+     * Calcule l'état d'un fait après une réponse
+     * @param {Object} fact - Enregistrement du fait
+     * @param {Object} review - Réponse de l'élève
+     * @param {boolean} review.isCorrect - Si la réponse était correcte
+     * @param {number|null} review.responseTime - Temps de réponse en secondes
+     * @param {number} [review.score] - Part de la réponse juste (0 à 1)
+     * @param {boolean} [review.sprint] - Réponse donnée en mode sprint
+     * @param {boolean} [review.fluent] - Bonne réponse donnée dans le temps du seuil de fluence
+     * @param {Date} review.now - Date de la réponse
+     * @returns {Object} Champs mis à jour (level, successCount, ease, stability, repetitions, nextReview)
+     */
+    review: (fact, { isCorrect, responseTime, score, sprint, fluent, now }) => {
+        const current = adaptiveScheduler.migrate(fact);
+        const quality = getResponseQuality(
+            isCorrect,
+            responseTime,
+            score,
+            sprint,
+            fluent
+        );
+        const state = applyQuality(current, quality, sprint, fluent);
+
+        // Après une erreur, le fait est reproposé le jour même
+        const interval = quality < 3 ? 0 : state.stability;
+
+        return {
+            ...state,
+            level: levelFromStability(state.stability),
+            successCount: isCorrect ? (fact.successCount || 0) + 1 : 0,
+            nextReview: addDays(now, interval).toISOString(),
+        };
+    },
+
+    /**
+     * Augmente légèrement la stabilité d'un fait déjà vu ; la date de révision est conservée
+     * @param {Object} fact - Enregistrement du fait
+     * @returns {Object} Champs mis à jour (stability)
+     */
+    boost: (fact) => {
+        const current = adaptiveScheduler.migrate(fact);
+        if (!(current.stability > 0)) return {};
+
+        return {
+            stability: Math.min(
+                ADAPTIVE_SETTINGS.MAX_INTERVAL,
+                current.stability * FAMILY_BOOST.STABILITY_FACTOR
+            ),
+        };
+    },
+};
+
+/**
+ * Planificateurs disponibles, indexés par identifiant
+ * @constant {Object}
+ */
+export const SCHEDULERS = {
+    [SCHEDULER_TYPES.CLASSIC]: classicScheduler,
+    [SCHEDULER_TYPES.ADAPTIVE]: adaptiveScheduler,
+};
+
+/**
+ * Retourne le planificateur correspondant à un identifiant (classique par défaut)
+ * @param {string} [schedulerType] - Identifiant du planificateur
+ * @returns {Object} Planificateur
+ */
+export const getScheduler = (schedulerType) =>
+    SCHEDULERS[schedulerType] || classicScheduler;
+
+/**
+ * Migre un ensemble de faits vers un planificateur sans perdre leur historique
+ * @param {Object} facts - Faits indexés par ID
+ * @param {string} schedulerType - Identifiant du planificateur
+ * @returns {Object} Faits migrés (même référence si aucun fait n'a changé)
+ */
+export const migrateFacts = (facts, schedulerType) => {
+    const scheduler = getScheduler(schedulerType);
+    let changed = false;
+
+    const migrated = Object.entries(facts || {}).reduce(
+        (acc, [factId, fact]) => {
+            acc[factId] = scheduler.migrate(fact);
+            if (acc[factId] !== fact) changed = true;
+            return acc;
+        },
+        {}
+    );
+
+    return changed ? migrated : facts;
+};
+
+/**
+ * Reconstitue le niveau de connaissance d'un fait en rejouant son historique
+ * avec le planificateur classique (utilisé pour réparer les enregistrements anciens)
+ * @param {Array} [history=[]] - Historique des réponses du fait
+ * @returns {number} Niveau de connaissance
+ */
+export const getMasteryLevelFromHistory = (history = []) =>
+    history.reduce(
+        (state, entry) => ({
+            ...state,
+            ...classicScheduler.review(state, {
+                isCorrect: entry.isCorrect,
+                score: entry.score,
+                sprint: entry.sprint,
+                fluent: entry.fluent,
+                now: new Date(entry.date || Date.now()),
+            }),
+        }),
+        { level: KNOWLEDGE_LEVELS.NEW, successCount: 0 }
+    ).level;
@@ -0,0 +1,25 @@
+// src/utils/spacedRepetition.test.js
+import { describe, expect, it } from "vitest";
+import { SCHEDULER_TYPES, getScheduler } from "./spacedRepetition";
+
+/**
+ * Rejoue un historique d'une bonne réponse avec le planificateur adaptatif
+ * @param {Object} entry - Champs de la réponse
+ * @returns {Object} Fait migré
+ */
+const replay = (entry) =>
+    getScheduler(SCHEDULER_TYPES.ADAPTIVE).migrate({
+        level: 0,
+        history: [{ isCorrect: true, ...entry }],
+    });
+
+describe("planificateur adaptatif", () => {
+    it("ne pénalise pas le temps d'une réponse dictée", () => {
+        const voice = replay({ responseTime: 12, voice: true });
+        const fast = replay({ responseTime: 2 });
+
+        expect(voice.ease).toBe(fast.ease);
+        expect(voice.stability).toBe(fast.stability);
+        expect(replay({ responseTime: 12 }).ease).toBeLessThan(voice.ease);
+    });
+});
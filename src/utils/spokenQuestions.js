@@ -0,0 +1,96 @@
+// src/utils/spokenQuestions.js
+/**
+ * @file spokenQuestions.js
+ * @description Questions lues à voix haute pour les élèves qui ne lisent pas encore :
+ * les nombres sont dits en lettres et les signes en mots (« six fois sept »)
+ */
+
+import { OPERATION_TYPES } from "../data/progressions";
+import { getEquation, hasRemainder, MISSING_POSITIONS } from "./factUtils";
+import { toFrenchWords } from "./frenchNumbers";
+
+/**
+ * Signes lus en mots
+ * @constant {Object}
+ */
+const SPOKEN_SYMBOLS = {
+    "+": "plus",
+    "-": "moins",
+    "×": "fois",
+    "÷": "divisé par",
+    "=": "égale",
+};
+
+/**
+ * Remplace dans un texte les nombres par leur écriture en lettres et les signes par des mots
+ * @param {string} text - Texte écrit (ex: "Quel est le plus grand : 3 ou 4 ?")
+ * @returns {string} Texte à lire
+ */
+export const toSpokenText = (text) =>
+    String(text)
+        .replace(/\d+/g, (digits) => toFrenchWords(Number(digits)))
+        .replace(/[+\-×÷=]/g, (symbol) => ` ${SPOKEN_SYMBOLS[symbol]} `)
+        .replace(/\s+/g, " ")
+        .trim();
+
+/**
+ * Question à lire pour un fait, en cohérence avec son affichage
+ * @param {Object} fact - Fait numérique
+ * @param {Object|null} [statement=null] - Égalité à juger en vrai/faux { proposed, isTrue } (buildTrueFalseStatement)
+ * @returns {string} Question à lire
+ */
+export const getSpokenQuestion = (fact, statement = null) => {
+    if (!fact) return "";
+
+    const say = toFrenchWords;
+
+    if (fact.type === OPERATION_TYPES.COMPARISON) {
+        const [a, b] = fact.operands;
+        return `Compare ${say(a)} et ${say(b)} : choisis plus petit, égal ou plus grand.`;
+    }
+
+    if (hasRemainder(fact)) {
+        const [dividend, divisor] = fact.operands;
+        return `Combien font ${say(dividend)} divisé par ${say(divisor)} ? Donne le quotient et le reste.`;
+    }
+
+    const equation = getEquation(fact);
+    if (!equation) return toSpokenText(fact.question || "");
+
+    const { terms, missing } = equation;
+    const operation = SPOKEN_SYMBOLS[equation.symbol];
+
+    // Doubles et moitiés se disent comme tels
+    if (fact.type === OPERATION_TYPES.DOUBLES) {
+        const isHalf = missing !== MISSING_POSITIONS.RESULT;
+        const [interrogative, subject] = isHalf
+            ? [
+                  "Quelle est",
+                  `la moitié de ${say(terms[MISSING_POSITIONS.RESULT])}`,
+              ]
+            : ["Quel est", `le double de ${say(terms[0])}`];
+
+        return statement
+            ? `Est-ce que ${subject} est ${say(statement.proposed)} ? Vrai ou faux ?`
+            : `${interrogative} ${subject} ?`;
+    }
+
+    if (statement) {
+        const spokenTerms = terms.map((term, index) =>
+            say(index === missing ? statement.proposed : term)
+        );
+        return `Est-ce que ${spokenTerms[0]} ${operation} ${spokenTerms[1]} égale ${spokenTerms[2]} ? Vrai ou faux ?`;
+    }
+
+    if (missing === MISSING_POSITIONS.RESULT) {
+        return `Combien font ${say(terms[0])} ${operation} ${say(terms[1])} ?`;
+    }
+
+    const spokenTerms = terms.map((term, index) =>
+        index === missing ? "combien" : say(term)
+    );
+    return `${spokenTerms[0]} ${operation} ${spokenTerms[1]} égale ${spokenTerms[2]} ?`.replace(
+        /^./,
+        (letter) => letter.toUpperCase()
+    );
+};
@@ -0,0 +1,95 @@
+// src/utils/sprintUtils.js
+/**
+ * @file sprintUtils.js
+ * @description Mode sprint : durées proposées, compte à rebours et records personnels
+ */
+
+/**
+ * Durées de sprint proposées (en secondes)
+ * @constant {Array<number>}
+ */
+export const SPRINT_DURATIONS = [60, 90, 120];
+
+/**
+ * Durée de sprint par défaut (en secondes)
+ * @constant {number}
+ */
+export const DEFAULT_SPRINT_DURATION = SPRINT_DURATIONS[0];
+
+/**
+ * Temps d'affichage de la correction avant le fait suivant (en millisecondes)
+ * @constant {number}
+ */
+export const SPRINT_FEEDBACK_DELAY = 800;
+
+/**
+ * Nombre minimal de faits dans la réserve d'un sprint
+ * (complétée par des faits nouveaux si l'élève en suit trop peu)
+ * @constant {number}
+ */
+export const SPRINT_POOL_SIZE = 20;
+
+/**
+ * Lit une durée de sprint (paramètre d'URL), en revenant à la durée par défaut si elle n'est pas proposée
+ * @param {string|number|null} value - Durée demandée
+ * @returns {number} Durée en secondes
+ */
+export const parseSprintDuration = (value) => {
+    const duration = Number(value);
+    return SPRINT_DURATIONS.includes(duration)
+        ? duration
+        : DEFAULT_SPRINT_DURATION;
+};
+
+/**
+ * Formate un temps restant pour le compte à rebours (ex: "1:05")
+ * @param {number} seconds - Temps restant en secondes
+ * @returns {string} Temps formaté
+ */
+export const formatCountdown = (seconds) => {
+    const safeSeconds = Math.max(0, Math.ceil(seconds));
+    return `${Math.floor(safeSeconds / 60)}:${String(safeSeconds % 60).padStart(2, "0")}`;
+};
+
+/**
+ * Record personnel d'un profil pour une durée de sprint
+ * @param {Object} profile - Profil de l'élève
+ * @param {number} duration - Durée du sprint en secondes
+ * @returns {Object|null} Record { correct, total, date } ou null
+ */
+export const getPersonalBest = (profile, duration) =>
+    profile?.sprintRecords?.[duration] || null;
+
+/**
+ * Compare le résultat d'un sprint au record du profil
+ * Le record est le nombre de bonnes réponses ; à égalité, le moins d'erreurs l'emporte
+ * @param {Object} records - Records du profil, indexés par durée
+ * @param {number} duration - Durée du sprint en secondes
+ * @param {Object} result - Résultat { correct, total }
+ * @param {Date} [now=new Date()] - Date du sprint
+ * @returns {Object} { records, previousBest, isNewBest }
+ */
+export const updateSprintRecords = (
+    records,
+    duration,
+    { correct, total },
+    now = new Date()
+) => {
+    const previousBest = records?.[duration] || null;
+    const isNewBest =
+        correct > 0 &&
+        (!previousBest ||
+            correct > previousBest.correct ||
+            (correct === previousBest.correct && total < previousBest.total));
+
+    return {
+        records: isNewBest
+            ? {
+                  ...records,
+                  [duration]: { correct, total, date: now.toISOString() },
+              }
+            : records || {},
+        previousBest,
+        isNewBest,
+    };
+};
@@ -0,0 +1,248 @@
+// src/utils/studyPlan.js
+/**
+ * @file studyPlan.js
+ * @description Plan de travail quotidien : révisions en retard, faits les moins maîtrisés
+ * et quelques faits nouveaux de l'unité active, entremêlés pour varier les calculs
+ */
+
+import { KNOWLEDGE_LEVELS } from "./spacedRepetition";
+
+/**
+ * Objectifs quotidiens proposés (nombre de calculs par jour)
+ * @constant {Array<number>}
+ */
+export const DAILY_TARGET_OPTIONS = [5, 10, 15, 20, 30];
+
+/**
+ * Objectif quotidien par défaut
+ * @constant {number}
+ */
+export const DEFAULT_DAILY_TARGET = 10;
+
+/**
+ * Part maximale de faits nouveaux dans le plan du jour
+ * @constant {number}
+ */
+const NEW_FACTS_SHARE = 0.3;
+
+/**
+ * Origines des faits du plan
+ * @constant {Object}
+ */
+export const PLAN_SOURCES = {
+    REVIEW: "review", // Révision arrivée à échéance
+    WEAK: "weak", // Fait peu maîtrisé, révisé en avance
+    NEW: "new", // Fait encore jamais travaillé
+};
+
+/**
+ * Libellés des origines des faits du plan
+ * @constant {Object}
+ */
+export const PLAN_SOURCE_LABELS = {
+    [PLAN_SOURCES.REVIEW]: "à réviser",
+    [PLAN_SOURCES.WEAK]: "à consolider",
+    [PLAN_SOURCES.NEW]: "nouveaux",
+};
+
+/**
+ * Objectif quotidien d'un profil, en revenant à l'objectif par défaut s'il n'est pas proposé
+ * @param {Object} [preferences] - Préférences du profil
+ * @returns {number} Nombre de calculs par jour
+ */
+export const getDailyTarget = (preferences) => {
+    const target = Number(preferences?.dailyTarget);
+    return DAILY_TARGET_OPTIONS.includes(target)
+        ? target
+        : DEFAULT_DAILY_TARGET;
+};
+
+/**
+ * Nombre maximal de faits nouveaux introduits pour un objectif quotidien
+ * @param {number} target - Objectif quotidien
+ * @returns {number} Nombre de faits nouveaux
+ */
+export const getNewFactsCap = (target) =>
+    Math.max(1, Math.round(target * NEW_FACTS_SHARE));
+
+/**
+ * Taux de réussite d'un fait d'après son historique (1 s'il n'a jamais été travaillé)
+ * @param {Object} fact - Fait suivi
+ * @returns {number} Taux entre 0 et 1
+ */
+const getSuccessRate = (fact) => {
+    const history = fact.history || [];
+    if (history.length === 0) return 1;
+    return history.filter((entry) => entry.isCorrect).length / history.length;
+};
+
+/**
+ * Trie les révisions de la plus en retard à la plus récente
+ * @param {Array<Object>} facts - Faits à réviser
+ * @returns {Array<Object>} Faits triés
+ */
+const sortByOverdue = (facts) =>
+    [...facts].sort(
+        (a, b) =>
+            Date.parse(a.nextReview || 0) - Date.parse(b.nextReview || 0) ||
+            (a.level || 0) - (b.level || 0)
+    );
+
+/**
+ * Trie les faits du moins maîtrisé au plus maîtrisé (niveau puis taux de réussite)
+ * @param {Array<Object>} facts - Faits suivis
+ * @returns {Array<Object>} Faits triés
+ */
+const sortByWeakness = (facts) =>
+    [...facts].sort(
+        (a, b) =>
+            (a.level || 0) - (b.level || 0) ||
+            getSuccessRate(a) - getSuccessRate(b) ||
+            Date.parse(a.lastReviewed || 0) - Date.parse(b.lastReviewed || 0)
+    );
+
+/**
+ * Entremêle plusieurs listes en respectant leurs proportions
+ * (à chaque position, la liste la moins avancée fournit le fait suivant)
+ * @param {Array<Array<Object>>} groups - Listes à entremêler
+ * @returns {Array<Object>} Liste entremêlée
+ */
+export const interleaveGroups = (groups) => {
+    const taken = groups.map(() => 0);
+    const total = groups.reduce((sum, group) => sum + group.length, 0);
+    const result = [];
+
+    while (result.length < total) {
+        let next = -1;
+        groups.forEach((group, index) => {
+            if (taken[index] >= group.length) return;
+            if (
+                next === -1 ||
+                taken[index] / group.length < taken[next] / groups[next].length
+            ) {
+                next = index;
+            }
+        });
+
+        result.push(groups[next][taken[next]]);
+        taken[next]++;
+    }
+
+    return result;
+};
+
+/**
+ * Évite que deux faits de la même famille (un fait et ses variantes à trou)
+ * se suivent, la réponse de l'un donnant celle de l'autre
+ * @param {Array<Object>} facts - Faits ordonnés
+ * @returns {Array<Object>} Faits réordonnés
+ */
+const spreadRelatedFacts = (facts) => {
+    const result = [...facts];
+    const familyOf = (fact) => fact.baseFactId || fact.id;
+
+    for (let i = 1; i < result.length; i++) {
+        if (familyOf(result[i]) !== familyOf(result[i - 1])) continue;
+
+        const swapIndex = result.findIndex(
+            (fact, j) => j > i && familyOf(fact) !== familyOf(result[i - 1])
+        );
+        if (swapIndex !== -1) {
+            [result[i], result[swapIndex]] = [result[swapIndex], result[i]];
+        }
+    }
+
+    return result;
+};
+
+/**
+ * Indique si une date tombe le même jour qu'une autre
+ * @param {string|Date} date - Date à tester
+ * @param {Date} now - Jour de référence
+ * @returns {boolean} True si c'est le même jour
+ */
+const isSameDay = (date, now) =>
+    Boolean(date) && new Date(date).toDateString() === now.toDateString();
+
+/**
+ * Indique si un fait suivi n'a encore jamais été travaillé
+ * (un fait reconnu au test de positionnement est déjà en révision)
+ * @param {Object} fact - Fait suivi
+ * @returns {boolean} True si le fait est nouveau
+ */
+const isUnseen = (fact) =>
+    (!fact.history || fact.history.length === 0) &&
+    (fact.level || KNOWLEDGE_LEVELS.NEW) === KNOWLEDGE_LEVELS.NEW;
+
+/**
+ * Construit le plan de travail du jour
+ * Les révisions en retard passent en priorité, puis les faits les moins maîtrisés ;
+ * quelques places sont réservées aux faits nouveaux (ceux de l'unité active déjà suivis
+ * mais jamais travaillés, puis les faits générés), dans la limite de ceux déjà introduits
+ * depuis le début de la journée
+ * @param {Object} options - Éléments du plan
+ * @param {Array<Object>} [options.dueFacts=[]] - Faits dont la révision est arrivée à échéance
+ * @param {Array<Object>} [options.trackedFacts=[]] - Tous les faits suivis du niveau, dans l'ordre de la progression
+ * @param {Array<Object>} [options.newFacts=[]] - Faits pas encore suivis, dans l'ordre de la progression
+ * @param {number} [options.target=DEFAULT_DAILY_TARGET] - Objectif quotidien
+ * @param {Date} [options.now=new Date()] - Date du plan
+ * @returns {Object} Plan { facts, newFacts (faits à ajouter au suivi), counts, target }
+ */
+export const buildStudyPlan = ({
+    dueFacts = [],
+    trackedFacts = [],
+    newFacts = [],
+    target = DEFAULT_DAILY_TARGET,
+    now = new Date(),
+}) => {
+    // Faits dont la première réponse date d'aujourd'hui : déjà introduits
+    const introducedToday = trackedFacts.filter((fact) =>
+        isSameDay(fact.history?.[0]?.date, now)
+    ).length;
+    const trackedIds = new Set(trackedFacts.map((fact) => fact.id));
+    const newCandidates = [
+        ...trackedFacts.filter(isUnseen),
+        ...newFacts.filter((fact) => !trackedIds.has(fact.id)),
+    ];
+    const selectedNew = newCandidates.slice(
+        0,
+        Math.max(0, getNewFactsCap(target) - introducedToday)
+    );
+
+    const reviews = sortByOverdue(
+        dueFacts.filter((fact) => !isUnseen(fact))
+    ).slice(0, target - selectedNew.length);
+    const reviewIds = new Set(reviews.map((fact) => fact.id));
+    const weak = sortByWeakness(
+        trackedFacts.filter(
+            (fact) =>
+                !isUnseen(fact) &&
+                !reviewIds.has(fact.id) &&
+                (fact.level || 0) < KNOWLEDGE_LEVELS.MASTERED
+        )
+    ).slice(0, target - selectedNew.length - reviews.length);
+
+    return {
+        facts: spreadRelatedFacts(
+            interleaveGroups([reviews, weak, selectedNew])
+        ),
+        newFacts: selectedNew.filter((fact) => !trackedIds.has(fact.id)),
+        counts: {
+            [PLAN_SOURCES.REVIEW]: reviews.length,
+            [PLAN_SOURCES.WEAK]: weak.length,
+            [PLAN_SOURCES.NEW]: selectedNew.length,
+        },
+        target,
+    };
+};
+
+/**
+ * Nombre de réponses données un jour donné, toutes sessions confondues
+ * @param {Array<Object>} sessions - Sessions enregistrées
+ * @param {Date} [now=new Date()] - Jour considéré
+ * @returns {number} Nombre de réponses
+ */
+export const countAnswersOnDay = (sessions, now = new Date()) =>
+    (sessions || [])
+        .filter((session) => isSameDay(session.date, now))
+        .reduce((sum, session) => sum + (session.answers?.length || 0), 0);
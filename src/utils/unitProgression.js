@@ -0,0 +1,181 @@
+// src/utils/unitProgression.js
+/**
+ * @file unitProgression.js
+ * @description Avancement dans les unités des progressions : une unité est terminée quand une part
+ * suffisante de ses faits est en révision ou maîtrisée, ce qui débloque l'unité suivante.
+ * Les faits des unités terminées restent suivis et continuent d'être proposés en révision.
+ */
+
+import { BUILT_IN_PROGRESSIONS } from "../data/progressions";
+import { KNOWLEDGE_LEVELS } from "./spacedRepetition";
+
+/**
+ * Parts de faits acquis proposées pour terminer une unité
+ * @constant {Array<number>}
+ */
+export const UNIT_COMPLETION_SHARES = [0.6, 0.7, 0.8, 0.9, 1];
+
+/**
+ * Part de faits acquis par défaut pour terminer une unité
+ * @constant {number}
+ */
+export const DEFAULT_UNIT_COMPLETION_SHARE = 0.8;
+
+/**
+ * États d'une unité dans la progression de l'élève
+ * @constant {Object}
+ */
+export const UNIT_STATUS = {
+    LOCKED: "locked", // Unités précédentes pas encore terminées
+    UNLOCKED: "unlocked", // Accessible mais pas active
+    ACTIVE: "active", // Unité en cours
+    COMPLETED: "completed", // Terminée, ses faits restent en révision
+};
+
+/**
+ * Libellés des états d'une unité
+ * @constant {Object}
+ */
+export const UNIT_STATUS_LABELS = {
+    [UNIT_STATUS.LOCKED]: "verrouillée",
+    [UNIT_STATUS.UNLOCKED]: "débloquée",
+    [UNIT_STATUS.ACTIVE]: "en cours",
+    [UNIT_STATUS.COMPLETED]: "terminée",
+};
+
+/**
+ * Part de faits acquis choisie dans le profil, en revenant à la valeur par défaut si elle n'est pas proposée
+ * @param {Object} [preferences] - Préférences du profil
+ * @returns {number} Part entre 0 et 1
+ */
+export const getUnitCompletionShare = (preferences) => {
+    const share = Number(preferences?.unitCompletionShare);
+    return UNIT_COMPLETION_SHARES.includes(share)
+        ? share
+        : DEFAULT_UNIT_COMPLETION_SHARE;
+};
+
+/**
+ * Avancement enregistré d'un profil pour un niveau
+ * @param {Object} profile - Profil de l'élève
+ * @param {string} level - Niveau scolaire
+ * @returns {Object} { unitId, completedUnits }
+ */
+export const getUnitProgress = (profile, level) => ({
+    unitId: profile?.unitProgress?.[level]?.unitId || null,
+    completedUnits: profile?.unitProgress?.[level]?.completedUnits || [],
+});
+
+/**
+ * Unités d'un niveau dans l'ordre de la progression, avec leur période
+ * @param {string} level - Niveau scolaire
+ * @param {Object} [progressions=BUILT_IN_PROGRESSIONS] - Progressions indexées par niveau
+ * @returns {Array<Object>} Liste de { unit, period }
+ */
+export const getOrderedUnits = (level, progressions = BUILT_IN_PROGRESSIONS) =>
+    (progressions[level]?.periods || []).flatMap((period) =>
+        period.units.map((unit) => ({ unit, period }))
+    );
+
+/**
+ * Retrouve une unité et sa période
+ * @param {string} level - Niveau scolaire
+ * @param {string} unitId - Identifiant de l'unité
+ * @param {Object} [progressions=BUILT_IN_PROGRESSIONS] - Progressions indexées par niveau
+ * @returns {Object|null} { unit, period } ou null
+ */
+export const findUnitLocation = (
+    level,
+    unitId,
+    progressions = BUILT_IN_PROGRESSIONS
+) =>
+    getOrderedUnits(level, progressions).find(
+        ({ unit }) => unit.id === unitId
+    ) || null;
+
+/**
+ * Unité qui suit une unité dans la progression (éventuellement dans la période suivante)
+ * @param {string} level - Niveau scolaire
+ * @param {string} unitId - Identifiant de l'unité actuelle
+ * @param {Object} [progressions=BUILT_IN_PROGRESSIONS] - Progressions indexées par niveau
+ * @returns {Object|null} { unit, period } ou null pour la dernière unité
+ */
+export const getNextUnit = (
+    level,
+    unitId,
+    progressions = BUILT_IN_PROGRESSIONS
+) => {
+    const units = getOrderedUnits(level, progressions);
+    const index = units.findIndex(({ unit }) => unit.id === unitId);
+    return index !== -1 ? units[index + 1] || null : null;
+};
+
+/**
+ * Part des faits d'une unité en révision ou maîtrisés
+ * @param {Object} unit - Unité d'apprentissage
+ * @param {Object} facts - Faits suivis, indexés par ID
+ * @returns {Object} { total, secured, share }
+ */
+export const getUnitMastery = (unit, facts) => {
+    const unitFacts = unit?.facts || [];
+    const secured = unitFacts.filter(
+        (fact) =>
+            (facts?.[fact.id]?.level || KNOWLEDGE_LEVELS.NEW) >=
+            KNOWLEDGE_LEVELS.REVIEWING
+    ).length;
+
+    return {
+        total: unitFacts.length,
+        secured,
+        share: unitFacts.length > 0 ? secured / unitFacts.length : 0,
+    };
+};
+
+/**
+ * Indique si une unité atteint la part de faits acquis demandée
+ * @param {Object} unit - Unité d'apprentissage
+ * @param {Object} facts - Faits suivis, indexés par ID
+ * @param {number} [share=DEFAULT_UNIT_COMPLETION_SHARE] - Part requise
+ * @returns {boolean} True si l'unité est terminée
+ */
+export const isUnitComplete = (
+    unit,
+    facts,
+    share = DEFAULT_UNIT_COMPLETION_SHARE
+) => {
+    const mastery = getUnitMastery(unit, facts);
+    return mastery.total > 0 && mastery.share >= share;
+};
+
+/**
+ * État de chaque unité d'un niveau : une unité est débloquée quand toutes
+ * les précédentes sont terminées (ou qu'un adulte l'a activée)
+ * @param {string} level - Niveau scolaire
+ * @param {Object} progress - Avancement { unitId, completedUnits } (getUnitProgress)
+ * @param {Object} [progressions=BUILT_IN_PROGRESSIONS] - Progressions indexées par niveau
+ * @returns {Object} États indexés par identifiant d'unité (valeurs de UNIT_STATUS)
+ */
+export const getUnitStatuses = (
+    level,
+    { unitId, completedUnits },
+    progressions = BUILT_IN_PROGRESSIONS
+) => {
+    const statuses = {};
+    let previousCompleted = true;
+
+    getOrderedUnits(level, progressions).forEach(({ unit }) => {
+        if (unit.id === unitId) {
+            statuses[unit.id] = UNIT_STATUS.ACTIVE;
+        } else if (completedUnits.includes(unit.id)) {
+            statuses[unit.id] = UNIT_STATUS.COMPLETED;
+        } else {
+            statuses[unit.id] = previousCompleted
+                ? UNIT_STATUS.UNLOCKED
+                : UNIT_STATUS.LOCKED;
+        }
+        previousCompleted =
+            previousCompleted && completedUnits.includes(unit.id);
+    });
+
+    return statuses;
+};